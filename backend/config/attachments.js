@@ -0,0 +1,45 @@
+/**
+ * Supplementary Attachments
+ *
+ * Besides the paper, a submission can carry attachments such as an appendix,
+ * a dataset, a video or source code (`Submission.attachments`). Each
+ * conference lists the attachment types it takes (`Conference.attachmentTypes`),
+ * with a size limit, how many files an author may add and whether reviewers
+ * see them. Checks live in utils/attachments.js.
+ */
+
+/** Kinds of attachment and the file formats each takes */
+const ATTACHMENT_KINDS = {
+  appendix: { label: 'Appendix', formats: ['pdf'] },
+  dataset: { label: 'Dataset', formats: ['zip', 'tar.gz', 'tgz', 'csv', 'json'] },
+  video: { label: 'Video', formats: ['mp4', 'webm', 'mov'] },
+  code: { label: 'Source code', formats: ['zip', 'tar.gz', 'tgz'] }
+};
+
+/** Type keys: attachments refer to their type by key */
+const ATTACHMENT_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/** Largest file POST /api/upload/attachment takes; a type's limit can only be lower */
+const MAX_ATTACHMENT_SIZE_MB = 200;
+
+/** Size limit of a new type of each kind */
+const DEFAULT_SIZE_MB = {
+  appendix: 10,
+  dataset: 100,
+  video: 100,
+  code: 50
+};
+
+/** Who besides the authors sees a type's attachments */
+const ATTACHMENT_VISIBILITY = {
+  committee: 'Committee only',
+  reviewers: 'Committee and reviewers'
+};
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  ATTACHMENT_KEY_PATTERN,
+  MAX_ATTACHMENT_SIZE_MB,
+  DEFAULT_SIZE_MB,
+  ATTACHMENT_VISIBILITY
+};
@@ -0,0 +1,37 @@
+/**
+ * Camera-Ready Stage
+ *
+ * Once a paper is accepted, its authors hand in the final version during the
+ * camera-ready phase: the final PDF, a source archive, a signed copyright or
+ * license agreement and a confirmed author list (`Submission.cameraReady`).
+ * The conference sets the deadline and which licenses authors may choose
+ * (`Conference.cameraReady`).
+ */
+
+/** Licenses an author can sign for the final version */
+const LICENSES = {
+  cc_by: 'Creative Commons Attribution 4.0 (CC BY 4.0)',
+  cc_by_nc: 'Creative Commons Attribution-NonCommercial 4.0 (CC BY-NC 4.0)',
+  copyright_transfer: 'Copyright transfer to the conference publisher'
+};
+
+/** What an accepted paper still needs, in checklist order */
+const CAMERA_READY_ITEMS = {
+  paper: 'Final paper',
+  source: 'Source archive',
+  agreement: 'Copyright or license agreement',
+  authors: 'Final author list'
+};
+
+/** Days before the deadline that authors with missing items are reminded */
+const REMINDER_DAYS = [7, 2];
+
+/** Source archive formats (POST /api/upload/source) */
+const SOURCE_FORMATS = ['zip', 'tar.gz', 'tgz'];
+
+module.exports = {
+  LICENSES,
+  CAMERA_READY_ITEMS,
+  REMINDER_DAYS,
+  SOURCE_FORMATS
+};
@@ -0,0 +1,73 @@
+/**
+ * Conference Committee Roles
+ *
+ * Each conference is run by a committee. The account that created the
+ * conference (`Conference.organizerId`) is always its general chair; other
+ * members are listed in `Conference.committee`.
+ * Track chairs only see the tracks they are assigned to.
+ */
+
+/** What each permission allows */
+const PERMISSIONS = {
+  'conference:edit': 'Edit conference details, signature and 2FA policy',
+  'phase:manage': 'Move the conference between lifecycle phases',
+  'committee:manage': 'Add, change and remove committee members',
+  'tracks:manage': 'Create, edit and delete tracks',
+  'submissions:view': 'See submissions',
+  'submissions:decide': 'Approve, accept, reject or request revisions',
+  'submissions:schedule': 'Schedule presentations',
+  'deadlines:extend': 'Grant and revoke deadline extensions',
+  'reviews:view': 'See reviews',
+  'bids:manage': 'See, approve and reject reviewer bids',
+  'assignments:manage': 'See and change reviewer assignments',
+  'assignments:auto': 'Run auto-assignment and see conference-wide assignment analytics',
+  'participants:view': 'See registered participants',
+  'attendance:mark': 'Mark author and participant attendance',
+  'certificates:manage': 'Generate certificates',
+  'accounts:support': 'Unlock and merge accounts of people taking part',
+  'audit:view': 'See and export the audit log'
+};
+
+const ROLE_PERMISSIONS = {
+  general_chair: Object.keys(PERMISSIONS),
+  program_chair: [
+    'phase:manage',
+    'tracks:manage',
+    'submissions:view',
+    'submissions:decide',
+    'submissions:schedule',
+    'deadlines:extend',
+    'reviews:view',
+    'bids:manage',
+    'assignments:manage',
+    'assignments:auto'
+  ],
+  track_chair: [
+    'submissions:view',
+    'submissions:decide',
+    'deadlines:extend',
+    'reviews:view',
+    'bids:manage',
+    'assignments:manage'
+  ],
+  publicity_chair: [
+    'participants:view',
+    'attendance:mark'
+  ]
+};
+
+const COMMITTEE_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const ROLE_LABELS = {
+  general_chair: 'General Chair',
+  program_chair: 'Program Chair',
+  track_chair: 'Track Chair',
+  publicity_chair: 'Publicity Chair'
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  COMMITTEE_ROLES,
+  ROLE_LABELS
+};
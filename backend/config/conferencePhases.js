@@ -0,0 +1,89 @@
+/**
+ * Conference Lifecycle Phases
+ *
+ * `Conference.status` moves through these phases in order. Organizers change
+ * it through POST /api/organizer/conferences/:id/phase, which only allows the
+ * transitions below (plus the guards in utils/conferenceLifecycle.js).
+ * Author, reviewer and participant routes check PHASE_ACTIONS before acting.
+ */
+
+const PHASES = [
+  'draft',
+  'cfp_open',
+  'bidding',
+  'reviewing',
+  'rebuttal',
+  'decisions',
+  'camera_ready',
+  'program_published',
+  'archived'
+];
+
+const PHASE_LABELS = {
+  draft: 'Draft',
+  cfp_open: 'Call for Papers Open',
+  bidding: 'Bidding',
+  reviewing: 'Reviewing',
+  rebuttal: 'Rebuttal',
+  decisions: 'Decisions',
+  camera_ready: 'Camera-Ready',
+  program_published: 'Program Published',
+  archived: 'Archived'
+};
+
+/** Phases each phase may move to (a step back reopens the previous phase) */
+const TRANSITIONS = {
+  draft: ['cfp_open'],
+  cfp_open: ['draft', 'bidding'],
+  bidding: ['cfp_open', 'reviewing'],
+  reviewing: ['bidding', 'rebuttal', 'decisions'],
+  rebuttal: ['reviewing', 'decisions'],
+  decisions: ['reviewing', 'camera_ready', 'program_published'],
+  camera_ready: ['decisions', 'program_published'],
+  program_published: ['camera_ready', 'archived'],
+  archived: []
+};
+
+/** Phases in which authors, reviewers and participants may do each action */
+const PHASE_ACTIONS = {
+  'submissions:create': ['cfp_open'],
+  'submissions:edit': ['cfp_open'],
+  'submissions:withdraw': ['cfp_open', 'bidding', 'reviewing', 'rebuttal', 'decisions', 'camera_ready'],
+  'submissions:revise': ['reviewing', 'rebuttal', 'decisions'],
+  'papers:upload': ['cfp_open', 'bidding'],
+  'camera_ready:upload': ['camera_ready'],
+  'reviewers:register': ['cfp_open', 'bidding'],
+  'bids:place': ['bidding'],
+  'reviews:submit': ['reviewing', 'rebuttal'],
+  'registrations:create': ['cfp_open', 'bidding', 'reviewing', 'rebuttal', 'decisions', 'camera_ready', 'program_published']
+};
+
+/**
+ * Phases in which an author with a deadline extension may still do an
+ * action after the phase has moved on (on top of PHASE_ACTIONS). An
+ * extension never reaches a draft, decided or archived conference.
+ */
+const EXTENDED_PHASE_ACTIONS = {
+  'submissions:create': ['cfp_open', 'bidding', 'reviewing', 'rebuttal'],
+  'submissions:edit': ['cfp_open', 'bidding', 'reviewing', 'rebuttal'],
+  'papers:upload': ['cfp_open', 'bidding', 'reviewing', 'rebuttal']
+};
+
+/** Phases in which a conference is listed to authors, reviewers and participants */
+const LISTED_PHASES = PHASES.filter(phase => phase !== 'draft' && phase !== 'archived');
+
+/**
+ * Phases the scheduler can open on a date set in `Conference.phaseSchedule`
+ * (conferences are archived automatically once `endDate` passes)
+ */
+const SCHEDULED_PHASES = LISTED_PHASES;
+
+module.exports = {
+  PHASES,
+  PHASE_LABELS,
+  TRANSITIONS,
+  PHASE_ACTIONS,
+  EXTENDED_PHASE_ACTIONS,
+  LISTED_PHASES,
+  SCHEDULED_PHASES
+};
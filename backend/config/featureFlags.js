@@ -3,7 +3,8 @@
  * 
  * Controls progressive rollout of new assignment features.
  * All flags default to enabled (true) except ASYNC which is opt-in.
- * Override via environment variables.
+ * Override via environment variables; platform admins can override them at
+ * runtime (see utils/featureFlagOverrides.js), which takes precedence.
  */
 module.exports = {
   /** Enable domain-based reviewer matching for no-bid papers */
@@ -0,0 +1,48 @@
+/**
+ * PDF Checks
+ *
+ * Papers uploaded as PDF are inspected (utils/pdfInspector.js): that the file
+ * opens, is not encrypted, fits the page limit of its submission type or
+ * track, uses the track's paper size and embeds its fonts. The text of the
+ * first pages is read to spot scanned papers and, in double-blind review,
+ * author names. The report is stored on the submission (`pdfCheck`) and
+ * shown to the author and the organizers as warnings; nothing is rejected.
+ * The extracted text is stored with it, capped at MAX_TEXT_LENGTH.
+ *
+ * Inspection runs in the API process, so it is capped: large files are not
+ * inspected and long papers only have their first pages scanned.
+ */
+
+/** Paper sizes a track can require, in PDF points (1/72 inch), portrait */
+const PAPER_SIZES = {
+  a4: { label: 'A4', width: 595, height: 842 },
+  letter: { label: 'US Letter', width: 612, height: 792 }
+};
+
+/** How far (in points) a page may be off its paper size, for rounding in PDF writers */
+const PAPER_SIZE_TOLERANCE = 3;
+
+/** Largest file inspected, in bytes (the upload limit); larger ones get a warning instead */
+const MAX_INSPECTED_BYTES = 10 * 1024 * 1024;
+
+/** Pages scanned for paper size and fonts beyond the page limit */
+const PAGES_PAST_LIMIT = 5;
+
+/** Most pages scanned for paper size and fonts, whatever the limit */
+const MAX_INSPECTED_PAGES = 60;
+
+/** Leading pages searched for author names (title page and abstract) */
+const TEXT_PAGES = 2;
+
+/** Characters of extracted text kept on the submission */
+const MAX_TEXT_LENGTH = 200000;
+
+module.exports = {
+  PAPER_SIZES,
+  PAPER_SIZE_TOLERANCE,
+  MAX_INSPECTED_BYTES,
+  PAGES_PAST_LIMIT,
+  MAX_INSPECTED_PAGES,
+  TEXT_PAGES,
+  MAX_TEXT_LENGTH
+};
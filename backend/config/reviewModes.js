@@ -0,0 +1,36 @@
+/**
+ * Review Modes
+ *
+ * Who learns whose identity during review (`Conference.reviewMode`):
+ * in single-blind review reviewers see the authors, in double-blind review
+ * neither side sees the other, and in open review authors also see who
+ * reviewed them. Payloads are stripped by utils/reviewMode.js.
+ */
+
+const REVIEW_MODES = {
+  single_blind: {
+    label: 'Single-blind',
+    description: 'Reviewers see the authors; authors do not see the reviewers.',
+    authorsVisible: true,
+    reviewersVisible: false
+  },
+  double_blind: {
+    label: 'Double-blind',
+    description: 'Reviewers do not see the authors and authors do not see the reviewers.',
+    authorsVisible: false,
+    reviewersVisible: false
+  },
+  open: {
+    label: 'Open',
+    description: 'Reviewers see the authors and authors see who reviewed their paper.',
+    authorsVisible: true,
+    reviewersVisible: true
+  }
+};
+
+const DEFAULT_REVIEW_MODE = 'single_blind';
+
+module.exports = {
+  REVIEW_MODES,
+  DEFAULT_REVIEW_MODE
+};
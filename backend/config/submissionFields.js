@@ -0,0 +1,37 @@
+/**
+ * Custom Submission Fields
+ *
+ * Organizers add their own questions to the submission form
+ * (`Conference.submissionFields`), for every track or only some. Answers are
+ * stored in `Submission.customFields` by field key and checked by
+ * utils/submissionFields.js.
+ */
+
+/** Input types a field can have */
+const FIELD_TYPES = {
+  text: 'Short text',
+  textarea: 'Long text',
+  number: 'Number',
+  select: 'Single choice',
+  checkboxes: 'Multiple choice',
+  checkbox: 'Yes/no checkbox'
+};
+
+/** Field keys: answers are stored under them */
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/** Types that pick from `options` */
+const CHOICE_TYPES = ['select', 'checkboxes'];
+
+/** Who besides the author sees the answers */
+const FIELD_VISIBILITY = {
+  committee: 'Committee only',
+  reviewers: 'Committee and reviewers'
+};
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  CHOICE_TYPES,
+  FIELD_VISIBILITY
+};
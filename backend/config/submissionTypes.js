@@ -0,0 +1,30 @@
+/**
+ * Submission Types
+ *
+ * A conference can take several kinds of submission (full papers, posters,
+ * demos...) through the same tracks (`Conference.submissionTypes`). Each
+ * type has its own deadline, file requirements and review settings, checked
+ * by utils/submissionTypes.js. The type's kind decides how certificates word
+ * the presentation.
+ */
+
+/** Kinds of submission, with their certificate wording */
+const SUBMISSION_KINDS = {
+  full_paper: { label: 'Full paper', work: 'paper', presented: 'has presented a paper as Author at' },
+  short_paper: { label: 'Short paper', work: 'short paper', presented: 'has presented a short paper as Author at' },
+  poster: { label: 'Poster', work: 'poster', presented: 'has presented a poster as Author at' },
+  demo: { label: 'Demo', work: 'demonstration', presented: 'has presented a demonstration as Author at' },
+  workshop_proposal: { label: 'Workshop proposal', work: 'workshop', presented: 'has organized a workshop at' }
+};
+
+/** Type keys: submissions refer to their type by key */
+const TYPE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/** File formats POST /api/upload/paper accepts; a type may narrow them */
+const FILE_FORMATS = ['pdf', 'doc', 'docx'];
+
+module.exports = {
+  SUBMISSION_KINDS,
+  TYPE_KEY_PATTERN,
+  FILE_FORMATS
+};
@@ -1,7 +1,45 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessionManager');
+const { API_TOKEN_PREFIX, findActiveApiToken, checkApiTokenScope } = require('../utils/apiTokens');
+const User = require('../models/User');
+const Conference = require('../models/Conference');
 
 /**
- * Middleware to verify JWT token and extract user info
+ * Authenticate a personal API token (see utils/apiTokens)
+ */
+const apiTokenAuth = async (req, res, next, rawToken) => {
+  const apiToken = await findActiveApiToken(rawToken, req);
+  const user = apiToken && await User.findById(apiToken.userId).select('role roles email').lean();
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or revoked API token'
+    });
+  }
+
+  const refusal = await checkApiTokenScope(apiToken, req);
+  if (refusal) {
+    return res.status(403).json({
+      success: false,
+      code: 'API_TOKEN_SCOPE',
+      message: refusal
+    });
+  }
+
+  req.user = {
+    userId: String(user._id),
+    role: user.role,
+    roles: user.roles && user.roles.length > 0 ? user.roles : [user.role],
+    email: user.email,
+    apiTokenId: String(apiToken._id)
+  };
+
+  next();
+};
+
+/**
+ * Middleware to verify JWT token (or personal API token) and extract user info
  */
 const auth = async (req, res, next) => {
   try {
@@ -15,14 +53,29 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      return await apiTokenAuth(req, res, next, token);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Revocation check: the token's session must still be active
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked'
+      });
+    }
+
     // Attach user info to request
     req.user = {
       userId: decoded.userId,
       role: decoded.role,
-      email: decoded.email
+      // Tokens issued before multi-role accounts only carry the single role
+      roles: Array.isArray(decoded.roles) && decoded.roles.length > 0 ? decoded.roles : [decoded.role],
+      email: decoded.email,
+      sessionId: decoded.sid
     };
 
     next();
@@ -47,7 +100,8 @@ const auth = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has required role
+ * Middleware to check if user holds one of the required roles
+ * (membership in the account's roles set, not just the active role)
  * @param  {...string} roles - Allowed roles
  */
 const authorize = (...roles) => {
@@ -60,13 +114,15 @@ const authorize = (...roles) => {
     }
 
     // Case-insensitive role comparison
-    const userRole = (req.user.role || '').toLowerCase();
+    const userRoles = (req.user.roles || [req.user.role])
+      .filter(Boolean)
+      .map(r => r.toLowerCase());
     const allowedRoles = roles.map(r => r.toLowerCase());
 
-    if (!allowedRoles.includes(userRole)) {
+    if (!allowedRoles.some(r => userRoles.includes(r))) {
       return res.status(403).json({
         success: false,
-        message: `Access denied. Required role: ${roles.join(' or ')}. Your role: ${req.user.role || 'none'}`
+        message: `Access denied. Required role: ${roles.join(' or ')}. Your roles: ${userRoles.join(', ') || 'none'}`
       });
     }
 
@@ -74,4 +130,61 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
+/**
+ * Middleware to block accounts that have not verified their email address
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified').lean();
+
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address first. Check your inbox or request a new link from your profile.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+/**
+ * Middleware to require two-factor authentication for organizers and committee members of any
+ * conference that has `requireOrganizerTwoFactor` switched on
+ */
+const enforceOrganizerTwoFactor = async (req, res, next) => {
+  try {
+    const enforced = await Conference.exists({
+      ...Conference.managedByFilter(req.user.userId),
+      requireOrganizerTwoFactor: true
+    });
+
+    if (!enforced) {
+      return next();
+    }
+
+    const user = await User.findById(req.user.userId).select('twoFactorEnabled').lean();
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Your conference requires two-factor authentication for organizers. Enable it from your profile to continue.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+module.exports = { auth, authorize, requireVerifiedEmail, enforceOrganizerTwoFactor };
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Personal access token for scripts.
+ * Only the hash is stored; the raw token is shown once when created.
+ * A token acts as its owner, optionally limited to GET requests and/or
+ * to a set of conferences.
+ */
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the raw token so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  readOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Empty means every conference the owner can access
+  conferenceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference'
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Method to check if the token can still be used
+apiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Never expose the hash
+apiTokenSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.tokenHash;
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * One organizer or committee action on a conference.
+ * Entries are append-only and chained per conference: each entry stores the
+ * hash of the previous one, so editing or deleting an entry in the database
+ * breaks every hash after it (see utils/auditLog.js verifyAuditChain).
+ */
+const auditLogSchema = new mongoose.Schema({
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    required: [true, 'Conference ID is required']
+  },
+  // Position in the conference's chain, starting at 1
+  seq: {
+    type: Number,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Actor's committee role at the time (general_chair, track_chair, ...)
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  summary: {
+    type: String,
+    maxlength: 500
+  },
+  // Only the fields that changed
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: {} },
+    after: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Empty before/after objects are part of the hash, so they must be stored
+  minimize: false
+});
+
+auditLogSchema.index({ conferenceId: 1, seq: 1 }, { unique: true });
+auditLogSchema.index({ conferenceId: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ conferenceId: 1, actorId: 1, createdAt: -1 });
+
+// Append-only: refuse updates and deletes made through the model
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(hook => auditLogSchema.pre(hook, rejectChange));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
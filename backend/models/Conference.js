@@ -1,4 +1,196 @@
 const mongoose = require('mongoose');
+const { COMMITTEE_ROLES } = require('../config/committeeRoles');
+const { PHASES, LISTED_PHASES, SCHEDULED_PHASES } = require('../config/conferencePhases');
+const { FIELD_TYPES, FIELD_KEY_PATTERN, FIELD_VISIBILITY } = require('../config/submissionFields');
+const { SUBMISSION_KINDS, TYPE_KEY_PATTERN, FILE_FORMATS } = require('../config/submissionTypes');
+const { LICENSES } = require('../config/cameraReady');
+const { ATTACHMENT_KINDS, ATTACHMENT_KEY_PATTERN, MAX_ATTACHMENT_SIZE_MB, ATTACHMENT_VISIBILITY } = require('../config/attachments');
+const { REVIEW_MODES, DEFAULT_REVIEW_MODE } = require('../config/reviewModes');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+const committeeMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: COMMITTEE_ROLES,
+    required: [true, 'Committee role is required']
+  },
+  // Only used by track chairs
+  trackIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track'
+  }],
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Extra question on the submission form (config/submissionFields.js)
+const submissionFieldSchema = new mongoose.Schema({
+  // Answers are stored under this key, so it stays fixed once authors have answered
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    match: [FIELD_KEY_PATTERN, 'Field key must be lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [200, 'Field label cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(FIELD_TYPES),
+    required: [true, 'Field type is required']
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Help text cannot exceed 500 characters']
+  },
+  // Choices for select and checkboxes
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // A required checkbox has to be ticked (consent)
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Number: value range. Multiple choice: how many may be picked
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  // Text: longest answer
+  maxLength: { type: Number, default: null },
+  // Empty means every track
+  trackIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track'
+  }],
+  visibility: {
+    type: String,
+    enum: Object.keys(FIELD_VISIBILITY),
+    default: 'committee'
+  }
+}, { _id: false });
+
+// Supplementary file authors can add to a submission (config/attachments.js)
+const attachmentTypeSchema = new mongoose.Schema({
+  // Attachments refer to their type by key, so it stays fixed once used
+  key: {
+    type: String,
+    required: [true, 'Attachment type key is required'],
+    match: [ATTACHMENT_KEY_PATTERN, 'Attachment type key must be lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Attachment type label is required'],
+    trim: true,
+    maxlength: [100, 'Attachment type label cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: Object.keys(ATTACHMENT_KINDS),
+    required: [true, 'Attachment kind is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Attachment type description cannot exceed 500 characters']
+  },
+  maxSizeMB: {
+    type: Number,
+    min: [1, 'Size limit must be at least 1 MB'],
+    max: [MAX_ATTACHMENT_SIZE_MB, `Size limit cannot exceed ${MAX_ATTACHMENT_SIZE_MB} MB`],
+    required: [true, 'Size limit is required']
+  },
+  // Files of this type one submission may have
+  maxFiles: {
+    type: Number,
+    min: [1, 'Allow at least one file'],
+    max: [10, 'Allow at most 10 files'],
+    default: 1
+  },
+  visibility: {
+    type: String,
+    enum: Object.keys(ATTACHMENT_VISIBILITY),
+    default: 'reviewers'
+  }
+}, { _id: false });
+
+// Kind of submission taken, with its own deadline and review settings (config/submissionTypes.js)
+const submissionTypeSchema = new mongoose.Schema({
+  // Submissions refer to their type by key, so it stays fixed once used
+  key: {
+    type: String,
+    required: [true, 'Type key is required'],
+    match: [TYPE_KEY_PATTERN, 'Type key must be lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Type name is required'],
+    trim: true,
+    maxlength: [100, 'Type name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: Object.keys(SUBMISSION_KINDS),
+    default: 'full_paper'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Type description cannot exceed 1000 characters']
+  },
+  // Replaces the track's and conference's deadline for this type
+  submissionDeadline: {
+    type: Date,
+    default: null
+  },
+  // A proposal can be submitted without a file
+  fileRequired: {
+    type: Boolean,
+    default: true
+  },
+  // Empty means every format the upload accepts
+  fileFormats: [{
+    type: String,
+    enum: FILE_FORMATS
+  }],
+  pageLimit: {
+    type: Number,
+    min: [1, 'Page limit must be at least 1'],
+    default: null
+  },
+  // Overrides the count chosen when running auto-assignment
+  reviewersPerPaper: {
+    type: Number,
+    min: [1, 'Reviewers per paper must be at least 1'],
+    max: [10, 'Reviewers per paper cannot exceed 10'],
+    default: null
+  },
+  // Review form: whether reviewers can ask for a revision, and what they are told
+  allowRevisions: {
+    type: Boolean,
+    default: true
+  },
+  reviewInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review instructions cannot exceed 2000 characters']
+  }
+}, { _id: false });
 
 const conferenceSchema = new mongoose.Schema({
   organizerId: {
@@ -6,6 +198,8 @@ const conferenceSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Organizer ID is required']
   },
+  // Co-organizers; the organizer above is always the general chair
+  committee: [committeeMemberSchema],
   name: {
     type: String,
     required: [true, 'Conference name is required'],
@@ -46,6 +240,27 @@ const conferenceSchema = new mongoose.Schema({
       message: 'Submission deadline must be on or before conference start date'
     }
   },
+  // Two-stage submission: abstracts are registered until this date and the
+  // full paper is due at submissionDeadline. Null means single-stage.
+  abstractDeadline: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.submissionDeadline || value <= this.submissionDeadline;
+      },
+      message: 'Abstract deadline must be on or before the submission deadline'
+    }
+  },
+  // IANA zone or 'AoE' that dates are entered and shown in (utils/timezone.js)
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown timezone'
+    }
+  },
   domains: [{
     type: String,
     trim: true
@@ -59,10 +274,94 @@ const conferenceSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Lifecycle phase (config/conferencePhases.js)
   status: {
     type: String,
-    enum: ['active', 'expired'],
-    default: 'active'
+    enum: PHASES,
+    default: 'draft'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Whose identities reviewers and authors see (config/reviewModes.js)
+  reviewMode: {
+    type: String,
+    enum: Object.keys(REVIEW_MODES),
+    default: DEFAULT_REVIEW_MODE
+  },
+  // Organizer-defined questions on the submission form
+  submissionFields: [submissionFieldSchema],
+  // Kinds of submission taken; none means every submission is a paper under the track's rules
+  submissionTypes: [submissionTypeSchema],
+  // Supplementary files submissions may carry; none means papers only
+  attachmentTypes: [attachmentTypeSchema],
+  // What accepted papers hand in during the camera-ready phase (config/cameraReady.js)
+  cameraReady: {
+    deadline: { type: Date, default: null },
+    // Licenses authors may sign; none listed means any
+    licenses: [{ type: String, enum: Object.keys(LICENSES) }],
+    agreementText: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Agreement text cannot exceed 5000 characters']
+    },
+    sourceRequired: { type: Boolean, default: true }
+  },
+  // When the scheduler should move the conference into each phase (optional)
+  phaseSchedule: SCHEDULED_PHASES.reduce((acc, phase) => ({ ...acc, [phase]: { type: Date, default: null } }), {}),
+  // Everyone with organizer rights must have TOTP 2FA enabled
+  requireOrganizerTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // What happens to people's data here when they delete their account
+  retentionPolicy: {
+    acceptedPapers: {
+      type: String,
+      enum: ['keep_record', 'delete'],
+      default: 'keep_record'
+    },
+    reviews: {
+      type: String,
+      enum: ['anonymize', 'delete'],
+      default: 'anonymize'
+    },
+    registrations: {
+      type: String,
+      enum: ['anonymize', 'delete'],
+      default: 'anonymize'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Retention notes cannot exceed 2000 characters']
+    }
+  },
+  // Previous edition this conference was cloned from
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    default: null
+  },
+  // Last edition's reviewers, emailed once the call for papers opens
+  pendingReviewerInvites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set by a platform admin to take a conference down (hidden from everyone but its organizers)
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Suspension reason cannot exceed 1000 characters']
   },
   createdAt: {
     type: Date,
@@ -83,7 +382,24 @@ conferenceSchema.virtual('tracks', {
 
 // Index for efficient queries
 conferenceSchema.index({ organizerId: 1, status: 1 });
+conferenceSchema.index({ 'committee.userId': 1 });
 conferenceSchema.index({ domains: 1 });
 conferenceSchema.index({ submissionDeadline: 1 });
 
+// Query filter for conferences shown to authors, reviewers and participants
+conferenceSchema.statics.visibleFilter = function(filter = {}) {
+  return { ...filter, suspendedAt: null };
+};
+
+// Query filter for conferences listed to authors, reviewers and participants (published, not archived)
+conferenceSchema.statics.listedFilter = function(filter = {}) {
+  return this.visibleFilter({ status: { $in: LISTED_PHASES }, ...filter });
+};
+
+// Query filter for conferences a user organizes or sits on the committee of
+conferenceSchema.statics.managedByFilter = function(userId) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  return { $or: [{ organizerId: id }, { 'committee.userId': id }] };
+};
+
 module.exports = mongoose.model('Conference', conferenceSchema);
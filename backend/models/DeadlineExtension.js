@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeadlineExtension
+ *
+ * Lets authors submit or revise after a deadline until `expiresAt`.
+ * An extension targets one of:
+ *   - a track (everyone submitting to it)
+ *   - a submission (its revisions)
+ *   - a user (everything they submit or revise in the conference)
+ * While it is active it also overrides a closed track and a closed phase window.
+ */
+const deadlineExtensionSchema = new mongoose.Schema({
+  conferenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conference',
+    required: [true, 'Conference ID is required']
+  },
+  scope: {
+    type: String,
+    enum: ['track', 'submission', 'user'],
+    required: [true, 'Scope is required']
+  },
+  trackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    default: null
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    required: [true, 'Reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Granting user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// The target of the extension's scope must be set
+deadlineExtensionSchema.pre('validate', function(next) {
+  const target = { track: 'trackId', submission: 'submissionId', user: 'userId' }[this.scope];
+  if (target && !this[target]) {
+    this.invalidate(target, `${target} is required for a ${this.scope} extension`);
+  }
+  next();
+});
+
+deadlineExtensionSchema.index({ conferenceId: 1, expiresAt: -1 });
+deadlineExtensionSchema.index({ trackId: 1, expiresAt: -1 });
+deadlineExtensionSchema.index({ submissionId: 1, expiresAt: -1 });
+deadlineExtensionSchema.index({ userId: 1, expiresAt: -1 });
+
+module.exports = mongoose.model('DeadlineExtension', deadlineExtensionSchema);
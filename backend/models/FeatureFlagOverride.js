@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin override for one flag in config/featureFlags.js.
+ * Takes precedence over the environment variable until removed.
+ */
+const featureFlagOverrideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Flag name is required'],
+    unique: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FeatureFlagOverride', featureFlagOverrideSchema);
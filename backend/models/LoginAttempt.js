@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed sign-in counter for one IP address or one account.
+ * Kept in MongoDB so throttling and lockouts survive restarts and are
+ * shared between instances. Documents expire once the window has passed.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true
+  },
+  // IP address or lowercased email
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // Next attempt is rejected until this time (progressive delay)
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
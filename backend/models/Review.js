@@ -16,6 +16,11 @@ const reviewSchema = new mongoose.Schema({
     ref: 'Track',
     required: false
   },
+  // Submission version the review was written against (Submission.versions)
+  version: {
+    type: Number,
+    default: null
+  },
   score: {
     type: Number,
     required: [true, 'Score is required'],
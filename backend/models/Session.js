@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * One login session per device.
+ * Holds the hash of the current refresh token (rotated on every refresh);
+ * access tokens carry the session id so revoking the session cuts them off.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'account_merged', 'role_change']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,19 +1,58 @@
 const mongoose = require('mongoose');
+const { LICENSES } = require('../config/cameraReady');
+
+// One uploaded file with the abstract it came with; fileUrl and abstract on the submission mirror the latest
+const versionSchema = new mongoose.Schema({
+  number: { type: Number, required: true },
+  kind: { type: String, enum: ['submission', 'revision', 'camera_ready'], default: 'submission' },
+  fileUrl: { type: String, required: true },
+  abstract: { type: String },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Supplementary file of one of the conference's attachmentTypes (config/attachments.js)
+const attachmentSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // Key of the attachment type
+  fileUrl: { type: String, required: true },
+  name: { type: String, trim: true }, // Original file name
+  size: { type: Number, default: null }, // Bytes
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+});
 
 const submissionSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
   abstract: { type: String, required: true },
   keywords: [{ type: String, trim: true }],
   authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorNameOnRecord: { type: String, trim: true }, // Byline kept on accepted papers after the author deleted their account
   conferenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conference', required: true },
   trackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Track', required: true }, // NEW: track-scoped
-  fileUrl: { type: String, required: true },
+  // Key of one of the conference's submissionTypes (null when the conference has none)
+  submissionType: { type: String, default: null },
+  // Not yet uploaded while an abstract is registered (two-stage conferences).
+  // Typed submissions follow their type's fileRequired, checked on submit
+  fileUrl: {
+    type: String,
+    required: function() {
+      return !this.submissionType && !['abstract_registered', 'withdrawn'].includes(this.status);
+    }
+  },
+  // Answers to the conference's submissionFields, by field key
+  customFields: { type: mongoose.Schema.Types.Mixed, default: {} },
   coAuthors: [
     {
       name: { type: String, required: true, trim: true },
       email: { type: String, required: true, lowercase: true, trim: true },
       orcid: { type: String, trim: true },
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Linked by email, also when the account comes later
+      // Answer to the authorship invitation (utils/coAuthors.js); only confirmed co-authors see the paper
+      status: { type: String, enum: ['pending', 'confirmed', 'declined'], default: 'pending' },
+      conflicts: [{ type: String, trim: true }], // Declared conflicts: emails or institutions
+      invitationTokenHash: { type: String, default: null }, // Cleared once answered
+      invitedAt: { type: Date, default: null },
+      respondedAt: { type: Date, default: null }
     }
   ],
   status: {
@@ -28,7 +67,9 @@ const submissionSchema = new mongoose.Schema({
       'rejected',
       'rejected_duplicate',
       'revision',
-      'manual_review_required'
+      'manual_review_required',
+      'abstract_registered',
+      'withdrawn'
     ],
     default: 'submitted'
   },
@@ -90,6 +131,49 @@ const submissionSchema = new mongoose.Schema({
 
   // ========== End PDE Integration Fields ==========
 
+  // Inspection of the current paper when it is a PDF (utils/pdfInspector.js, config/pdfChecks.js)
+  pdfCheck: {
+    type: new mongoose.Schema({
+      fileUrl: { type: String }, // File the report is for
+      valid: { type: Boolean },
+      encrypted: { type: Boolean },
+      pageCount: { type: Number, default: null },
+      pagesInspected: { type: Number, default: 0 }, // Scanned for paper size and fonts (capped, see config/pdfChecks.js)
+      pageSize: { type: String, default: null }, // Of the first page: "A4", "US Letter" or "W × H pt"
+      fontsNotEmbedded: [{ type: String }],
+      hasText: { type: Boolean }, // Whether the first pages have extractable text
+      text: { type: String, select: false }, // Text of the inspected pages, capped at MAX_TEXT_LENGTH
+      warnings: [{ type: String }],
+      checkedAt: { type: Date }
+    }, { _id: false }),
+    default: null
+  },
+
+  // Every uploaded file, oldest first (see addVersion)
+  versions: [versionSchema],
+
+  // Appendix, dataset, video, code... alongside the paper
+  attachments: [attachmentSchema],
+
+  // Final version of an accepted paper (config/cameraReady.js)
+  cameraReady: {
+    version: { type: Number, default: null }, // Number of the final paper in versions
+    sourceUrl: { type: String, default: null },
+    agreement: {
+      license: { type: String, enum: [...Object.keys(LICENSES), null], default: null },
+      signedName: { type: String, trim: true, default: null },
+      signedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      signedAt: { type: Date, default: null }
+    },
+    authorsConfirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    authorsConfirmedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    remindersSent: [{ type: Number }] // Days-before-deadline reminders already sent
+  },
+
+  withdrawnAt: { type: Date, default: null },
+  withdrawalReason: { type: String, trim: true, default: null },
+
   revisionCount: { type: Number, default: 0 }, // Tracks how many times paper was revised
   authorAttendanceMarked: { type: Boolean, default: false }, // For certificate eligibility
   authorAttendanceMarkedAt: { type: Date, default: null },
@@ -106,7 +190,55 @@ submissionSchema.index({ conferenceId: 1 });
 submissionSchema.index({ trackId: 1 });
 submissionSchema.index({ authorId: 1, status: 1 });
 submissionSchema.index({ 'coAuthors.email': 1 });
+submissionSchema.index({ 'coAuthors.invitationTokenHash': 1 }, { sparse: true });
 submissionSchema.index({ conferenceId: 1, assignedCount: 1, keywords: 1 });
 submissionSchema.index({ 'duplicationCheck.status': 1 }); // PDE integration index
 
+/**
+ * Replace the file (and optionally the abstract), keeping the previous ones as numbered versions.
+ * Submissions from before versions existed get their original file recorded as version 1 first.
+ * @param {Object} upload
+ * @param {string} upload.fileUrl
+ * @param {string} [upload.abstract] - Unchanged when left out
+ * @param {string} upload.kind - submission, revision or camera_ready
+ * @param {string} upload.uploadedBy - User ID
+ * @returns {number} Number of the new version
+ */
+submissionSchema.methods.addVersion = function({ fileUrl, abstract, kind, uploadedBy }) {
+  if (this.versions.length === 0 && this.fileUrl) {
+    this.versions.push({
+      number: 1,
+      kind: 'submission',
+      fileUrl: this.fileUrl,
+      abstract: this.abstract,
+      uploadedBy: this.authorId,
+      uploadedAt: this.submittedAt || this.createdAt
+    });
+  }
+
+  const number = this.versions.length + 1;
+  this.fileUrl = fileUrl;
+  if (abstract !== undefined) this.abstract = abstract;
+  this.versions.push({ number, kind, fileUrl, abstract: this.abstract, uploadedBy, uploadedAt: new Date() });
+  return number;
+};
+
+/**
+ * Versions of a (lean) submission; one from before versions existed has its file as version 1
+ * @param {Object} submission
+ * @returns {Array<Object>}
+ */
+submissionSchema.statics.versionsOf = function(submission) {
+  if (submission.versions?.length) return submission.versions;
+  if (!submission.fileUrl) return [];
+  return [{
+    number: 1,
+    kind: 'submission',
+    fileUrl: submission.fileUrl,
+    abstract: submission.abstract,
+    uploadedBy: submission.authorId,
+    uploadedAt: submission.submittedAt || submission.createdAt
+  }];
+};
+
 module.exports = mongoose.model('Submission', submissionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
+const { PAPER_SIZES } = require('../config/pdfChecks');
 
 const trackSchema = new mongoose.Schema({
   conferenceId: {
@@ -20,6 +22,27 @@ const trackSchema = new mongoose.Schema({
   submissionDeadline: {
     type: Date
   },
+  // Overrides the conference's timezone for this track's deadline (null = inherit)
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimezone(value),
+      message: 'Unknown timezone'
+    }
+  },
+  // Checked on PDF upload (utils/pdfInspector.js); a submission type's page limit comes first
+  pageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Page limit must be at least 1']
+  },
+  // Paper size pages must have (config/pdfChecks.js); null takes any
+  paperSize: {
+    type: String,
+    enum: [...Object.keys(PAPER_SIZES), null],
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -49,6 +49,71 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // One-time tokens are stored hashed; the raw token only exists in the email link
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Merge of this account into another, requested by an organizer and
+  // waiting for the owner to confirm from the emailed link (utils/userMerge.js)
+  mergeTokenHash: {
+    type: String,
+    select: false
+  },
+  mergeExpires: {
+    type: Date,
+    select: false
+  },
+  mergeIntoUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    select: false
+  },
+  mergeRequestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    select: false
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // hashed
+    select: false
+  },
   profilePicture: {
     type: String,
     trim: true
@@ -57,11 +122,26 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Every role granted to this account (one account per person, not per role)
+  roles: {
+    type: [{
+      type: String,
+      enum: {
+        values: ['organizer', 'author', 'reviewer', 'participant', 'admin'],
+        message: '{VALUE} is not a valid role'
+      }
+    }],
+    validate: {
+      validator: (v) => Array.isArray(v) && v.length > 0,
+      message: 'At least one role is required'
+    }
+  },
+  // Currently active role; always one of `roles`
   role: {
     type: String,
     required: [true, 'Role is required'],
     enum: {
-      values: ['organizer', 'author', 'reviewer', 'participant'],
+      values: ['organizer', 'author', 'reviewer', 'participant', 'admin'],
       message: '{VALUE} is not a valid role'
     }
   },
@@ -89,6 +169,18 @@ const userSchema = new mongoose.Schema({
   lastAssignedAt: {
     type: Date
   },
+  // Self-service account deletion (processed by the scheduler once due)
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
+  // Set when the account has been anonymized; the document stays so
+  // anonymized reviews and kept papers still resolve
+  deletedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -98,11 +190,27 @@ const userSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
-userSchema.index({ role: 1, expertiseDomains: 1 });
+userSchema.index({ roles: 1, expertiseDomains: 1 });
+
+// Keep the active role inside the granted roles set
+// (also backfills `roles` on legacy single-role documents when they are saved)
+userSchema.pre('validate', function(next) {
+  if (!Array.isArray(this.roles)) {
+    this.roles = [];
+  }
+  if (this.role && !this.roles.includes(this.role)) {
+    this.roles.push(this.role);
+  }
+  if (!this.role && this.roles.length > 0) {
+    this.role = this.roles[0];
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('passwordHash')) {
+  // Unset when password sign-in is removed from an ORCID/Google account
+  if (!this.isModified('passwordHash') || !this.passwordHash) {
     return next();
   }
   
@@ -117,14 +225,46 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // ORCID/Google-only accounts have no password
+  if (!this.passwordHash) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+// Method to check whether the account holds a role (falls back to the legacy single role)
+userSchema.methods.hasRole = function(role) {
+  const roles = this.roles && this.roles.length > 0 ? this.roles : [this.role];
+  return roles.includes(role);
+};
+
+// Method to add a role to the account without changing the active role
+userSchema.methods.addRole = function(role) {
+  if (!this.roles.includes(role)) {
+    this.roles.push(role);
+  }
+};
+
 // Remove sensitive data from JSON response
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
+  obj.hasPassword = !!obj.passwordHash;
   delete obj.passwordHash;
+  delete obj.emailVerificationTokenHash;
+  delete obj.emailVerificationExpires;
+  delete obj.passwordResetTokenHash;
+  delete obj.passwordResetExpires;
+  delete obj.mergeTokenHash;
+  delete obj.mergeExpires;
+  delete obj.mergeIntoUserId;
+  delete obj.mergeRequestedBy;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
+  delete obj.twoFactorRecoveryCodes;
   delete obj.__v;
+  if (!obj.roles || obj.roles.length === 0) {
+    obj.roles = obj.role ? [obj.role] : [];
+  }
   return obj;
 };
 
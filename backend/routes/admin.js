@@ -0,0 +1,342 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { auth, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const Conference = require('../models/Conference');
+const Session = require('../models/Session');
+const { sendEmail, templates } = require('../utils/emailService');
+const { revokeAllSessions } = require('../utils/sessionManager');
+const { unlockAccount, getAccountLock } = require('../utils/loginThrottle');
+const { listFeatureFlags, setFeatureFlagOverride } = require('../utils/featureFlagOverrides');
+
+const ROLES = ['organizer', 'author', 'reviewer', 'participant', 'admin'];
+const PAGE_SIZE = 25;
+
+// All admin routes require authentication and the admin role
+router.use(auth, authorize('admin'));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pagination = (req) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  return { page, skip: (page - 1) * PAGE_SIZE, limit: PAGE_SIZE };
+};
+
+const validId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid id' });
+  }
+  next();
+};
+
+// ============ USER ROUTES ============
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users by name, email or ORCID iD (query: q, role, page)
+ * @access  Private (Admin)
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const { q, role } = req.query;
+    const { page, skip, limit } = pagination(req);
+
+    const filter = {};
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { orcid: pattern }];
+    }
+    if (role && ROLES.includes(role)) {
+      filter.roles = role;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { users, total, page, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    res.status(500).json({ success: false, message: 'Error searching users' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    User details with lockout and session status
+ * @access  Private (Admin)
+ */
+router.get('/users/:id', validId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const [lockedUntil, activeSessions, conferences] = await Promise.all([
+      getAccountLock(user.email),
+      Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      Conference.find({ organizerId: user._id }).select('name status suspendedAt').lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: { user, lockedUntil, activeSessions, conferences }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching user' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/users/:id/roles
+ * @desc    Replace a user's roles; the user is signed out everywhere so new tokens carry the change
+ * @access  Private (Admin)
+ */
+router.put('/users/:id/roles', validId, [
+  body('roles').isArray({ min: 1 }).withMessage('At least one role is required'),
+  body('roles.*').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const roles = [...new Set(req.body.roles)];
+
+    // Keep at least one way back into the admin console
+    if (req.params.id === String(req.user.userId) && !roles.includes('admin')) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    user.roles = roles;
+    if (!roles.includes(user.role)) {
+      user.role = roles[0];
+    }
+    await user.save();
+
+    const revoked = await revokeAllSessions(user._id, 'role_change');
+
+    res.json({
+      success: true,
+      message: `Roles updated; ${revoked} session(s) signed out`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin update roles error:', error);
+    res.status(500).json({ success: false, message: 'Error updating roles' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Lift a sign-in lockout
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/unlock', validId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const lockedUntil = await getAccountLock(user.email);
+    await unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: lockedUntil ? 'Account unlocked' : 'Account was not locked; failed sign-in count reset'
+    });
+
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json({ success: false, message: 'Error unlocking account' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/revoke-sessions
+ * @desc    Sign a user out of every device
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/revoke-sessions', validId, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.params.id, 'logout_all');
+    res.json({ success: true, message: `${revoked} session(s) signed out` });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({ success: false, message: 'Error signing out sessions' });
+  }
+});
+
+// ============ CONFERENCE ROUTES ============
+
+/**
+ * @route   GET /api/admin/conferences
+ * @desc    List all conferences (query: q, suspended=true|false, page)
+ * @access  Private (Admin)
+ */
+router.get('/conferences', async (req, res) => {
+  try {
+    const { q, suspended } = req.query;
+    const { page, skip, limit } = pagination(req);
+
+    const filter = {};
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ name: pattern }, { venue: pattern }];
+    }
+    if (suspended === 'true') filter.suspendedAt = { $ne: null };
+    if (suspended === 'false') filter.suspendedAt = null;
+
+    const [conferences, total] = await Promise.all([
+      Conference.find(filter)
+        .populate('organizerId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Conference.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { conferences, total, page, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Admin list conferences error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching conferences' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/conferences/:id/suspend
+ * @desc    Take a conference down: hidden from authors, reviewers and participants
+ * @access  Private (Admin)
+ */
+router.post('/conferences/:id/suspend', validId, [
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const conference = await Conference.findById(req.params.id).populate('organizerId', 'name email');
+    if (!conference) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
+    if (conference.suspendedAt) {
+      return res.status(400).json({ success: false, message: 'Conference is already suspended' });
+    }
+
+    conference.suspendedAt = new Date();
+    conference.suspendedBy = req.user.userId;
+    conference.suspensionReason = req.body.reason || '';
+    await conference.save();
+
+    if (conference.organizerId?.email) {
+      sendEmail(conference.organizerId.email, templates.conferenceSuspended(conference.organizerId, conference, conference.suspensionReason))
+        .catch(err => console.error('Email error:', err));
+    }
+
+    res.json({ success: true, message: 'Conference suspended', data: conference });
+
+  } catch (error) {
+    console.error('Admin suspend conference error:', error);
+    res.status(500).json({ success: false, message: 'Error suspending conference' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/conferences/:id/unsuspend
+ * @desc    Reinstate a suspended conference
+ * @access  Private (Admin)
+ */
+router.post('/conferences/:id/unsuspend', validId, async (req, res) => {
+  try {
+    const conference = await Conference.findByIdAndUpdate(
+      req.params.id,
+      { suspendedAt: null, $unset: { suspendedBy: 1, suspensionReason: 1 } },
+      { new: true }
+    );
+    if (!conference) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
+
+    res.json({ success: true, message: 'Conference reinstated', data: conference });
+
+  } catch (error) {
+    console.error('Admin unsuspend conference error:', error);
+    res.status(500).json({ success: false, message: 'Error reinstating conference' });
+  }
+});
+
+// ============ FEATURE FLAG ROUTES ============
+
+/**
+ * @route   GET /api/admin/feature-flags
+ * @desc    List feature flags with environment value, override and effective value
+ * @access  Private (Admin)
+ */
+router.get('/feature-flags', async (req, res) => {
+  try {
+    const flags = await listFeatureFlags();
+    res.json({ success: true, data: { flags } });
+  } catch (error) {
+    console.error('Admin list feature flags error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching feature flags' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/feature-flags/:name
+ * @desc    Override a feature flag (enabled: true|false), or clear the override (enabled: null)
+ * @access  Private (Admin)
+ */
+router.put('/feature-flags/:name', [
+  body('enabled').custom(value => value === null || typeof value === 'boolean')
+    .withMessage('enabled must be true, false or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const updated = await setFeatureFlagOverride(req.params.name, req.body.enabled, req.user.userId);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Unknown feature flag' });
+    }
+
+    res.json({
+      success: true,
+      message: req.body.enabled === null ? 'Override cleared' : 'Override saved',
+      data: { flags: await listFeatureFlags() }
+    });
+
+  } catch (error) {
+    console.error('Admin update feature flag error:', error);
+    res.status(500).json({ success: false, message: 'Error updating feature flag' });
+  }
+});
+
+module.exports = router;
@@ -3,23 +3,1562 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const axios = require('axios');
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
+const {
+  generateToken,
+  generateOneTimeToken,
+  hashToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/jwt');
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions
+} = require('../utils/sessionManager');
+const Session = require('../models/Session');
+const { sendEmail, templates } = require('../utils/emailService');
+const { PORTAL_URL } = require('../utils/emailTemplateLayout');
+const { linkCoAuthorAccount } = require('../utils/coAuthors');
+const Conference = require('../models/Conference');
+const ApiToken = require('../models/ApiToken');
+const { generateApiToken, revokeAllApiTokens } = require('../utils/apiTokens');
+const {
+  generateSecret,
+  buildProvisioning,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  LOCK_MINUTES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/loginThrottle');
+const {
+  DELETION_GRACE_DAYS,
+  streamUserDataArchive,
+  previewAccountDeletion
+} = require('../utils/personalData');
 const { auth } = require('../middleware/auth');
 const { sanitizeMessage } = require('../utils/errorSanitizer');
 
+// Roles people can take on themselves; `admin` is only granted by another admin
+const ROLES = ['organizer', 'author', 'reviewer', 'participant'];
+const ALL_ROLES = [...ROLES, 'admin'];
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * Issue an access token for the user's active role, carrying the full roles set
+ * @param {Object} user - User document
+ * @param {ObjectId|string} sessionId - Session the token belongs to
+ * @returns {string} JWT token
+ */
+const issueToken = (user, sessionId) => {
+  return generateToken({
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    roles: user.roles && user.roles.length > 0 ? user.roles : [user.role],
+    sid: sessionId
+  });
+};
+
+/**
+ * Start a device session and issue its access and refresh tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await createSession(user._id, req);
+  return { token: issueToken(user, session._id), refreshToken };
+};
+
+/**
+ * Response for a first login step that still needs the second factor
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ */
+const requireSecondFactor = (res, user) => {
+  return res.json({
+    success: true,
+    message: 'Two-factor authentication code required',
+    data: {
+      requiresTwoFactor: true,
+      twoFactorToken: generateTwoFactorChallenge(user._id)
+    }
+  });
+};
+
+/**
+ * 429 response for a throttled or locked sign-in
+ * @param {Object} res - Express response
+ * @param {Object} check - Result of checkLoginAllowed
+ */
+const rejectThrottledLogin = (res, check) => {
+  res.set('Retry-After', String(check.retryAfter));
+  const locked = check.reason === 'locked';
+  return res.status(429).json({
+    success: false,
+    code: locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+    message: locked
+      ? `Too many failed sign-in attempts. Try again in ${Math.ceil(check.retryAfter / 60)} minute(s) or reset your password.`
+      : `Too many failed sign-in attempts. Please wait ${check.retryAfter} second(s) and try again.`,
+    retryAfter: check.retryAfter
+  });
+};
+
+/**
+ * Count a failed sign-in; alerts the owner when it locks the account
+ * @param {Object} req - Express request
+ * @param {string} email - Email the attempt was made for
+ * @param {Object|null} user - Matching user, if any
+ */
+const handleFailedLogin = async (req, email, user) => {
+  const { accountLocked } = await recordLoginFailure({ ip: req.ip, email });
+  if (accountLocked && user) {
+    const resetUrl = `${FRONTEND_URL}/forgot-password`;
+    sendEmail(user.email, templates.accountLocked(user, resetUrl, LOCK_MINUTES, req.ip))
+      .catch(err => console.error('Email error:', err));
+  }
+};
+
+/**
+ * Exchange a Google authorization code for tokens and the account profile
+ * @param {string} code - Authorization code from the redirect
+ * @returns {Promise<Object>} { googleId, email, name, picture, googleEmailVerified,
+ *   access_token, refresh_token } or { error } with a user-facing message
+ */
+const exchangeGoogleCode = async (code) => {
+  let tokenResponse;
+  try {
+    tokenResponse = await axios.post(
+      'https://oauth2.googleapis.com/token',
+      {
+        code,
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET,
+        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
+        grant_type: 'authorization_code'
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  } catch (tokenError) {
+    console.error('Google token exchange error:', sanitizeMessage(String(tokenError.response?.data?.error || tokenError.message)));
+
+    // Handle specific Google OAuth errors
+    if (tokenError.response?.data?.error === 'invalid_grant') {
+      return { error: 'The authorization code has expired or was already used. Please try logging in again.' };
+    }
+    return { error: 'Failed to exchange authorization code with Google' };
+  }
+
+  const { access_token, refresh_token } = tokenResponse.data;
+  if (!access_token) {
+    return { error: 'Failed to retrieve access token from Google' };
+  }
+
+  // Fetch user profile from Google
+  const profileResponse = await axios.get(
+    'https://www.googleapis.com/oauth2/v2/userinfo',
+    {
+      headers: {
+        'Authorization': `Bearer ${access_token}`
+      }
+    }
+  );
+
+  const { id: googleId, email, name, picture, verified_email: googleEmailVerified } = profileResponse.data;
+  if (!googleId) {
+    return { error: 'Failed to retrieve Google ID' };
+  }
+
+  return {
+    googleId,
+    // Google may report mixed case; accounts are stored lowercased
+    email: email ? email.trim().toLowerCase() : email,
+    name,
+    picture,
+    googleEmailVerified,
+    access_token,
+    refresh_token
+  };
+};
+
+/**
+ * Exchange an ORCID authorization code for the ORCID iD and access token
+ * @param {string} code - Authorization code from the redirect
+ * @returns {Promise<Object>} { orcid, access_token, name } or { error } with a user-facing message
+ */
+const exchangeOrcidCode = async (code) => {
+  let tokenResponse;
+  try {
+    tokenResponse = await axios.post(
+      'https://orcid.org/oauth/token',
+      null,
+      {
+        params: {
+          client_id: process.env.ORCID_CLIENT_ID,
+          client_secret: process.env.ORCID_CLIENT_SECRET,
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: process.env.ORCID_REDIRECT_URI
+        },
+        headers: {
+          'Accept': 'application/json'
+        }
+      }
+    );
+  } catch (tokenError) {
+    console.error('ORCID token exchange error:', sanitizeMessage(String(tokenError.response?.data?.error || tokenError.message)));
+
+    // Handle specific ORCID OAuth errors
+    if (tokenError.response?.data?.error === 'invalid_grant') {
+      return { error: 'The authorization code has expired or was already used. Please try logging in again.' };
+    }
+    return { error: 'Failed to exchange authorization code with ORCID' };
+  }
+
+  const { orcid, access_token, name } = tokenResponse.data;
+  if (!orcid) {
+    return { error: 'Failed to retrieve ORCID iD' };
+  }
+
+  // iDs are stored bare and upper-case (checksum may be "X")
+  return { orcid: orcid.replace(/^https?:\/\/orcid\.org\//i, '').toUpperCase(), access_token, name };
+};
+
+/**
+ * Sign-in methods attached to an account
+ * @param {Object} user - User document
+ * @returns {string[]} Subset of 'password', 'google', 'orcid'
+ */
+const signInMethods = (user) => [
+  user.passwordHash && 'password',
+  user.googleId && 'google',
+  user.orcid && 'orcid'
+].filter(Boolean);
+
+/**
+ * 409 response when an ORCID iD / Google account already belongs to someone else
+ * @param {Object} res - Express response
+ * @param {string} provider - 'Google' or 'ORCID'
+ */
+const rejectIdentityInUse = (res, provider) => {
+  return res.status(409).json({
+    success: false,
+    code: 'IDENTITY_IN_USE',
+    message: `This ${provider} identity is already linked to another eConfMate account. Ask a conference organizer to merge the two accounts.`
+  });
+};
+
+/**
+ * Store a fresh verification token on the user and email the link
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpires = new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  await user.save();
+
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
+  sendEmail(user.email, templates.emailVerification(user, verifyUrl, VERIFICATION_TOKEN_TTL_HOURS))
+    .catch(err => console.error('Email error:', err));
+};
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new user
+ * @access  Public
+ */
+router.post('/register', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, password, role, expertiseDomains } = req.body;
+
+    // One account per person: an existing email gains the new role instead of a second account
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      if (existingUser.hasRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `You already have an account with this email as ${role}. Please login instead.`
+        });
+      }
+
+      // This checks the password too, so it is throttled like /login
+      const check = await checkLoginAllowed({ ip: req.ip, email });
+      if (!check.allowed) {
+        return rejectThrottledLogin(res, check);
+      }
+
+      // Only the account owner may add a role, so the password must match
+      const isPasswordValid = existingUser.passwordHash
+        ? await existingUser.comparePassword(password)
+        : false;
+      if (!isPasswordValid) {
+        await handleFailedLogin(req, email, existingUser);
+        return res.status(400).json({
+          success: false,
+          message: 'This email is already registered. Please login and add the role from your profile.'
+        });
+      }
+
+      // A password alone must not start a session on a two-factor account
+      if (existingUser.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'This account uses two-factor authentication. Please login and add the role from your profile.'
+        });
+      }
+
+      existingUser.addRole(role);
+      existingUser.role = role;
+      if (role === 'reviewer' && Array.isArray(expertiseDomains) && expertiseDomains.length > 0) {
+        existingUser.expertiseDomains = [...new Set([...(existingUser.expertiseDomains || []), ...expertiseDomains])];
+      }
+      await existingUser.save();
+      await clearLoginFailures(existingUser.email);
+      const { token, refreshToken } = await startSession(existingUser, req);
+
+      return res.json({
+        success: true,
+        message: `Role ${role} added to your existing account`,
+        data: {
+          user: existingUser.toJSON(),
+          token,
+          refreshToken
+        }
+      });
+    }
+
+    // Create new user
+    const user = new User({
+      name,
+      email,
+      passwordHash: password,
+      role,
+      roles: [role],
+      expertiseDomains: expertiseDomains || []
+    });
+
+    await user.save();
+    await sendVerificationEmail(user);
+    await linkCoAuthorAccount(user);
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: user.toJSON(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error registering user'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Login user
+ * @access  Public
+ */
+router.post('/login', [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('password').notEmpty().withMessage('Password is required'),
+  body('role').optional({ nullable: true, checkFalsy: true }).isIn(ALL_ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password, role } = req.body;
+
+    // Progressive delay / lockout per IP address and per account
+    const check = await checkLoginAllowed({ ip: req.ip, email });
+    if (!check.allowed) {
+      return rejectThrottledLogin(res, check);
+    }
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      await handleFailedLogin(req, email, null);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await handleFailedLogin(req, email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Start the session in the requested role when the account holds it
+    if (role && role !== user.role && user.hasRole(role)) {
+      user.role = role;
+      await user.save();
+    }
+
+    // Second step: the session is only started after the TOTP/recovery code
+    if (user.twoFactorEnabled) {
+      return requireSecondFactor(res, user);
+    }
+
+    await clearLoginFailures(user.email);
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: exchange the challenge token and a TOTP or recovery code for a session
+ * @access  Public
+ */
+router.post('/login/2fa', [
+  body('twoFactorToken').notEmpty().withMessage('Two-factor token is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const challenge = verifyTwoFactorChallenge(req.body.twoFactorToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const check = await checkLoginAllowed({ ip: req.ip, email: user.email });
+    if (!check.allowed) {
+      return rejectThrottledLogin(res, check);
+    }
+
+    const { valid, usedRecoveryCode } = verifySecondFactor(user, req.body.code);
+    if (!valid) {
+      await handleFailedLogin(req, user.email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (usedRecoveryCode) {
+      await user.save();
+    }
+
+    await clearLoginFailures(user.email);
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      success: true,
+      message: usedRecoveryCode
+        ? `Login successful. ${user.twoFactorRecoveryCodes.length} recovery code(s) left.`
+        : 'Login successful',
+      data: {
+        user: user.toJSON(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+ * @access  Public
+ */
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { session, refreshToken, reason } = await rotateSession(req.body.refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: reason === 'reuse_detected'
+          ? 'Refresh token was already used. This session has been signed out.'
+          : 'Invalid or expired refresh token'
+      });
+    }
+
+    // Build the access token from the current account so role changes apply immediately
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await revokeAllSessions(session.userId);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toJSON(),
+        token: issueToken(user, session._id),
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out this device (revokes the session of the refresh token)
+ * @access  Public
+ */
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await revokeSessionByToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out all sessions of the current user
+ * @access  Private
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revokedCount} session(s)`,
+      data: { revokedCount }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out sessions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(s => ({
+          ...s,
+          current: s._id.toString() === req.user.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    // Single use: clear the token once consumed
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email to the current user
+ * @access  Private
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user) {
+      const { token, tokenHash } = generateOneTimeToken();
+      user.passwordResetTokenHash = tokenHash;
+      user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+      sendEmail(user.email, templates.passwordReset(user, resetUrl, RESET_TOKEN_TTL_MINUTES))
+        .catch(err => console.error('Email error:', err));
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from the reset email
+ * @access  Public
+ */
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.passwordHash = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // The link was delivered to this mailbox, which also proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // A reset usually means the old password may be known to someone else,
+    // who may also have created API tokens with it
+    await revokeAllSessions(user._id, 'password_reset');
+    await revokeAllApiTokens(user._id);
+    // The lockout email points here, so a reset also lifts the lock
+    await clearLoginFailures(user.email);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You were signed out everywhere and your API tokens were revoked. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user
+ * @access  Private
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    // toJSON strips the hash; it is loaded so `hasPassword` is reported correctly
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Get user error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/profile
+ * @desc    Update user profile
+ * @access  Private
+ */
+router.put('/profile', auth, [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('expertiseDomains').optional().isArray().withMessage('Expertise domains must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, expertiseDomains } = req.body;
+    const updateData = {};
+
+    if (name) updateData.name = name;
+    if (expertiseDomains) updateData.expertiseDomains = expertiseDomains;
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/switch-role
+ * @desc    Switch the active role and issue a token for it
+ * @access  Private
+ */
+router.post('/switch-role', auth, [
+  body('role').isIn(ALL_ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.hasRole(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Your account does not have the ${role} role`
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Switched to ${role}`,
+      data: {
+        user: user.toJSON(),
+        token: issueToken(user, req.user.sessionId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Switch role error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error switching role'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/roles
+ * @desc    Add a role to the current account
+ * @access  Private
+ */
+router.post('/roles', auth, [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.hasRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Your account already has the ${role} role`
+      });
+    }
+
+    user.addRole(role);
+    await user.save();
+
+    // Roles are carried in the token, so reissue it
+    res.json({
+      success: true,
+      message: `Role ${role} added to your account`,
+      data: {
+        user: user.toJSON(),
+        token: issueToken(user, req.user.sessionId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add role error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error adding role'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment: returns the secret and a QR code for authenticator apps
+ * @access  Private
+ */
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const { otpauthUrl, qrCodeDataUrl } = await buildProvisioning(user.email, secret);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUrl, qrCodeDataUrl }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm TOTP enrollment with a code; returns one-time recovery codes (shown once)
+ * @access  Private
+ */
+router.post('/2fa/enable', auth, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+twoFactorPendingSecret');
+    if (!user || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!verifyTotp(req.body.code, user.twoFactorPendingSecret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        user: user.toJSON(),
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA (requires a TOTP or recovery code)
+ * @access  Private
+ */
+router.post('/2fa/disable', auth, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const enforced = await Conference.exists({
+      ...Conference.managedByFilter(user._id),
+      requireOrganizerTwoFactor: true
+    });
+    if (enforced) {
+      return res.status(403).json({
+        success: false,
+        message: 'One of your conferences requires two-factor authentication for organizers'
+      });
+    }
+
+    if (!verifySecondFactor(user, req.body.code).valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes (requires a TOTP code)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', auth, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+twoFactorSecret');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifyTotp(req.body.code, user.twoFactorSecret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes: codes }
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+});
+
+// Keeps the token list manageable and limits damage from a leaked account
+const MAX_API_TOKENS = 20;
+
+/**
+ * @route   GET /api/auth/api-tokens
+ * @desc    List the current user's personal API tokens (active and revoked)
+ * @access  Private
+ */
+router.get('/api-tokens', auth, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user.userId })
+      .populate('conferenceIds', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { tokens }
+    });
+
+  } catch (error) {
+    console.error('List API tokens error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API tokens'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/api-tokens
+ * @desc    Create a personal API token (returned once); optionally read-only,
+ *          limited to some of the user's conferences, and/or expiring
+ * @access  Private
+ */
+router.post('/api-tokens', auth, [
+  body('name').trim().notEmpty().withMessage('Token name is required')
+    .isLength({ max: 100 }).withMessage('Token name cannot exceed 100 characters'),
+  body('readOnly').optional().isBoolean().withMessage('readOnly must be true or false'),
+  body('conferenceIds').optional().isArray().withMessage('conferenceIds must be an array'),
+  body('conferenceIds.*').isMongoId().withMessage('Invalid conference ID'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, readOnly = false, conferenceIds = [], expiresInDays } = req.body;
+
+    const activeCount = await ApiToken.countDocuments({ userId: req.user.userId, revokedAt: null });
+    if (activeCount >= MAX_API_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_TOKENS} active API tokens. Revoke one first.`
+      });
+    }
+
+    // Conference scope is only meaningful for conferences the user organizes or sits on the committee of
+    if (conferenceIds.length > 0) {
+      const owned = await Conference.countDocuments({ _id: { $in: conferenceIds }, ...Conference.managedByFilter(req.user.userId) });
+      if (owned !== new Set(conferenceIds).size) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only scope a token to conferences you organize'
+        });
+      }
+    }
+
+    const { token, tokenHash, prefix } = generateApiToken();
+    const apiToken = await ApiToken.create({
+      userId: req.user.userId,
+      name,
+      tokenHash,
+      prefix,
+      readOnly,
+      conferenceIds,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now; it will not be shown again.',
+      data: {
+        token,
+        apiToken: apiToken.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API token'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/api-tokens/:id
+ * @desc    Revoke a personal API token
+ * @access  Private
+ */
+router.delete('/api-tokens/:id', auth, async (req, res) => {
+  try {
+    const result = await ApiToken.updateOne(
+      { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API token'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/identities/google
+ * @desc    Link a Google account to the signed-in user
+ * @access  Private
+ */
+router.post('/identities/google', auth, [
+  body('code').notEmpty().withMessage('Authorization code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const google = await exchangeGoogleCode(req.body.code);
+    if (google.error) {
+      return res.status(400).json({
+        success: false,
+        message: google.error
+      });
+    }
+
+    const owner = await User.findOne({ googleId: google.googleId }).select('_id');
+    if (owner && String(owner._id) !== String(req.user.userId)) {
+      return rejectIdentityInUse(res, 'Google');
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.googleId = google.googleId;
+    user.googleAccessToken = google.access_token;
+    if (google.refresh_token) {
+      user.googleRefreshToken = google.refresh_token;
+    }
+    if (google.picture && !user.profilePicture) {
+      user.profilePicture = google.picture;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Google account linked',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    console.error('Link Google error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error linking Google account'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/identities/orcid
+ * @desc    Link an ORCID iD to the signed-in user
+ * @access  Private
+ */
+router.post('/identities/orcid', auth, [
+  body('code').notEmpty().withMessage('Authorization code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const orcidResult = await exchangeOrcidCode(req.body.code);
+    if (orcidResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: orcidResult.error
+      });
+    }
+
+    const owner = await User.findOne({ orcid: orcidResult.orcid }).select('_id');
+    if (owner && String(owner._id) !== String(req.user.userId)) {
+      return rejectIdentityInUse(res, 'ORCID');
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.orcid = orcidResult.orcid;
+    user.orcidAccessToken = orcidResult.access_token;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'ORCID iD linked',
+      data: { user: user.toJSON() }
+    });
+
+  } catch (error) {
+    console.error('Link ORCID error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error linking ORCID iD'
+    });
+  }
+});
+
 /**
- * @route   POST /api/auth/register
- * @desc    Register a new user
- * @access  Public
+ * @route   POST /api/auth/identities/password
+ * @desc    Add password sign-in to an ORCID/Google-only account
+ * @access  Private
  */
-router.post('/register', [
-  body('name').trim().notEmpty().withMessage('Name is required'),
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['organizer', 'author', 'reviewer', 'participant']).withMessage('Invalid role')
+router.post('/identities/password', auth, [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ], async (req, res) => {
   try {
-    // Validate request
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -28,154 +1567,136 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role, expertiseDomains } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    // Check if user already exists
-    const existingUsers = await User.find({ email });
-    if (existingUsers.length > 0) {
-      // Email exists - check role restrictions
-      const hasOrganizerAccount = existingUsers.some(u => u.role === 'organizer');
-      
-      if (hasOrganizerAccount) {
-        return res.status(400).json({
-          success: false,
-          message: 'This email is already registered as an organizer. Please use a different email.'
-        });
-      }
-      
-      if (role === 'organizer') {
-        return res.status(400).json({
-          success: false,
-          message: 'This email is already registered with other roles. Organizers must use a unique email.'
-        });
-      }
-      
-      // For author/reviewer/participant, if same role exists, show error
-      const sameRoleExists = existingUsers.some(u => u.role === role);
-      if (sameRoleExists) {
-        return res.status(400).json({
-          success: false,
-          message: `You already have an account with this email as ${role}. Please login instead.`
-        });
-      }
-      
-      // Different role (author/reviewer/participant) - this shouldn't happen in typical flow
-      // but if it does, we'll return an error to use existing account
+    if (user.passwordHash) {
       return res.status(400).json({
         success: false,
-        message: 'This email is already registered. Please login to access different roles.'
+        message: 'This account already has a password. Use password reset to change it.'
       });
     }
 
-    // Create new user
-    const user = new User({
-      name,
-      email,
-      passwordHash: password,
-      role,
-      expertiseDomains: expertiseDomains || []
-    });
-
+    user.passwordHash = req.body.password;
     await user.save();
 
-    // Generate token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    });
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      data: {
-        user: user.toJSON(),
-        token
-      }
+      message: `Password sign-in enabled. Sign in with ${user.email}.`,
+      data: { user: user.toJSON() }
     });
 
   } catch (error) {
-    console.error('Registration error:', sanitizeMessage(error.message));
+    console.error('Add password error:', sanitizeMessage(error.message));
     res.status(500).json({
       success: false,
-      message: 'Error registering user'
+      message: 'Error setting password'
     });
   }
 });
 
 /**
- * @route   POST /api/auth/login
- * @desc    Login user
- * @access  Public
+ * @route   DELETE /api/auth/identities/:provider
+ * @desc    Detach password, Google or ORCID sign-in (at least one method must remain)
+ * @access  Private
  */
-router.post('/login', [
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
-], async (req, res) => {
+router.delete('/identities/:provider', auth, async (req, res) => {
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const { provider } = req.params;
+    if (!['password', 'google', 'orcid'].includes(provider)) {
       return res.status(400).json({
         success: false,
-        errors: errors.array()
+        message: 'Invalid sign-in method'
       });
     }
 
-    const { email, password } = req.body;
-
-    // Find user
-    const user = await User.findOne({ email });
+    const user = await User.findById(req.user.userId);
     if (!user) {
-      return res.status(401).json({
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'User not found'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    const methods = signInMethods(user);
+    if (!methods.includes(provider)) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'This sign-in method is not linked'
+      });
+    }
+    if (methods.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'You need at least one way to sign in. Link another method first.'
       });
     }
 
-    // Generate token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    });
+    if (provider === 'password') {
+      user.passwordHash = undefined;
+    } else if (provider === 'google') {
+      user.googleId = undefined;
+      user.googleAccessToken = undefined;
+      user.googleRefreshToken = undefined;
+    } else {
+      user.orcid = undefined;
+      user.orcidAccessToken = undefined;
+    }
+    await user.save();
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        token
-      }
+      message: 'Sign-in method removed',
+      data: { user: user.toJSON() }
     });
 
   } catch (error) {
-    console.error('Login error:', sanitizeMessage(error.message));
+    console.error('Remove identity error:', sanitizeMessage(error.message));
     res.status(500).json({
       success: false,
-      message: 'Error logging in'
+      message: 'Error removing sign-in method'
     });
   }
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user
+ * @route   GET /api/auth/account/export
+ * @desc    Download everything linked to the account as a ZIP (data.json + certificate PDFs)
  * @access  Private
  */
-router.get('/me', auth, async (req, res) => {
+router.get('/account/export', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-passwordHash');
-    
+    const found = await streamUserDataArchive(req.user.userId, res);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+  } catch (error) {
+    console.error('Data export error:', sanitizeMessage(error.message));
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting your data'
+      });
+    }
+  }
+});
+
+/**
+ * @route   GET /api/auth/account/deletion
+ * @desc    What deleting the account would do in each conference, and any pending request
+ * @access  Private
+ */
+router.get('/account/deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('deletionRequestedAt deletionScheduledFor').lean();
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -183,28 +1704,35 @@ router.get('/me', auth, async (req, res) => {
       });
     }
 
+    const preview = await previewAccountDeletion(req.user.userId);
+
     res.json({
       success: true,
-      data: { user }
+      data: {
+        ...preview,
+        graceDays: DELETION_GRACE_DAYS,
+        deletionRequestedAt: user.deletionRequestedAt || null,
+        deletionScheduledFor: user.deletionScheduledFor || null
+      }
     });
 
   } catch (error) {
-    console.error('Get user error:', sanitizeMessage(error.message));
+    console.error('Deletion preview error:', sanitizeMessage(error.message));
     res.status(500).json({
       success: false,
-      message: 'Error fetching user'
+      message: 'Error loading account deletion details'
     });
   }
 });
 
 /**
- * @route   PUT /api/auth/profile
- * @desc    Update user profile
+ * @route   POST /api/auth/account/deletion
+ * @desc    Schedule account deletion after a grace period (confirm with the account email, plus a 2FA code when enabled)
  * @access  Private
  */
-router.put('/profile', auth, [
-  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
-  body('expertiseDomains').optional().isArray().withMessage('Expertise domains must be an array')
+router.post('/account/deletion', auth, [
+  body('confirmEmail').isEmail().withMessage('Type your account email to confirm'),
+  body('code').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -215,29 +1743,94 @@ router.put('/profile', auth, [
       });
     }
 
-    const { name, expertiseDomains } = req.body;
-    const updateData = {};
+    const user = await User.findById(req.user.userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    if (name) updateData.name = name;
-    if (expertiseDomains) updateData.expertiseDomains = expertiseDomains;
+    if (req.body.confirmEmail.trim().toLowerCase() !== user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The email does not match your account'
+      });
+    }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-passwordHash');
+    if (user.twoFactorEnabled && !verifySecondFactor(user, req.body.code || '').valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        success: false,
+        message: 'Deletion is already scheduled'
+      });
+    }
+
+    const { blockers } = await previewAccountDeletion(user._id);
+    if (blockers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: blockers.join(' ')
+      });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    sendEmail(user.email, templates.accountDeletionScheduled(user, user.deletionScheduledFor, `${FRONTEND_URL}/profile`))
+      .catch(err => console.error('Email error:', err));
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      data: { user }
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toLocaleDateString()}. You can cancel until then.`,
+      data: { deletionScheduledFor: user.deletionScheduledFor }
     });
 
   } catch (error) {
-    console.error('Update profile error:', sanitizeMessage(error.message));
+    console.error('Deletion request error:', sanitizeMessage(error.message));
     res.status(500).json({
       success: false,
-      message: 'Error updating profile'
+      message: 'Error scheduling account deletion'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/account/deletion
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private
+ */
+router.delete('/account/deletion', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.userId, deletionScheduledFor: { $ne: null } },
+      { $unset: { deletionRequestedAt: '', deletionScheduledFor: '' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No deletion is scheduled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel deletion error:', sanitizeMessage(error.message));
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling account deletion'
     });
   }
 });
@@ -249,7 +1842,7 @@ router.put('/profile', auth, [
  */
 router.post('/google/callback', [
   body('code').notEmpty().withMessage('Authorization code is required'),
-  body('role').optional().isIn(['organizer', 'author', 'reviewer', 'participant']).withMessage('Invalid role')
+  body('role').optional().isIn(ROLES).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -262,88 +1855,34 @@ router.post('/google/callback', [
 
     const { code, role } = req.body;
 
-    // Exchange authorization code for access token
-    let tokenResponse;
-    try {
-      tokenResponse = await axios.post(
-        'https://oauth2.googleapis.com/token',
-        {
-          code,
-          client_id: process.env.GOOGLE_CLIENT_ID,
-          client_secret: process.env.GOOGLE_CLIENT_SECRET,
-          redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-          grant_type: 'authorization_code'
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-    } catch (tokenError) {
-      console.error('Google token exchange error:', sanitizeMessage(String(tokenError.response?.data?.error || tokenError.message)));
-      
-      // Handle specific Google OAuth errors
-      if (tokenError.response?.data?.error === 'invalid_grant') {
-        return res.status(400).json({
-          success: false,
-          message: 'The authorization code has expired or was already used. Please try logging in again.'
-        });
-      }
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to exchange authorization code with Google'
-      });
+    // Invalid or replayed authorization codes count against the IP address
+    const check = await checkLoginAllowed({ ip: req.ip });
+    if (!check.allowed) {
+      return rejectThrottledLogin(res, check);
     }
 
-    const { access_token, refresh_token } = tokenResponse.data;
-
-    if (!access_token) {
+    // Exchange authorization code for tokens and profile
+    const google = await exchangeGoogleCode(code);
+    if (google.error) {
+      await recordLoginFailure({ ip: req.ip });
       return res.status(400).json({
         success: false,
-        message: 'Failed to retrieve access token from Google'
+        message: google.error
       });
     }
 
-    // Fetch user profile from Google
-    const profileResponse = await axios.get(
-      'https://www.googleapis.com/oauth2/v2/userinfo',
-      {
-        headers: {
-          'Authorization': `Bearer ${access_token}`
-        }
-      }
-    );
-
-    const { id: googleId, email, name, picture } = profileResponse.data;
-
-    if (!googleId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to retrieve Google ID'
-      });
-    }
+    const { googleId, email, name, picture, googleEmailVerified, access_token, refresh_token } = google;
 
-    // Role-based login restrictions
-    const allowedRoles = ['author', 'reviewer', 'participant']; // These can share email
     const requestedRole = role || 'author';
 
     // Check if user already exists with this Google ID
     let user = await User.findOne({ googleId });
+    let isNewUser = false;
 
     if (user) {
-      // User exists with this Google ID
-      // Check if trying to change role to/from organizer (not allowed)
-      if (role && user.role !== requestedRole) {
-        // Trying to login with different role
-        if (user.role === 'organizer' || requestedRole === 'organizer') {
-          return res.status(403).json({
-            success: false,
-            message: `This account is registered as ${user.role}. Organizer accounts cannot be used for other roles.`
-          });
-        }
-        // Allow role switch between author/reviewer/participant
+      // User exists with this Google ID - a requested role is added to the account and made active
+      if (role) {
+        user.addRole(requestedRole);
         user.role = requestedRole;
       }
       
@@ -355,28 +1894,21 @@ router.post('/google/callback', [
       await user.save();
     } else {
       // Check if user exists with this email
-      const existingUsers = await User.find({ email });
+      const existingUser = await User.findOne({ email });
       
-      if (existingUsers.length > 0) {
-        // Email exists - check role restrictions
-        const hasOrganizerAccount = existingUsers.some(u => u.role === 'organizer');
-        
-        if (hasOrganizerAccount) {
-          return res.status(403).json({
-            success: false,
-            message: 'This email is already registered as an organizer. Please use a different email.'
-          });
-        }
-        
-        if (requestedRole === 'organizer') {
-          return res.status(403).json({
+      if (existingUser) {
+        // A matching email only proves ownership when Google has verified it;
+        // otherwise anyone could take over the account by naming its address
+        if (!googleEmailVerified) {
+          return res.status(409).json({
             success: false,
-            message: 'This email is already registered with other roles. Organizers must use a unique email.'
+            code: 'GOOGLE_EMAIL_UNVERIFIED',
+            message: 'An account with this email already exists, and Google has not verified the address. Sign in with your password, then link Google under Linked Identities on your profile.'
           });
         }
-        
-        // Email exists with author/reviewer/participant - find and link
-        user = existingUsers[0];
+
+        // Email exists - link Google to the existing account
+        user = existingUser;
         user.googleId = googleId;
         user.googleAccessToken = access_token;
         if (refresh_token) {
@@ -385,8 +1917,14 @@ router.post('/google/callback', [
         if (picture && !user.profilePicture) {
           user.profilePicture = picture;
         }
-        // Update role if specified
-        if (role && allowedRoles.includes(requestedRole)) {
+        // Google vouches for the address, which proves ownership of this account's email
+        if (!user.emailVerified) {
+          user.emailVerified = true;
+          user.emailVerifiedAt = new Date();
+        }
+        // Add and activate role if specified
+        if (role) {
+          user.addRole(requestedRole);
           user.role = requestedRole;
         }
         await user.save();
@@ -399,20 +1937,28 @@ router.post('/google/callback', [
           googleAccessToken: access_token,
           googleRefreshToken: refresh_token,
           profilePicture: picture,
+          emailVerified: !!googleEmailVerified,
+          emailVerifiedAt: googleEmailVerified ? new Date() : undefined,
           role: requestedRole,
+          roles: [requestedRole],
           expertiseDomains: []
         });
 
         await user.save();
+        isNewUser = true;
+        if (!user.emailVerified) {
+          await sendVerificationEmail(user);
+        }
+        await linkCoAuthorAccount(user);
       }
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    });
+    if (user.twoFactorEnabled) {
+      return requireSecondFactor(res, user);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       success: true,
@@ -420,7 +1966,8 @@ router.post('/google/callback', [
       data: {
         user: user.toJSON(),
         token,
-        isNewUser: !user.googleAccessToken
+        refreshToken,
+        isNewUser
       }
     });
 
@@ -440,7 +1987,7 @@ router.post('/google/callback', [
  */
 router.post('/orcid/callback', [
   body('code').notEmpty().withMessage('Authorization code is required'),
-  body('role').optional().isIn(['organizer', 'author', 'reviewer', 'participant']).withMessage('Invalid role')
+  body('role').optional().isIn(ROLES).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -453,70 +2000,34 @@ router.post('/orcid/callback', [
 
     const { code, role } = req.body;
 
-    // Exchange authorization code for access token
-    let tokenResponse;
-    try {
-      tokenResponse = await axios.post(
-        'https://orcid.org/oauth/token',
-        null,
-        {
-          params: {
-            client_id: process.env.ORCID_CLIENT_ID,
-            client_secret: process.env.ORCID_CLIENT_SECRET,
-            grant_type: 'authorization_code',
-            code,
-            redirect_uri: process.env.ORCID_REDIRECT_URI
-          },
-          headers: {
-            'Accept': 'application/json'
-          }
-        }
-      );
-    } catch (tokenError) {
-      console.error('ORCID token exchange error:', sanitizeMessage(String(tokenError.response?.data?.error || tokenError.message)));
-      
-      // Handle specific ORCID OAuth errors
-      if (tokenError.response?.data?.error === 'invalid_grant') {
-        return res.status(400).json({
-          success: false,
-          message: 'The authorization code has expired or was already used. Please try logging in again.'
-        });
-      }
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to exchange authorization code with ORCID'
-      });
+    // Invalid or replayed authorization codes count against the IP address
+    const check = await checkLoginAllowed({ ip: req.ip });
+    if (!check.allowed) {
+      return rejectThrottledLogin(res, check);
     }
 
-    const { orcid, access_token, name } = tokenResponse.data;
-
-    if (!orcid) {
+    // Exchange authorization code for the ORCID iD
+    const orcidResult = await exchangeOrcidCode(code);
+    if (orcidResult.error) {
+      await recordLoginFailure({ ip: req.ip });
       return res.status(400).json({
         success: false,
-        message: 'Failed to retrieve ORCID iD'
+        message: orcidResult.error
       });
     }
 
-    // Role-based login restrictions
-    const allowedRoles = ['author', 'reviewer', 'participant']; // These can share email
+    const { orcid, access_token, name } = orcidResult;
+
     const requestedRole = role || 'author';
 
     // Check if user already exists with this ORCID
     let user = await User.findOne({ orcid });
+    let isNewUser = false;
 
     if (user) {
-      // User exists with this ORCID
-      // Check if trying to change role to/from organizer (not allowed)
-      if (role && user.role !== requestedRole) {
-        // Trying to login with different role
-        if (user.role === 'organizer' || requestedRole === 'organizer') {
-          return res.status(403).json({
-            success: false,
-            message: `This account is registered as ${user.role}. Organizer accounts cannot be used for other roles.`
-          });
-        }
-        // Allow role switch between author/reviewer/participant
+      // User exists with this ORCID - a requested role is added to the account and made active
+      if (role) {
+        user.addRole(requestedRole);
         user.role = requestedRole;
       }
       
@@ -562,36 +2073,20 @@ router.post('/orcid/callback', [
       const email = `${orcid.replace(/-/g, '')}@orcid.user`;
       
       // Check if email exists with another account
-      const existingUsers = await User.find({ email });
+      const existingUser = await User.findOne({ email });
       
-      if (existingUsers.length > 0) {
-        // Email exists - check role restrictions
-        const hasOrganizerAccount = existingUsers.some(u => u.role === 'organizer');
-        
-        if (hasOrganizerAccount) {
-          return res.status(403).json({
-            success: false,
-            message: 'This ORCID is already registered as an organizer. Please use a different ORCID.'
-          });
-        }
-        
-        if (requestedRole === 'organizer') {
-          return res.status(403).json({
-            success: false,
-            message: 'This ORCID is already registered with other roles. Organizers must use a unique ORCID.'
-          });
-        }
-        
+      if (existingUser) {
         // Use existing account and link ORCID
-        user = existingUsers[0];
+        user = existingUser;
         user.orcid = orcid;
         user.orcidAccessToken = access_token;
         user.name = profileData.name || name || user.name;
         if (profileData.affiliation) {
           user.affiliation = profileData.affiliation;
         }
-        // Update role if specified
-        if (role && allowedRoles.includes(requestedRole)) {
+        // Add and activate role if specified
+        if (role) {
+          user.addRole(requestedRole);
           user.role = requestedRole;
         }
         await user.save();
@@ -603,20 +2098,24 @@ router.post('/orcid/callback', [
           orcid,
           orcidAccessToken: access_token,
           affiliation: profileData.affiliation,
+          // The placeholder address can't receive mail, so it stays unverified
+          emailVerified: false,
           role: requestedRole,
+          roles: [requestedRole],
           expertiseDomains: []
         });
 
         await user.save();
+        isNewUser = true;
       }
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    });
+    if (user.twoFactorEnabled) {
+      return requireSecondFactor(res, user);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       success: true,
@@ -624,7 +2123,8 @@ router.post('/orcid/callback', [
       data: {
         user: user.toJSON(),
         token,
-        isNewUser: !user.orcidAccessToken
+        refreshToken,
+        isNewUser
       }
     });
 
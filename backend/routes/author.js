@@ -1,18 +1,131 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const Conference = require('../models/Conference');
 const Track = require('../models/Track');
 const Submission = require('../models/Submission');
 const Review = require('../models/Review');
 const User = require('../models/User');
+const Assignment = require('../models/Assignment');
 const { sendEmail, templates } = require('../utils/emailService');
-const { analyzePaper } = require('../utils/pdeClient');
+const { PORTAL_URL } = require('../utils/emailTemplateLayout');
+const { analyzePaper, deletePaperHash } = require('../utils/pdeClient');
+const { checkPhase, UNDECIDED_STATUSES } = require('../utils/conferenceLifecycle');
+const { recordAudit } = require('../utils/auditLog');
+const { timezoneFor, formatInZone } = require('../utils/timezone');
+const { activeExtension, extensionsForAuthor } = require('../utils/deadlineExtensions');
+const { findType, deadlineFor, checkTypeFile } = require('../utils/submissionTypes');
+const { fieldsForTrack, validateAnswers, answerList } = require('../utils/submissionFields');
+const { cameraReadyChecklist, allowedLicenses } = require('../utils/cameraReady');
+const { LICENSES } = require('../config/cameraReady');
+const { findAttachmentType, checkAttachment, attachmentList } = require('../utils/attachments');
+const { deleteFromCloudinary } = require('../utils/duplicateCleanup');
+const { mergeCoAuthors, inviteCoAuthors, resetInvitation, authoredFilter } = require('../utils/coAuthors');
+const { reviewerNameForAuthors } = require('../utils/reviewMode');
+const { checkSubmissionFile } = require('../utils/pdfInspector');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
+
+// Accepted papers can still be pulled until the program is published
+const WITHDRAWABLE_STATUSES = [...UNDECIDED_STATUSES, 'accepted'];
 
 // All author routes require authentication and author role
 router.use(auth, authorize('author'));
 
+/**
+ * Run the PDE duplication analysis for a submission's paper in the background.
+ * A submission already approved for review (abstract approved before its paper
+ * arrived) keeps its status; only the check result is recorded.
+ * @param {Object} submission - Saved submission with title, abstract and fileUrl
+ */
+async function runDuplicateCheck(submission) {
+  const { _id: submissionId, title, abstract, fileUrl, organizerApproved } = submission;
+  try {
+    console.log(`[PDE] Starting async analysis for submission: ${submissionId}`);
+    const pdeResult = await analyzePaper(title, abstract, fileUrl);
+
+    // Map PDE status to CMS status
+    let newStatus = 'submitted_dup_ok';
+    let dupCheckStatus = 'clean';
+
+    if (pdeResult.status === 'VERIFIED_DUPLICATE') {
+      newStatus = 'submitted_dup_suspect';
+      dupCheckStatus = 'verified_duplicate';
+    } else if (pdeResult.status === 'SUSPECTED_DUPLICATE') {
+      newStatus = 'submitted_dup_suspect';
+      dupCheckStatus = 'suspected_duplicate';
+    }
+
+    await Submission.findByIdAndUpdate(submissionId, {
+      ...(!organizerApproved && { status: newStatus }),
+      duplicationCheck: {
+        pdePaperId: pdeResult.paper_id,
+        status: dupCheckStatus,
+        similarityScore: pdeResult.similarity_score,
+        matchedPaperId: pdeResult.matched_paper_id,
+        message: pdeResult.message,
+        checkedAt: new Date()
+      }
+    });
+
+    console.log(`[PDE] Analysis complete for ${submissionId}: ${dupCheckStatus} (score: ${pdeResult.similarity_score})`);
+  } catch (pdeErr) {
+    console.error(`[PDE] Analysis failed for ${submissionId}:`, pdeErr.message);
+    // Fallback: set status to submitted (normal flow continues) with error recorded
+    await Submission.findByIdAndUpdate(submissionId, {
+      ...(!organizerApproved && { status: 'submitted' }),
+      'duplicationCheck.status': 'error',
+      'duplicationCheck.message': 'Duplication check failed. Manual review may be needed.',
+      'duplicationCheck.retryCount': 1
+    }).catch(err => console.error('[PDE] Could not record failure:', err.message));
+  }
+}
+
+/**
+ * Check that a submission can still be changed by its author: it is undecided,
+ * the conference takes edits and its deadline has not passed (unless extended)
+ * @param {Object} submission
+ * @param {string} userId - Author asking
+ * @returns {Promise<Object>} { conference, track, type }, or { status, message } when closed
+ */
+async function editWindow(submission, userId) {
+  if (!UNDECIDED_STATUSES.includes(submission.status)) {
+    return { status: 400, message: `This submission is ${submission.status.replace('_', ' ')} and can no longer be edited` };
+  }
+
+  const [conference, track] = await Promise.all([
+    Conference.findById(submission.conferenceId).lean(),
+    Track.findById(submission.trackId).lean()
+  ]);
+  if (!conference || conference.suspendedAt || !track) {
+    return { status: 404, message: 'Conference not found' };
+  }
+
+  const extension = await activeExtension({
+    conferenceId: conference._id,
+    trackId: track._id,
+    submissionId: submission._id,
+    userId
+  });
+
+  const closed = checkPhase(conference, 'submissions:edit', { extended: Boolean(extension) });
+  if (closed) {
+    return { status: 400, message: closed };
+  }
+
+  const type = findType(conference, submission.submissionType);
+  const deadline = deadlineFor(conference, track, type);
+  if (deadline && new Date() > new Date(deadline) && !extension) {
+    return {
+      status: 400,
+      message: `The submission deadline for ${type ? `${type.name} submissions` : 'this track'} passed on ${formatInZone(deadline, timezoneFor(conference, track))}`
+    };
+  }
+
+  return { conference, track, type };
+}
+
 /**
  * @route   GET /api/author/dashboard
  * @desc    Get author dashboard data
@@ -27,19 +140,24 @@ router.get('/dashboard', async (req, res) => {
       .limit(10);
 
     // Get active conferences (from all organizers)
-    const activeConferences = await Conference.find({
-      status: 'active',
+    const activeConferences = await Conference.find(Conference.visibleFilter({
+      status: 'cfp_open',
       submissionDeadline: { $gte: new Date() }
-    })
+    }))
       .populate('organizerId', 'name email')
       .sort({ submissionDeadline: 1 })
       .limit(6);
 
+    // Extensions granted to the author, their submissions or their tracks
+    const allSubmissions = await Submission.find({ authorId: req.user.userId }).select('trackId').lean();
+    const extensions = await extensionsForAuthor(req.user.userId, allSubmissions);
+
     res.json({
       success: true,
       data: {
         submissions,
-        activeConferences
+        activeConferences,
+        extensions
       }
     });
 
@@ -62,7 +180,7 @@ router.get('/conferences', async (req, res) => {
     const { location, domain, minFee, maxFee, sortBy } = req.query;
 
     // Build query
-    const query = { status: 'active' };
+    const query = Conference.listedFilter();
 
     if (location) {
       query.venue = { $regex: location, $options: 'i' };
@@ -122,7 +240,7 @@ router.get('/conferences/:id', async (req, res) => {
     const conference = await Conference.findById(req.params.id)
       .populate('organizerId', 'name email');
 
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({
         success: false,
         message: 'Conference not found'
@@ -162,7 +280,7 @@ router.get('/conferences/:id/tracks', async (req, res) => {
   try {
     const conference = await Conference.findById(req.params.id);
 
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({
         success: false,
         message: 'Conference not found'
@@ -189,16 +307,21 @@ router.get('/conferences/:id/tracks', async (req, res) => {
 
 /**
  * @route   POST /api/author/conferences/:conferenceId/submissions
- * @desc    Submit a paper to a specific track of a conference (trackId required)
- * @access  Private (Author)
+ * @desc    Submit a paper to a specific track of a conference (trackId required, and
+ *          submissionType when the conference has submission types).
+ *          In two-stage conferences (abstractDeadline set) fileUrl may be left out
+ *          to register the abstract; the paper follows via PUT /submissions/:id/paper
+ * @access  Private (Author, verified email)
  */
 router.post(
   '/conferences/:conferenceId/submissions',
+  requireVerifiedEmail,
   [
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('abstract').trim().notEmpty().withMessage('Abstract is required'),
     body('trackId').notEmpty().withMessage('trackId is required'),
-    body('fileUrl').trim().notEmpty().withMessage('fileUrl is required'),
+    body('submissionType').optional({ checkFalsy: true }).trim(),
+    body('fileUrl').optional({ checkFalsy: true }).trim(),
     body('keywords').optional().isArray().withMessage('Keywords must be an array'),
     body('coAuthors').optional().isArray().withMessage('Co-authors must be an array'),
     body('coAuthors.*.name').optional().trim().notEmpty().withMessage('Co-author name is required'),
@@ -212,11 +335,11 @@ router.post(
       }
 
       const { conferenceId } = req.params;
-      const { title, abstract, trackId, fileUrl, keywords, coAuthors } = req.body;
+      const { title, abstract, trackId, submissionType, fileUrl, keywords, coAuthors } = req.body;
 
       // Validate conference
       const conference = await Conference.findById(conferenceId).lean();
-      if (!conference) {
+      if (!conference || conference.suspendedAt || conference.status === 'draft') {
         return res.status(404).json({ success: false, message: 'Conference not found' });
       }
 
@@ -226,39 +349,78 @@ router.post(
         return res.status(400).json({ success: false, message: 'Invalid track for this conference' });
       }
 
-      // Check submission deadline (track-level fallback to conference-level)
-      const deadline = track.submissionDeadline || conference.submissionDeadline;
-      if (deadline && new Date() > new Date(deadline)) {
-        return res.status(400).json({ success: false, message: 'Submission deadline has passed for this track' });
+      // An extension for this track or author overrides the track closing and the deadline,
+      // and keeps the call open while the conference is between bidding and rebuttal
+      const extension = await activeExtension({ conferenceId, trackId: track._id, userId: req.user.userId });
+
+      const closed = checkPhase(conference, 'submissions:create', { extended: Boolean(extension) });
+      if (closed) {
+        return res.status(400).json({ success: false, message: closed });
       }
 
-      // Link co-authors to registered users if they exist
-      const processedCoAuthors = [];
-      if (coAuthors && Array.isArray(coAuthors)) {
-        for (const coAuthor of coAuthors) {
-          const userByEmail = await User.findOne({ email: coAuthor.email.toLowerCase() }).lean();
-          processedCoAuthors.push({
-            name: coAuthor.name,
-            email: coAuthor.email.toLowerCase(),
-            orcid: coAuthor.orcid || '',
-            userId: userByEmail?._id || null
-          });
-        }
+      if (track.status === 'closed' && !extension) {
+        return res.status(400).json({ success: false, message: 'This track is closed for submissions' });
+      }
+
+      // Conferences with submission types need one; its rules replace the track's
+      const type = findType(conference, submissionType);
+      if (conference.submissionTypes?.length && !type) {
+        return res.status(400).json({ success: false, message: 'Choose a submission type' });
+      }
+
+      // A registered abstract needs its paper later, unless its type takes no file
+      const twoStage = Boolean(conference.abstractDeadline) && type?.fileRequired !== false;
+      if (!fileUrl && !twoStage && type?.fileRequired !== false) {
+        return res.status(400).json({ success: false, message: checkTypeFile(type, fileUrl) || 'fileUrl is required' });
+      }
+      const invalidFile = fileUrl && checkTypeFile(type, fileUrl);
+      if (invalidFile) {
+        return res.status(400).json({ success: false, message: invalidFile });
+      }
+
+      // Two-stage: every submission has to be registered by the abstract deadline
+      if (twoStage && new Date() > new Date(conference.abstractDeadline) && !extension) {
+        return res.status(400).json({
+          success: false,
+          message: `Abstract registration closed on ${formatInZone(conference.abstractDeadline, conference.timezone)}`
+        });
       }
 
-      // Create submission (track-scoped) with pending duplication check status
+      // Check submission deadline (type, then track, then conference).
+      // Deadlines are stored as instants, already read in the conference's timezone (utils/timezone.js)
+      const deadline = deadlineFor(conference, track, type);
+      if (deadline && new Date() > new Date(deadline) && !extension) {
+        return res.status(400).json({
+          success: false,
+          message: `The submission deadline for ${type ? `${type.name} submissions` : 'this track'} passed on ${formatInZone(deadline, timezoneFor(conference, track))}`
+        });
+      }
+
+      // Organizer-defined questions for this track
+      const customFields = validateAnswers(fieldsForTrack(conference, track._id), req.body.customFields);
+      if (customFields.errors.length) {
+        return res.status(400).json({ success: false, errors: customFields.errors });
+      }
+
+      const processedCoAuthors = await mergeCoAuthors(coAuthors);
+
+      // Create submission (track-scoped) with pending duplication check status,
+      // or as a registered abstract awaiting its paper
       const submission = new Submission({
         title,
         abstract,
-        fileUrl,
+        fileUrl: fileUrl || undefined,
+        versions: fileUrl ? [{ number: 1, kind: 'submission', fileUrl, abstract, uploadedBy: req.user.userId }] : [],
         keywords: keywords || [],
+        customFields: customFields.values,
         coAuthors: processedCoAuthors,
         authorId: req.user.userId,
         conferenceId,
         trackId,
-        status: 'submitted_pending_dup_check',
+        submissionType: type?.key || null,
+        status: fileUrl ? 'submitted_pending_dup_check' : twoStage ? 'abstract_registered' : 'submitted',
         duplicationCheck: {
-          status: 'pending',
+          status: fileUrl ? 'pending' : null,
           checkedAt: null
         }
       });
@@ -270,6 +432,10 @@ router.post(
 
       // Send confirmation email to author (CC co-authors)
       const author = await User.findById(req.user.userId).lean();
+      if (author) {
+        inviteCoAuthors(submission, conference, author)
+          .catch(err => console.error('Co-author invitation error:', err));
+      }
       if (author?.email) {
         // Get co-author emails
         console.log('📝 Co-authors in submission:', submission.coAuthors);
@@ -281,7 +447,9 @@ router.post(
 
         sendEmail(
           author.email,
-          templates.submissionConfirmation(author, submission, conference),
+          submission.status === 'abstract_registered'
+            ? templates.abstractRegistered(author, submission, conference, deadline)
+            : templates.submissionConfirmation(author, submission, conference),
           coAuthorEmails || null
         ).catch(err => console.error('Email error:', err));
       }
@@ -295,54 +463,17 @@ router.post(
         ).catch(err => console.error('Email error:', err));
       }
 
-      // Fire-and-forget: Trigger async PDE duplication analysis
-      // This does NOT block the response — the author sees confirmation immediately
-      const submissionIdForPde = submission._id;
-      (async () => {
-        try {
-          console.log(`[PDE] Starting async analysis for submission: ${submissionIdForPde}`);
-          const pdeResult = await analyzePaper(title, abstract, fileUrl);
-
-          // Map PDE status to CMS status
-          let newStatus = 'submitted_dup_ok';
-          let dupCheckStatus = 'clean';
-
-          if (pdeResult.status === 'VERIFIED_DUPLICATE') {
-            newStatus = 'submitted_dup_suspect';
-            dupCheckStatus = 'verified_duplicate';
-          } else if (pdeResult.status === 'SUSPECTED_DUPLICATE') {
-            newStatus = 'submitted_dup_suspect';
-            dupCheckStatus = 'suspected_duplicate';
-          }
-
-          await Submission.findByIdAndUpdate(submissionIdForPde, {
-            status: newStatus,
-            duplicationCheck: {
-              pdePaperId: pdeResult.paper_id,
-              status: dupCheckStatus,
-              similarityScore: pdeResult.similarity_score,
-              matchedPaperId: pdeResult.matched_paper_id,
-              message: pdeResult.message,
-              checkedAt: new Date()
-            }
-          });
-
-          console.log(`[PDE] Analysis complete for ${submissionIdForPde}: ${dupCheckStatus} (score: ${pdeResult.similarity_score})`);
-        } catch (pdeErr) {
-          console.error(`[PDE] Analysis failed for ${submissionIdForPde}:`, pdeErr.message);
-          // Fallback: set status to submitted (normal flow continues) with error recorded
-          await Submission.findByIdAndUpdate(submissionIdForPde, {
-            status: 'submitted',
-            'duplicationCheck.status': 'error',
-            'duplicationCheck.message': 'Duplication check failed. Manual review may be needed.',
-            'duplicationCheck.retryCount': 1
-          });
-        }
-      })();
+      // Fire-and-forget: the author sees confirmation immediately
+      if (fileUrl) {
+        runDuplicateCheck(submission);
+        checkSubmissionFile(submission);
+      }
 
       res.status(201).json({
         success: true,
-        message: 'Submission created. Duplication check in progress.',
+        message: submission.status === 'abstract_registered'
+          ? 'Abstract registered. Upload the full paper before the submission deadline.'
+          : fileUrl ? 'Submission created. Duplication check in progress.' : 'Submission created.',
         data: submission
       });
 
@@ -362,20 +493,17 @@ router.get('/submissions', async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Find submissions where user is either the main author OR a co-author
-    const query = {
-      $or: [
-        { authorId: userId },
-        { 'coAuthors.userId': userId }
-      ]
-    };
+    // Find submissions where user is either the main author OR a confirmed co-author
+    const query = authoredFilter(userId);
 
     if (req.query.trackId) {
       query.trackId = req.query.trackId;
     }
 
+    // Reviewer assignments are left out: authors learn who reviewed them only in open review
     const submissions = await Submission.find(query)
-      .populate('conferenceId', 'name')
+      .select('-assignedReviewers')
+      .populate('conferenceId', 'name submissionTypes.key submissionTypes.name')
       .populate('trackId', 'name')
       .populate('authorId', 'name email')
       .sort({ submittedAt: -1 })
@@ -384,6 +512,7 @@ router.get('/submissions', async (req, res) => {
     // Mark which submissions the user is a co-author on (view-only)
     const enrichedSubmissions = submissions.map(sub => ({
       ...sub,
+      typeDetails: findType(sub.conferenceId, sub.submissionType),
       isCoAuthor: sub.authorId._id.toString() !== userId,
       isMainAuthor: sub.authorId._id.toString() === userId
     }));
@@ -404,37 +533,48 @@ router.get('/submissions/:id', async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Allow access if user is main author OR co-author
+    // Allow access if user is main author OR confirmed co-author
     const submission = await Submission.findOne({
       _id: req.params.id,
-      $or: [
-        { authorId: userId },
-        { 'coAuthors.userId': userId }
-      ]
+      ...authoredFilter(userId)
     })
-      .populate('conferenceId', 'name')
-      .populate('trackId', 'name description')
+      .select('-assignedReviewers')
+      .populate('conferenceId', 'name status timezone reviewMode submissionDeadline submissionFields submissionTypes attachmentTypes cameraReady')
+      .populate('trackId', 'name description submissionDeadline timezone')
       .populate('authorId', 'name email')
+      .populate('versions.uploadedBy', 'name')
       .lean();
 
     if (!submission) {
       return res.status(404).json({ success: false, message: 'Submission not found or you do not have access' });
     }
 
+    submission.fieldAnswers = answerList(submission.conferenceId?.submissionFields, submission.customFields);
+    submission.typeDetails = findType(submission.conferenceId, submission.submissionType);
+    submission.versions = Submission.versionsOf(submission);
+    submission.attachments = attachmentList(submission, submission.conferenceId);
+    if (submission.status === 'accepted') {
+      submission.cameraReadyChecklist = cameraReadyChecklist(submission, submission.conferenceId);
+    }
+
     // Mark if user is co-author (view-only)
     submission.isCoAuthor = submission.authorId._id.toString() !== userId;
     submission.isMainAuthor = submission.authorId._id.toString() === userId;
 
     // Fetch reviews for this submission (only comments field visible to author)
     const reviews = await Review.find({ submissionId: submission._id })
-      .select('comments submittedAt -_id')
+      .select('reviewerId comments version submittedAt -_id')
+      .populate('reviewerId', 'name')
       .sort({ submittedAt: -1 })
       .lean();
 
-    // Attach reviews to submission (only showing suggestions/comments)
+    // Attach reviews to submission (only showing suggestions/comments and the version
+    // reviewed, and the reviewer's name in open review)
     submission.reviews = reviews.map((review, index) => ({
       reviewNumber: index + 1,
+      reviewerName: reviewerNameForAuthors(review, submission.conferenceId),
       comments: review.comments,
+      version: review.version,
       submittedAt: review.submittedAt
     }));
 
@@ -445,13 +585,394 @@ router.get('/submissions/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/author/submissions/:id
+ * @desc    Edit a submission before its deadline: title, abstract, keywords,
+ *          co-authors, custom fields and the paper file (all optional).
+ *          A new file or abstract is recorded as a version; a new file re-runs the duplication check
+ * @access  Private (Main author, verified email)
+ */
+router.put(
+  '/submissions/:id',
+  requireVerifiedEmail,
+  [
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+    body('abstract').optional().trim().notEmpty().withMessage('Abstract cannot be empty'),
+    body('fileUrl').optional().trim().notEmpty().withMessage('fileUrl cannot be empty'),
+    body('keywords').optional().isArray().withMessage('Keywords must be an array'),
+    body('coAuthors').optional().isArray().withMessage('Co-authors must be an array'),
+    body('coAuthors.*.name').optional().trim().notEmpty().withMessage('Co-author name is required'),
+    body('coAuthors.*.email').optional().isEmail().withMessage('Valid co-author email is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { title, abstract, fileUrl, keywords, coAuthors } = req.body;
+
+      // Only the main author edits; co-authors have view-only access
+      const submission = await Submission.findOne({
+        _id: req.params.id,
+        authorId: req.user.userId
+      });
+
+      if (!submission) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+
+      if (submission.status === 'revision') {
+        return res.status(400).json({ success: false, message: 'Upload your changes as a revision' });
+      }
+      const { conference, track, type, status, message } = await editWindow(submission, req.user.userId);
+      if (status) {
+        return res.status(status).json({ success: false, message });
+      }
+
+      if (fileUrl && submission.status === 'abstract_registered') {
+        return res.status(400).json({ success: false, message: 'Upload the full paper for a registered abstract instead' });
+      }
+      const invalidFile = fileUrl && checkTypeFile(type, fileUrl);
+      if (invalidFile) {
+        return res.status(400).json({ success: false, message: invalidFile });
+      }
+
+      if (req.body.customFields !== undefined) {
+        const customFields = validateAnswers(fieldsForTrack(conference, track._id), req.body.customFields);
+        if (customFields.errors.length) {
+          return res.status(400).json({ success: false, errors: customFields.errors });
+        }
+        submission.customFields = customFields.values;
+      }
+
+      if (title !== undefined) submission.title = title;
+      if (keywords !== undefined) submission.keywords = keywords;
+      if (coAuthors !== undefined) submission.coAuthors = await mergeCoAuthors(coAuthors, submission.coAuthors);
+
+      const newFile = fileUrl && fileUrl !== submission.fileUrl;
+      const previousPdeId = submission.duplicationCheck?.pdePaperId;
+      if (newFile) {
+        submission.addVersion({ fileUrl, abstract, kind: 'submission', uploadedBy: req.user.userId });
+        submission.status = submission.organizerApproved ? 'under_review' : 'submitted_pending_dup_check';
+        submission.duplicationCheck.status = 'pending';
+      } else if (abstract !== undefined && abstract !== submission.abstract) {
+        // The same file with a new abstract is a version too; a registered abstract has no file yet
+        if (submission.fileUrl) {
+          submission.addVersion({ fileUrl: submission.fileUrl, abstract, kind: 'submission', uploadedBy: req.user.userId });
+        } else {
+          submission.abstract = abstract;
+        }
+      }
+      submission.lastUpdatedAt = new Date();
+      await submission.save();
+
+      if (newFile) {
+        // Drop the old file's hash first so the new file is not matched against its own earlier version
+        if (previousPdeId) {
+          await deletePaperHash(previousPdeId)
+            .catch(err => console.error('[PDE] Could not delete previous hash:', err.message));
+        }
+        runDuplicateCheck(submission);
+        checkSubmissionFile(submission);
+      }
+
+      if (coAuthors !== undefined) {
+        const author = await User.findById(req.user.userId).select('name email').lean();
+        inviteCoAuthors(submission, conference, author)
+          .catch(err => console.error('Co-author invitation error:', err));
+      }
+
+      res.json({
+        success: true,
+        message: newFile ? 'Submission updated. Duplication check in progress.' : 'Submission updated.',
+        data: submission
+      });
+
+    } catch (error) {
+      console.error('Author edit submission error:', error);
+      res.status(500).json({ success: false, message: 'Error updating submission' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/author/submissions/:id/attachments
+ * @desc    Add a supplementary attachment uploaded through POST /api/upload/attachment.
+ *          Attachments can be changed while the submission can be edited
+ * @access  Private (Main author, verified email)
+ */
+router.post(
+  '/submissions/:id/attachments',
+  requireVerifiedEmail,
+  [
+    body('type').trim().notEmpty().withMessage('Attachment type is required'),
+    body('fileUrl').trim().notEmpty().withMessage('fileUrl is required'),
+    body('name').optional().trim().isLength({ max: 255 }).withMessage('File name cannot exceed 255 characters'),
+    body('size').optional().isInt({ min: 0 }).withMessage('Size must be a number of bytes')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const submission = await Submission.findOne({
+        _id: req.params.id,
+        authorId: req.user.userId
+      });
+
+      if (!submission) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+
+      const { conference, status, message } = await editWindow(submission, req.user.userId);
+      if (status) {
+        return res.status(status).json({ success: false, message });
+      }
+
+      const type = findAttachmentType(conference, req.body.type);
+      if (!type) {
+        return res.status(400).json({ success: false, message: 'This conference does not take that kind of attachment' });
+      }
+
+      const { fileUrl, name } = req.body;
+      const size = req.body.size !== undefined ? Number(req.body.size) : null;
+      const invalid = checkAttachment(type, { name: fileUrl, size }, submission.attachments);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+
+      submission.attachments.push({ type: type.key, fileUrl, name, size, uploadedBy: req.user.userId });
+      submission.lastUpdatedAt = new Date();
+      await submission.save();
+
+      res.status(201).json({
+        success: true,
+        message: `${type.label} attached`,
+        data: attachmentList(submission, conference)
+      });
+
+    } catch (error) {
+      console.error('Author add attachment error:', error);
+      res.status(500).json({ success: false, message: 'Error adding attachment' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/author/submissions/:id/attachments/:attachmentId
+ * @desc    Remove a supplementary attachment (and its file) while the submission can be edited
+ * @access  Private (Main author, verified email)
+ */
+router.delete('/submissions/:id/attachments/:attachmentId', requireVerifiedEmail, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({
+      _id: req.params.id,
+      authorId: req.user.userId
+    });
+
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+
+    const attachment = submission.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const { conference, status, message } = await editWindow(submission, req.user.userId);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { fileUrl } = attachment;
+    attachment.deleteOne();
+    submission.lastUpdatedAt = new Date();
+    await submission.save();
+
+    deleteFromCloudinary(fileUrl);
+
+    res.json({
+      success: true,
+      message: 'Attachment removed',
+      data: attachmentList(submission, conference)
+    });
+
+  } catch (error) {
+    console.error('Author remove attachment error:', error);
+    res.status(500).json({ success: false, message: 'Error removing attachment' });
+  }
+});
+
+/**
+ * @route   POST /api/author/submissions/:id/co-authors/:coAuthorId/invite
+ * @desc    Send a co-author a new authorship invitation (the earlier link stops working
+ *          and any earlier answer is cleared)
+ * @access  Private (Main author, verified email)
+ */
+router.post('/submissions/:id/co-authors/:coAuthorId/invite', requireVerifiedEmail, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({
+      _id: req.params.id,
+      authorId: req.user.userId
+    });
+
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+
+    const coAuthor = submission.coAuthors.id(req.params.coAuthorId);
+    if (!coAuthor) {
+      return res.status(404).json({ success: false, message: 'Co-author not found' });
+    }
+    if (coAuthor.status === 'confirmed') {
+      return res.status(400).json({ success: false, message: `${coAuthor.name} already confirmed their authorship` });
+    }
+    if (submission.status === 'withdrawn') {
+      return res.status(400).json({ success: false, message: 'This submission was withdrawn' });
+    }
+
+    const [conference, author] = await Promise.all([
+      Conference.findById(submission.conferenceId).lean(),
+      User.findById(req.user.userId).select('name email').lean()
+    ]);
+    if (!conference) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
+
+    resetInvitation(coAuthor);
+    await inviteCoAuthors(submission, conference, author);
+
+    res.json({
+      success: true,
+      message: `Invitation sent to ${coAuthor.email}`,
+      data: submission.coAuthors
+    });
+
+  } catch (error) {
+    console.error('Author co-author invite error:', error);
+    res.status(500).json({ success: false, message: 'Error sending invitation' });
+  }
+});
+
+/**
+ * @route   POST /api/author/submissions/:id/withdraw
+ * @desc    Withdraw a submission. Active review assignments are cancelled (freeing
+ *          the reviewers' capacity) and the reviewers are told no review is needed
+ * @access  Private (Main author, verified email)
+ */
+router.post(
+  '/submissions/:id/withdraw',
+  requireVerifiedEmail,
+  [
+    body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const submission = await Submission.findOne({
+        _id: req.params.id,
+        authorId: req.user.userId
+      });
+
+      if (!submission) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+
+      if (!WITHDRAWABLE_STATUSES.includes(submission.status)) {
+        return res.status(400).json({
+          success: false,
+          message: submission.status === 'withdrawn'
+            ? 'This submission was already withdrawn'
+            : `This submission is ${submission.status.replace('_', ' ')} and can no longer be withdrawn`
+        });
+      }
+
+      const conference = await Conference.findById(submission.conferenceId).lean();
+      if (!conference) {
+        return res.status(404).json({ success: false, message: 'Conference not found' });
+      }
+
+      const closed = checkPhase(conference, 'submissions:withdraw');
+      if (closed) {
+        return res.status(400).json({ success: false, message: closed });
+      }
+
+      const previousStatus = submission.status;
+      const activeAssignments = await Assignment.find({ submissionId: submission._id, status: 'ACTIVE' })
+        .select('reviewerId')
+        .lean();
+      const freedReviewers = activeAssignments.map(a => String(a.reviewerId));
+
+      submission.status = 'withdrawn';
+      submission.withdrawnAt = new Date();
+      submission.withdrawalReason = req.body.reason || 'Withdrawn by the author';
+      submission.assignedReviewers = submission.assignedReviewers.filter(id => !freedReviewers.includes(String(id)));
+      submission.assignedCount = Math.max(0, (submission.assignedCount || 0) - freedReviewers.length);
+      submission.lastUpdatedAt = new Date();
+      await submission.save();
+
+      // Reviewer capacity counts ACTIVE assignments only
+      if (activeAssignments.length) {
+        await Assignment.updateMany(
+          { _id: { $in: activeAssignments.map(a => a._id) } },
+          { $set: { status: 'CANCELLED' } }
+        );
+      }
+
+      recordAudit(req, { conference, role: 'author' }, {
+        action: 'submission.withdraw',
+        targetType: 'submission',
+        targetId: submission._id,
+        summary: `${submission.title} withdrawn by the author` +
+          (activeAssignments.length ? `; ${activeAssignments.length} review assignment(s) cancelled` : ''),
+        before: { status: previousStatus },
+        after: { status: 'withdrawn', withdrawalReason: submission.withdrawalReason }
+      }).catch(err => console.error('Audit log error:', err));
+
+      if (freedReviewers.length) {
+        await submission.populate('trackId', 'name');
+        const reviewers = await User.find({ _id: { $in: freedReviewers }, deletedAt: null }).select('name email').lean();
+        for (const reviewer of reviewers) {
+          if (reviewer.email) {
+            sendEmail(
+              reviewer.email,
+              templates.submissionWithdrawn(reviewer, submission, conference, `${FRONTEND_URL}/reviewer/assignments`)
+            ).catch(err => console.error('Email error:', err));
+          }
+        }
+      }
+
+      res.json({
+        success: true,
+        message: activeAssignments.length
+          ? `Submission withdrawn. ${activeAssignments.length} review assignment(s) cancelled.`
+          : 'Submission withdrawn.',
+        data: submission
+      });
+
+    } catch (error) {
+      console.error('Author withdraw submission error:', error);
+      res.status(500).json({ success: false, message: 'Error withdrawing submission' });
+    }
+  }
+);
+
 /**
  * @route   PUT /api/author/submissions/:id/revision
  * @desc    Upload revised paper and abstract when status is 'revision'
- * @access  Private (Author)
+ * @access  Private (Author, verified email)
  */
 router.put(
   '/submissions/:id/revision',
+  requireVerifiedEmail,
   [
     body('abstract').trim().notEmpty().withMessage('Abstract is required'),
     body('fileUrl').trim().notEmpty().withMessage('fileUrl is required')
@@ -482,9 +1003,28 @@ router.put(
         });
       }
 
-      // Update submission with revised content
-      submission.abstract = abstract;
-      submission.fileUrl = fileUrl;
+      const conference = await Conference.findById(submission.conferenceId).lean();
+      if (!conference || conference.suspendedAt) {
+        return res.status(404).json({ success: false, message: 'Conference not found' });
+      }
+      const extension = await activeExtension({
+        conferenceId: conference._id,
+        trackId: submission.trackId,
+        submissionId: submission._id,
+        userId: req.user.userId
+      });
+      const closed = checkPhase(conference, 'submissions:revise', { extended: Boolean(extension) });
+      if (closed) {
+        return res.status(400).json({ success: false, message: closed });
+      }
+
+      const invalidFile = checkTypeFile(findType(conference, submission.submissionType), fileUrl);
+      if (invalidFile) {
+        return res.status(400).json({ success: false, message: invalidFile });
+      }
+
+      // Update submission with revised content; earlier files stay in submission.versions
+      submission.addVersion({ fileUrl, abstract, kind: 'revision', uploadedBy: req.user.userId });
       submission.status = 'under_review'; // Move to under_review for re-evaluation
       submission.lastUpdatedAt = new Date();
 
@@ -492,13 +1032,11 @@ router.put(
       submission.revisionCount = (submission.revisionCount || 0) + 1;
 
       await submission.save();
+      checkSubmissionFile(submission);
 
       // Send notification to assigned reviewers about revised paper
       if (submission.assignedReviewers && submission.assignedReviewers.length > 0) {
-        const [conference, populatedSubmission] = await Promise.all([
-          Conference.findById(submission.conferenceId).lean(),
-          Submission.findById(submission._id).populate('trackId', 'name')
-        ]);
+        const populatedSubmission = await Submission.findById(submission._id).populate('trackId', 'name');
 
         for (const reviewerId of submission.assignedReviewers) {
           const reviewer = await User.findById(reviewerId).lean();
@@ -524,6 +1062,260 @@ router.put(
   }
 );
 
+/**
+ * @route   PUT /api/author/submissions/:id/paper
+ * @desc    Upload the full paper for a registered abstract (two-stage submission)
+ * @access  Private (Author, verified email)
+ */
+router.put(
+  '/submissions/:id/paper',
+  requireVerifiedEmail,
+  [
+    body('fileUrl').trim().notEmpty().withMessage('fileUrl is required'),
+    body('abstract').optional().trim().notEmpty().withMessage('Abstract cannot be empty')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const submission = await Submission.findOne({
+        _id: req.params.id,
+        authorId: req.user.userId
+      });
+
+      if (!submission) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+
+      if (submission.status !== 'abstract_registered') {
+        return res.status(400).json({
+          success: false,
+          message: submission.status === 'withdrawn'
+            ? 'This registration was withdrawn'
+            : 'The paper for this submission has already been uploaded'
+        });
+      }
+
+      const [conference, track] = await Promise.all([
+        Conference.findById(submission.conferenceId).lean(),
+        Track.findById(submission.trackId).lean()
+      ]);
+      if (!conference || conference.suspendedAt || !track) {
+        return res.status(404).json({ success: false, message: 'Conference not found' });
+      }
+
+      const extension = await activeExtension({
+        conferenceId: conference._id,
+        trackId: track._id,
+        submissionId: submission._id,
+        userId: req.user.userId
+      });
+
+      const closed = checkPhase(conference, 'papers:upload', { extended: Boolean(extension) });
+      if (closed) {
+        return res.status(400).json({ success: false, message: closed });
+      }
+
+      const type = findType(conference, submission.submissionType);
+      const deadline = deadlineFor(conference, track, type);
+      if (deadline && new Date() > new Date(deadline) && !extension) {
+        return res.status(400).json({
+          success: false,
+          message: `The paper deadline for ${type ? `${type.name} submissions` : 'this track'} passed on ${formatInZone(deadline, timezoneFor(conference, track))}`
+        });
+      }
+
+      const invalidFile = checkTypeFile(type, req.body.fileUrl);
+      if (invalidFile) {
+        return res.status(400).json({ success: false, message: invalidFile });
+      }
+
+      submission.addVersion({
+        fileUrl: req.body.fileUrl,
+        abstract: req.body.abstract || undefined,
+        kind: 'submission',
+        uploadedBy: req.user.userId
+      });
+      // An abstract already approved for review goes straight to review
+      submission.status = submission.organizerApproved ? 'under_review' : 'submitted_pending_dup_check';
+      submission.duplicationCheck.status = 'pending';
+      submission.lastUpdatedAt = new Date();
+      await submission.save();
+
+      runDuplicateCheck(submission);
+      checkSubmissionFile(submission);
+
+      await submission.populate('trackId', 'name');
+      const author = await User.findById(req.user.userId).lean();
+      if (author?.email) {
+        const coAuthorEmails = submission.coAuthors
+          .map(ca => ca.email)
+          .filter(email => email && email !== author.email)
+          .join(', ');
+        sendEmail(
+          author.email,
+          templates.submissionConfirmation(author, submission, conference),
+          coAuthorEmails || null
+        ).catch(err => console.error('Email error:', err));
+      }
+
+      res.json({
+        success: true,
+        message: 'Full paper uploaded. Duplication check in progress.',
+        data: submission
+      });
+
+    } catch (error) {
+      console.error('Author paper upload error:', error);
+      res.status(500).json({ success: false, message: 'Error uploading paper' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/author/submissions/:id/camera-ready
+ * @desc    Hand in camera-ready items for an accepted paper: the final file, the
+ *          source archive, the license agreement and the confirmed author list.
+ *          Each is optional so authors can complete the checklist in several steps.
+ * @access  Private (Author)
+ */
+router.put(
+  '/submissions/:id/camera-ready',
+  requireVerifiedEmail,
+  [
+    body('fileUrl').optional().trim().notEmpty().withMessage('fileUrl cannot be empty'),
+    body('sourceUrl').optional().trim().notEmpty().withMessage('sourceUrl cannot be empty'),
+    body('license').optional().isIn(Object.keys(LICENSES)).withMessage('Unknown license'),
+    body('signedName').if(body('license').exists()).trim().notEmpty().withMessage('Sign the agreement with your full name'),
+    body('agree').if(body('license').exists()).isIn([true, 'true']).withMessage('You must accept the agreement'),
+    body('coAuthors').optional().isArray().withMessage('Co-authors must be an array'),
+    body('coAuthors.*.name').optional().trim().notEmpty().withMessage('Co-author name is required'),
+    body('coAuthors.*.email').optional().isEmail().withMessage('Valid co-author email is required'),
+    body('confirmAuthors').optional().isBoolean().withMessage('confirmAuthors must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const submission = await Submission.findOne({
+        _id: req.params.id,
+        authorId: req.user.userId
+      });
+
+      if (!submission) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+
+      if (submission.status !== 'accepted') {
+        return res.status(400).json({ success: false, message: 'Only accepted papers have a camera-ready version' });
+      }
+
+      const conference = await Conference.findById(submission.conferenceId).lean();
+      if (!conference || conference.suspendedAt) {
+        return res.status(404).json({ success: false, message: 'Conference not found' });
+      }
+
+      const extension = await activeExtension({
+        conferenceId: conference._id,
+        trackId: submission.trackId,
+        submissionId: submission._id,
+        userId: req.user.userId
+      });
+
+      const closed = checkPhase(conference, 'camera_ready:upload', { extended: Boolean(extension) });
+      if (closed) {
+        return res.status(400).json({ success: false, message: closed });
+      }
+
+      const deadline = conference.cameraReady?.deadline;
+      if (deadline && new Date() > new Date(deadline) && !extension) {
+        return res.status(400).json({
+          success: false,
+          message: `The camera-ready deadline passed on ${formatInZone(deadline, timezoneFor(conference))}`
+        });
+      }
+
+      const { fileUrl, sourceUrl, license, signedName, coAuthors, confirmAuthors } = req.body;
+
+      if (fileUrl) {
+        const invalidFile = checkTypeFile(findType(conference, submission.submissionType), fileUrl);
+        if (invalidFile) {
+          return res.status(400).json({ success: false, message: invalidFile });
+        }
+        submission.cameraReady.version = submission.addVersion({
+          fileUrl,
+          kind: 'camera_ready',
+          uploadedBy: req.user.userId
+        });
+      }
+
+      if (sourceUrl) {
+        submission.cameraReady.sourceUrl = sourceUrl;
+      }
+
+      if (license) {
+        if (!allowedLicenses(conference).includes(license)) {
+          return res.status(400).json({
+            success: false,
+            message: `${LICENSES[license]} is not offered by this conference`
+          });
+        }
+        submission.cameraReady.agreement = {
+          license,
+          signedName,
+          signedBy: req.user.userId,
+          signedAt: new Date()
+        };
+      }
+
+      if (coAuthors) {
+        submission.coAuthors = await mergeCoAuthors(coAuthors, submission.coAuthors);
+        // A changed author list has to be confirmed again
+        submission.cameraReady.authorsConfirmedBy = null;
+        submission.cameraReady.authorsConfirmedAt = null;
+      }
+
+      if (confirmAuthors === true || confirmAuthors === 'true') {
+        submission.cameraReady.authorsConfirmedBy = req.user.userId;
+        submission.cameraReady.authorsConfirmedAt = new Date();
+      }
+
+      const checklist = cameraReadyChecklist(submission, conference);
+      if (checklist.complete && !submission.cameraReady.completedAt) {
+        submission.cameraReady.completedAt = new Date();
+      }
+      submission.lastUpdatedAt = new Date();
+      await submission.save();
+
+      if (fileUrl) {
+        checkSubmissionFile(submission);
+      }
+
+      if (coAuthors) {
+        const author = await User.findById(req.user.userId).select('name email').lean();
+        inviteCoAuthors(submission, conference, author)
+          .catch(err => console.error('Co-author invitation error:', err));
+      }
+
+      res.json({
+        success: true,
+        message: checklist.complete ? 'Camera-ready version complete' : 'Camera-ready details saved',
+        data: { submission, checklist }
+      });
+
+    } catch (error) {
+      console.error('Author camera-ready error:', error);
+      res.status(500).json({ success: false, message: 'Error saving camera-ready version' });
+    }
+  }
+);
+
 /**
  * @route   GET /api/author/certificates
  * @desc    Get certificates for the logged-in author
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, enforceOrganizerTwoFactor } = require('../middleware/auth');
 const mongoose = require('mongoose');
 const Conference = require('../models/Conference');
 const Submission = require('../models/Submission');
@@ -10,26 +10,107 @@ const Certificate = require('../models/Certificate');
 const Registration = require('../models/Registration');
 const Track = require('../models/Track');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const DeadlineExtension = require('../models/DeadlineExtension');
 const { sendEmail, templates } = require('../utils/emailService');
+const { PORTAL_URL } = require('../utils/emailTemplateLayout');
 const { generateCertificate, formatConferenceDates } = require('../utils/certificateGenerator');
 const { upload, setUploadType } = require('../middleware/upload');
 const { analyzePaper } = require('../utils/pdeClient');
 const { cleanupDuplicateSubmission } = require('../utils/duplicateCleanup');
+const { unlockAccount, getAccountLock } = require('../utils/loginThrottle');
+const { countUserReferences, findMergeConflicts, requestAccountMerge } = require('../utils/userMerge');
+const { conferenceAccessFor, getConferenceAccess, authorizeConference, listConferenceAccess } = require('../utils/conferenceAccess');
+const { COMMITTEE_ROLES, ROLE_LABELS } = require('../config/committeeRoles');
+const { AUDIT_ACTIONS, snapshot, recordAudit, verifyAuditChain } = require('../utils/auditLog');
+const { PHASES, SCHEDULED_PHASES } = require('../config/conferencePhases');
+const { getCloneOptions, cloneConference } = require('../utils/conferenceClone');
+const { phaseLabel, nextPhases, checkTransition, checkPhase, checkPhaseSchedule, applyPhase, notifyPhaseChange } = require('../utils/conferenceLifecycle');
+const { DEFAULT_TIMEZONE, isValidTimezone, parseInZone, formatInZone } = require('../utils/timezone');
+const { checkSubmissionFields, answerList, formatAnswer } = require('../utils/submissionFields');
+const { findType, checkSubmissionTypes, typeWording } = require('../utils/submissionTypes');
+const { cameraReadyChecklist } = require('../utils/cameraReady');
+const { checkAttachmentTypes, attachmentList } = require('../utils/attachments');
+const { CAMERA_READY_ITEMS } = require('../config/cameraReady');
+const { REVIEW_MODES } = require('../config/reviewModes');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
 
 // All organizer routes require authentication and organizer role
-router.use(auth, authorize('organizer'));
+// (plus 2FA when one of the organizer's conferences enforces it)
+router.use(auth, authorize('organizer'), enforceOrganizerTwoFactor);
+
+/**
+ * Read the dates in a conference request body as wall-clock times in the conference's timezone
+ * (date-only deadlines close at the end of that day)
+ * @returns {Object} Only the date fields present in the body
+ */
+function zonedConferenceDates(body, timezone) {
+  const dates = {};
+  ['startDate', 'endDate'].forEach(field => {
+    if (typeof body[field] !== 'undefined') dates[field] = parseInZone(body[field], timezone);
+  });
+  ['submissionDeadline', 'abstractDeadline'].forEach(field => {
+    if (typeof body[field] !== 'undefined') dates[field] = parseInZone(body[field], timezone, { endOfDay: true });
+  });
+  if (body.phaseSchedule && typeof body.phaseSchedule === 'object') {
+    dates.phaseSchedule = SCHEDULED_PHASES.reduce((acc, phase) => ({
+      ...acc,
+      [phase]: parseInZone(body.phaseSchedule[phase], timezone)
+    }), {});
+  }
+  if (body.cameraReady && typeof body.cameraReady === 'object') {
+    dates.cameraReady = {
+      ...body.cameraReady,
+      deadline: parseInZone(body.cameraReady.deadline, timezone, { endOfDay: true })
+    };
+  }
+  if (Array.isArray(body.submissionTypes)) {
+    dates.submissionTypes = body.submissionTypes.map(type => type && {
+      ...type,
+      submissionDeadline: parseInZone(type.submissionDeadline, timezone, { endOfDay: true })
+    });
+  }
+  return dates;
+}
+
+// Tracks sent inline with a conference ({ name, description, submissionDeadline, timezone })
+const inlineTracks = (tracks, conference) => tracks.map(t => ({
+  conferenceId: conference._id,
+  name: t.name,
+  description: t.description || '',
+  timezone: t.timezone || null,
+  submissionDeadline: parseInZone(t.submissionDeadline, t.timezone || conference.timezone, { endOfDay: true }) || conference.submissionDeadline
+}));
+
+/**
+ * Limit an aggregated conference to the tracks a track chair may see
+ * and tag it with the user's committee role
+ */
+function scopeConferenceStats(conference, access) {
+  const tracks = access.scopeTracks(conference.tracks || []);
+  const sum = (key) => tracks.reduce((total, t) => total + (t.stats?.[key] || 0), 0);
+  const stats = Object.keys(conference.stats || {}).reduce((acc, key) => ({ ...acc, [key]: sum(key) }), {});
+
+  return {
+    ...conference,
+    tracks,
+    stats,
+    committeeRole: access.role,
+    permissions: access.permissions,
+    scopedTrackIds: access.trackIds
+  };
+}
 
 /**
  * @route   GET /api/organizer/conferences
- * @desc    Get all conferences created by organizer with per-track stats (aggregation)
+ * @desc    Get all conferences the user organizes or sits on the committee of, with per-track stats (aggregation)
  * @access  Private (Organizer)
  */
 router.get('/conferences', async (req, res) => {
   try {
-    const organizerId = new mongoose.Types.ObjectId(req.user.userId);
-
     const conferencesWithStats = await Conference.aggregate([
-      { $match: { organizerId } },
+      { $match: Conference.managedByFilter(req.user.userId) },
       { $sort: { createdAt: -1 } },
       // Lookup tracks -> for each track lookup submissions and compute stats
       {
@@ -87,7 +168,11 @@ router.get('/conferences', async (req, res) => {
       }
     ]);
 
-    res.json({ success: true, data: { conferences: conferencesWithStats } });
+    const conferences = conferencesWithStats.map(conference =>
+      scopeConferenceStats(conference, conferenceAccessFor(conference, req.user.userId))
+    );
+
+    res.json({ success: true, data: { conferences } });
   } catch (error) {
     console.error('Get conferences error (agg):', error);
     res.status(500).json({ success: false, message: 'Error fetching conferences' });
@@ -101,11 +186,13 @@ router.get('/conferences', async (req, res) => {
  */
 router.get('/conferences/:id', async (req, res) => {
   try {
-    const organizerId = new mongoose.Types.ObjectId(req.user.userId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
     const confId = new mongoose.Types.ObjectId(req.params.id);
 
     const results = await Conference.aggregate([
-      { $match: { _id: confId, organizerId } },
+      { $match: { _id: confId, ...Conference.managedByFilter(req.user.userId) } },
       {
         $lookup: {
           from: 'tracks',
@@ -157,8 +244,8 @@ router.get('/conferences/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Conference not found' });
     }
 
-    const conference = results[0];
-    res.json({ success: true, data: conference });
+    const conference = scopeConferenceStats(results[0], conferenceAccessFor(results[0], req.user.userId));
+    res.json({ success: true, data: { ...conference, nextPhases: nextPhases(conference) } });
   } catch (error) {
     console.error('Get conference error (agg):', error);
     res.status(500).json({ success: false, message: 'Error fetching conference' });
@@ -177,8 +264,10 @@ router.post('/conferences', [
   body('startDate').isISO8601().withMessage('Valid start date is required'),
   body('endDate').isISO8601().withMessage('Valid end date is required'),
   body('submissionDeadline').isISO8601().withMessage('Valid submission deadline is required'),
+  body('abstractDeadline').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Abstract deadline must be a valid date'),
   body('domains').optional().isArray().withMessage('Domains must be an array'),
   body('fee').optional().isNumeric().withMessage('Fee must be a number'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
   body('tracks').optional().isArray().withMessage('Tracks must be an array')
 ], async (req, res) => {
   try {
@@ -187,9 +276,14 @@ router.post('/conferences', [
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
+    // New conferences start as drafts; the phase route opens the call for papers
+    const timezone = req.body.timezone || DEFAULT_TIMEZONE;
     const conference = new Conference({
       ...req.body,
-      organizerId: req.user.userId
+      ...zonedConferenceDates(req.body, timezone),
+      timezone,
+      organizerId: req.user.userId,
+      status: 'draft'
     });
 
     await conference.save();
@@ -197,13 +291,7 @@ router.post('/conferences', [
     // If tracks provided, create them tied to the conference
     let createdTracks = [];
     if (Array.isArray(req.body.tracks) && req.body.tracks.length > 0) {
-      const tracksToInsert = req.body.tracks.map(t => ({
-        conferenceId: conference._id,
-        name: t.name,
-        description: t.description || '',
-        submissionDeadline: t.submissionDeadline || conference.submissionDeadline
-      }));
-      createdTracks = await Track.insertMany(tracksToInsert);
+      createdTracks = await Track.insertMany(inlineTracks(req.body.tracks, conference));
     }
 
     res.status(201).json({
@@ -228,39 +316,95 @@ router.post('/conferences', [
  */
 router.put('/conferences/:id', async (req, res) => {
   try {
-    const conference = await Conference.findOne({
-      _id: req.params.id,
-      organizerId: req.user.userId
-    });
-
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'conference:edit');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
 
-    // Prevent changing organizerId
-    if (req.body.organizerId && req.body.organizerId.toString() !== req.user.userId) {
+    const conference = await Conference.findById(req.params.id);
+
+    // Prevent changing organizerId (committee changes go through the committee routes)
+    if (req.body.organizerId && req.body.organizerId.toString() !== conference.organizerId.toString()) {
       return res.status(403).json({ success: false, message: 'Cannot change organizer' });
     }
 
+    // Enforcing 2FA without having it would lock the organizer out
+    if (req.body.requireOrganizerTwoFactor === true && !conference.requireOrganizerTwoFactor) {
+      const organizer = await User.findById(req.user.userId).select('twoFactorEnabled').lean();
+      if (!organizer?.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enable two-factor authentication on your own account before requiring it for organizers'
+        });
+      }
+    }
+
+    if (typeof req.body.timezone !== 'undefined' && !isValidTimezone(req.body.timezone)) {
+      return res.status(400).json({ success: false, message: 'Unknown timezone' });
+    }
+
+    if (typeof req.body.reviewMode !== 'undefined' && !REVIEW_MODES[req.body.reviewMode]) {
+      return res.status(400).json({ success: false, message: 'Unknown review mode' });
+    }
+
+    // Dates are read in the timezone being saved, so changing both keeps their wall-clock times
+    const updates = { ...req.body, ...zonedConferenceDates(req.body, req.body.timezone || conference.timezone) };
+
+    if (typeof updates.phaseSchedule !== 'undefined') {
+      const invalid = checkPhaseSchedule(updates.phaseSchedule);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+    }
+
+    if (typeof updates.submissionFields !== 'undefined') {
+      const trackIds = await Track.distinct('_id', { conferenceId: conference._id });
+      const invalid = checkSubmissionFields(updates.submissionFields, trackIds);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+    }
+
+    if (typeof updates.submissionTypes !== 'undefined') {
+      const usedKeys = await Submission.distinct('submissionType', { conferenceId: conference._id });
+      const invalid = checkSubmissionTypes(updates.submissionTypes, usedKeys);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+    }
+
+    if (typeof updates.attachmentTypes !== 'undefined') {
+      const usedKeys = await Submission.distinct('attachments.type', { conferenceId: conference._id });
+      const invalid = checkAttachmentTypes(updates.attachmentTypes, usedKeys);
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+    }
+
     // Apply allowed updates
-    const updatable = ['name', 'description', 'venue', 'startDate', 'endDate', 'submissionDeadline', 'domains', 'fee', 'status', 'generalChairSignaturePath'];
+    const updatable = ['name', 'description', 'venue', 'timezone', 'startDate', 'endDate', 'submissionDeadline', 'abstractDeadline', 'domains', 'fee', 'generalChairSignaturePath', 'requireOrganizerTwoFactor', 'retentionPolicy', 'phaseSchedule', 'reviewMode', 'submissionFields', 'submissionTypes', 'attachmentTypes', 'cameraReady'];
+    const before = snapshot(conference, updatable);
     updatable.forEach(field => {
-      if (typeof req.body[field] !== 'undefined') {
-        conference[field] = req.body[field];
+      if (typeof updates[field] !== 'undefined') {
+        conference[field] = updates[field];
       }
     });
 
     await conference.save();
 
-    // Optionally create any new tracks sent in `tracks` (array of { name, description, submissionDeadline })
+    recordAudit(req, access, {
+      action: 'conference.update',
+      targetType: 'conference',
+      targetId: conference._id,
+      summary: `Updated ${conference.name}`,
+      before,
+      after: snapshot(conference, updatable)
+    }).catch(err => console.error('Audit log error:', err));
+
+    // Optionally create any new tracks sent in `tracks` (array of { name, description, submissionDeadline, timezone })
     let newTracks = [];
     if (Array.isArray(req.body.tracks) && req.body.tracks.length > 0) {
-      const toCreate = req.body.tracks.filter(t => !t._id).map(t => ({
-        conferenceId: conference._id,
-        name: t.name,
-        description: t.description || '',
-        submissionDeadline: t.submissionDeadline || conference.submissionDeadline
-      }));
+      const toCreate = inlineTracks(req.body.tracks.filter(t => !t._id), conference);
       if (toCreate.length) {
         newTracks = await Track.insertMany(toCreate);
       }
@@ -277,6 +421,167 @@ router.put('/conferences/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/organizer/conferences/:id/phase
+ * @desc    Move the conference to another lifecycle phase (guarded, see config/conferencePhases.js)
+ * @access  Private (Organizer)
+ */
+router.post('/conferences/:id/phase', [
+  body('phase').isIn(PHASES).withMessage('Invalid phase')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'phase:manage');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const conference = await Conference.findById(req.params.id);
+    const from = conference.status;
+    const blocked = await checkTransition(conference, req.body.phase);
+    if (blocked) {
+      return res.status(400).json({ success: false, message: blocked });
+    }
+
+    const updated = await applyPhase(conference, req.body.phase);
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'The phase was changed by someone else. Reload and try again.' });
+    }
+
+    recordAudit(req, access, {
+      action: 'conference.phase',
+      targetType: 'conference',
+      targetId: conference._id,
+      summary: `${phaseLabel(from)} → ${phaseLabel(updated.status)}`,
+      before: { status: from },
+      after: { status: updated.status }
+    }).catch(err => console.error('Audit log error:', err));
+
+    notifyPhaseChange(updated).catch(err => console.error('Phase notification error:', err));
+
+    res.json({
+      success: true,
+      message: `Conference moved to ${phaseLabel(updated.status)}`,
+      data: { status: updated.status, statusChangedAt: updated.statusChangedAt, nextPhases: nextPhases(updated) }
+    });
+
+  } catch (error) {
+    console.error('Change conference phase error:', error);
+    res.status(500).json({ success: false, message: 'Error changing conference phase' });
+  }
+});
+
+/**
+ * @route   GET /api/organizer/conferences/:id/clone-options
+ * @desc    What can be copied into a new edition (tracks, committee size, reviewer pool size)
+ * @access  Private (Organizer)
+ */
+router.get('/conferences/:id/clone-options', async (req, res) => {
+  try {
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'conference:edit');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const options = await getCloneOptions(access.conference);
+    const { name, timezone, startDate, endDate, submissionDeadline, abstractDeadline, phaseSchedule } = access.conference;
+
+    res.json({
+      success: true,
+      data: { conference: { name, timezone, startDate, endDate, submissionDeadline, abstractDeadline, phaseSchedule }, ...options }
+    });
+
+  } catch (error) {
+    console.error('Get clone options error:', error);
+    res.status(500).json({ success: false, message: 'Error loading clone options' });
+  }
+});
+
+/**
+ * @route   POST /api/organizer/conferences/:id/clone
+ * @desc    Create a new edition as a draft, shifting every date by `dayOffset` days
+ * @access  Private (Organizer)
+ */
+router.post('/conferences/:id/clone', [
+  body('name').trim().notEmpty().withMessage('Conference name is required')
+    .isLength({ max: 200 }).withMessage('Conference name cannot exceed 200 characters'),
+  body('dayOffset').isInt({ min: -3650, max: 3650 }).withMessage('Date offset must be a whole number of days'),
+  body(['tracks', 'committee', 'settings', 'phaseSchedule', 'reinviteReviewers']).optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { access: sourceAccess, status, message } = await authorizeConference(req.params.id, req.user.userId, 'conference:edit');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const result = await cloneConference(sourceAccess.conference, req.user.userId, {
+      ...req.body,
+      dayOffset: Number(req.body.dayOffset)
+    });
+    const { conference } = result;
+
+    recordAudit(req, conferenceAccessFor(conference, req.user.userId), {
+      action: 'conference.clone',
+      targetType: 'conference',
+      targetId: sourceAccess.conference._id,
+      summary: `Created from ${sourceAccess.conference.name} (dates shifted by ${req.body.dayOffset} days)`,
+      after: {
+        tracks: result.tracks.length,
+        committee: result.committee.length,
+        invitedReviewers: result.invitedReviewers
+      }
+    }).catch(err => console.error('Audit log error:', err));
+
+    if (result.committee.length) {
+      const [members, clonedBy] = await Promise.all([
+        User.find({ _id: { $in: result.committee.map(m => m.userId) }, deletedAt: null }),
+        User.findById(req.user.userId).select('name').lean()
+      ]);
+      for (const member of members) {
+        const entry = result.committee.find(m => String(m.userId) === String(member._id));
+        const trackNames = result.tracks.filter(t => entry.trackIds.some(id => String(id) === String(t._id))).map(t => t.name);
+
+        if (!member.hasRole('organizer')) {
+          member.addRole('organizer');
+          await member.save();
+        }
+
+        sendEmail(
+          member.email,
+          templates.committeeMemberAdded(member, conference, ROLE_LABELS[entry.role], trackNames, clonedBy?.name, `${FRONTEND_URL}/organizer/dashboard`)
+        ).catch(err => console.error('Email error:', err));
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'New edition created as a draft',
+      data: {
+        conference,
+        tracks: result.tracks,
+        committeeCount: result.committee.length,
+        invitedReviewers: result.invitedReviewers
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    console.error('Clone conference error:', error);
+    res.status(500).json({ success: false, message: 'Error cloning conference' });
+  }
+});
+
 /**
  * @route   GET /api/organizer/conferences/:id/submissions
  * @desc    Get submissions for a conference (optionally scoped to a track via ?trackId=)
@@ -284,28 +589,23 @@ router.put('/conferences/:id', async (req, res) => {
  */
 router.get('/conferences/:id/submissions', async (req, res) => {
   try {
-    // Verify conference ownership
-    const conference = await Conference.findOne({
-      _id: req.params.id,
-      organizerId: req.user.userId
-    });
-
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'submissions:view');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
 
     let submissionsQuery = {};
     if (req.query.trackId) {
-      // verify track belongs to conference
+      // verify track belongs to conference (and to the track chair)
       const track = await Track.findOne({ _id: req.query.trackId, conferenceId: req.params.id });
-      if (!track) {
+      if (!track || !access.can('submissions:view', track._id)) {
         return res.status(400).json({ success: false, message: 'Invalid track for this conference' });
       }
       submissionsQuery.trackId = req.query.trackId;
     } else {
       // gather all tracks for conference
       const tracks = await Track.find({ conferenceId: req.params.id }).select('_id').lean();
-      const trackIds = tracks.map(t => t._id);
+      const trackIds = access.scopeTracks(tracks.map(t => t._id));
       submissionsQuery.trackId = { $in: trackIds };
     }
 
@@ -342,6 +642,7 @@ router.get('/conferences/:id/submissions', async (req, res) => {
           ...r,
           // If pending_revision, mask the score and show revision request message
           score: r.status === 'pending_revision' ? null : r.score,
+          version: r.version,
           displayMessage: r.status === 'pending_revision' ? 'Revision requested - awaiting author update' : null
         }));
 
@@ -366,7 +667,11 @@ router.get('/conferences/:id/submissions', async (req, res) => {
             pendingCount: pendingReviews.length,
             avgScore
           },
-          reviews: maskedReviews
+          reviews: maskedReviews,
+          versions: Submission.versionsOf(submission),
+          fieldAnswers: answerList(access.conference.submissionFields, submission.customFields),
+          typeDetails: findType(access.conference, submission.submissionType),
+          attachments: attachmentList(submission, access.conference)
         };
       })
     );
@@ -385,6 +690,185 @@ router.get('/conferences/:id/submissions', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/organizer/conferences/:id/submissions/export
+ * @desc    Download submissions as CSV, one column per custom submission field (optional ?trackId=&status=)
+ * @access  Private (Committee member with submissions:view)
+ */
+router.get('/conferences/:id/submissions/export', async (req, res) => {
+  try {
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'submissions:view');
+    if (status) return res.status(status).json({ success: false, message });
+
+    const tracks = await Track.find({ conferenceId: req.params.id }).select('_id').lean();
+    let trackIds = access.scopeTracks(tracks.map(t => t._id));
+    if (req.query.trackId) {
+      trackIds = trackIds.filter(id => String(id) === String(req.query.trackId));
+    }
+    const query = { trackId: { $in: trackIds } };
+    if (req.query.status) query.status = req.query.status;
+
+    const submissions = await Submission.find(query)
+      .select('-abstractVector')
+      .populate('authorId', 'name email')
+      .populate('trackId', 'name')
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    const { conference } = access;
+    const fields = conference.submissionFields || [];
+    const header = ['id', 'title', 'track', 'type', 'status', 'author', 'author_email', 'co_authors', 'keywords', 'submitted_at', 'abstract', ...fields.map(f => f.label)];
+    const rows = submissions.map(submission => [
+      submission._id,
+      submission.title,
+      submission.trackId?.name,
+      findType(conference, submission.submissionType)?.name || submission.submissionType,
+      submission.status,
+      submission.authorId?.name || submission.authorNameOnRecord,
+      submission.authorId?.email,
+      (submission.coAuthors || []).map(ca => `${ca.name} <${ca.email}>`).join('; '),
+      (submission.keywords || []).join('; '),
+      submission.submittedAt && new Date(submission.submittedAt).toISOString(),
+      submission.abstract,
+      ...fields.map(f => formatAnswer(submission.customFields?.[f.key]))
+    ].map(csvCell).join(','));
+
+    const slug = conference.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'conference';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="submissions-${slug}-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send([header.map(csvCell).join(','), ...rows].join('\n'));
+
+  } catch (error) {
+    console.error('Export submissions error:', error);
+    res.status(500).json({ success: false, message: 'Error exporting submissions' });
+  }
+});
+
+// Accepted submissions of a conference in the user's tracks, with their camera-ready checklist
+async function cameraReadySubmissions(access) {
+  const tracks = await Track.find({ conferenceId: access.conference._id }).select('_id').lean();
+  const submissions = await Submission.find({
+    trackId: { $in: access.scopeTracks(tracks.map(t => t._id)) },
+    status: 'accepted'
+  })
+    .select('title authorId trackId coAuthors submissionType cameraReady')
+    .populate('authorId', 'name email')
+    .populate('trackId', 'name')
+    .sort({ title: 1 })
+    .lean();
+
+  return submissions.map(submission => ({
+    ...submission,
+    checklist: cameraReadyChecklist(submission, access.conference)
+  }));
+}
+
+/**
+ * @route   GET /api/organizer/conferences/:id/camera-ready
+ * @desc    Camera-ready checklist of every accepted paper: what each still has to hand in
+ * @access  Private (Committee member with submissions:view)
+ */
+router.get('/conferences/:id/camera-ready', async (req, res) => {
+  try {
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'submissions:view');
+    if (status) return res.status(status).json({ success: false, message });
+
+    const submissions = await cameraReadySubmissions(access);
+    const missing = Object.keys(CAMERA_READY_ITEMS).reduce((acc, key) => ({
+      ...acc,
+      [key]: submissions.filter(s => s.checklist.missing.includes(key)).length
+    }), {});
+
+    res.json({
+      success: true,
+      data: {
+        settings: access.conference.cameraReady,
+        timezone: access.conference.timezone,
+        submissions,
+        summary: {
+          total: submissions.length,
+          complete: submissions.filter(s => s.checklist.complete).length,
+          missing
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Camera-ready checklist error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching camera-ready checklist' });
+  }
+});
+
+/**
+ * @route   POST /api/organizer/conferences/:id/camera-ready/reminders
+ * @desc    Email the authors of accepted papers whose camera-ready version is incomplete
+ *          (optional `submissionIds` to remind only some of them)
+ * @access  Private (Committee member with submissions:decide)
+ */
+router.post('/conferences/:id/camera-ready/reminders', [
+  body('submissionIds').optional().isArray().withMessage('submissionIds must be an array'),
+  body('submissionIds.*').optional().isMongoId().withMessage('Invalid submission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'submissions:decide');
+    if (status) return res.status(status).json({ success: false, message });
+
+    const { conference } = access;
+    const closed = checkPhase(conference, 'camera_ready:upload');
+    if (closed) {
+      return res.status(400).json({ success: false, message: closed });
+    }
+
+    const only = req.body.submissionIds?.map(String);
+    const incomplete = (await cameraReadySubmissions(access))
+      .filter(s => !s.checklist.complete && (!only || only.includes(String(s._id))));
+
+    for (const submission of incomplete) {
+      if (!submission.authorId?.email) continue;
+      const coAuthorEmails = (submission.coAuthors || [])
+        .map(ca => ca.email)
+        .filter(email => email && email !== submission.authorId.email)
+        .join(', ');
+      const missing = submission.checklist.items.filter(item => !item.done).map(item => item.label);
+
+      sendEmail(
+        submission.authorId.email,
+        templates.cameraReadyReminder(
+          submission.authorId,
+          submission,
+          conference,
+          missing,
+          conference.cameraReady?.deadline,
+          `${FRONTEND_URL}/author/submissions/${submission._id}/camera-ready`
+        ),
+        coAuthorEmails || null
+      ).catch(err => console.error('Email error:', err));
+    }
+
+    recordAudit(req, access, {
+      action: 'camera_ready.remind',
+      targetType: 'conference',
+      targetId: conference._id,
+      summary: `Camera-ready reminders sent for ${incomplete.length} paper(s)`
+    }).catch(err => console.error('Audit log error:', err));
+
+    res.json({
+      success: true,
+      message: `Reminders sent for ${incomplete.length} paper(s)`,
+      data: { reminded: incomplete.length }
+    });
+
+  } catch (error) {
+    console.error('Camera-ready reminders error:', error);
+    res.status(500).json({ success: false, message: 'Error sending camera-ready reminders' });
+  }
+});
+
 /**
  * @route   PATCH /api/organizer/submission/:submissionId/decision
  * @desc    Make a final decision on a submission (accept/reject/reject_duplicate)
@@ -410,10 +894,11 @@ router.patch('/submission/:submissionId/decision', [
     if (!track) {
       return res.status(400).json({ success: false, message: 'Submission track missing' });
     }
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('submissions:decide', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to decide this submission' });
     }
+    const conference = access.conference;
 
     const decision = req.body.decision;
 
@@ -439,6 +924,15 @@ router.patch('/submission/:submissionId/decision', [
       .populate('authorId', 'name email')
       .populate('trackId', 'name');
 
+    recordAudit(req, access, {
+      action: 'submission.decision',
+      targetType: 'submission',
+      targetId: submission._id,
+      summary: `${decision} — ${submission.title}`,
+      before: { status: submission.status, feedback: submission.decision?.feedback },
+      after: { status: decision, feedback: req.body.feedback || '' }
+    }).catch(err => console.error('Audit log error:', err));
+
     // Handle rejected_duplicate: cleanup + notify
     if (decision === 'rejected_duplicate') {
       // Trigger async cleanup (Cloudinary file + PDE hash)
@@ -466,7 +960,7 @@ router.patch('/submission/:submissionId/decision', [
       // Send to author (CC co-authors)
       if (updated.authorId?.email) {
         const emailTemplate = decision === 'accepted'
-          ? templates.paperAccepted(updated.authorId, updated, conference)
+          ? templates.paperAccepted(updated.authorId, updated, conference, `${FRONTEND_URL}/author/submissions/${updated._id}/camera-ready`)
           : templates.paperRejected(updated.authorId, updated, conference, req.body.feedback);
 
         // Get co-author emails
@@ -533,11 +1027,15 @@ router.put('/submissions/:id/approve', async (req, res) => {
     if (!track) {
       return res.status(400).json({ success: false, message: 'Submission track missing' });
     }
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('submissions:decide', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to approve this submission' });
     }
 
+    if (submission.status === 'withdrawn') {
+      return res.status(400).json({ success: false, message: 'This submission was withdrawn' });
+    }
+
     // Check duplication status — warn but allow override via query param
     const dupStatus = submission.duplicationCheck?.status;
     const forceOverride = req.query.overrideDupCheck === 'true';
@@ -549,11 +1047,25 @@ router.put('/submissions/:id/approve', async (req, res) => {
         `Approval will proceed, but consider reviewing the duplication report.`;
     }
 
+    const before = snapshot(submission, ['status', 'organizerApproved']);
     submission.organizerApproved = true;
     submission.approvedAt = new Date();
-    submission.status = 'under_review'; // Move to under_review after organizer approval
+    // Move to under_review after organizer approval; a registered abstract waits for its paper
+    // (approved abstracts are already open for bidding)
+    if (submission.status !== 'abstract_registered') {
+      submission.status = 'under_review';
+    }
     await submission.save();
 
+    recordAudit(req, access, {
+      action: 'submission.approve',
+      targetType: 'submission',
+      targetId: submission._id,
+      summary: `Approved for review — ${submission.title}${dupStatus && forceOverride ? ` (duplicate check ${dupStatus} overridden)` : ''}`,
+      before,
+      after: snapshot(submission, ['status', 'organizerApproved'])
+    }).catch(err => console.error('Audit log error:', err));
+
     // Send email to author
     const [author, populatedSubmission] = await Promise.all([
       User.findById(submission.authorId).lean(),
@@ -596,8 +1108,8 @@ router.post('/submissions/:id/retry-dup-check', async (req, res) => {
     if (!track) {
       return res.status(400).json({ success: false, message: 'Submission track missing' });
     }
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('submissions:decide', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
@@ -692,11 +1204,12 @@ router.put('/submissions/:id/status', [
     if (!track) {
       return res.status(400).json({ success: false, message: 'Submission track missing' });
     }
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('submissions:decide', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to update status for this submission' });
     }
 
+    const before = { status: submission.status, feedback: submission.decision?.feedback };
     submission.status = req.body.status;
     submission.decision = submission.decision || {};
     submission.decision.decidedBy = req.user.userId;
@@ -704,6 +1217,15 @@ router.put('/submissions/:id/status', [
     submission.decision.feedback = req.body.feedback || '';
     await submission.save();
 
+    recordAudit(req, access, {
+      action: 'submission.status',
+      targetType: 'submission',
+      targetId: submission._id,
+      summary: `${submission.status} — ${submission.title}`,
+      before,
+      after: { status: submission.status, feedback: submission.decision.feedback }
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({ success: true, message: 'Submission status updated', data: submission });
 
   } catch (error) {
@@ -739,8 +1261,8 @@ router.put('/submissions/:id/schedule', [
     if (!track) {
       return res.status(400).json({ success: false, message: 'Submission track missing' });
     }
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('submissions:schedule', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to schedule this submission' });
     }
 
@@ -748,6 +1270,7 @@ router.put('/submissions/:id/schedule', [
     const startTime = req.body.startTime || req.body.time || '';
     const endTime = req.body.endTime || '';
 
+    const before = snapshot(submission, ['scheduled']);
     submission.scheduled = {
       date: req.body.date,
       startTime: startTime,
@@ -756,6 +1279,15 @@ router.put('/submissions/:id/schedule', [
     };
     await submission.save();
 
+    recordAudit(req, access, {
+      action: 'submission.schedule',
+      targetType: 'submission',
+      targetId: submission._id,
+      summary: `Scheduled — ${submission.title}`,
+      before,
+      after: snapshot(submission, ['scheduled'])
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({ success: true, message: 'Submission scheduled', data: submission });
 
   } catch (error) {
@@ -771,18 +1303,18 @@ router.put('/submissions/:id/schedule', [
  */
 router.post('/conferences/:id/certificates', async (req, res) => {
   try {
-    const conference = await Conference.findOne({ _id: req.params.id, organizerId: req.user.userId })
-      .populate('organizerId', 'name');
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'certificates:manage');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
 
-    // Get organizer info
-    const organizer = await User.findById(req.user.userId).select('name').lean();
-    const organizerName = organizer?.name || 'Conference Organizer';
+    const conference = await Conference.findById(req.params.id).populate('organizerId', 'name');
+
+    // Certificates are signed by the conference organizer (general chair)
+    const organizerName = conference.organizerId?.name || 'Conference Organizer';
     const chairTitle = conference.generalChairSignaturePath ? 'General Chair' : 'Conference Organizer';
     const signaturePath = conference.generalChairSignaturePath || null;
-    const conferenceDate = formatConferenceDates(conference.startDate, conference.endDate);
+    const conferenceDate = formatConferenceDates(conference.startDate, conference.endDate, conference.timezone);
 
     // Gather tracks
     const tracks = await Track.find({ conferenceId: conference._id }).select('_id').lean();
@@ -836,6 +1368,7 @@ router.post('/conferences/:id/certificates', async (req, res) => {
               conferenceDate: conferenceDate,
               uniqueId: uniqueId,
               paperTitle: sub.title,
+              ...typeWording(findType(conference, sub.submissionType)),
               organizerName: organizerName,
               chairTitle,
               signaturePath
@@ -967,6 +1500,18 @@ router.post('/conferences/:id/certificates', async (req, res) => {
       }
     }
 
+    recordAudit(req, access, {
+      action: 'certificates.generate',
+      targetType: 'conference',
+      targetId: conference._id,
+      summary: `${created.length} certificate(s) generated${errors.length ? `, ${errors.length} failed` : ''}`,
+      after: {
+        author: created.filter(c => c.type === 'author').length,
+        participant: created.filter(c => c.type === 'participant').length,
+        reviewer: created.filter(c => c.type === 'reviewer').length
+      }
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({
       success: true,
       message: `Certificates generated: ${created.length} created`,
@@ -1008,12 +1553,27 @@ router.put('/registrations/:id/attendance', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Registration not found' });
     }
 
+    const access = await getConferenceAccess(registration.conferenceId, req.user.userId);
+    if (!access || !access.can('attendance:mark')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to mark attendance for this registration' });
+    }
+
+    const before = snapshot(registration, ['attendanceMarked']);
     registration.attendanceMarked = !!req.body.attended;
     if (registration.attendanceMarked) {
       registration.attendedAt = new Date();
     }
     await registration.save();
 
+    recordAudit(req, access, {
+      action: 'registration.attendance',
+      targetType: 'registration',
+      targetId: registration._id,
+      summary: registration.attendanceMarked ? 'Marked present' : 'Marked absent',
+      before,
+      after: snapshot(registration, ['attendanceMarked'])
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({ success: true, message: 'Attendance updated', data: registration });
 
   } catch (error) {
@@ -1042,8 +1602,8 @@ router.put('/submissions/:id/attendance', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Submission track missing' });
     }
 
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('attendance:mark', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to mark attendance for this submission' });
     }
 
@@ -1052,10 +1612,20 @@ router.put('/submissions/:id/attendance', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Attendance can only be marked for accepted submissions' });
     }
 
+    const before = snapshot(submission, ['authorAttendanceMarked']);
     submission.authorAttendanceMarked = !!req.body.attended;
     submission.authorAttendanceMarkedAt = submission.authorAttendanceMarked ? new Date() : null;
     await submission.save();
 
+    recordAudit(req, access, {
+      action: 'submission.attendance',
+      targetType: 'submission',
+      targetId: submission._id,
+      summary: `${submission.authorAttendanceMarked ? 'Marked present' : 'Marked absent'} — ${submission.title}`,
+      before,
+      after: snapshot(submission, ['authorAttendanceMarked'])
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({ success: true, message: 'Author attendance updated', data: submission });
 
   } catch (error) {
@@ -1071,10 +1641,11 @@ router.put('/submissions/:id/attendance', async (req, res) => {
  */
 router.get('/conferences/:id/authors', async (req, res) => {
   try {
-    const conference = await Conference.findOne({ _id: req.params.id, organizerId: req.user.userId });
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'attendance:mark');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
+    const conference = access.conference;
 
     // Get tracks for conference
     const tracks = await Track.find({ conferenceId: conference._id }).select('_id name').lean();
@@ -1115,10 +1686,11 @@ router.get('/conferences/:id/authors', async (req, res) => {
  */
 router.get('/conferences/:id/certificate-stats', async (req, res) => {
   try {
-    const conference = await Conference.findOne({ _id: req.params.id, organizerId: req.user.userId });
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'certificates:manage');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
+    const conference = access.conference;
 
     // Get tracks
     const tracks = await Track.find({ conferenceId: conference._id }).select('_id').lean();
@@ -1195,10 +1767,11 @@ router.get('/conferences/:id/certificate-stats', async (req, res) => {
  */
 router.get('/conferences/:id/participants', async (req, res) => {
   try {
-    const conference = await Conference.findOne({ _id: req.params.id, organizerId: req.user.userId });
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'participants:view');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
+    const conference = access.conference;
 
     const registrations = await Registration.find({ conferenceId: conference._id })
       .populate('participantId', 'name email')
@@ -1224,13 +1797,9 @@ router.post(
   upload.single('signature'),
   async (req, res) => {
     try {
-      const conference = await Conference.findOne({
-        _id: req.params.id,
-        organizerId: req.user.userId
-      });
-
-      if (!conference) {
-        return res.status(404).json({ success: false, message: 'Conference not found' });
+      const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'conference:edit');
+      if (status) {
+        return res.status(status).json({ success: false, message });
       }
 
       if (!req.file) {
@@ -1239,8 +1808,16 @@ router.post(
 
       // Store relative path so it can be resolved on the server
       const relativePath = `uploads/signatures/${req.file.filename}`;
-      conference.generalChairSignaturePath = relativePath;
-      await conference.save();
+      await Conference.updateOne({ _id: req.params.id }, { generalChairSignaturePath: relativePath });
+
+      recordAudit(req, access, {
+        action: 'conference.signature',
+        targetType: 'conference',
+        targetId: access.conference._id,
+        summary: 'General chair signature uploaded',
+        before: { generalChairSignaturePath: access.conference.generalChairSignaturePath },
+        after: { generalChairSignaturePath: relativePath }
+      }).catch(err => console.error('Audit log error:', err));
 
       res.status(201).json({
         success: true,
@@ -1266,32 +1843,31 @@ router.post(
  */
 router.get('/reviews', async (req, res) => {
   try {
-    const organizerId = req.user.userId;
     const { conferenceId, trackId, submissionId, reviewerId } = req.query;
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const limit = Math.min(Math.max(parseInt(req.query.limit || '25', 10), 1), 200);
 
-    // Determine conferences the organizer owns (or validate provided conference)
-    let confIds = [];
+    // Determine conferences the user may see reviews for (or validate provided conference)
+    let accessList = await listConferenceAccess(req.user.userId, 'reviews:view');
     if (conferenceId) {
-      const conf = await Conference.findOne({ _id: conferenceId, organizerId }).select('_id').lean();
-      if (!conf) return res.status(403).json({ success: false, message: 'Not authorized for provided conference' });
-      confIds = [conf._id];
-    } else {
-      const confs = await Conference.find({ organizerId }).select('_id').lean();
-      confIds = confs.map(c => c._id);
-      if (!confIds.length) return res.json({ success: true, data: [] });
+      accessList = accessList.filter(a => String(a.conference._id) === String(conferenceId));
+      if (!accessList.length) return res.status(403).json({ success: false, message: 'Not authorized for provided conference' });
+    } else if (!accessList.length) {
+      return res.json({ success: true, data: [] });
     }
 
-    // Determine tracks to query
+    // Determine tracks to query (track chairs only see their own tracks)
+    const tracks = await Track.find({ conferenceId: { $in: accessList.map(a => a.conference._id) } }).select('_id conferenceId').lean();
+    const allowedTrackIds = tracks
+      .filter(t => accessList.some(a => String(a.conference._id) === String(t.conferenceId) && a.can('reviews:view', t._id)))
+      .map(t => t._id);
+
     let trackIds = [];
     if (trackId) {
-      const track = await Track.findOne({ _id: trackId, conferenceId: { $in: confIds } }).select('_id').lean();
-      if (!track) return res.status(400).json({ success: false, message: 'Invalid track for provided conferences' });
-      trackIds = [track._id];
+      trackIds = allowedTrackIds.filter(id => String(id) === String(trackId));
+      if (!trackIds.length) return res.status(400).json({ success: false, message: 'Invalid track for provided conferences' });
     } else {
-      const tracks = await Track.find({ conferenceId: { $in: confIds } }).select('_id').lean();
-      trackIds = tracks.map(t => t._id);
+      trackIds = allowedTrackIds;
       if (!trackIds.length) return res.json({ success: true, data: [] });
     }
 
@@ -1324,24 +1900,23 @@ router.get('/reviews', async (req, res) => {
  */
 router.get('/conferences/:id/reviews', async (req, res) => {
   try {
-    const organizerId = req.user.userId;
     const confId = req.params.id;
     const { trackId, submissionId, reviewerId } = req.query;
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const limit = Math.min(Math.max(parseInt(req.query.limit || '25', 10), 1), 200);
 
-    const conference = await Conference.findOne({ _id: confId, organizerId }).select('_id').lean();
-    if (!conference) return res.status(404).json({ success: false, message: 'Conference not found or not owned' });
+    const { access, status, message } = await authorizeConference(confId, req.user.userId, 'reviews:view');
+    if (status) return res.status(status).json({ success: false, message });
 
     // Tracks scope
     let trackIds = [];
     if (trackId) {
       const track = await Track.findOne({ _id: trackId, conferenceId: confId }).select('_id').lean();
-      if (!track) return res.status(400).json({ success: false, message: 'Invalid track for this conference' });
+      if (!track || !access.can('reviews:view', track._id)) return res.status(400).json({ success: false, message: 'Invalid track for this conference' });
       trackIds = [track._id];
     } else {
       const tracks = await Track.find({ conferenceId: confId }).select('_id').lean();
-      trackIds = tracks.map(t => t._id);
+      trackIds = access.scopeTracks(tracks.map(t => t._id));
       if (!trackIds.length) return res.json({ success: true, data: [] });
     }
 
@@ -1381,8 +1956,8 @@ router.get('/submissions/:submissionId/reviews', async (req, res) => {
     const track = await Track.findById(submission.trackId).lean();
     if (!track) return res.status(400).json({ success: false, message: 'Submission track missing' });
 
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('reviews:view', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to view reviews for this submission' });
     }
 
@@ -1418,30 +1993,29 @@ const Bid = require('../models/Bid');
  */
 router.get('/bids', async (req, res) => {
   try {
-    const organizerId = req.user.userId;
     const { conferenceId, trackId, status, submissionId, reviewerId, page = 1, limit = 50 } = req.query;
 
-    // Get conferences owned by organizer
-    let confIds = [];
+    // Get conferences where the user manages bids
+    let accessList = await listConferenceAccess(req.user.userId, 'bids:manage');
     if (conferenceId) {
-      const conf = await Conference.findOne({ _id: conferenceId, organizerId }).select('_id').lean();
-      if (!conf) return res.status(403).json({ success: false, message: 'Not authorized for this conference' });
-      confIds = [conf._id];
-    } else {
-      const confs = await Conference.find({ organizerId }).select('_id').lean();
-      confIds = confs.map(c => c._id);
-      if (!confIds.length) return res.json({ success: true, data: { bids: [], total: 0 } });
+      accessList = accessList.filter(a => String(a.conference._id) === String(conferenceId));
+      if (!accessList.length) return res.status(403).json({ success: false, message: 'Not authorized for this conference' });
+    } else if (!accessList.length) {
+      return res.json({ success: true, data: { bids: [], total: 0 } });
     }
 
-    // Get tracks for these conferences
+    // Get tracks for these conferences (track chairs only see their own tracks)
+    const tracks = await Track.find({ conferenceId: { $in: accessList.map(a => a.conference._id) } }).select('_id conferenceId').lean();
+    const allowedTrackIds = tracks
+      .filter(t => accessList.some(a => String(a.conference._id) === String(t.conferenceId) && a.can('bids:manage', t._id)))
+      .map(t => t._id);
+
     let trackIds = [];
     if (trackId) {
-      const track = await Track.findOne({ _id: trackId, conferenceId: { $in: confIds } }).select('_id').lean();
-      if (!track) return res.status(400).json({ success: false, message: 'Invalid track' });
-      trackIds = [track._id];
+      trackIds = allowedTrackIds.filter(id => String(id) === String(trackId));
+      if (!trackIds.length) return res.status(400).json({ success: false, message: 'Invalid track' });
     } else {
-      const tracks = await Track.find({ conferenceId: { $in: confIds } }).select('_id').lean();
-      trackIds = tracks.map(t => t._id);
+      trackIds = allowedTrackIds;
     }
 
     // Build bid query
@@ -1499,24 +2073,24 @@ router.get('/bids', async (req, res) => {
  */
 router.get('/conferences/:id/bids', async (req, res) => {
   try {
-    const organizerId = req.user.userId;
     const conferenceId = req.params.id;
     const { status, trackId, page = 1, limit = 50 } = req.query;
 
-    const conference = await Conference.findOne({ _id: conferenceId, organizerId }).lean();
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const authz = await authorizeConference(conferenceId, req.user.userId, 'bids:manage');
+    if (authz.status) {
+      return res.status(authz.status).json({ success: false, message: authz.message });
     }
+    const { access } = authz;
 
     // Get tracks
     let trackIds = [];
     if (trackId) {
       const track = await Track.findOne({ _id: trackId, conferenceId }).select('_id').lean();
-      if (!track) return res.status(400).json({ success: false, message: 'Invalid track' });
+      if (!track || !access.can('bids:manage', track._id)) return res.status(400).json({ success: false, message: 'Invalid track' });
       trackIds = [track._id];
     } else {
       const tracks = await Track.find({ conferenceId }).select('_id').lean();
-      trackIds = tracks.map(t => t._id);
+      trackIds = access.scopeTracks(tracks.map(t => t._id));
     }
 
     const query = { trackId: { $in: trackIds } };
@@ -1571,11 +2145,12 @@ router.patch('/bids/:id', [
       return res.status(404).json({ success: false, message: 'Bid not found' });
     }
 
-    // Verify organizer owns conference
-    const conference = await Conference.findById(bid.trackId.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    // Verify the user manages bids for this track
+    const access = await getConferenceAccess(bid.trackId.conferenceId, req.user.userId);
+    if (!access || !access.can('bids:manage', bid.trackId._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized to update this bid' });
     }
+    const conference = access.conference;
 
     // Can only update PENDING bids
     if (bid.status !== 'PENDING') {
@@ -1596,6 +2171,15 @@ router.patch('/bids/:id', [
       .populate({ path: 'reviewerId', select: 'name email' })
       .populate({ path: 'submissionId', select: 'title' });
 
+    recordAudit(req, access, {
+      action: 'bid.review',
+      targetType: 'bid',
+      targetId: bid._id,
+      summary: `${req.body.status} — ${updatedBid.reviewerId?.name || 'reviewer'} on ${updatedBid.submissionId?.title || 'submission'}`,
+      before: { status: bid.status },
+      after: { status: req.body.status, reason: req.body.reason || '' }
+    }).catch(err => console.error('Audit log error:', err));
+
     // If approved, create an assignment automatically
     if (req.body.status === 'APPROVED') {
       // Check if assignment already exists
@@ -1666,12 +2250,14 @@ router.post('/bids/bulk-update', [
     const { bidIds, status, reason } = req.body;
     const organizerId = req.user.userId;
 
-    // Verify all bids belong to organizer's conferences
+    // Verify the user manages bids for every track involved
     const bids = await Bid.find({ _id: { $in: bidIds } }).populate('trackId').lean();
+    const accessByBid = new Map();
 
     for (const bid of bids) {
-      const conference = await Conference.findById(bid.trackId.conferenceId).lean();
-      if (!conference || conference.organizerId.toString() !== organizerId) {
+      const access = await getConferenceAccess(bid.trackId.conferenceId, organizerId);
+      accessByBid.set(String(bid._id), access);
+      if (!access || !access.can('bids:manage', bid.trackId._id)) {
         return res.status(403).json({
           success: false,
           message: `Not authorized to update bid ${bid._id}`
@@ -1695,6 +2281,20 @@ router.post('/bids/bulk-update', [
       }
     );
 
+    // One entry per bid, appended in order so they don't race for the same chain position
+    (async () => {
+      for (const bid of bids) {
+        await recordAudit(req, accessByBid.get(String(bid._id)), {
+          action: 'bid.review',
+          targetType: 'bid',
+          targetId: bid._id,
+          summary: `${status} (bulk)`,
+          before: { status: bid.status },
+          after: { status, reason: reason || '' }
+        });
+      }
+    })().catch(err => console.error('Audit log error:', err));
+
     // If approving, create assignments for each bid
     if (status === 'APPROVED') {
       for (const bid of bids) {
@@ -1775,7 +2375,8 @@ function computeMatchScore(bid, reviewer, submission, conference, currentLoad, m
 
 /**
  * @route   POST /api/organizer/conferences/:id/auto-assign
- * @desc    Run automated reviewer assignment algorithm (5-stage workflow)
+ * @desc    Run automated reviewer assignment algorithm (5-stage workflow).
+ *          Submission types with their own reviewersPerPaper override the one requested
  * @access  Private (Organizer)
  * 
  * Stages:
@@ -1793,12 +2394,8 @@ router.post('/conferences/:id/auto-assign', [
 ], async (req, res) => {
   const startTime = Date.now();
   try {
-    console.log(`\n[DEBUG-AUTO-ASSIGN] ════════════════════════════════════════════`);
-    console.log(`[DEBUG-AUTO-ASSIGN] Auto-assign triggered at ${new Date().toISOString()}`);
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      console.log(`[DEBUG-AUTO-ASSIGN] ❌ Validation errors:`, errors.array());
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
@@ -1811,19 +2408,17 @@ router.post('/conferences/:id/auto-assign', [
       dryRun = false
     } = req.body;
 
-    console.log(`[DEBUG-AUTO-ASSIGN] Config: conferenceId=${conferenceId}, reviewersPerPaper=${reviewersPerPaper}, maxPapersPerReviewer=${maxPapersPerReviewer}, clearExisting=${clearExisting}, dryRun=${dryRun}`);
-    console.log(`[DEBUG-AUTO-ASSIGN] Feature flags:`, JSON.stringify(featureFlags));
-
     // Validate dry-run feature flag
     if (dryRun && !featureFlags.ENABLE_DRY_RUN) {
       return res.status(400).json({ success: false, message: 'Dry-run mode is not enabled' });
     }
 
     // ─── STAGE 0: Build Eligible Reviewer Pool ─────────────────────────
-    const conference = await Conference.findOne({ _id: conferenceId, organizerId }).lean();
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const authz = await authorizeConference(conferenceId, organizerId, 'assignments:auto');
+    if (authz.status) {
+      return res.status(authz.status).json({ success: false, message: authz.message });
     }
+    const conference = authz.access.conference;
 
     const tracks = await Track.find({ conferenceId }).select('_id name').lean();
     const trackIds = tracks.map(t => t._id);
@@ -1833,7 +2428,6 @@ router.post('/conferences/:id/auto-assign', [
     for (const t of tracks) {
       trackLookup.set(t._id.toString(), t.name || '');
     }
-    console.log(`[DEBUG-AUTO-ASSIGN] Tracks loaded: ${tracks.map(t => `"${t.name}" (${t._id})`).join(', ')}`);
 
     // Parallel data loading
     const [submissions, allBids, allReviewers] = await Promise.all([
@@ -1843,19 +2437,14 @@ router.post('/conferences/:id/auto-assign', [
         .lean(),
       // Load ALL bids (APPROVED + PENDING) — all placed bids count for scoring
       Bid.find({ trackId: { $in: trackIds }, status: { $in: ['APPROVED', 'PENDING'] } }).lean(),
-      User.find({ role: 'reviewer' }).lean(),
+      User.find({ roles: 'reviewer' }).lean(),
     ]);
 
-    console.log(`[DEBUG-AUTO-ASSIGN] Data loaded: ${submissions.length} submissions, ${allBids.length} bids (total), ${allReviewers.length} reviewers`);
-
     // Separate bids by status for different purposes
     const approvedBids = allBids.filter(b => b.status === 'APPROVED');
-    const pendingBids = allBids.filter(b => b.status === 'PENDING');
-    console.log(`[DEBUG-AUTO-ASSIGN] Approved bids: ${approvedBids.length}, Pending bids: ${pendingBids.length}`);
 
     // Build set of submission IDs that have APPROVED bids — these are EXCLUDED from auto-assign
     const approvedBidSubmissionIds = new Set(approvedBids.map(b => b.submissionId.toString()));
-    console.log(`[DEBUG-AUTO-ASSIGN] Papers with approved bids (EXCLUDED from auto-assign): ${approvedBidSubmissionIds.size}`);
 
     if (submissions.length === 0) {
       return res.json({
@@ -1920,27 +2509,22 @@ router.post('/conferences/:id/auto-assign', [
     const existingSet = buildExistingAssignmentSet(existingAssignments);
     const paperCounts = buildPaperAssignmentCounts(existingAssignments);
 
-    console.log(`[DEBUG-AUTO-ASSIGN] Stage 1 indexes built: bidMap=${bidMap.size} entries, conflictCache=${conflictCache.size} conflicts, existingSet=${existingSet.size} existing, capacityCache=${capacityCache.size} reviewers`);
-
-    // Log capacity details for each reviewer
-    for (const [revId, cap] of capacityCache) {
-      const rev = reviewers.find(r => r._id.toString() === revId);
-      console.log(`[DEBUG-AUTO-ASSIGN]   Capacity: ${rev?.name || revId} → used=${cap.used}/${cap.max}`);
-    }
-
     // Build domain index for no-bid matching
     const domainIndex = featureFlags.ENABLE_DOMAIN_MATCHING
       ? buildDomainIndex(reviewers)
       : new Map();
 
-    console.log(`[DEBUG-AUTO-ASSIGN] Domain index: ${domainIndex.size} domains indexed`);
-
     // Reviewer lookup by ID (eligible reviewers only)
     const reviewerById = new Map();
     for (const r of reviewers) {
       reviewerById.set(r._id.toString(), r);
     }
 
+    // ─── Helper: reviewers wanted for a submission (its type may set its own) ──
+    function targetFor(sub) {
+      return findType(conference, sub.submissionType)?.reviewersPerPaper || reviewersPerPaper;
+    }
+
     // ─── STAGE 1: Submission Categorization ───────────────────────────
     // Papers with APPROVED bids are EXCLUDED (already handled via bid approval).
     // Papers with PENDING bids are processed FIRST (bid-covered).
@@ -1955,12 +2539,11 @@ router.post('/conferences/:id/auto-assign', [
       // Exclude papers that have APPROVED bids (they are already assigned via bid approval)
       if (approvedBidSubmissionIds.has(subId)) {
         excludedApprovedCount++;
-        console.log(`[DEBUG-AUTO-ASSIGN] ⏭️ Excluding paper "${sub.title}" — has approved bid(s)`);
         continue;
       }
 
       // Skip if already fully assigned
-      if ((paperCounts.get(subId) || 0) >= reviewersPerPaper) continue;
+      if ((paperCounts.get(subId) || 0) >= targetFor(sub)) continue;
 
       // Use allBidMap (includes pending) for categorization
       const anyBids = allBidMap.get(subId);
@@ -1992,12 +2575,6 @@ router.post('/conferences/:id/auto-assign', [
       return sub.trackId;
     }
 
-    // Log resolved track names for all submissions
-    console.log(`[DEBUG-AUTO-ASSIGN] Submission track mapping:`);
-    for (const sub of submissions) {
-      console.log(`[DEBUG-AUTO-ASSIGN]   "${sub.title?.substring(0, 60)}..." → Track: "${getTrackName(sub)}"`);
-    }
-
     // ─── Helper: check if a reviewer can be assigned to a submission ──
     function isEligible(revId, subId) {
       // Already assigned?
@@ -2071,15 +2648,11 @@ router.post('/conferences/:id/auto-assign', [
       submissionById.set(sub._id.toString(), sub);
     }
 
-    console.log(`\n[DEBUG-AUTO-ASSIGN] ═══ REVIEWER-CENTRIC ASSIGNMENT ═══`);
-    console.log(`[DEBUG-AUTO-ASSIGN] Reviewers: ${reviewers.length}, Papers: ${allPapersToAssign.length}`);
-    console.log(`[DEBUG-AUTO-ASSIGN] Target: ${reviewersPerPaper} reviewers per paper, max ${maxPapersPerReviewer} papers per reviewer\n`);
-
     // Track how many papers still need reviewers
     function papersStillNeedingReviewers() {
       return allPapersToAssign.filter(sub => {
         const count = paperCounts.get(sub._id.toString()) || 0;
-        return count < reviewersPerPaper;
+        return count < targetFor(sub);
       }).length;
     }
 
@@ -2089,10 +2662,6 @@ router.post('/conferences/:id/auto-assign', [
     while (papersStillNeedingReviewers() > 0 && round < maxRounds) {
       round++;
       let assignedThisRound = 0;
-      let reviewersAtCapacity = 0;
-      let reviewersNoPaperAvailable = 0;
-
-      console.log(`[DEBUG-AUTO-ASSIGN] ─── Round ${round} ───────────────────────────────────`);
 
       for (const reviewer of reviewers) {
         const revId = reviewer._id.toString();
@@ -2100,7 +2669,6 @@ router.post('/conferences/:id/auto-assign', [
 
         // Skip reviewer if at capacity
         if (cap.used >= Math.min(cap.max, maxPapersPerReviewer)) {
-          reviewersAtCapacity++;
           continue;
         }
 
@@ -2111,7 +2679,7 @@ router.post('/conferences/:id/auto-assign', [
           const subId = sub._id.toString();
 
           // Skip if this paper already has enough reviewers
-          if ((paperCounts.get(subId) || 0) >= reviewersPerPaper) continue;
+          if ((paperCounts.get(subId) || 0) >= targetFor(sub)) continue;
 
           // Check eligibility (already assigned, conflict, etc.)
           if (!isEligible(revId, subId)) continue;
@@ -2145,7 +2713,6 @@ router.post('/conferences/:id/auto-assign', [
         }
 
         if (paperCandidates.length === 0) {
-          reviewersNoPaperAvailable++;
           continue;
         }
 
@@ -2164,30 +2731,21 @@ router.post('/conferences/:id/auto-assign', [
         // Assign this reviewer to their TOP 1 best-matching paper
         const best = paperCandidates[0];
         const source = best.isBidder ? 'BID_PRIORITY' : 'AUTO_BALANCED';
-        console.log(`[DEBUG-AUTO-ASSIGN]   Round ${round} | ${reviewer.name} → "${best.sub.title?.substring(0, 50)}..." (score=${best.score}, base=${best.baseScore}, bonus=${best.bidBonus}, track="${best.trackName}", source=${source})`);
         recordAssignment(revId, best.sub, source, { score: best.baseScore, reason: best.reason }, best.bid);
         assignedThisRound++;
       }
 
-      console.log(`[DEBUG-AUTO-ASSIGN]   Round ${round} summary: ${assignedThisRound} assigned, ${reviewersAtCapacity} at capacity, ${reviewersNoPaperAvailable} no paper available`);
-      console.log(`[DEBUG-AUTO-ASSIGN]   Papers still needing reviewers: ${papersStillNeedingReviewers()}`);
-
       // Early exit if no assignments were made (all capacity exhausted)
       if (assignedThisRound === 0) {
-        console.log(`[DEBUG-AUTO-ASSIGN]   ⚠️ No assignments in round ${round} — stopping.`);
         break;
       }
     }
 
-    console.log(`\n[DEBUG-AUTO-ASSIGN] ═══ REVIEWER-CENTRIC ASSIGNMENT COMPLETE ═══`);
-    console.log(`[DEBUG-AUTO-ASSIGN] Completed in ${round} rounds`);
-
     // ─── STAGE 4: Validation & Finalization ───────────────────────────
     const duration = Date.now() - startTime;
 
     // Calculate final stats
-    const allPaperCounts = new Map(paperCounts);
-    const papersFullyAssigned = [...allPaperCounts.values()].filter(c => c >= reviewersPerPaper).length;
+    const papersFullyAssigned = submissions.filter(sub => (paperCounts.get(sub._id.toString()) || 0) >= targetFor(sub)).length;
 
     const stats = {
       totalAssignments: newAssignments.length,
@@ -2266,6 +2824,14 @@ router.post('/conferences/:id/auto-assign', [
       }
     }
 
+    recordAudit(req, authz.access, {
+      action: 'assignment.auto',
+      targetType: 'conference',
+      targetId: conference._id,
+      summary: `${newAssignments.length} assignment(s) created${clearExisting ? ', existing auto-assignments cleared' : ''}`,
+      after: { reviewersPerPaper, maxPapersPerReviewer, clearExisting, created: newAssignments.length }
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({
       success: true,
       message: 'Auto-assignment completed',
@@ -2273,8 +2839,7 @@ router.post('/conferences/:id/auto-assign', [
     });
 
   } catch (error) {
-    console.error('[DEBUG-AUTO-ASSIGN] ❌ FATAL ERROR:', error.message);
-    console.error('[DEBUG-AUTO-ASSIGN] Stack:', error.stack);
+    console.error('Auto-assign error:', error);
     res.status(500).json({ success: false, message: 'Error running auto-assignment' });
   }
 });
@@ -2286,17 +2851,24 @@ router.post('/conferences/:id/auto-assign', [
  */
 router.get('/conferences/:id/assignments', async (req, res) => {
   try {
-    const organizerId = req.user.userId;
     const conferenceId = req.params.id;
     const { trackId, status, reviewerId, submissionId, page = 1, limit = 100 } = req.query;
 
-    const conference = await Conference.findOne({ _id: conferenceId, organizerId }).lean();
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const authz = await authorizeConference(conferenceId, req.user.userId, 'assignments:manage');
+    if (authz.status) {
+      return res.status(authz.status).json({ success: false, message: authz.message });
     }
+    const { access } = authz;
 
     const query = { conferenceId };
-    if (trackId) query.trackId = trackId;
+    if (trackId) {
+      if (!access.can('assignments:manage', trackId)) {
+        return res.status(400).json({ success: false, message: 'Invalid track' });
+      }
+      query.trackId = trackId;
+    } else if (access.trackIds) {
+      query.trackId = { $in: access.trackIds };
+    }
     if (status) query.status = status;
     if (reviewerId) query.reviewerId = reviewerId;
     if (submissionId) query.submissionId = submissionId;
@@ -2317,8 +2889,12 @@ router.get('/conferences/:id/assignments', async (req, res) => {
     ]);
 
     // Get stats
+    const statsMatch = { conferenceId: new mongoose.Types.ObjectId(conferenceId) };
+    if (access.trackIds) {
+      statsMatch.trackId = { $in: access.trackIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
     const stats = await Assignment.aggregate([
-      { $match: { conferenceId: new mongoose.Types.ObjectId(conferenceId) } },
+      { $match: statsMatch },
       {
         $group: {
           _id: null,
@@ -2377,14 +2953,16 @@ router.post('/assignments', [
       return res.status(400).json({ success: false, message: 'Track not found' });
     }
 
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== organizerId) {
+    const access = await getConferenceAccess(track.conferenceId, organizerId);
+    if (!access || !access.can('assignments:manage', track._id)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
+    const conference = access.conference;
 
     // Check if reviewer exists and has correct role
     const reviewer = await User.findById(reviewerId).lean();
-    if (!reviewer || reviewer.role !== 'reviewer') {
+    const reviewerRoles = reviewer?.roles?.length ? reviewer.roles : [reviewer?.role];
+    if (!reviewer || !reviewerRoles.includes('reviewer')) {
       return res.status(400).json({ success: false, message: 'Invalid reviewer' });
     }
 
@@ -2488,6 +3066,14 @@ router.post('/assignments', [
       .populate({ path: 'reviewerId', select: 'name email affiliation expertiseDomains maxLoad' })
       .populate({ path: 'submissionId', select: 'title keywords' });
 
+    recordAudit(req, access, {
+      action: 'assignment.create',
+      targetType: 'assignment',
+      targetId: assignment._id,
+      summary: `${reviewer.name} assigned to ${submission.title}`,
+      after: { reviewerId, submissionId, matchScore: assignment.matchScore, notes }
+    }).catch(err => console.error('Audit log error:', err));
+
     res.status(201).json({ success: true, message: 'Assignment created', data: populated });
   } catch (error) {
     console.error('Create assignment error:', error);
@@ -2511,9 +3097,9 @@ router.put('/assignments/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Assignment not found' });
     }
 
-    // Verify ownership
-    const conference = await Conference.findById(assignment.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== organizerId) {
+    // Verify the user manages assignments for this track
+    const access = await getConferenceAccess(assignment.conferenceId, organizerId);
+    if (!access || !access.can('assignments:manage', assignment.trackId)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
@@ -2529,6 +3115,15 @@ router.put('/assignments/:id', async (req, res) => {
       .populate({ path: 'reviewerId', select: 'name email' })
       .populate({ path: 'submissionId', select: 'title' });
 
+    recordAudit(req, access, {
+      action: 'assignment.update',
+      targetType: 'assignment',
+      targetId: assignment._id,
+      summary: `${updated.reviewerId?.name || 'Reviewer'} on ${updated.submissionId?.title || 'submission'}`,
+      before: snapshot(assignment, ['locked', 'notes', 'status']),
+      after: snapshot(updated, ['locked', 'notes', 'status'])
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({ success: true, message: 'Assignment updated', data: updated });
   } catch (error) {
     console.error('Update assignment error:', error);
@@ -2551,9 +3146,9 @@ router.delete('/assignments/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Assignment not found' });
     }
 
-    // Verify ownership
-    const conference = await Conference.findById(assignment.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== organizerId) {
+    // Verify the user manages assignments for this track
+    const access = await getConferenceAccess(assignment.conferenceId, organizerId);
+    if (!access || !access.can('assignments:manage', assignment.trackId)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
@@ -2564,6 +3159,14 @@ router.delete('/assignments/:id', async (req, res) => {
 
     await Assignment.findByIdAndDelete(assignmentId);
 
+    recordAudit(req, access, {
+      action: 'assignment.delete',
+      targetType: 'assignment',
+      targetId: assignment._id,
+      summary: 'Assignment removed',
+      before: snapshot(assignment, ['reviewerId', 'submissionId', 'source', 'status', 'notes'])
+    }).catch(err => console.error('Audit log error:', err));
+
     res.json({ success: true, message: 'Assignment deleted' });
   } catch (error) {
     console.error('Delete assignment error:', error);
@@ -2580,13 +3183,13 @@ router.delete('/assignments/:id', async (req, res) => {
  */
 router.get('/conferences/:id/eligible-reviewers', async (req, res) => {
   try {
-    const organizerId = req.user.userId;
     const conferenceId = req.params.id;
 
-    const conference = await Conference.findOne({ _id: conferenceId, organizerId }).lean();
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { access, status, message } = await authorizeConference(conferenceId, req.user.userId, 'assignments:manage');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
+    const conference = access.conference;
 
     const registrations = await ReviewerConferenceRegistration.find({ conferenceId })
       .populate('reviewerId', 'name email affiliation expertiseDomains maxLoad')
@@ -2642,12 +3245,11 @@ router.get('/conferences/:id/assignment-analytics', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Assignment analytics is not enabled' });
     }
 
-    const organizerId = req.user.userId;
     const conferenceId = req.params.id;
 
-    const conference = await Conference.findOne({ _id: conferenceId, organizerId }).lean();
-    if (!conference) {
-      return res.status(404).json({ success: false, message: 'Conference not found' });
+    const { status, message } = await authorizeConference(conferenceId, req.user.userId, 'assignments:auto');
+    if (status) {
+      return res.status(status).json({ success: false, message });
     }
 
     const confObjId = new mongoose.Types.ObjectId(conferenceId);
@@ -2728,4 +3330,747 @@ router.get('/conferences/:id/assignment-analytics', async (req, res) => {
   }
 });
 
+// ============ COMMITTEE ROUTES ============
+
+/**
+ * Check track chair tracks belong to the conference
+ * @returns {Promise<Array|null>} Track documents, or null when invalid
+ */
+async function resolveCommitteeTracks(conferenceId, role, trackIds) {
+  if (role !== 'track_chair') return [];
+  const ids = [...new Set((trackIds || []).map(String))];
+  if (!ids.length || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+  const tracks = await Track.find({ _id: { $in: ids }, conferenceId }).select('_id name').lean();
+  return tracks.length === ids.length ? tracks : null;
+}
+
+/**
+ * @route   GET /api/organizer/conferences/:id/committee
+ * @desc    List the conference committee (organizer first, as general chair)
+ * @access  Private (Committee member)
+ */
+router.get('/conferences/:id/committee', async (req, res) => {
+  try {
+    const access = await getConferenceAccess(req.params.id, req.user.userId);
+    if (!access) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
+
+    const conference = await Conference.findById(req.params.id)
+      .select('organizerId committee')
+      .populate('organizerId', 'name email')
+      .populate('committee.userId', 'name email')
+      .populate('committee.trackIds', 'name')
+      .lean();
+
+    const members = [
+      { userId: conference.organizerId, role: 'general_chair', trackIds: [], isOrganizer: true },
+      ...conference.committee
+    ];
+
+    res.json({
+      success: true,
+      data: {
+        members,
+        roles: COMMITTEE_ROLES.map(role => ({ value: role, label: ROLE_LABELS[role] })),
+        myRole: access.role,
+        myPermissions: access.permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get committee error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching committee' });
+  }
+});
+
+/**
+ * @route   POST /api/organizer/conferences/:id/committee
+ * @desc    Add someone to the committee by email (they get the organizer role if they lack it)
+ * @access  Private (Committee member with committee:manage)
+ */
+router.post('/conferences/:id/committee', [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(COMMITTEE_ROLES).withMessage('Invalid committee role'),
+  body('trackIds').optional().isArray().withMessage('trackIds must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'committee:manage');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { role, trackIds } = req.body;
+    const tracks = await resolveCommitteeTracks(req.params.id, role, trackIds);
+    if (!tracks) {
+      return res.status(400).json({ success: false, message: 'Track chairs need at least one track of this conference' });
+    }
+
+    const member = await User.findOne({ email: req.body.email.trim().toLowerCase() });
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'No account with this email. Ask them to register first.' });
+    }
+
+    const conference = access.conference;
+    if (String(conference.organizerId) === String(member._id) ||
+        (conference.committee || []).some(m => String(m.userId) === String(member._id))) {
+      return res.status(409).json({ success: false, message: 'This person is already on the committee' });
+    }
+
+    await Conference.updateOne(
+      { _id: conference._id },
+      {
+        $push: {
+          committee: {
+            userId: member._id,
+            role,
+            trackIds: tracks.map(t => t._id),
+            addedBy: req.user.userId
+          }
+        }
+      }
+    );
+
+    if (!member.hasRole('organizer')) {
+      member.addRole('organizer');
+      await member.save();
+    }
+
+    recordAudit(req, access, {
+      action: 'committee.add',
+      targetType: 'user',
+      targetId: member._id,
+      summary: `${member.name} added as ${ROLE_LABELS[role]}`,
+      after: { role, trackIds: tracks.map(t => t._id) }
+    }).catch(err => console.error('Audit log error:', err));
+
+    const addedBy = await User.findById(req.user.userId).select('name').lean();
+    sendEmail(
+      member.email,
+      templates.committeeMemberAdded(member, conference, ROLE_LABELS[role], tracks.map(t => t.name), addedBy?.name, `${FRONTEND_URL}/organizer/dashboard`)
+    ).catch(err => console.error('Email error:', err));
+
+    res.status(201).json({
+      success: true,
+      message: `${member.name} added as ${ROLE_LABELS[role]}`
+    });
+
+  } catch (error) {
+    console.error('Add committee member error:', error);
+    res.status(500).json({ success: false, message: 'Error adding committee member' });
+  }
+});
+
+/**
+ * @route   PUT /api/organizer/conferences/:id/committee/:userId
+ * @desc    Change a committee member's role or tracks
+ * @access  Private (Committee member with committee:manage)
+ */
+router.put('/conferences/:id/committee/:userId', [
+  body('role').isIn(COMMITTEE_ROLES).withMessage('Invalid committee role'),
+  body('trackIds').optional().isArray().withMessage('trackIds must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'committee:manage');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { role, trackIds } = req.body;
+    const tracks = await resolveCommitteeTracks(req.params.id, role, trackIds);
+    if (!tracks) {
+      return res.status(400).json({ success: false, message: 'Track chairs need at least one track of this conference' });
+    }
+
+    // A general chair demoting themselves would lose committee management mid-request
+    if (String(req.params.userId) === String(req.user.userId) && role !== 'general_chair') {
+      return res.status(400).json({ success: false, message: 'You cannot change your own committee role' });
+    }
+
+    const result = await Conference.updateOne(
+      { _id: req.params.id, 'committee.userId': req.params.userId },
+      { $set: { 'committee.$.role': role, 'committee.$.trackIds': tracks.map(t => t._id) } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Committee member not found' });
+    }
+
+    const previous = access.conference.committee.find(m => String(m.userId) === String(req.params.userId));
+    recordAudit(req, access, {
+      action: 'committee.update',
+      targetType: 'user',
+      targetId: req.params.userId,
+      summary: `Role changed to ${ROLE_LABELS[role]}`,
+      before: snapshot(previous, ['role', 'trackIds']),
+      after: { role, trackIds: tracks.map(t => t._id) }
+    }).catch(err => console.error('Audit log error:', err));
+
+    res.json({ success: true, message: `Role changed to ${ROLE_LABELS[role]}` });
+
+  } catch (error) {
+    console.error('Update committee member error:', error);
+    res.status(500).json({ success: false, message: 'Error updating committee member' });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizer/conferences/:id/committee/:userId
+ * @desc    Remove someone from the committee (members may also remove themselves)
+ * @access  Private (Committee member with committee:manage, or the member)
+ */
+router.delete('/conferences/:id/committee/:userId', async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.user.userId);
+    const access = await getConferenceAccess(req.params.id, req.user.userId);
+    if (!access) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
+    if (!leaving && !access.can('committee:manage')) {
+      return res.status(403).json({ success: false, message: 'Your committee role does not allow this' });
+    }
+
+    const result = await Conference.updateOne(
+      { _id: req.params.id },
+      { $pull: { committee: { userId: req.params.userId } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Committee member not found' });
+    }
+
+    const removed = access.conference.committee.find(m => String(m.userId) === String(req.params.userId));
+    recordAudit(req, access, {
+      action: 'committee.remove',
+      targetType: 'user',
+      targetId: req.params.userId,
+      summary: leaving ? 'Left the committee' : 'Removed from the committee',
+      before: snapshot(removed, ['role', 'trackIds'])
+    }).catch(err => console.error('Audit log error:', err));
+
+    res.json({ success: true, message: leaving ? 'You left the committee' : 'Committee member removed' });
+
+  } catch (error) {
+    console.error('Remove committee member error:', error);
+    res.status(500).json({ success: false, message: 'Error removing committee member' });
+  }
+});
+
+// ============ DEADLINE EXTENSION ROUTES ============
+
+// Track an extension is limited to (user extensions cover the whole conference)
+const extensionTrackId = (extension) =>
+  extension.trackId?._id || extension.trackId || extension.submissionId?.trackId || null;
+
+// Track chairs may only handle extensions within their tracks
+const canHandleExtension = (access, extension) => {
+  const trackId = extensionTrackId(extension);
+  return trackId ? access.can('deadlines:extend', trackId) : !access.trackIds;
+};
+
+/**
+ * @route   GET /api/organizer/conferences/:id/extensions
+ * @desc    List deadline extensions (track chairs see those for their tracks)
+ * @access  Private (Committee member with deadlines:extend)
+ */
+router.get('/conferences/:id/extensions', async (req, res) => {
+  try {
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'deadlines:extend');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const extensions = await DeadlineExtension.find({ conferenceId: req.params.id })
+      .populate('trackId', 'name')
+      .populate('submissionId', 'title trackId')
+      .populate('userId', 'name email')
+      .populate('grantedBy', 'name')
+      .sort({ expiresAt: -1 })
+      .lean();
+
+    const now = new Date();
+    res.json({
+      success: true,
+      data: extensions
+        .filter(extension => canHandleExtension(access, extension))
+        .map(extension => ({ ...extension, active: extension.expiresAt > now }))
+    });
+
+  } catch (error) {
+    console.error('List deadline extensions error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching deadline extensions' });
+  }
+});
+
+/**
+ * @route   POST /api/organizer/conferences/:id/extensions
+ * @desc    Extend the deadline for a track, a submission or an author (by email) until `expiresAt`
+ * @access  Private (Committee member with deadlines:extend)
+ */
+router.post('/conferences/:id/extensions', [
+  body('scope').isIn(['track', 'submission', 'user']).withMessage('Scope must be track, submission or user'),
+  body('trackId').if(body('scope').equals('track')).isMongoId().withMessage('Choose a track'),
+  body('submissionId').if(body('scope').equals('submission')).isMongoId().withMessage('Choose a submission'),
+  body('email').if(body('scope').equals('user')).isEmail().withMessage('Please provide a valid email'),
+  body('expiresAt').isISO8601().withMessage('Valid expiry is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'deadlines:extend');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+    const conference = access.conference;
+    const { scope, reason } = req.body;
+
+    // Resolve the target, who to tell, and how to describe it
+    const extension = new DeadlineExtension({ conferenceId: conference._id, scope, reason, grantedBy: req.user.userId });
+    let trackId = null;
+    let author = null;
+    let description;
+
+    if (scope === 'track') {
+      const track = await Track.findOne({ _id: req.body.trackId, conferenceId: conference._id }).lean();
+      if (!track) {
+        return res.status(404).json({ success: false, message: 'Track not found' });
+      }
+      extension.trackId = track._id;
+      trackId = track._id;
+      description = `the ${track.name} track`;
+    } else if (scope === 'submission') {
+      const submission = await Submission.findOne({ _id: req.body.submissionId, conferenceId: conference._id })
+        .populate('authorId', 'name email')
+        .lean();
+      if (!submission) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+      extension.submissionId = submission._id;
+      trackId = submission.trackId;
+      author = submission.authorId;
+      description = `"${submission.title}"`;
+    } else {
+      author = await User.findOne({ email: req.body.email.trim().toLowerCase() }).select('name email').lean();
+      if (!author) {
+        return res.status(404).json({ success: false, message: 'No account with this email' });
+      }
+      extension.userId = author._id;
+      description = 'your submissions';
+    }
+
+    if (!canHandleExtension(access, { trackId })) {
+      return res.status(403).json({ success: false, message: 'Track chairs can only extend deadlines in their own tracks' });
+    }
+
+    // Read in the conference's timezone; a bare date runs to the end of that day
+    extension.expiresAt = parseInZone(req.body.expiresAt, conference.timezone, { endOfDay: true });
+    if (extension.expiresAt <= new Date()) {
+      return res.status(400).json({ success: false, message: 'The extension must end in the future' });
+    }
+
+    await extension.save();
+
+    recordAudit(req, access, {
+      action: 'deadline.extend',
+      targetType: scope,
+      targetId: extension.trackId || extension.submissionId || extension.userId,
+      summary: `Deadline for ${scope === 'user' ? author.name : description} extended to ${formatInZone(extension.expiresAt, conference.timezone)}`,
+      after: snapshot(extension, ['scope', 'expiresAt', 'reason'])
+    }).catch(err => console.error('Audit log error:', err));
+
+    if (author?.email) {
+      sendEmail(
+        author.email,
+        templates.deadlineExtended(author, conference, description, extension.expiresAt, reason, `${FRONTEND_URL}/author/dashboard`)
+      ).catch(err => console.error('Email error:', err));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Deadline extended until ${formatInZone(extension.expiresAt, conference.timezone)}`,
+      data: extension
+    });
+
+  } catch (error) {
+    console.error('Grant deadline extension error:', error);
+    res.status(500).json({ success: false, message: 'Error granting deadline extension' });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizer/conferences/:id/extensions/:extensionId
+ * @desc    Revoke a deadline extension
+ * @access  Private (Committee member with deadlines:extend)
+ */
+router.delete('/conferences/:id/extensions/:extensionId', async (req, res) => {
+  try {
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'deadlines:extend');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const extension = await DeadlineExtension.findOne({ _id: req.params.extensionId, conferenceId: req.params.id })
+      .populate('submissionId', 'title trackId')
+      .lean();
+    if (!extension) {
+      return res.status(404).json({ success: false, message: 'Extension not found' });
+    }
+    if (!canHandleExtension(access, extension)) {
+      return res.status(403).json({ success: false, message: 'Track chairs can only revoke extensions in their own tracks' });
+    }
+
+    await DeadlineExtension.deleteOne({ _id: extension._id });
+
+    recordAudit(req, access, {
+      action: 'deadline.revoke',
+      targetType: extension.scope,
+      targetId: extension.trackId || extension.submissionId?._id || extension.userId,
+      summary: 'Deadline extension revoked',
+      before: snapshot(extension, ['scope', 'expiresAt', 'reason'])
+    }).catch(err => console.error('Audit log error:', err));
+
+    res.json({ success: true, message: 'Extension revoked' });
+
+  } catch (error) {
+    console.error('Revoke deadline extension error:', error);
+    res.status(500).json({ success: false, message: 'Error revoking deadline extension' });
+  }
+});
+
+// ============ AUDIT LOG ROUTES ============
+
+const AUDIT_EXPORT_LIMIT = 50000;
+
+/**
+ * Build the audit log query from ?action=&actorId=&targetType=&targetId=&from=&to=
+ */
+function buildAuditQuery(conferenceId, query) {
+  const filter = { conferenceId };
+  if (query.action) filter.action = query.action;
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.actorId && mongoose.Types.ObjectId.isValid(query.actorId)) filter.actorId = query.actorId;
+  if (query.targetId && mongoose.Types.ObjectId.isValid(query.targetId)) filter.targetId = query.targetId;
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from && !isNaN(Date.parse(query.from))) filter.createdAt.$gte = new Date(query.from);
+    // A bare date for `to` includes that whole day
+    if (query.to && !isNaN(Date.parse(query.to))) {
+      const to = new Date(query.to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = to;
+    }
+  }
+  return filter;
+}
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  // Leading =, +, - or @ would run as a formula in spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * @route   GET /api/organizer/conferences/:id/audit-log
+ * @desc    List audit log entries (optional ?action=&actorId=&targetType=&targetId=&from=&to=&page=&limit=)
+ * @access  Private (Committee member with audit:view)
+ */
+router.get('/conferences/:id/audit-log', async (req, res) => {
+  try {
+    const { status, message } = await authorizeConference(req.params.id, req.user.userId, 'audit:view');
+    if (status) return res.status(status).json({ success: false, message });
+
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10), 1), 200);
+    const filter = buildAuditQuery(req.params.id, req.query);
+
+    const [entries, total, actors] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'name email')
+        .sort({ seq: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct('actorId', { conferenceId: req.params.id })
+    ]);
+
+    const actorUsers = await User.find({ _id: { $in: actors } }).select('name email').lean();
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        actions: Object.entries(AUDIT_ACTIONS).map(([value, label]) => ({ value, label })),
+        actors: actorUsers
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching audit log' });
+  }
+});
+
+/**
+ * @route   GET /api/organizer/conferences/:id/audit-log/export
+ * @desc    Download audit log entries as CSV (same filters as the list)
+ * @access  Private (Committee member with audit:view)
+ */
+router.get('/conferences/:id/audit-log/export', async (req, res) => {
+  try {
+    const { access, status, message } = await authorizeConference(req.params.id, req.user.userId, 'audit:view');
+    if (status) return res.status(status).json({ success: false, message });
+
+    const entries = await AuditLog.find(buildAuditQuery(req.params.id, req.query))
+      .populate('actorId', 'name email')
+      .sort({ seq: 1 })
+      .limit(AUDIT_EXPORT_LIMIT)
+      .lean();
+
+    const header = ['seq', 'timestamp', 'actor', 'actor_email', 'actor_role', 'action', 'target_type', 'target_id', 'summary', 'before', 'after', 'ip_address', 'hash', 'prev_hash'];
+    const rows = entries.map(entry => [
+      entry.seq,
+      entry.createdAt.toISOString(),
+      entry.actorId?.name,
+      entry.actorId?.email,
+      entry.actorRole,
+      entry.action,
+      entry.targetType,
+      entry.targetId,
+      entry.summary,
+      JSON.stringify(entry.changes?.before || {}),
+      JSON.stringify(entry.changes?.after || {}),
+      entry.ipAddress,
+      entry.hash,
+      entry.prevHash
+    ].map(csvCell).join(','));
+
+    const slug = access.conference.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'conference';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${slug}-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send([header.join(','), ...rows].join('\n'));
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ success: false, message: 'Error exporting audit log' });
+  }
+});
+
+/**
+ * @route   GET /api/organizer/conferences/:id/audit-log/verify
+ * @desc    Recompute the hash chain to detect edited or deleted entries
+ * @access  Private (Committee member with audit:view)
+ */
+router.get('/conferences/:id/audit-log/verify', async (req, res) => {
+  try {
+    const { status, message } = await authorizeConference(req.params.id, req.user.userId, 'audit:view');
+    if (status) return res.status(status).json({ success: false, message });
+
+    const result = await verifyAuditChain(req.params.id);
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit log intact (${result.entries} entries)`
+        : `Audit log broken at entry ${result.brokenAt}: ${result.reason}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ success: false, message: 'Error verifying audit log' });
+  }
+});
+
+// ============ ACCOUNT SUPPORT ROUTES ============
+
+/**
+ * Find an account by email, but only if it takes part in one of the
+ * conferences where the organizer handles account support (as author,
+ * co-author, reviewer or participant).
+ * Organizers can't act on arbitrary accounts.
+ * @param {string} email - Account email
+ * @param {string} organizerId - Organizer user ID
+ * @returns {Promise<Object|null>} User document
+ */
+async function findAccountInOrganizerConferences(email, organizerId) {
+  const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+  if (!user) return null;
+  if (String(user._id) === String(organizerId)) return user;
+
+  const accessList = await listConferenceAccess(organizerId, 'accounts:support');
+  const conferenceIds = accessList.map(a => a.conference._id);
+  const inConference = { conferenceId: { $in: conferenceIds } };
+  const related =
+    await Submission.exists({ ...inConference, $or: [{ authorId: user._id }, { 'coAuthors.userId': user._id }] }) ||
+    await Registration.exists({ ...inConference, participantId: user._id }) ||
+    await ReviewerConferenceRegistration.exists({ ...inConference, reviewerId: user._id }) ||
+    await Assignment.exists({ ...inConference, reviewerId: user._id });
+
+  return related ? user : null;
+}
+
+/**
+ * Resolve and check the two accounts of a merge request
+ * @returns {Promise<{source?: Object, target?: Object, status?: number, message?: string}>}
+ */
+async function resolveMergeAccounts(sourceEmail, targetEmail, organizerId) {
+  const source = await findAccountInOrganizerConferences(sourceEmail, organizerId);
+  const target = await findAccountInOrganizerConferences(targetEmail, organizerId);
+
+  if (!source || !target) {
+    return { status: 404, message: 'Both accounts must take part in one of your conferences' };
+  }
+  if (String(source._id) === String(target._id)) {
+    return { status: 400, message: 'Choose two different accounts' };
+  }
+  // Organizers must not take over, or give away, their own account this way
+  if ([source._id, target._id].some(id => String(id) === String(organizerId))) {
+    return { status: 400, message: 'You cannot merge your own account' };
+  }
+  // Merging would hand the duplicate's conferences to the other account
+  if (await Conference.exists(Conference.managedByFilter(source._id))) {
+    return { status: 400, message: 'The account being merged away organizes conferences and cannot be merged here' };
+  }
+  return { source, target };
+}
+
+/**
+ * @route   POST /api/organizer/accounts/unlock
+ * @desc    Lift a sign-in lockout for an author, reviewer or participant of one of the organizer's conferences
+ * @access  Private (Organizer)
+ */
+router.post('/accounts/unlock', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await findAccountInOrganizerConferences(req.body.email, req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account with this email takes part in your conferences'
+      });
+    }
+
+    const lockedUntil = await getAccountLock(user.email);
+    await unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: lockedUntil ? 'Account unlocked' : 'Account was not locked; failed sign-in count reset',
+      data: { email: user.email, wasLocked: !!lockedUntil }
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ success: false, message: 'Error unlocking account' });
+  }
+});
+
+/**
+ * @route   GET /api/organizer/accounts/merge-preview
+ * @desc    Show what a merge of two accounts would move (query: sourceEmail, targetEmail)
+ * @access  Private (Organizer)
+ */
+router.get('/accounts/merge-preview', async (req, res) => {
+  try {
+    const { sourceEmail, targetEmail } = req.query;
+    if (!sourceEmail || !targetEmail) {
+      return res.status(400).json({ success: false, message: 'sourceEmail and targetEmail are required' });
+    }
+
+    const { source, target, status, message } = await resolveMergeAccounts(sourceEmail, targetEmail, req.user.userId);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        source: { _id: source._id, name: source.name, email: source.email, roles: source.roles },
+        target: { _id: target._id, name: target.name, email: target.email, roles: target.roles },
+        references: await countUserReferences(source._id),
+        conflicts: await findMergeConflicts(source._id, target._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge preview error:', error);
+    res.status(500).json({ success: false, message: 'Error previewing account merge' });
+  }
+});
+
+/**
+ * @route   POST /api/organizer/accounts/merge
+ * @desc    Ask the owner of a duplicate account to confirm merging it into another. Once they
+ *          confirm from the emailed link, submissions, reviews, bids, assignments, registrations
+ *          and certificates move to the target and the duplicate is deleted (see routes/public.js)
+ * @access  Private (Organizer)
+ */
+router.post('/accounts/merge', [
+  body('sourceEmail').isEmail().withMessage('Please provide the email of the account to merge away'),
+  body('targetEmail').isEmail().withMessage('Please provide the email of the account to keep')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { source, target, status, message } = await resolveMergeAccounts(req.body.sourceEmail, req.body.targetEmail, req.user.userId);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const conflicts = await findMergeConflicts(source._id, target._id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} records would duplicate records the target account already has (e.g. two reviews of the same paper). Resolve these and request the merge again.`,
+        data: { conflicts }
+      });
+    }
+
+    const organizer = await User.findById(req.user.userId).select('name');
+    await requestAccountMerge(source, target, organizer);
+
+    res.json({
+      success: true,
+      message: `A confirmation link was sent to ${source.email}. The accounts are merged once its owner confirms.`
+    });
+
+  } catch (error) {
+    console.error('Merge accounts error:', error);
+    res.status(500).json({ success: false, message: 'Error requesting account merge' });
+  }
+});
+
 module.exports = router;
@@ -6,6 +6,7 @@ const Conference = require('../models/Conference');
 const Registration = require('../models/Registration');
 const Certificate = require('../models/Certificate');
 const Submission = require('../models/Submission');
+const { checkPhase } = require('../utils/conferenceLifecycle');
 
 // All participant routes require authentication and participant role
 router.use(auth, authorize('participant'));
@@ -34,10 +35,9 @@ router.get('/dashboard', async (req, res) => {
     );
 
     // Get available conferences (from all organizers)
-    const availableConferences = await Conference.find({
-      status: 'active',
+    const availableConferences = await Conference.find(Conference.listedFilter({
       startDate: { $gte: now }
-    })
+    }))
       .populate('organizerId', 'name email')
       .sort({ startDate: 1 })
       .limit(6);
@@ -69,7 +69,7 @@ router.get('/conferences', async (req, res) => {
   try {
     const { location, domain, sortBy } = req.query;
 
-    const query = { status: 'active' };
+    const query = Conference.listedFilter();
 
     if (location) {
       query.venue = { $regex: location, $options: 'i' };
@@ -135,7 +135,7 @@ router.get('/conferences/:id', async (req, res) => {
     const conference = await Conference.findById(req.params.id)
       .populate('organizerId', 'name email');
 
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({
         success: false,
         message: 'Conference not found'
@@ -201,17 +201,18 @@ router.post('/registrations', [
 
     // Check if conference exists
     const conference = await Conference.findById(conferenceId);
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({
         success: false,
         message: 'Conference not found'
       });
     }
 
-    if (conference.status !== 'active') {
+    const closed = checkPhase(conference, 'registrations:create');
+    if (closed) {
       return res.status(400).json({
         success: false,
-        message: 'Conference is not active'
+        message: closed
       });
     }
 
@@ -1,9 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const Conference = require('../models/Conference');
 const User = require('../models/User');
 const Submission = require('../models/Submission');
 const Review = require('../models/Review');
+const { auth } = require('../middleware/auth');
+const { hashToken } = require('../utils/jwt');
+const { grantAuthorRole } = require('../utils/coAuthors');
+const { findMergeRequest, clearMergeRequest, mergeUserAccounts } = require('../utils/userMerge');
+const { sendEmail, templates } = require('../utils/emailService');
+
+// Co-author whose invitation link carries this token, with its submission
+const findInvitation = async (token) => {
+    const tokenHash = hashToken(token);
+    const submission = await Submission.findOne({ 'coAuthors.invitationTokenHash': tokenHash })
+        .populate('conferenceId', 'name')
+        .populate('trackId', 'name')
+        .populate('authorId', 'name');
+    const coAuthor = submission?.coAuthors.find(ca => ca.invitationTokenHash === tokenHash);
+    return coAuthor && submission.status !== 'withdrawn' ? { submission, coAuthor } : {};
+};
 
 /**
  * @route   GET /api/public/stats
@@ -18,7 +35,7 @@ router.get('/stats', async (req, res) => {
             submissionCount,
             reviewCount
         ] = await Promise.all([
-            Conference.countDocuments({}),
+            Conference.countDocuments(Conference.visibleFilter()),
             User.countDocuments({}),
             Submission.countDocuments({}),
             Review.countDocuments({})
@@ -43,4 +60,218 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/public/co-author-invitation
+ * @desc    Look up a co-authorship invitation by the token from its email link
+ */
+router.post('/co-author-invitation', [
+    body('token').notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { submission, coAuthor } = await findInvitation(req.body.token);
+        if (!coAuthor) {
+            return res.status(404).json({
+                success: false,
+                message: 'This invitation link is invalid or has already been answered'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                title: submission.title,
+                conference: submission.conferenceId?.name,
+                track: submission.trackId?.name,
+                submittedBy: submission.authorId?.name,
+                name: coAuthor.name,
+                email: coAuthor.email
+            }
+        });
+    } catch (error) {
+        console.error('Co-author invitation lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load invitation'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/public/co-author-invitation/respond
+ * @desc    Confirm or decline co-authorship, declaring conflicts of interest
+ *          (emails or institutions) on confirmation. The link is single-use.
+ */
+router.post('/co-author-invitation/respond', [
+    body('token').notEmpty().withMessage('Invitation token is required'),
+    body('response').isIn(['confirm', 'decline']).withMessage('Response must be confirm or decline'),
+    body('conflicts').optional().isArray({ max: 20 }).withMessage('List at most 20 conflicts'),
+    body('conflicts.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Each conflict must be 1 to 200 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { submission, coAuthor } = await findInvitation(req.body.token);
+        if (!coAuthor) {
+            return res.status(404).json({
+                success: false,
+                message: 'This invitation link is invalid or has already been answered'
+            });
+        }
+
+        const confirmed = req.body.response === 'confirm';
+        coAuthor.status = confirmed ? 'confirmed' : 'declined';
+        coAuthor.conflicts = confirmed ? [...new Set(req.body.conflicts || [])] : [];
+        coAuthor.respondedAt = new Date();
+        coAuthor.invitationTokenHash = null;
+        if (confirmed && !coAuthor.userId) {
+            const user = await User.findOne({ email: coAuthor.email, deletedAt: null }).select('_id').lean();
+            coAuthor.userId = user?._id || null;
+        }
+        await submission.save();
+        if (confirmed && coAuthor.userId) {
+            await grantAuthorRole(coAuthor.userId);
+        }
+
+        res.json({
+            success: true,
+            message: confirmed
+                ? 'Authorship confirmed. The paper appears under My Submissions in your eConfMate account with this email address.'
+                : 'You declined authorship of this paper.',
+            data: { status: coAuthor.status, hasAccount: Boolean(coAuthor.userId) }
+        });
+    } catch (error) {
+        console.error('Co-author invitation response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record your answer'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/public/account-merge
+ * @desc    Look up an account merge an organizer requested, by the token from its email link
+ */
+router.post('/account-merge', [
+    body('token').notEmpty().withMessage('Confirmation token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { source, target, organizer } = await findMergeRequest(req.body.token);
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                message: 'This confirmation link is invalid, has expired or has already been used'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                name: source.name,
+                email: source.email,
+                targetEmail: target.email,
+                requestedBy: organizer?.name
+            }
+        });
+    } catch (error) {
+        console.error('Account merge lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load merge request'
+        });
+    }
+});
+
+// Confirming needs a session on the remaining account as well as the emailed link,
+// so the owner of both accounts agrees; declining needs only the link
+const authToConfirm = (req, res, next) => (req.body.response === 'confirm' ? auth(req, res, next) : next());
+
+/**
+ * @route   POST /api/public/account-merge/respond
+ * @desc    Confirm or decline merging this account into the one the organizer named.
+ *          Confirming requires being signed in as the remaining account.
+ *          The link is single-use; nothing moves unless every record can.
+ */
+router.post('/account-merge/respond', [
+    body('token').notEmpty().withMessage('Confirmation token is required'),
+    body('response').isIn(['confirm', 'decline']).withMessage('Response must be confirm or decline')
+], authToConfirm, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { source, target, organizer } = await findMergeRequest(req.body.token);
+        if (source && req.body.response === 'confirm' && String(req.user.userId) !== target._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: `Sign in as ${target.email} to confirm this merge. Nothing was changed.`
+            });
+        }
+
+        // Spending the link first keeps two clicks from merging twice
+        if (!source || !await clearMergeRequest(source)) {
+            return res.status(404).json({
+                success: false,
+                message: 'This confirmation link is invalid, has expired or has already been used'
+            });
+        }
+
+        if (req.body.response === 'decline') {
+            return res.json({
+                success: true,
+                message: 'You declined the merge. Your account was not changed.',
+                data: { merged: false }
+            });
+        }
+
+        // Merging would hand the account's conferences to the other account
+        if (await Conference.exists(Conference.managedByFilter(source._id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'This account organizes conferences and cannot be merged. Nothing was changed.'
+            });
+        }
+
+        const result = await mergeUserAccounts(source._id, target._id);
+        if (!result.merged) {
+            return res.status(409).json({
+                success: false,
+                message: `${result.conflicts.length} records would duplicate records ${target.email} already has (e.g. two reviews of the same paper). Nothing was changed; ask the organizer to resolve these first.`
+            });
+        }
+
+        for (const recipient of [source, target]) {
+            sendEmail(recipient.email, templates.accountsMerged(recipient, source.email, target.email, organizer?.name))
+                .catch(err => console.error('Email error:', err));
+        }
+
+        res.json({
+            success: true,
+            message: `Your accounts were merged. Sign in as ${target.email} from now on.`,
+            data: { merged: true, email: target.email }
+        });
+    } catch (error) {
+        console.error('Account merge response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record your answer'
+        });
+    }
+});
+
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const Submission = require('../models/Submission');
 const Review = require('../models/Review');
 const Track = require('../models/Track');
@@ -11,10 +11,27 @@ const User = require('../models/User');
 const ReviewerConferenceRegistration = require('../models/ReviewerConferenceRegistration');
 const { sendEmail, templates } = require('../utils/emailService');
 const featureFlags = require('../config/featureFlags');
+const { checkPhase } = require('../utils/conferenceLifecycle');
+const { answerList } = require('../utils/submissionFields');
+const { findType } = require('../utils/submissionTypes');
+const { attachmentList } = require('../utils/attachments');
+const { withoutAuthors } = require('../utils/reviewMode');
 
 // All reviewer routes require authentication and reviewer role
 router.use(auth, authorize('reviewer'));
 
+// A submission as reviewers see it: its type (review settings included), its file
+// versions without uploaders, only answers to custom fields shared with reviewers,
+// only attachments of types shared with reviewers and no authors in double-blind review.
+// The PDF check stays with the committee (its warnings can name the authors)
+const forReviewers = ({ customFields, attachments, pdfCheck, ...submission }, conference) => ({
+  ...withoutAuthors(submission, conference),
+  versions: Submission.versionsOf(submission).map(({ uploadedBy, ...version }) => version),
+  typeDetails: findType(conference, submission.submissionType),
+  fieldAnswers: answerList(conference?.submissionFields, customFields, { reviewer: true }),
+  attachments: attachmentList({ attachments }, conference, { reviewer: true })
+});
+
 /**
  * @route   GET /api/reviewer/conferences
  * @desc    Get active conferences for reviewers to browse and bid on papers
@@ -22,7 +39,7 @@ router.use(auth, authorize('reviewer'));
  */
 router.get('/conferences', async (req, res) => {
   try {
-    const conferences = await Conference.find({ status: 'active' })
+    const conferences = await Conference.find(Conference.listedFilter())
       .populate('organizerId', 'name')
       .sort({ submissionDeadline: 1 })
       .lean();
@@ -67,7 +84,7 @@ router.get('/conferences', async (req, res) => {
 router.get('/conferences/:id/submissions', async (req, res) => {
   try {
     const conference = await Conference.findById(req.params.id).lean();
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({ success: false, message: 'Conference not found' });
     }
 
@@ -86,10 +103,12 @@ router.get('/conferences/:id/submissions', async (req, res) => {
       trackIds = tracks.map(t => t._id);
     }
 
-    // Get approved submissions (organizerApproved = true) for bidding
+    // Get approved submissions (organizerApproved = true) for bidding;
+    // approved abstracts are biddable before their paper arrives
     const submissions = await Submission.find({
       trackId: { $in: trackIds },
-      organizerApproved: true
+      organizerApproved: true,
+      status: { $ne: 'withdrawn' }
     })
       .populate('authorId', 'name email')
       .populate('trackId', 'name')
@@ -106,7 +125,7 @@ router.get('/conferences/:id/submissions', async (req, res) => {
     const biddedIds = new Set(bids.map(b => b.submissionId.toString()));
 
     const submissionsWithBidStatus = submissions.map(s => ({
-      ...s,
+      ...forReviewers(s, conference),
       hasBid: biddedIds.has(s._id.toString())
     }));
 
@@ -125,7 +144,7 @@ router.get('/conferences/:id/submissions', async (req, res) => {
 router.get('/conferences/:id/tracks', async (req, res) => {
   try {
     const conference = await Conference.findById(req.params.id).lean();
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({ success: false, message: 'Conference not found' });
     }
 
@@ -143,9 +162,9 @@ router.get('/conferences/:id/tracks', async (req, res) => {
 /**
  * @route   POST /api/reviewer/bids
  * @desc    Place a bid for a submission (track-aware). Body: { submissionId, confidence }
- * @access  Private (Reviewer)
+ * @access  Private (Reviewer, verified email)
  */
-router.post('/bids', [
+router.post('/bids', requireVerifiedEmail, [
   body('submissionId').notEmpty().withMessage('submissionId is required'),
   body('confidence').optional().isNumeric().withMessage('confidence must be a number'),
   body('bidStrength').optional().isIn(['STRONG_ACCEPT', 'INTERESTED', 'NEUTRAL', 'WEAK_INTEREST']).withMessage('Invalid bid strength')
@@ -159,6 +178,7 @@ router.post('/bids', [
 
     const submission = await Submission.findById(submissionId).lean();
     if (!submission) return res.status(404).json({ success: false, message: 'Submission not found' });
+    if (submission.status === 'withdrawn') return res.status(400).json({ success: false, message: 'This submission was withdrawn' });
 
     // Ensure submission has a track
     if (!submission.trackId) return res.status(400).json({ success: false, message: 'Submission is not associated with a track' });
@@ -168,6 +188,13 @@ router.post('/bids', [
     if (!track) return res.status(400).json({ success: false, message: 'Track not found' });
     const conferenceId = track.conferenceId;
 
+    const conference = await Conference.findById(conferenceId).select('status suspendedAt').lean();
+    if (!conference || conference.suspendedAt) {
+      return res.status(404).json({ success: false, message: 'Conference not found' });
+    }
+    const closed = checkPhase(conference, 'bids:place');
+    if (closed) return res.status(400).json({ success: false, message: closed });
+
     // Phase 3: Enforce conference registration for bidding
     if (featureFlags.ENABLE_REGISTRATION_REQUIRED_BIDDING) {
       const registration = await ReviewerConferenceRegistration.findOne({
@@ -356,6 +383,10 @@ router.post(
         return res.status(404).json({ success: false, message: 'Submission not found' });
       }
 
+      if (submission.status === 'withdrawn') {
+        return res.status(400).json({ success: false, message: 'This submission was withdrawn' });
+      }
+
       if (!submission.trackId) {
         return res.status(400).json({ success: false, message: 'Submission is not associated with a track' });
       }
@@ -365,6 +396,12 @@ router.post(
         return res.status(400).json({ success: false, message: 'Submission track not found' });
       }
 
+      const conference = await Conference.findById(submission.conferenceId).select('status submissionTypes').lean();
+      const closed = conference && checkPhase(conference, 'reviews:submit');
+      if (closed) {
+        return res.status(400).json({ success: false, message: closed });
+      }
+
       const reviewerId = req.user.userId;
       const assigned = (submission.assignedReviewers || []).map(String);
       if (assigned.length && !assigned.includes(String(reviewerId))) {
@@ -412,6 +449,15 @@ router.post(
 
       const normalizedRec = chooseRecommendation(rawRec);
 
+      // The submission type's review form may leave out revision requests (e.g. posters)
+      const type = findType(conference, submission.submissionType);
+      if (type?.allowRevisions === false && ['MINOR_REVISION', 'MAJOR_REVISION'].includes(normalizedRec)) {
+        return res.status(400).json({ success: false, message: `Reviews of ${type.name} submissions can only accept or reject` });
+      }
+
+      // Reviews are linked to the file version they were written against
+      const version = Submission.versionsOf(submission).slice(-1)[0]?.number || 1;
+
       // Check if reviewer already has a review for this submission
       const existingReview = await Review.findOne({
         submissionId: submission._id,
@@ -446,6 +492,7 @@ router.post(
         existingReview.score = req.body.score;
         existingReview.comments = req.body.comments || '';
         existingReview.recommendation = normalizedRec;
+        existingReview.version = version;
         existingReview.confidentialComments = req.body.confidentialComments || existingReview.confidentialComments;
         existingReview.submittedAt = new Date();
         existingReview.status = isNewRevisionVerdict ? 'pending_revision' : 'submitted';
@@ -469,6 +516,7 @@ router.post(
         comments: req.body.comments || '',
         recommendation: normalizedRec,
         confidentialComments: req.body.confidentialComments || '',
+        version,
         status: reviewStatus
       });
 
@@ -546,7 +594,7 @@ router.post(
 router.get('/submissions/:submissionId', async (req, res) => {
   try {
     const submission = await Submission.findById(req.params.submissionId)
-      .populate('conferenceId', 'name')
+      .populate('conferenceId', 'name reviewMode submissionFields submissionTypes attachmentTypes')
       .populate('trackId', 'name description')
       .populate('authorId', 'name email')
       .lean();
@@ -555,7 +603,11 @@ router.get('/submissions/:submissionId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Submission not found' });
     }
 
-    res.json({ success: true, data: submission });
+    const { submissionFields, submissionTypes, attachmentTypes, ...conference } = submission.conferenceId || {};
+    res.json({
+      success: true,
+      data: { ...forReviewers(submission, submission.conferenceId), conferenceId: submission.conferenceId && conference }
+    });
   } catch (error) {
     console.error('Reviewer get submission error:', error);
     res.status(500).json({ success: false, message: 'Error fetching submission' });
@@ -717,6 +769,12 @@ router.delete('/bids/:id', async (req, res) => {
       });
     }
 
+    const conference = await Conference.findById(bid.conferenceId).select('status').lean();
+    const closed = conference && checkPhase(conference, 'bids:place');
+    if (closed) {
+      return res.status(400).json({ success: false, message: closed });
+    }
+
     bid.status = 'WITHDRAWN';
     await bid.save();
 
@@ -835,11 +893,12 @@ router.post('/conferences/:id/register', async (req, res) => {
 
     // Verify conference exists and is active
     const conference = await Conference.findById(conferenceId).lean();
-    if (!conference) {
+    if (!conference || conference.suspendedAt || conference.status === 'draft') {
       return res.status(404).json({ success: false, message: 'Conference not found' });
     }
-    if (conference.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'Conference is not active' });
+    const closed = checkPhase(conference, 'reviewers:register');
+    if (closed) {
+      return res.status(400).json({ success: false, message: closed });
     }
 
     // Check if already registered
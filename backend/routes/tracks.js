@@ -1,44 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, enforceOrganizerTwoFactor } = require('../middleware/auth');
 const Track = require('../models/Track');
-const Conference = require('../models/Conference');
+const { getConferenceAccess } = require('../utils/conferenceAccess');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+const { isValidTimezone, timezoneFor, parseInZone } = require('../utils/timezone');
+const { PAPER_SIZES } = require('../config/pdfChecks');
+
+const AUDITED_FIELDS = ['name', 'description', 'timezone', 'submissionDeadline', 'pageLimit', 'paperSize', 'status'];
+
+// `null` clears a track's timezone so it follows the conference's again
+const validTrackTimezone = (value) => value === null || isValidTimezone(value);
+
+// `null` lifts the track's page limit or paper size
+const validPageLimit = (value) => value === null || (Number.isInteger(value) && value >= 1);
+const validPaperSize = (value) => value === null || Boolean(PAPER_SIZES[value]);
 
 // All track routes require authenticated organizer
-router.use(auth, authorize('organizer'));
+// (plus 2FA when one of the organizer's conferences enforces it)
+router.use(auth, authorize('organizer'), enforceOrganizerTwoFactor);
 
 /**
  * @route   POST /api/tracks
  * @desc    Create a new track for a conference
- * @access  Private (Organizer)
+ * @access  Private (Committee member with tracks:manage)
  */
 router.post('/', [
   body('conferenceId').notEmpty().withMessage('conferenceId is required'),
   body('name').trim().notEmpty().withMessage('Track name is required'),
   body('description').optional().trim(),
-  body('submissionDeadline').optional().isISO8601().withMessage('Valid submissionDeadline required')
+  body('submissionDeadline').optional().isISO8601().withMessage('Valid submissionDeadline required'),
+  body('timezone').optional().custom(validTrackTimezone).withMessage('Unknown timezone'),
+  body('pageLimit').optional().custom(validPageLimit).withMessage('Page limit must be a whole number of at least 1'),
+  body('paperSize').optional().custom(validPaperSize).withMessage('Unknown paper size')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
 
-    const { conferenceId, name, description, submissionDeadline } = req.body;
+    const { conferenceId, name, description, submissionDeadline, timezone, pageLimit, paperSize } = req.body;
 
-    const conference = await Conference.findById(conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(conferenceId, req.user.userId);
+    if (!access || !access.can('tracks:manage')) {
       return res.status(403).json({ success: false, message: 'Not authorized to manage tracks for this conference' });
     }
+    const conference = access.conference;
 
+    // The deadline is read in the track's timezone (or the conference's)
     const track = new Track({
       conferenceId,
       name,
       description: description || '',
-      submissionDeadline: submissionDeadline || conference.submissionDeadline
+      timezone: timezone || null,
+      pageLimit: pageLimit || null,
+      paperSize: paperSize || null,
+      submissionDeadline: parseInZone(submissionDeadline, timezoneFor(conference, { timezone }), { endOfDay: true }) || conference.submissionDeadline
     });
 
     await track.save();
 
+    recordAudit(req, access, {
+      action: 'track.create',
+      targetType: 'track',
+      targetId: track._id,
+      summary: `Track "${track.name}" created`,
+      after: snapshot(track, AUDITED_FIELDS)
+    }).catch(err => console.error('Audit log error:', err));
+
     res.status(201).json({ success: true, message: 'Track created', data: track });
   } catch (error) {
     console.error('Create track error:', error);
@@ -48,29 +77,48 @@ router.post('/', [
 
 /**
  * @route   PUT /api/tracks/:id
- * @desc    Update a track (only organizer of parent conference)
- * @access  Private (Organizer)
+ * @desc    Update a track
+ * @access  Private (Committee member with tracks:manage)
  */
 router.put('/:id', [
   body('name').optional().trim(),
   body('description').optional().trim(),
   body('submissionDeadline').optional().isISO8601().withMessage('Valid submissionDeadline required'),
+  body('timezone').optional().custom(validTrackTimezone).withMessage('Unknown timezone'),
+  body('pageLimit').optional().custom(validPageLimit).withMessage('Page limit must be a whole number of at least 1'),
+  body('paperSize').optional().custom(validPaperSize).withMessage('Unknown paper size'),
   body('status').optional().isIn(['active', 'closed']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
     const track = await Track.findById(req.params.id);
     if (!track) return res.status(404).json({ success: false, message: 'Track not found' });
 
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('tracks:manage')) {
       return res.status(403).json({ success: false, message: 'Not authorized to update this track' });
     }
 
-    ['name', 'description', 'submissionDeadline', 'status'].forEach(f => {
+    const before = snapshot(track, AUDITED_FIELDS);
+    AUDITED_FIELDS.forEach(f => {
       if (typeof req.body[f] !== 'undefined') track[f] = req.body[f];
     });
+    if (typeof req.body.submissionDeadline !== 'undefined') {
+      track.submissionDeadline = parseInZone(req.body.submissionDeadline, timezoneFor(access.conference, track), { endOfDay: true });
+    }
 
     await track.save();
+
+    recordAudit(req, access, {
+      action: 'track.update',
+      targetType: 'track',
+      targetId: track._id,
+      summary: `Track "${track.name}" updated`,
+      before,
+      after: snapshot(track, AUDITED_FIELDS)
+    }).catch(err => console.error('Audit log error:', err));
     res.json({ success: true, message: 'Track updated', data: track });
   } catch (error) {
     console.error('Update track error:', error);
@@ -80,20 +128,28 @@ router.put('/:id', [
 
 /**
  * @route   DELETE /api/tracks/:id
- * @desc    Delete a track (only organizer of parent conference)
- * @access  Private (Organizer)
+ * @desc    Delete a track
+ * @access  Private (Committee member with tracks:manage)
  */
 router.delete('/:id', async (req, res) => {
   try {
     const track = await Track.findById(req.params.id);
     if (!track) return res.status(404).json({ success: false, message: 'Track not found' });
 
-    const conference = await Conference.findById(track.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(track.conferenceId, req.user.userId);
+    if (!access || !access.can('tracks:manage')) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this track' });
     }
 
     await Track.deleteOne({ _id: track._id });
+
+    recordAudit(req, access, {
+      action: 'track.delete',
+      targetType: 'track',
+      targetId: track._id,
+      summary: `Track "${track.name}" deleted`,
+      before: snapshot(track, AUDITED_FIELDS)
+    }).catch(err => console.error('Audit log error:', err));
     res.json({ success: true, message: 'Track deleted' });
   } catch (error) {
     console.error('Delete track error:', error);
@@ -103,18 +159,19 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * @route   GET /api/tracks/conference/:conferenceId
- * @desc    List tracks for a conference (organizer must own conference)
- * @access  Private (Organizer)
+ * @desc    List tracks for a conference (track chairs see their own tracks)
+ * @access  Private (Committee member)
  */
 router.get('/conference/:conferenceId', async (req, res) => {
   try {
-    const conference = await Conference.findById(req.params.conferenceId).lean();
-    if (!conference || conference.organizerId.toString() !== req.user.userId) {
+    const access = await getConferenceAccess(req.params.conferenceId, req.user.userId);
+    if (!access) {
       return res.status(403).json({ success: false, message: 'Not authorized to view tracks for this conference' });
     }
 
     const tracks = await Track.find({ conferenceId: req.params.conferenceId }).sort({ createdAt: -1 }).lean();
-    res.json({ success: true, data: tracks });
+    // Track chairs only see their own tracks
+    res.json({ success: true, data: access.scopeTracks(tracks) });
   } catch (error) {
     console.error('List tracks error:', error);
     res.status(500).json({ success: false, message: 'Error listing tracks' });
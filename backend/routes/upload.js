@@ -6,6 +6,16 @@ const { auth } = require('../middleware/auth');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const { getSafeErrorMessage, sanitizeMessage } = require('../utils/errorSanitizer');
+const { SOURCE_FORMATS } = require('../config/cameraReady');
+const { MAX_ATTACHMENT_SIZE_MB } = require('../config/attachments');
+const { findAttachmentType, attachmentFormat } = require('../utils/attachments');
+const { deleteFromCloudinary } = require('../utils/duplicateCleanup');
+const Conference = require('../models/Conference');
+const User = require('../models/User');
+const Track = require('../models/Track');
+const { reviewModeOf } = require('../utils/reviewMode');
+const { findType } = require('../utils/submissionTypes');
+const { inspectFile, limitsFor } = require('../utils/pdfInspector');
 
 // Validate Cloudinary configuration at startup
 const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
@@ -65,15 +75,138 @@ const upload = multer({
     }
 });
 
+// Source archives of camera-ready papers (zip, tar.gz, tgz), kept apart from papers
+const SOURCE_SIZE_LIMIT_MB = 50;
+
+const sourceFormat = (filename) => SOURCE_FORMATS.find(format => filename.toLowerCase().endsWith(`.${format}`));
+
+const sourceStorage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: async (req, file) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+
+        return {
+            folder: 'camera-ready-sources',
+            resource_type: 'raw',
+            // Raw files keep their extension in the public ID (tar.gz has two)
+            public_id: `source-${uniqueSuffix}.${sourceFormat(file.originalname)}`
+        };
+    }
+});
+
+const uploadSource = multer({
+    storage: sourceStorage,
+    fileFilter: (req, file, cb) => {
+        if (sourceFormat(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only ZIP, TAR.GZ and TGZ archives are allowed'), false);
+        }
+    },
+    limits: {
+        fileSize: SOURCE_SIZE_LIMIT_MB * 1024 * 1024
+    }
+});
+
+// Supplementary attachments; the attachment type (req.attachmentType) decides the formats
+const attachmentStorage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: async (req, file) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+
+        return {
+            folder: 'submission-attachments',
+            resource_type: 'raw',
+            public_id: `attachment-${uniqueSuffix}.${attachmentFormat(req.attachmentType, file.originalname)}`
+        };
+    }
+});
+
+const uploadAttachment = multer({
+    storage: attachmentStorage,
+    fileFilter: (req, file, cb) => {
+        if (attachmentFormat(req.attachmentType, file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`This attachment type does not take ${path.extname(file.originalname) || 'these'} files`), false);
+        }
+    },
+    limits: {
+        fileSize: MAX_ATTACHMENT_SIZE_MB * 1024 * 1024
+    }
+});
+
+// Looks up ?conferenceId= and ?type= before the file is read
+const loadAttachmentType = async (req, res, next) => {
+    try {
+        const conference = await Conference.findById(req.query.conferenceId).select('attachmentTypes').lean();
+        const type = findAttachmentType(conference, req.query.type);
+        if (!type) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown attachment type'
+            });
+        }
+        req.attachmentType = type;
+        next();
+    } catch (error) {
+        console.error('Attachment type lookup error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Unknown attachment type'
+        });
+    }
+};
+
 // All upload routes require authentication
 router.use(auth);
 
+// Author names sent with a paper (JSON list in the authorNames field), plus the uploader's
+const authorNamesFor = async (req) => {
+    let names = [];
+    try {
+        names = JSON.parse(req.body.authorNames || '[]');
+    } catch (error) {
+        names = [];
+    }
+    const uploader = await User.findById(req.user.userId).select('name').lean();
+    return [uploader?.name, ...(Array.isArray(names) ? names : [])]
+        .filter(name => typeof name === 'string')
+        .slice(0, 50);
+};
+
+// Inspect an uploaded PDF against the limits of ?trackId= and ?submissionType=,
+// and for author names when ?conferenceId= reviews double-blind.
+// The report leaves out the text; null when the file could not be fetched
+const inspectUpload = async (req, fileUrl) => {
+    try {
+        const { conferenceId, trackId, submissionType } = req.query;
+        const [conference, track] = await Promise.all([
+            conferenceId ? Conference.findById(conferenceId).select('reviewMode submissionTypes').lean() : null,
+            trackId ? Track.findById(trackId).select('pageLimit paperSize').lean() : null
+        ]);
+        const authorNames = conference && !reviewModeOf(conference).authorsVisible ? await authorNamesFor(req) : [];
+        const { text, ...report } = await inspectFile(fileUrl, {
+            ...limitsFor(track, findType(conference, submissionType)),
+            authorNames
+        });
+        return report;
+    } catch (error) {
+        console.error('PDF inspection error:', sanitizeMessage(error.message));
+        return null;
+    }
+};
+
 /**
- * @route   POST /api/upload/paper
- * @desc    Upload a paper file
+ * @route   POST /api/upload/paper?conferenceId=&trackId=&submissionType=
+ * @desc    Upload a paper file. A PDF is inspected (data.inspection): validity,
+ *          encryption, page count and paper size against the track or type,
+ *          embedded fonts and, for a double-blind conference, metadata or first
+ *          pages naming the uploader or the authorNames sent along. Problems come back as
+ *          data.warnings; the upload still succeeds
  * @access  Private
  */
-router.post('/paper', upload.single('file'), (req, res) => {
+router.post('/paper', upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -86,6 +219,10 @@ router.post('/paper', upload.single('file'), (req, res) => {
         // This is a publicly accessible URL that persists permanently
         const fileUrl = req.file.path;
 
+        const inspection = path.extname(req.file.originalname).toLowerCase() === '.pdf'
+            ? await inspectUpload(req, fileUrl)
+            : null;
+
         res.json({
             success: true,
             message: 'File uploaded successfully',
@@ -95,7 +232,9 @@ router.post('/paper', upload.single('file'), (req, res) => {
                 fileUrl, // This is now the Cloudinary URL
                 size: req.file.size,
                 mimetype: req.file.mimetype,
-                cloudinaryId: req.file.filename // Store this if you need to delete later
+                cloudinaryId: req.file.filename, // Store this if you need to delete later
+                inspection,
+                warnings: inspection?.warnings || []
             }
         });
     } catch (error) {
@@ -107,13 +246,99 @@ router.post('/paper', upload.single('file'), (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/upload/source
+ * @desc    Upload the source archive of a camera-ready paper
+ * @access  Private
+ */
+router.post('/source', uploadSource.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Source archive uploaded successfully',
+            data: {
+                filename: req.file.filename,
+                originalname: req.file.originalname,
+                fileUrl: req.file.path,
+                size: req.file.size,
+                mimetype: req.file.mimetype,
+                cloudinaryId: req.file.filename
+            }
+        });
+    } catch (error) {
+        console.error('Source upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: getSafeErrorMessage(error, 'Error uploading source archive')
+        });
+    }
+});
+
+/**
+ * @route   POST /api/upload/attachment?conferenceId=&type=
+ * @desc    Upload a supplementary attachment (format and size limit come from
+ *          the conference's attachment type). Attach it with
+ *          POST /api/author/submissions/:id/attachments
+ * @access  Private
+ */
+router.post('/attachment', loadAttachmentType, uploadAttachment.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const { label, maxSizeMB } = req.attachmentType;
+        if (req.file.size > maxSizeMB * 1024 * 1024) {
+            deleteFromCloudinary(req.file.path)
+                .catch(err => console.error('Attachment cleanup error:', sanitizeMessage(err.message)));
+            return res.status(400).json({
+                success: false,
+                message: `File too large. ${label} files can be at most ${maxSizeMB}MB`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Attachment uploaded successfully',
+            data: {
+                filename: req.file.filename,
+                originalname: req.file.originalname,
+                fileUrl: req.file.path,
+                size: req.file.size,
+                mimetype: req.file.mimetype,
+                cloudinaryId: req.file.filename
+            }
+        });
+    } catch (error) {
+        console.error('Attachment upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: getSafeErrorMessage(error, 'Error uploading attachment')
+        });
+    }
+});
+
 // Error handling for multer
 router.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 success: false,
-                message: 'File too large. Maximum size is 10MB'
+                message: `File too large. Maximum size is ${
+                    req.path === '/source' ? SOURCE_SIZE_LIMIT_MB
+                        : req.path === '/attachment' ? req.attachmentType?.maxSizeMB || MAX_ATTACHMENT_SIZE_MB
+                            : 10
+                }MB`
             });
         }
         return res.status(400).json({
@@ -3,6 +3,7 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
 const { initializeScheduledTasks } = require('./utils/scheduledTasks');
+const { initializeFeatureFlagOverrides } = require('./utils/featureFlagOverrides');
 const { sanitizeMessage, sanitizeErrorResponse } = require('./utils/errorSanitizer');
 
 // Load environment variables
@@ -17,6 +18,15 @@ connectDB();
 // Initialize scheduled tasks (email reminders, digests)
 initializeScheduledTasks();
 
+// Apply feature flag overrides saved from the admin console
+initializeFeatureFlagOverrides();
+
+// Behind Render/Vercel the client IP is in X-Forwarded-For; login throttling
+// needs the real address. TRUST_PROXY is the number of proxy hops. Unset, the
+// header is ignored: clients could otherwise pick their own IP.
+const proxyHops = parseInt(process.env.TRUST_PROXY, 10);
+app.set('trust proxy', proxyHops > 0 ? proxyHops : false);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -47,6 +57,7 @@ const participantRouter = require('./routes/participant');
 const tracksRouter = require('./routes/tracks'); // NEW
 const uploadRouter = require('./routes/upload'); // File uploads
 const publicRouter = require('./routes/public'); // Public stats
+const adminRouter = require('./routes/admin'); // Platform administration
 
 app.use('/api/auth', authRouter);
 app.use('/api/author', authorRouter);
@@ -56,6 +67,7 @@ app.use('/api/participant', participantRouter);
 app.use('/api/tracks', tracksRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/public', publicRouter);
+app.use('/api/admin', adminRouter);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const Submission = require('../models/Submission');
+const Assignment = require('../models/Assignment');
+const Registration = require('../models/Registration');
+const Bid = require('../models/Bid');
+const Track = require('../models/Track');
+const { hashToken } = require('./jwt');
+
+// Lets the auth middleware tell API tokens from JWTs, and secret scanners find leaked ones
+const API_TOKEN_PREFIX = 'ecm_pat_';
+
+/**
+ * Create a new raw token
+ * @returns {{token: string, tokenHash: string, prefix: string}}
+ */
+const generateApiToken = () => {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+};
+
+/**
+ * Look up an active token and record its use
+ * @param {string} rawToken - Token from the Authorization header
+ * @param {Object} req - Express request (for the client IP)
+ * @returns {Promise<Object|null>} ApiToken document
+ */
+async function findActiveApiToken(rawToken, req) {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!apiToken || !apiToken.isActive()) {
+    return null;
+  }
+
+  await ApiToken.updateOne(
+    { _id: apiToken._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  );
+  return apiToken;
+}
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const conferenceOf = async (model, id) => {
+  if (!isObjectId(id)) return [];
+  const doc = await model.findById(id).select('conferenceId trackId').lean();
+  if (!doc) return [];
+  if (doc.conferenceId) return [doc.conferenceId];
+  // Older bids only carry the track
+  const track = doc.trackId && await Track.findById(doc.trackId).select('conferenceId').lean();
+  return track ? [track.conferenceId] : [];
+};
+
+/**
+ * Work out which conference(s) a request touches, for conference-scoped tokens.
+ * Only organizer and track routes are resolvable; anything else (including
+ * cross-conference lists) returns null and is refused for scoped tokens.
+ * @param {Object} req - Express request
+ * @returns {Promise<Array|null>} Conference IDs, or null when unknown
+ */
+async function resolveRequestConferenceIds(req) {
+  const [resource, id] = req.path.split('/').filter(Boolean);
+
+  if (req.baseUrl === '/api/tracks') {
+    if (!resource) return req.body?.conferenceId ? [req.body.conferenceId] : null;
+    if (resource === 'conference') return id ? [id] : null;
+    return conferenceOf(Track, resource);
+  }
+
+  if (req.baseUrl !== '/api/organizer') return null;
+
+  switch (resource) {
+    case 'conferences':
+      return id && isObjectId(id) ? [id] : null;
+    case 'submission':
+    case 'submissions':
+      return conferenceOf(Submission, id);
+    case 'registrations':
+      return conferenceOf(Registration, id);
+    case 'assignments':
+      return id ? conferenceOf(Assignment, id) : conferenceOf(Submission, req.body?.submissionId);
+    case 'bids':
+      if (id === 'bulk-update') {
+        const bidIds = (req.body?.bidIds || []).filter(isObjectId);
+        const lists = await Promise.all(bidIds.map(bidId => conferenceOf(Bid, bidId)));
+        return lists.length > 0 && lists.every(l => l.length > 0) ? lists.flat() : null;
+      }
+      return id ? conferenceOf(Bid, id) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a request against a token's restrictions
+ * @param {Object} apiToken - ApiToken document
+ * @param {Object} req - Express request
+ * @returns {Promise<string|null>} Reason the request is refused, or null
+ */
+async function checkApiTokenScope(apiToken, req) {
+  // Tokens can't manage the account (create tokens, change 2FA, ...)
+  if (req.baseUrl === '/api/auth' && !(req.method === 'GET' && req.path === '/me')) {
+    return 'API tokens cannot be used for account management';
+  }
+
+  if (apiToken.readOnly && !['GET', 'HEAD'].includes(req.method)) {
+    return 'This API token is read-only';
+  }
+
+  if (apiToken.conferenceIds.length > 0) {
+    const allowed = apiToken.conferenceIds.map(String);
+    const touched = await resolveRequestConferenceIds(req);
+    if (!touched || touched.length === 0 || !touched.every(c => allowed.includes(String(c)))) {
+      return 'This API token is not valid for this conference';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Revoke every active token of a user, e.g. after a password reset
+ * @param {ObjectId|string} userId
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeAllApiTokens(userId) {
+  const result = await ApiToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  generateApiToken,
+  findActiveApiToken,
+  checkApiTokenScope,
+  revokeAllApiTokens
+};
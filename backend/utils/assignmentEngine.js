@@ -165,6 +165,7 @@ function computeExpertiseMatch(reviewer, submission, conference, trackName) {
  *   2. Co-author conflict (reviewer is listed as co-author)
  *   3. Affiliation overlap (same institution)
  *   4. Email domain overlap (institutional only, public domains excluded)
+ *   5. Conflicts declared by co-authors (reviewer email or institution)
  * 
  * @param {Object} reviewer - Reviewer user document
  * @param {Object} submission - Submission document (with coAuthors)
@@ -173,7 +174,6 @@ function computeExpertiseMatch(reviewer, submission, conference, trackName) {
  */
 function hasConflict(reviewer, submission, author) {
   if (!reviewer || !author) {
-    console.log(`[DEBUG-CONFLICT] ⚠️ Missing data — reviewer=${!!reviewer}, author=${!!author} → CONFLICT (safety)`);
     return true; // Safety: missing data = conflict
   }
 
@@ -182,7 +182,6 @@ function hasConflict(reviewer, submission, author) {
 
   // 1. Self-review
   if (reviewerId === authorId) {
-    console.log(`[DEBUG-CONFLICT] ❌ Self-review: reviewer=${reviewerId} === author=${authorId}`);
     return true;
   }
 
@@ -195,7 +194,6 @@ function hasConflict(reviewer, submission, author) {
       .filter(ca => ca.userId)
       .map(ca => ca.userId.toString());
     if (coAuthorUserIds.includes(reviewerId)) {
-      console.log(`[DEBUG-CONFLICT] ❌ Co-author conflict (userId): reviewer=${reviewerId} in coAuthorUserIds=[${coAuthorUserIds.join(', ')}]`);
       return true;
     }
 
@@ -204,7 +202,6 @@ function hasConflict(reviewer, submission, author) {
       .map(ca => (ca.email || '').toLowerCase())
       .filter(Boolean);
     if (reviewerEmail && coAuthorEmails.includes(reviewerEmail)) {
-      console.log(`[DEBUG-CONFLICT] ❌ Co-author conflict (email): ${reviewerEmail} in [${coAuthorEmails.join(', ')}]`);
       return true;
     }
   }
@@ -214,7 +211,6 @@ function hasConflict(reviewer, submission, author) {
     const revAff = reviewer.affiliation.toLowerCase().trim();
     const authAff = author.affiliation.toLowerCase().trim();
     if (revAff && authAff && (revAff === authAff || revAff.includes(authAff) || authAff.includes(revAff))) {
-      console.log(`[DEBUG-CONFLICT] ❌ Affiliation conflict: reviewer="${revAff}" vs author="${authAff}"`);
       return true;
     }
   }
@@ -226,7 +222,20 @@ function hasConflict(reviewer, submission, author) {
     if (revDomain && authDomain &&
         !PUBLIC_EMAIL_DOMAINS.includes(revDomain) &&
         revDomain === authDomain) {
-      console.log(`[DEBUG-CONFLICT] ❌ Email domain conflict: ${revDomain} === ${authDomain} (institutional)`);
+      return true;
+    }
+  }
+
+  // 5. Declared conflicts
+  const declared = (submission.coAuthors || [])
+    .flatMap(ca => ca.conflicts || [])
+    .map(entry => entry.toLowerCase().trim())
+    .filter(Boolean);
+  if (declared.length) {
+    const revEmail = (reviewer.email || '').toLowerCase();
+    const revAff = (reviewer.affiliation || '').toLowerCase().trim();
+    const match = declared.find(entry => entry === revEmail || (revAff && entry === revAff));
+    if (match) {
       return true;
     }
   }
@@ -0,0 +1,118 @@
+const {
+  ATTACHMENT_KINDS,
+  ATTACHMENT_KEY_PATTERN,
+  MAX_ATTACHMENT_SIZE_MB,
+  ATTACHMENT_VISIBILITY
+} = require('../config/attachments');
+
+const MB = 1024 * 1024;
+
+/**
+ * A conference's attachment type by key
+ * @param {Object} conference - Conference with attachmentTypes
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function findAttachmentType(conference, key) {
+  if (!key) return null;
+  return (conference?.attachmentTypes || []).find(type => type.key === key) || null;
+}
+
+/**
+ * Format of a file name when the attachment type takes it (tar.gz counts as one)
+ * @param {Object} type - Attachment type
+ * @param {string} filename
+ * @returns {string|null}
+ */
+function attachmentFormat(type, filename) {
+  const name = String(filename || '').toLowerCase();
+  return (ATTACHMENT_KINDS[type?.kind]?.formats || []).find(format => name.endsWith(`.${format}`)) || null;
+}
+
+/**
+ * Check attachment type definitions before saving them on a conference
+ * @param {Array<Object>} types
+ * @param {Array<string>} usedKeys - Types existing attachments already have
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkAttachmentTypes(types, usedKeys = []) {
+  if (!Array.isArray(types)) return 'Attachment types must be a list';
+
+  const keys = new Set();
+  for (const type of types) {
+    if (!type || !type.key || !type.label) return 'Every attachment type needs a key and a label';
+    if (!ATTACHMENT_KEY_PATTERN.test(type.key)) {
+      return `${type.label}: the key must start with a letter and use only lowercase letters, digits and underscores`;
+    }
+    if (keys.has(type.key)) return `The key "${type.key}" is used by two attachment types`;
+    keys.add(type.key);
+
+    if (!ATTACHMENT_KINDS[type.kind]) return `${type.label}: unknown kind of attachment`;
+    const size = Number(type.maxSizeMB);
+    if (!Number.isFinite(size) || size < 1 || size > MAX_ATTACHMENT_SIZE_MB) {
+      return `${type.label}: the size limit must be between 1 and ${MAX_ATTACHMENT_SIZE_MB} MB`;
+    }
+    if (type.visibility && !ATTACHMENT_VISIBILITY[type.visibility]) return `${type.label}: unknown visibility`;
+  }
+
+  const removed = usedKeys.filter(key => key && !keys.has(key));
+  if (removed.length) {
+    return `Submissions already have ${removed.map(key => `"${key}"`).join(', ')} attachments, so the type cannot be removed`;
+  }
+  return null;
+}
+
+/**
+ * Check a new attachment against its type
+ * @param {Object} type - Attachment type (findAttachmentType)
+ * @param {Object} file
+ * @param {string} file.name - Original file name
+ * @param {number} [file.size] - Bytes
+ * @param {Array<Object>} existing - The submission's current attachments
+ * @returns {string|null} Error message, or null when acceptable
+ */
+function checkAttachment(type, { name, size }, existing = []) {
+  if (!attachmentFormat(type, name)) {
+    return `${type.label} must be ${ATTACHMENT_KINDS[type.kind].formats.map(f => f.toUpperCase()).join(', ')}`;
+  }
+  if (size && size > type.maxSizeMB * MB) {
+    return `${type.label} files can be at most ${type.maxSizeMB} MB`;
+  }
+  const count = existing.filter(attachment => attachment.type === type.key).length;
+  if (count >= (type.maxFiles || 1)) {
+    return `A submission can have at most ${type.maxFiles || 1} ${type.label} file${(type.maxFiles || 1) > 1 ? 's' : ''}`;
+  }
+  return null;
+}
+
+/**
+ * A submission's attachments with their type labels, for display
+ * @param {Object} submission - Submission with attachments
+ * @param {Object} conference - Conference with attachmentTypes
+ * @param {Object} [options]
+ * @param {boolean} [options.reviewer] - Only types reviewers may see
+ * @returns {Array<Object>}
+ */
+function attachmentList(submission, conference, { reviewer = false } = {}) {
+  return (submission.attachments || [])
+    .map(attachment => ({ attachment, type: findAttachmentType(conference, attachment.type) }))
+    .filter(({ type }) => !reviewer || type?.visibility === 'reviewers')
+    .map(({ attachment, type }) => ({
+      _id: attachment._id,
+      type: attachment.type,
+      label: type?.label || attachment.type,
+      kind: type?.kind || null,
+      name: attachment.name,
+      size: attachment.size,
+      fileUrl: attachment.fileUrl,
+      uploadedAt: attachment.uploadedAt
+    }));
+}
+
+module.exports = {
+  findAttachmentType,
+  attachmentFormat,
+  checkAttachmentTypes,
+  checkAttachment,
+  attachmentList
+};
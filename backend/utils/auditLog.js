@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+/** Actions written to the audit log, with the label shown in the viewer */
+const AUDIT_ACTIONS = {
+  'conference.update': 'Conference updated',
+  'conference.signature': 'Signature uploaded',
+  'conference.phase': 'Phase changed',
+  'conference.clone': 'Created from a previous edition',
+  'committee.add': 'Committee member added',
+  'committee.update': 'Committee role changed',
+  'committee.remove': 'Committee member removed',
+  'track.create': 'Track created',
+  'track.update': 'Track updated',
+  'track.delete': 'Track deleted',
+  'track.close': 'Track closed at its deadline',
+  'submission.decision': 'Decision made',
+  'submission.approve': 'Submission approved',
+  'submission.status': 'Submission status changed',
+  'submission.schedule': 'Presentation scheduled',
+  'submission.attendance': 'Author attendance marked',
+  'submission.withdraw': 'Submission withdrawn',
+  'deadline.extend': 'Deadline extended',
+  'deadline.revoke': 'Deadline extension revoked',
+  'registration.attendance': 'Participant attendance marked',
+  'bid.review': 'Bid approved or rejected',
+  'assignment.create': 'Reviewer assigned',
+  'assignment.update': 'Assignment updated',
+  'assignment.delete': 'Assignment removed',
+  'assignment.auto': 'Auto-assignment run',
+  'camera_ready.remind': 'Camera-ready reminders sent',
+  'certificates.generate': 'Certificates generated'
+};
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Dates, ObjectIds and documents become plain JSON so the stored value
+// hashes the same way when it is read back
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys, so field order never changes the hash
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEntry = (entry) => crypto.createHash('sha256').update(canonicalJson({
+  conferenceId: String(entry.conferenceId),
+  seq: entry.seq,
+  actorId: entry.actorId ? String(entry.actorId) : null,
+  actorRole: entry.actorRole || null,
+  action: entry.action,
+  targetType: entry.targetType,
+  targetId: entry.targetId ? String(entry.targetId) : null,
+  summary: entry.summary || null,
+  changes: toPlain(entry.changes),
+  ipAddress: entry.ipAddress || null,
+  userAgent: entry.userAgent || null,
+  prevHash: entry.prevHash,
+  createdAt: new Date(entry.createdAt).toISOString()
+})).digest('hex');
+
+/**
+ * Copy some fields of a document for the before/after of an entry
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object}
+ */
+function snapshot(doc, fields) {
+  const source = typeof doc?.toObject === 'function' ? doc.toObject() : (doc || {});
+  return fields.reduce((acc, field) => ({ ...acc, [field]: source[field] }), {});
+}
+
+/**
+ * Keep only the fields whose value differs between two snapshots
+ * @param {Object} [before] - Values before the action
+ * @param {Object} [after] - Values after the action
+ * @returns {{before: Object, after: Object}}
+ */
+function diffChanges(before = {}, after = {}) {
+  const plainBefore = toPlain(before) || {};
+  const plainAfter = toPlain(after) || {};
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)]).forEach(key => {
+    if (canonicalJson(plainBefore[key]) !== canonicalJson(plainAfter[key])) {
+      if (key in plainBefore) changes.before[key] = plainBefore[key];
+      if (key in plainAfter) changes.after[key] = plainAfter[key];
+    }
+  });
+
+  return changes;
+}
+
+// Two actions at once may claim the same seq; the unique index makes the loser retry
+async function appendEntry(base) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditLog.findOne({ conferenceId: base.conferenceId }).sort({ seq: -1 }).select('seq hash').lean();
+    const entry = {
+      ...base,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+      createdAt: new Date()
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Append an entry to a conference's audit log
+ * @param {Object} req - Express request (actor, IP and user agent)
+ * @param {Object} access - Actor's access to the conference (utils/conferenceAccess.js)
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - submission, bid, assignment, ...
+ * @param {string} [entry.targetId] - ID of the target
+ * @param {string} [entry.summary] - Short human-readable description
+ * @param {Object} [entry.before] - Values before the action
+ * @param {Object} [entry.after] - Values after the action
+ * @returns {Promise<Object>} Created entry
+ */
+async function recordAudit(req, access, { action, targetType, targetId, summary, before, after }) {
+  return appendEntry({
+    conferenceId: access.conference._id,
+    actorId: req.user?.userId,
+    actorRole: access.role,
+    action,
+    targetType,
+    targetId,
+    summary: summary ? String(summary).slice(0, 500) : undefined,
+    changes: diffChanges(before, after),
+    ipAddress: req.ip,
+    userAgent: (req.get('User-Agent') || '').slice(0, 300)
+  });
+}
+
+/**
+ * Append an entry for something the scheduler did (no actor, role `system`)
+ * @param {string} conferenceId - Conference ID
+ * @param {Object} entry - Same fields as recordAudit
+ * @returns {Promise<Object>} Created entry
+ */
+async function recordSystemAudit(conferenceId, { action, targetType, targetId, summary, before, after }) {
+  return appendEntry({
+    conferenceId,
+    actorRole: 'system',
+    action,
+    targetType,
+    targetId,
+    summary: summary ? String(summary).slice(0, 500) : undefined,
+    changes: diffChanges(before, after)
+  });
+}
+
+/**
+ * Recompute a conference's hash chain
+ * @param {string} conferenceId - Conference ID
+ * @returns {Promise<{valid: boolean, entries: number, brokenAt?: number, reason?: string}>}
+ */
+async function verifyAuditChain(conferenceId) {
+  const cursor = AuditLog.find({ conferenceId }).sort({ seq: 1 }).lean().cursor();
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, entries: expectedSeq - 1, brokenAt: expectedSeq, reason: 'Entry missing' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, entries: expectedSeq - 1, brokenAt: entry.seq, reason: 'Chain link does not match the previous entry' };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, entries: expectedSeq - 1, brokenAt: entry.seq, reason: 'Entry was modified' };
+    }
+    prevHash = entry.hash;
+    expectedSeq++;
+  }
+
+  return { valid: true, entries: expectedSeq - 1 };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  snapshot,
+  diffChanges,
+  recordAudit,
+  recordSystemAudit,
+  verifyAuditChain
+};
@@ -0,0 +1,39 @@
+const { LICENSES, CAMERA_READY_ITEMS } = require('../config/cameraReady');
+
+/**
+ * What an accepted paper has handed in for the camera-ready stage
+ * @param {Object} submission - Submission with cameraReady
+ * @param {Object} conference - Conference with cameraReady settings
+ * @returns {{ items: Array<{ key: string, label: string, done: boolean }>, missing: Array<string>, complete: boolean }}
+ */
+function cameraReadyChecklist(submission, conference) {
+  const state = submission.cameraReady || {};
+  const done = {
+    paper: Boolean(state.version),
+    source: Boolean(state.sourceUrl),
+    agreement: Boolean(state.agreement?.signedAt),
+    authors: Boolean(state.authorsConfirmedAt)
+  };
+
+  const items = Object.entries(CAMERA_READY_ITEMS)
+    .filter(([key]) => key !== 'source' || conference?.cameraReady?.sourceRequired !== false)
+    .map(([key, label]) => ({ key, label, done: done[key] }));
+  const missing = items.filter(item => !item.done).map(item => item.key);
+
+  return { items, missing, complete: missing.length === 0 };
+}
+
+/**
+ * Licenses authors of a conference may sign
+ * @param {Object} conference
+ * @returns {Array<string>} Keys of LICENSES
+ */
+function allowedLicenses(conference) {
+  const chosen = conference?.cameraReady?.licenses || [];
+  return chosen.length ? chosen : Object.keys(LICENSES);
+}
+
+module.exports = {
+  cameraReadyChecklist,
+  allowedLicenses
+};
@@ -1,6 +1,7 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { ianaZone } = require('./timezone');
 
 /**
  * Generate a certificate PDF with the template background
@@ -11,6 +12,8 @@ const path = require('path');
  * @param {string} data.conferenceDate - Conference date string
  * @param {string} data.uniqueId - Unique certificate ID
  * @param {string} [data.paperTitle] - Paper title (for authors)
+ * @param {string} [data.work] - What the author presented (e.g. 'poster'; default 'paper')
+ * @param {string} [data.presented] - Author role line for the submission type (config/submissionTypes.js)
  * @param {string} [data.organizerName] - Organizer/Session chair name
  * @param {string} [data.chairTitle] - Label for the chair/organizer (e.g., "General Chair")
  * @param {string} [data.signaturePath] - Optional file path for signature image
@@ -76,7 +79,7 @@ async function generateCertificate(data) {
             let roleText = '';
             switch (data.role.toLowerCase()) {
                 case 'author':
-                    roleText = 'has presented a paper as Author at';
+                    roleText = data.presented || 'has presented a paper as Author at';
                     break;
                 case 'reviewer':
                     roleText = 'has served as Reviewer at';
@@ -113,7 +116,7 @@ async function generateCertificate(data) {
                 doc.fontSize(14)
                     .font('Helvetica-Oblique')
                     .fillColor('#444444')
-                    .text('for the paper titled:', 0, currentY, {
+                    .text(`for the ${data.work || 'paper'} titled:`, 0, currentY, {
                         align: 'center',
                         width: 842
                     });
@@ -225,10 +228,11 @@ async function generateCertificate(data) {
  * Format conference dates for display
  * @param {Date} startDate 
  * @param {Date} endDate 
+ * @param {string} [timezone] - Conference timezone the dates fall in
  * @returns {string}
  */
-function formatConferenceDates(startDate, endDate) {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+function formatConferenceDates(startDate, endDate, timezone) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: ianaZone(timezone) };
     const start = new Date(startDate).toLocaleDateString('en-US', options);
     const end = new Date(endDate).toLocaleDateString('en-US', options);
 
@@ -0,0 +1,139 @@
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const { sendEmail, templates } = require('./emailService');
+const { PORTAL_URL } = require('./emailTemplateLayout');
+const { generateOneTimeToken } = require('./jwt');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
+
+/**
+ * Build a submission's co-author list from the author's form, linking each
+ * email to an existing account. Co-authors already on the list keep their
+ * invitation and answer; new ones start pending (see inviteCoAuthors).
+ * @param {Array<Object>} coAuthors - [{ name, email, orcid }]
+ * @param {Array<Object>} [existing] - The submission's current co-authors
+ * @returns {Promise<Array<Object>>}
+ */
+async function mergeCoAuthors(coAuthors, existing = []) {
+  if (!Array.isArray(coAuthors)) return [];
+
+  const previous = new Map(existing.map(coAuthor => [coAuthor.email, coAuthor]));
+  const merged = [];
+  for (const coAuthor of coAuthors) {
+    const email = coAuthor.email.toLowerCase();
+    const kept = previous.get(email);
+    const user = kept?.userId ? null : await User.findOne({ email, deletedAt: null }).select('_id').lean();
+    merged.push({
+      ...(kept && {
+        _id: kept._id,
+        status: kept.status,
+        conflicts: kept.conflicts,
+        invitationTokenHash: kept.invitationTokenHash,
+        invitedAt: kept.invitedAt,
+        respondedAt: kept.respondedAt
+      }),
+      name: coAuthor.name,
+      email,
+      orcid: coAuthor.orcid || '',
+      userId: kept?.userId || user?._id || null
+    });
+  }
+  return merged;
+}
+
+/**
+ * Email an authorship invitation to every co-author not invited yet.
+ * The submitting author's own address is confirmed without an email.
+ * @param {Object} submission - Submission document (saved here)
+ * @param {Object} conference
+ * @param {Object} author - Submitting author ({ name, email })
+ * @returns {Promise<number>} Invitations sent
+ */
+async function inviteCoAuthors(submission, conference, author) {
+  const invites = [];
+  for (const coAuthor of submission.coAuthors) {
+    if (coAuthor.status !== 'pending' || coAuthor.invitedAt) continue;
+    if (coAuthor.email === author.email?.toLowerCase()) {
+      coAuthor.status = 'confirmed';
+      coAuthor.respondedAt = new Date();
+      continue;
+    }
+    const { token, tokenHash } = generateOneTimeToken();
+    coAuthor.invitationTokenHash = tokenHash;
+    coAuthor.invitedAt = new Date();
+    invites.push({ coAuthor, token });
+  }
+  if (!submission.isModified('coAuthors')) return 0;
+  await submission.save();
+
+  if (invites.length && !submission.populated('trackId')) {
+    await submission.populate('trackId', 'name');
+  }
+  for (const { coAuthor, token } of invites) {
+    sendEmail(
+      coAuthor.email,
+      templates.coAuthorInvitation(coAuthor, submission, conference, author, `${FRONTEND_URL}/co-author-invitation?token=${token}`)
+    ).catch(err => console.error('Email error:', err));
+  }
+  return invites.length;
+}
+
+/**
+ * Start a co-author's invitation over (new link, answer cleared)
+ * @param {Object} coAuthor - Co-author subdocument
+ */
+function resetInvitation(coAuthor) {
+  coAuthor.status = 'pending';
+  coAuthor.invitedAt = null;
+  coAuthor.respondedAt = null;
+  coAuthor.invitationTokenHash = null;
+}
+
+/**
+ * Give a confirmed co-author the author role, so the paper shows under My Submissions
+ * @param {string} userId
+ */
+async function grantAuthorRole(userId) {
+  await User.updateOne({ _id: userId }, { $addToSet: { roles: 'author' } });
+}
+
+/**
+ * Link co-author entries listing a new account's email to that account
+ * @param {Object} user - New user ({ _id, email })
+ * @returns {Promise<number>} Submissions linked
+ */
+async function linkCoAuthorAccount(user) {
+  if (!user?.email) return 0;
+  const email = user.email.toLowerCase();
+  const result = await Submission.updateMany(
+    { coAuthors: { $elemMatch: { email, userId: null } } },
+    { $set: { 'coAuthors.$[coAuthor].userId': user._id } },
+    { arrayFilters: [{ 'coAuthor.email': email, 'coAuthor.userId': null }] }
+  );
+  if (result.modifiedCount && await Submission.exists({ coAuthors: { $elemMatch: { userId: user._id, status: 'confirmed' } } })) {
+    await grantAuthorRole(user._id);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Query matching submissions the user may open as an author:
+ * their own, and those they confirmed co-authorship of
+ * @param {string} userId
+ * @returns {Object}
+ */
+const authoredFilter = (userId) => ({
+  $or: [
+    { authorId: userId },
+    { coAuthors: { $elemMatch: { userId, status: 'confirmed' } } }
+  ]
+});
+
+module.exports = {
+  mergeCoAuthors,
+  inviteCoAuthors,
+  resetInvitation,
+  grantAuthorRole,
+  linkCoAuthorAccount,
+  authoredFilter
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Conference = require('../models/Conference');
+const { ROLE_PERMISSIONS } = require('../config/committeeRoles');
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Work out what a user may do in a conference
+ * @param {Object} conference - Conference document or lean object (with `committee`)
+ * @param {string} userId - User ID
+ * @returns {Object|null} Access object, or null when the user is not on the committee
+ *   - role: committee role
+ *   - trackIds: track IDs a track chair is limited to (null = every track)
+ *   - can(permission, trackId?): whether the permission is held (for that track)
+ *   - scopeTracks(ids): the subset of track IDs the user may see
+ */
+function conferenceAccessFor(conference, userId) {
+  let role = null;
+  let trackIds = null;
+
+  if (sameId(conference.organizerId, userId)) {
+    role = 'general_chair';
+  } else {
+    const member = (conference.committee || []).find(m => sameId(m.userId, userId));
+    if (!member) return null;
+    role = member.role;
+    if (role === 'track_chair') {
+      trackIds = (member.trackIds || []).map(String);
+    }
+  }
+
+  const permissions = ROLE_PERMISSIONS[role] || [];
+
+  return {
+    conference,
+    role,
+    trackIds,
+    permissions,
+    can(permission, trackId) {
+      if (!permissions.includes(permission)) return false;
+      return !trackId || !trackIds || trackIds.includes(String(trackId?._id || trackId));
+    },
+    scopeTracks(ids) {
+      return trackIds ? ids.filter(id => trackIds.includes(String(id?._id || id))) : ids;
+    }
+  };
+}
+
+/**
+ * Load a conference and the user's access to it
+ * @param {string} conferenceId - Conference ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Access object (see conferenceAccessFor)
+ */
+async function getConferenceAccess(conferenceId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(String(conferenceId?._id || conferenceId))) return null;
+  const conference = await Conference.findById(conferenceId?._id || conferenceId).lean();
+  return conference ? conferenceAccessFor(conference, userId) : null;
+}
+
+/**
+ * Check access for a conference route
+ * @param {string} conferenceId - Conference ID from the route
+ * @param {string} userId - User ID
+ * @param {string} permission - Permission required
+ * @returns {Promise<{access?: Object, status?: number, message?: string}>}
+ */
+async function authorizeConference(conferenceId, userId, permission) {
+  const access = await getConferenceAccess(conferenceId, userId);
+  if (!access) {
+    return { status: 404, message: 'Conference not found' };
+  }
+  if (!access.can(permission)) {
+    return { status: 403, message: 'Your committee role does not allow this' };
+  }
+  return { access };
+}
+
+/**
+ * Every conference where the user holds a permission
+ * @param {string} userId - User ID
+ * @param {string} [permission] - Permission required (any committee role when omitted)
+ * @returns {Promise<Array<Object>>} Access objects
+ */
+async function listConferenceAccess(userId, permission) {
+  const conferences = await Conference.find(Conference.managedByFilter(userId)).lean();
+  return conferences
+    .map(conference => conferenceAccessFor(conference, userId))
+    .filter(access => access && (!permission || access.can(permission)));
+}
+
+module.exports = {
+  conferenceAccessFor,
+  getConferenceAccess,
+  authorizeConference,
+  listConferenceAccess
+};
@@ -0,0 +1,164 @@
+const Conference = require('../models/Conference');
+const Track = require('../models/Track');
+const Assignment = require('../models/Assignment');
+const ReviewerConferenceRegistration = require('../models/ReviewerConferenceRegistration');
+const { SCHEDULED_PHASES } = require('../config/conferencePhases');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => (date ? new Date(new Date(date).getTime() + days * ONE_DAY_MS) : null);
+
+/**
+ * Reviewers who took part in a conference: registered (and not blocked) or assigned a paper
+ * @param {string} conferenceId - Conference ID
+ * @returns {Promise<Array<string>>} Reviewer IDs
+ */
+async function reviewerPool(conferenceId) {
+  const [registered, assigned, blocked] = await Promise.all([
+    ReviewerConferenceRegistration.distinct('reviewerId', { conferenceId, active: true, status: { $in: ['REGISTERED_ACTIVE', 'REGISTERED_PENDING_PAYMENT'] } }),
+    Assignment.distinct('reviewerId', { conferenceId, status: { $ne: 'CANCELLED' } }),
+    ReviewerConferenceRegistration.distinct('reviewerId', { conferenceId, status: 'BLOCKED' })
+  ]);
+  const excluded = new Set(blocked.map(String));
+  return [...new Set([...registered, ...assigned].map(String))].filter(id => !excluded.has(id));
+}
+
+/**
+ * What the clone wizard can copy from a conference
+ * @param {Object} conference - Source conference (lean)
+ * @returns {Promise<Object>} { tracks, committeeCount, reviewerCount }
+ */
+async function getCloneOptions(conference) {
+  const [tracks, reviewers] = await Promise.all([
+    Track.find({ conferenceId: conference._id }).select('name submissionDeadline').sort({ createdAt: 1 }).lean(),
+    reviewerPool(conference._id)
+  ]);
+
+  return {
+    tracks,
+    committeeCount: (conference.committee || []).length,
+    reviewerCount: reviewers.length
+  };
+}
+
+/**
+ * Create next year's edition of a conference as a draft
+ * Every date (conference, track and submission type deadlines, phase schedule) moves by `dayOffset` days.
+ * @param {Object} source - Source conference (lean)
+ * @param {string} userId - Who is cloning; becomes the new conference's organizer
+ * @param {Object} options
+ * @param {string} options.name - Name of the new edition
+ * @param {number} options.dayOffset - Days to shift every date by
+ * @param {boolean} [options.tracks] - Copy tracks
+ * @param {boolean} [options.committee] - Copy the committee (track chairs need copied tracks)
+ * @param {boolean} [options.settings] - Copy fee, signature, 2FA requirement, retention policy, review mode, submission fields, types and attachment types, camera-ready settings
+ * @param {boolean} [options.phaseSchedule] - Copy the phase schedule
+ * @param {boolean} [options.reinviteReviewers] - Invite last edition's reviewers when the call for papers opens
+ * @returns {Promise<Object>} { conference, tracks, committee, invitedReviewers }
+ */
+async function cloneConference(source, userId, options) {
+  const { name, dayOffset } = options;
+
+  const conference = new Conference({
+    organizerId: userId,
+    clonedFrom: source._id,
+    status: 'draft',
+    name,
+    description: source.description,
+    venue: source.venue,
+    timezone: source.timezone,
+    domains: source.domains || [],
+    startDate: shiftDate(source.startDate, dayOffset),
+    endDate: shiftDate(source.endDate, dayOffset),
+    submissionDeadline: shiftDate(source.submissionDeadline, dayOffset),
+    abstractDeadline: shiftDate(source.abstractDeadline, dayOffset)
+  });
+
+  if (options.settings) {
+    conference.fee = source.fee;
+    conference.generalChairSignaturePath = source.generalChairSignaturePath;
+    conference.requireOrganizerTwoFactor = source.requireOrganizerTwoFactor;
+    conference.retentionPolicy = source.retentionPolicy;
+  }
+
+  if (options.phaseSchedule && source.phaseSchedule) {
+    conference.phaseSchedule = SCHEDULED_PHASES.reduce((acc, phase) => ({
+      ...acc,
+      [phase]: shiftDate(source.phaseSchedule[phase], dayOffset)
+    }), {});
+  }
+
+  // Old track ID -> new track, so track chairs keep their tracks
+  const trackMap = new Map();
+  let tracks = [];
+  if (options.tracks) {
+    const sourceTracks = await Track.find({ conferenceId: source._id }).sort({ createdAt: 1 }).lean();
+    tracks = sourceTracks.map(track => new Track({
+      conferenceId: conference._id,
+      name: track.name,
+      description: track.description,
+      timezone: track.timezone || null,
+      pageLimit: track.pageLimit || null,
+      paperSize: track.paperSize || null,
+      submissionDeadline: shiftDate(track.submissionDeadline, dayOffset)
+    }));
+    sourceTracks.forEach((track, i) => trackMap.set(String(track._id), tracks[i]));
+  }
+
+  const committee = [];
+  if (options.committee) {
+    // Whoever organized the last edition stays on as a general chair
+    const members = [
+      ...(String(source.organizerId) !== String(userId) ? [{ userId: source.organizerId, role: 'general_chair' }] : []),
+      ...(source.committee || [])
+    ];
+
+    for (const member of members) {
+      if (String(member.userId) === String(userId)) continue;
+      const trackIds = (member.trackIds || []).map(id => trackMap.get(String(id))?._id).filter(Boolean);
+      if (member.role === 'track_chair' && trackIds.length === 0) continue;
+      committee.push({ userId: member.userId, role: member.role, trackIds, addedBy: userId });
+    }
+    conference.committee = committee;
+  }
+
+  if (options.settings) {
+    // Fields limited to tracks that were not copied are dropped, like their track chairs
+    conference.submissionFields = (source.submissionFields || []).reduce((fields, field) => {
+      const trackIds = (field.trackIds || []).map(id => trackMap.get(String(id))?._id).filter(Boolean);
+      if (field.trackIds?.length && trackIds.length === 0) return fields;
+      return [...fields, { ...field, trackIds }];
+    }, []);
+    conference.submissionTypes = (source.submissionTypes || []).map(type => ({
+      ...type,
+      submissionDeadline: shiftDate(type.submissionDeadline, dayOffset)
+    }));
+    conference.attachmentTypes = source.attachmentTypes || [];
+    conference.reviewMode = source.reviewMode;
+    if (source.cameraReady) {
+      conference.cameraReady = { ...source.cameraReady, deadline: shiftDate(source.cameraReady.deadline, dayOffset) };
+    }
+  }
+
+  if (options.reinviteReviewers) {
+    conference.pendingReviewerInvites = (await reviewerPool(source._id)).filter(id => id !== String(userId));
+  }
+
+  await conference.save();
+  if (tracks.length) {
+    await Track.insertMany(tracks);
+  }
+
+  return {
+    conference,
+    tracks,
+    committee,
+    invitedReviewers: (conference.pendingReviewerInvites || []).length
+  };
+}
+
+module.exports = {
+  reviewerPool,
+  getCloneOptions,
+  cloneConference
+};
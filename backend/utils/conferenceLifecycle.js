@@ -0,0 +1,239 @@
+const Conference = require('../models/Conference');
+const Track = require('../models/Track');
+const Submission = require('../models/Submission');
+const Assignment = require('../models/Assignment');
+const Registration = require('../models/Registration');
+const ReviewerConferenceRegistration = require('../models/ReviewerConferenceRegistration');
+const User = require('../models/User');
+const { sendEmail, templates } = require('./emailService');
+const { PORTAL_URL } = require('./emailTemplateLayout');
+const { PHASES, PHASE_LABELS, TRANSITIONS, PHASE_ACTIONS, EXTENDED_PHASE_ACTIONS, SCHEDULED_PHASES } = require('../config/conferencePhases');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
+
+// Submissions that still need an accept/reject decision
+const UNDECIDED_STATUSES = [
+  'submitted',
+  'submitted_pending_dup_check',
+  'submitted_dup_ok',
+  'submitted_dup_suspect',
+  'under_review',
+  'revision',
+  'manual_review_required',
+  'abstract_registered'
+];
+
+const CLOSED_MESSAGES = {
+  'submissions:create': 'The call for papers is not open',
+  'submissions:edit': 'Submissions can only be changed while the call for papers is open',
+  'submissions:withdraw': 'Submissions can no longer be withdrawn; please contact the organizers',
+  'submissions:revise': 'Revisions are not accepted at this stage',
+  'papers:upload': 'Full papers are not being accepted at this stage',
+  'camera_ready:upload': 'Camera-ready uploads are not open',
+  'reviewers:register': 'Reviewer registration is closed',
+  'bids:place': 'Bidding is not open',
+  'reviews:submit': 'Reviews are not being accepted',
+  'registrations:create': 'Registration is not open'
+};
+
+const phaseLabel = (phase) => PHASE_LABELS[phase] || phase;
+
+/**
+ * Check that the conference's phase allows an action
+ * @param {Object} conference - Conference document or lean object
+ * @param {string} action - One of PHASE_ACTIONS
+ * @param {Object} [options]
+ * @param {boolean} [options.extended] - The author has a deadline extension (EXTENDED_PHASE_ACTIONS)
+ * @returns {string|null} Error message, or null when allowed
+ */
+function checkPhase(conference, action, { extended = false } = {}) {
+  if ((PHASE_ACTIONS[action] || []).includes(conference.status)) return null;
+  if (extended && (EXTENDED_PHASE_ACTIONS[action] || []).includes(conference.status)) return null;
+  return `${CLOSED_MESSAGES[action] || 'Not allowed at this stage'} (conference is in the ${phaseLabel(conference.status)} phase)`;
+}
+
+/**
+ * Phases a conference can move to next
+ * @param {Object} conference - Conference document or lean object
+ * @returns {Array<{value: string, label: string}>}
+ */
+function nextPhases(conference) {
+  return (TRANSITIONS[conference.status] || []).map(value => ({ value, label: phaseLabel(value) }));
+}
+
+/**
+ * Check whether a conference may move to a phase
+ * @param {Object} conference - Conference document or lean object
+ * @param {string} to - Target phase
+ * @returns {Promise<string|null>} Error message, or null when the transition is allowed
+ */
+async function checkTransition(conference, to) {
+  const from = conference.status;
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    return `A conference cannot move from ${phaseLabel(from)} to ${phaseLabel(to)}`;
+  }
+
+  if (from === 'draft' && to === 'cfp_open') {
+    if (!(await Track.exists({ conferenceId: conference._id }))) {
+      return 'Add at least one track before opening the call for papers';
+    }
+    if (new Date(conference.submissionDeadline) <= new Date()) {
+      return 'Move the submission deadline into the future before opening the call for papers';
+    }
+  }
+
+  if (to === 'draft' && await Submission.exists({ conferenceId: conference._id })) {
+    return 'The conference already has submissions and cannot go back to draft';
+  }
+
+  if (from === 'decisions' && (to === 'camera_ready' || to === 'program_published')) {
+    const undecided = await Submission.countDocuments({ conferenceId: conference._id, status: { $in: UNDECIDED_STATUSES } });
+    if (undecided > 0) {
+      return `${undecided} submission(s) still need a decision`;
+    }
+  }
+
+  if (to === 'archived' && new Date(conference.endDate) > new Date()) {
+    return 'A conference can only be archived after it ends';
+  }
+
+  return null;
+}
+
+/**
+ * Check that the dates in a phase schedule are valid and in phase order
+ * @param {Object} schedule - { phase: date } (empty values are skipped)
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkPhaseSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return 'Invalid phase schedule';
+
+  let previous = null;
+  for (const phase of SCHEDULED_PHASES) {
+    if (!schedule[phase]) continue;
+    const date = new Date(schedule[phase]);
+    if (Number.isNaN(date.getTime())) return `Invalid date for ${phaseLabel(phase)}`;
+    if (previous && date < previous.date) {
+      return `${phaseLabel(phase)} cannot start before ${phaseLabel(previous.phase)}`;
+    }
+    previous = { phase, date };
+  }
+  return null;
+}
+
+/**
+ * Move a conference to a phase unless someone changed the phase in the meantime
+ * @param {Object} conference - Conference as read before the change
+ * @param {string} to - Target phase
+ * @param {Date} [at] - When the phase started (the scheduled date when the scheduler catches up)
+ * @returns {Promise<Object|null>} Updated conference, or null when the phase had already changed
+ */
+async function applyPhase(conference, to, at = new Date()) {
+  return Conference.findOneAndUpdate(
+    { _id: conference._id, status: conference.status },
+    { $set: { status: to, statusChangedAt: at } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Next phase whose date in `phaseSchedule` has come
+ * A date that passed before the current phase started (e.g. the organizer
+ * stepped back a phase afterwards) does not count.
+ * @param {Object} conference - Conference document or lean object
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+function duePhase(conference, now = new Date()) {
+  const current = PHASES.indexOf(conference.status);
+  const enteredAt = new Date(conference.statusChangedAt || 0);
+
+  return (TRANSITIONS[conference.status] || [])
+    .filter(phase => PHASES.indexOf(phase) > current)
+    .find(phase => {
+      const at = conference.phaseSchedule?.[phase];
+      return at && new Date(at) <= now && new Date(at) > enteredAt;
+    }) || null;
+}
+
+// Who besides the committee hears about each phase, and what they are told
+const PHASE_AUDIENCES = {
+  cfp_open: async ({ pendingReviewerInvites }) => ({
+    userIds: pendingReviewerInvites || [],
+    note: 'You reviewed for the previous edition. We would be glad to have you again: register as a reviewer from your reviewer dashboard.',
+    path: '/reviewer/dashboard'
+  }),
+  bidding: async ({ _id: conferenceId }) => ({
+    userIds: await ReviewerConferenceRegistration.distinct('reviewerId', { conferenceId, active: true }),
+    note: 'Bidding is open. Bid on the papers you would like to review.',
+    path: '/reviewer/dashboard'
+  }),
+  reviewing: async ({ _id: conferenceId }) => ({
+    userIds: await Assignment.distinct('reviewerId', { conferenceId, status: 'ACTIVE' }),
+    note: 'Reviewing has started. Your assigned papers are waiting for your review.',
+    path: '/reviewer/dashboard'
+  }),
+  rebuttal: async ({ _id: conferenceId }) => ({
+    userIds: await Submission.distinct('authorId', { conferenceId, status: { $in: UNDECIDED_STATUSES } }),
+    note: 'The rebuttal period has started. Check your submissions for reviewer feedback and revision requests.',
+    path: '/author/dashboard'
+  }),
+  camera_ready: async ({ _id: conferenceId }) => ({
+    userIds: await Submission.distinct('authorId', { conferenceId, status: 'accepted' }),
+    note: 'Camera-ready submission is open. Upload the final version of your accepted paper, sign the license agreement and confirm the author list.',
+    path: '/author/submissions'
+  }),
+  program_published: async ({ _id: conferenceId }) => ({
+    userIds: [
+      ...await Submission.distinct('authorId', { conferenceId, status: 'accepted' }),
+      ...await Registration.distinct('participantId', { conferenceId })
+    ],
+    note: 'The conference program has been published.',
+    path: '/'
+  })
+};
+
+/**
+ * Email the committee and the people a new phase concerns
+ * @param {Object} conference - Conference (lean) after the change
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function notifyPhaseChange(conference) {
+  const label = phaseLabel(conference.status);
+  const committeeIds = [conference.organizerId, ...(conference.committee || []).map(m => m.userId)].map(String);
+  const audience = PHASE_AUDIENCES[conference.status] ? await PHASE_AUDIENCES[conference.status](conference) : null;
+
+  const recipients = new Map(committeeIds.map(id => [id, {
+    note: 'Manage the conference from your organizer dashboard.',
+    url: `${FRONTEND_URL}/organizer/manage-conference/${conference._id}`
+  }]));
+  (audience?.userIds || []).map(String).forEach(id => {
+    if (!recipients.has(id)) recipients.set(id, { note: audience.note, url: `${FRONTEND_URL}${audience.path}` });
+  });
+
+  const users = await User.find({ _id: { $in: [...recipients.keys()] }, deletedAt: null }).select('name email').lean();
+  users.forEach(user => {
+    const { note, url } = recipients.get(String(user._id));
+    sendEmail(user.email, templates.conferencePhaseChanged(user, conference, label, note, url))
+      .catch(err => console.error('Email error:', err));
+  });
+
+  // Reviewer invitations from a cloned conference go out once
+  if (conference.status === 'cfp_open' && conference.pendingReviewerInvites?.length) {
+    await Conference.updateOne({ _id: conference._id }, { $set: { pendingReviewerInvites: [] } });
+  }
+
+  return users.length;
+}
+
+module.exports = {
+  UNDECIDED_STATUSES,
+  phaseLabel,
+  checkPhase,
+  nextPhases,
+  checkTransition,
+  checkPhaseSchedule,
+  applyPhase,
+  duePhase,
+  notifyPhaseChange
+};
@@ -0,0 +1,55 @@
+const DeadlineExtension = require('../models/DeadlineExtension');
+
+/**
+ * Latest active extension covering an author's submission or revision
+ * @param {Object} target
+ * @param {string} target.conferenceId
+ * @param {string} [target.trackId] - Track being submitted to
+ * @param {string} [target.submissionId] - Submission being revised
+ * @param {string} [target.userId] - Author
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The extension that runs longest, or null
+ */
+async function activeExtension({ conferenceId, trackId, submissionId, userId }, now = new Date()) {
+  const targets = [
+    trackId && { scope: 'track', trackId },
+    submissionId && { scope: 'submission', submissionId },
+    userId && { scope: 'user', userId }
+  ].filter(Boolean);
+  if (!targets.length) return null;
+
+  return DeadlineExtension.findOne({ conferenceId, expiresAt: { $gt: now }, $or: targets })
+    .sort({ expiresAt: -1 })
+    .lean();
+}
+
+/**
+ * Active extensions that apply to an author: granted to them, to one of
+ * their submissions, or to a track they submitted to
+ * @param {string} userId
+ * @param {Array<Object>} submissions - The author's submissions ({ _id, trackId })
+ * @returns {Promise<Array<Object>>}
+ */
+async function extensionsForAuthor(userId, submissions) {
+  const trackIds = submissions.map(s => s.trackId?._id || s.trackId).filter(Boolean);
+
+  return DeadlineExtension.find({
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { scope: 'user', userId },
+      { scope: 'submission', submissionId: { $in: submissions.map(s => s._id) } },
+      { scope: 'track', trackId: { $in: trackIds } }
+    ]
+  })
+    .populate('conferenceId', 'name timezone')
+    .populate('trackId', 'name')
+    .populate('submissionId', 'title')
+    .select('-grantedBy')
+    .sort({ expiresAt: 1 })
+    .lean();
+}
+
+module.exports = {
+  activeExtension,
+  extensionsForAuthor
+};
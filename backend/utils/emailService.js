@@ -7,6 +7,7 @@ const {
   orderedList,
   PORTAL_URL,
 } = require('./emailTemplateLayout');
+const { formatInZone, timezoneFor } = require('./timezone');
 
 // Create Brevo client
 const createBrevoClient = () => {
@@ -48,7 +49,7 @@ const templates = {
           ['Paper ID', `#${paper._id}`],
           ['Title', paper.title],
           ['Track', paper.trackId?.name || 'N/A'],
-          ['Submitted', new Date(paper.createdAt).toLocaleString()],
+          ['Submitted', formatInZone(paper.createdAt, conference.timezone)],
         ]) +
         bodyText('<strong>What happens next?</strong>') +
         orderedList([
@@ -57,7 +58,7 @@ const templates = {
           'You can track the real-time status of your paper and manage co-author details through our portal.',
         ]),
     }),
-    text: `Dear ${author.name},\n\nThank you for choosing eConfMate. Your manuscript "${paper.title}" has been successfully received for ${conference.name}.\n\nPaper ID: #${paper._id}\nTrack: ${paper.trackId?.name || 'N/A'}\nSubmitted: ${new Date(paper.createdAt).toLocaleString()}\n\nYou can track the status of your paper at ${PORTAL_URL}.`
+    text: `Dear ${author.name},\n\nThank you for choosing eConfMate. Your manuscript "${paper.title}" has been successfully received for ${conference.name}.\n\nPaper ID: #${paper._id}\nTrack: ${paper.trackId?.name || 'N/A'}\nSubmitted: ${formatInZone(paper.createdAt, conference.timezone)}\n\nYou can track the status of your paper at ${PORTAL_URL}.`
   }),
 
   // 2. New Submission Alert to Organizer
@@ -75,7 +76,7 @@ const templates = {
           ['Title', paper.title],
           ['Primary Author', `${author.name} (${author.email})`],
           ['Track', paper.trackId?.name || 'N/A'],
-          ['Submitted', new Date(paper.createdAt).toLocaleString()],
+          ['Submitted', formatInZone(paper.createdAt, conference.timezone)],
         ]) +
         bodyText('Please log in to the eConfMate dashboard to perform the initial screening and begin the reviewer assignment process.'),
     }),
@@ -117,11 +118,11 @@ const templates = {
           ['Paper ID', `#${paper._id}`],
           ['Title', paper.title],
           ['Track', paper.trackId?.name || 'N/A'],
-          ['Review Deadline', conference.reviewDeadline ? new Date(conference.reviewDeadline).toLocaleDateString() : 'TBD'],
+          ['Review Deadline', formatInZone(conference.reviewDeadline, conference.timezone)],
         ]) +
         bodyText('Your contribution is essential to maintaining the high academic standards of this conference. If you are unable to review this paper, please let us know as soon as possible so we may reassign it.'),
     }),
-    text: `Dear ${reviewer.name},\n\nYou have been invited to review a manuscript for ${conference.name}.\n\nPaper ID: #${paper._id}\nTitle: ${paper.title}\nDeadline: ${conference.reviewDeadline ? new Date(conference.reviewDeadline).toLocaleDateString() : 'TBD'}\n\nPlease log in to accept or decline.`
+    text: `Dear ${reviewer.name},\n\nYou have been invited to review a manuscript for ${conference.name}.\n\nPaper ID: #${paper._id}\nTitle: ${paper.title}\nDeadline: ${formatInZone(conference.reviewDeadline, conference.timezone)}\n\nPlease log in to accept or decline.`
   }),
 
   // 5. Revision Requested
@@ -212,12 +213,13 @@ const templates = {
   }),
 
   // 9. Paper Accepted
-  paperAccepted: (author, paper, conference) => ({
+  paperAccepted: (author, paper, conference, cameraReadyUrl) => ({
     subject: `CONGRATULATIONS: Your Paper has been Accepted for ${conference.name}`,
     html: buildEmailLayout({
       title: 'Paper Accepted',
       icon: 'award',
-      buttonText: 'View Next Steps',
+      buttonText: 'Submit Camera-Ready Version',
+      buttonUrl: cameraReadyUrl,
       body:
         bodyText(`Dear ${author.name},`) +
         bodyText(`On behalf of the Program Committee, we are delighted to inform you that your paper, <strong>&ldquo;${paper.title}&rdquo;</strong>, has been <strong>ACCEPTED</strong> for presentation at <strong>${conference.name}</strong>.`) +
@@ -225,17 +227,18 @@ const templates = {
           ['Paper ID', `#${paper._id}`],
           ['Title', paper.title],
           ['Conference', conference.name],
-          ['Conference Date', conference.startDate ? new Date(conference.startDate).toLocaleDateString() : 'TBD'],
+          ['Conference Date', formatInZone(conference.startDate, conference.timezone, { time: false })],
         ]) +
-        bodyText('The reviewers found your work to be a significant contribution to the field. Please log in to the portal to download your formal Acceptance Letter and view the final instructions regarding:') +
+        bodyText('The reviewers found your work to be a significant contribution to the field. Please complete the camera-ready stage on the portal:') +
         orderedList([
-          'Final Camera-Ready manuscript submission.',
-          'Copyright transfer requirements.',
-          'Registration and presentation scheduling.',
+          'Upload the final Camera-Ready manuscript and its source archive.',
+          'Sign the copyright or license agreement.',
+          'Confirm the final author list.',
         ]) +
+        bodyText('Registration and presentation scheduling will follow.') +
         bodyText('Congratulations on this achievement! We look forward to seeing your work presented.'),
     }),
-    text: `Dear ${author.name},\n\nCongratulations! Your paper "${paper.title}" has been ACCEPTED for presentation at ${conference.name}.\n\nPlease prepare your camera-ready version and register for the conference.\n\nVisit ${PORTAL_URL} for next steps.`
+    text: `Dear ${author.name},\n\nCongratulations! Your paper "${paper.title}" has been ACCEPTED for presentation at ${conference.name}.\n\nPlease submit your camera-ready version: upload the final paper and its source archive, sign the copyright or license agreement and confirm the author list.\n\n${cameraReadyUrl || PORTAL_URL}`
   }),
 
   // 10. Paper Rejected
@@ -286,7 +289,7 @@ const templates = {
       buttonText: 'Manage Conference',
       body:
         bodyText(`Hello Organizer,`) +
-        bodyText(`Here is your weekly activity summary for <strong>${conference.name}</strong> (Week ending ${new Date().toLocaleDateString()}).`) +
+        bodyText(`Here is your weekly activity summary for <strong>${conference.name}</strong> (Week ending ${formatInZone(new Date(), conference.timezone, { time: false })}).`) +
         metadataBox([
           ['Total Submissions', stats.totalSubmissions || 0],
           ['Pending Reviews', stats.pendingReviews || 0],
@@ -321,7 +324,7 @@ const templates = {
           ['Duplication Status', (paper.duplicationCheck?.status || 'unknown').replace(/_/g, ' ').toUpperCase()],
           ['Similarity Score', `${paper.duplicationCheck?.similarityScore ?? 'N/A'}%`],
           ...(paper.duplicationCheck?.matchedPaperId ? [['Matched Reference', paper.duplicationCheck.matchedPaperId]] : []),
-          ['Decision Date', new Date().toLocaleString()],
+          ['Decision Date', formatInZone(new Date(), conference.timezone)],
         ]) +
         (paper.duplicationCheck?.message
           ? feedbackBlock(`<strong>Analysis Details:</strong> ${paper.duplicationCheck.message}`)
@@ -329,6 +332,345 @@ const templates = {
         bodyText('If you believe this is in error, please contact the conference organizer directly to discuss an appeal.'),
     }),
     text: `Dear ${author.name},\n\nYour paper "${paper.title}" was rejected due to duplication detection at ${conference.name}.\n\nSimilarity Score: ${paper.duplicationCheck?.similarityScore ?? 'N/A'}%\nStatus: ${(paper.duplicationCheck?.status || 'unknown').replace(/_/g, ' ')}\n\nIf you believe this is an error, please contact the conference organizer.`
+  }),
+
+  // 14. Email Address Verification
+  emailVerification: (user, verifyUrl, expiresInHours) => ({
+    subject: '[eConfMate] Please verify your email address',
+    html: buildEmailLayout({
+      title: 'Verify Your Email',
+      icon: 'check',
+      buttonText: 'Verify Email Address',
+      buttonUrl: verifyUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText('Welcome to <strong>eConfMate</strong>. Please confirm that this is your email address so we can send you submission confirmations, review notifications and certificates.') +
+        metadataBox([
+          ['Email', user.email],
+          ['Link Valid For', `${expiresInHours} hours`],
+        ]) +
+        bodyText('Until your address is verified you will not be able to submit papers or bid on papers. If you did not create an account, you can ignore this email.'),
+    }),
+    text: `Dear ${user.name},\n\nPlease verify your email address for eConfMate by opening this link:\n${verifyUrl}\n\nThe link is valid for ${expiresInHours} hours. Until your address is verified you will not be able to submit papers or bid on papers.\n\nIf you did not create an account, you can ignore this email.`
+  }),
+
+  // 15. Password Reset
+  passwordReset: (user, resetUrl, expiresInMinutes) => ({
+    subject: '[eConfMate] Reset your password',
+    html: buildEmailLayout({
+      title: 'Password Reset Request',
+      icon: 'info',
+      buttonText: 'Reset Password',
+      buttonUrl: resetUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText('We received a request to reset the password for your <strong>eConfMate</strong> account. Use the button below to choose a new password.') +
+        metadataBox([
+          ['Email', user.email],
+          ['Link Valid For', `${expiresInMinutes} minutes`],
+          ['Requested', new Date().toLocaleString()],
+        ]) +
+        bodyText('The link can only be used once. Resetting your password signs you out of all devices and revokes your personal API tokens. If you did not request a reset, you can ignore this email &mdash; your password will not change.'),
+    }),
+    text: `Dear ${user.name},\n\nWe received a request to reset your eConfMate password. Open this link to choose a new password:\n${resetUrl}\n\nThe link is valid for ${expiresInMinutes} minutes and can only be used once. Resetting your password signs you out of all devices and revokes your personal API tokens. If you did not request a reset, you can ignore this email.`
+  }),
+
+  // 16. Account Locked After Failed Sign-ins
+  accountLocked: (user, resetUrl, lockMinutes, ipAddress) => ({
+    subject: '[eConfMate] Your account was temporarily locked',
+    html: buildEmailLayout({
+      title: 'Account Temporarily Locked',
+      icon: 'alertTriangle',
+      buttonText: 'Reset Password',
+      buttonUrl: resetUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText('We noticed several failed sign-in attempts on your <strong>eConfMate</strong> account, so password sign-in has been locked for a short time.') +
+        metadataBox([
+          ['Email', user.email],
+          ['Locked For', `${lockMinutes} minutes`],
+          ['Last Attempt From', ipAddress || 'Unknown'],
+          ['Time', new Date().toLocaleString()],
+        ]) +
+        bodyText('If this was you, wait until the lock expires or reset your password. If it was not you, we recommend resetting your password and enabling two-factor authentication. A conference organizer can also unlock your account.'),
+    }),
+    text: `Dear ${user.name},\n\nWe noticed several failed sign-in attempts on your eConfMate account (last from ${ipAddress || 'an unknown address'}), so password sign-in has been locked for ${lockMinutes} minutes.\n\nIf this was not you, reset your password here:\n${resetUrl}\n\nWe also recommend enabling two-factor authentication.`
+  }),
+
+  // 17. Duplicate Accounts Merged
+  accountsMerged: (user, mergedEmail, keptEmail, organizerName) => ({
+    subject: '[eConfMate] Your accounts were merged',
+    html: buildEmailLayout({
+      title: 'Accounts Merged',
+      icon: 'info',
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText('As you confirmed, a conference organizer merged two <strong>eConfMate</strong> accounts. Your submissions, reviews, bids, registrations and certificates are now all on one account.') +
+        metadataBox([
+          ['Merged Account', mergedEmail],
+          ['Remaining Account', keptEmail],
+          ['Merged By', organizerName || 'Conference organizer'],
+          ['Date', new Date().toLocaleString()],
+        ]) +
+        bodyText(`From now on, sign in as <strong>${keptEmail}</strong>. The password, ORCID and Google sign-in of the merged account were not carried over; link them again from your profile if you want to use them. If you did not ask for this, please contact the organizer immediately.`),
+    }),
+    text: `Dear ${user.name},\n\nA conference organizer (${organizerName || 'organizer'}) merged your eConfMate account ${mergedEmail} into ${keptEmail}. Your submissions, reviews, bids, registrations and certificates are now on ${keptEmail}; please sign in with that account from now on.\n\nIf you did not ask for this, please contact the organizer immediately.`
+  }),
+
+  // 18. Conference Suspended by Platform Admin
+  conferenceSuspended: (organizer, conference, reason) => ({
+    subject: `[eConfMate] ${conference.name} has been suspended`,
+    html: buildEmailLayout({
+      title: 'Conference Suspended',
+      icon: 'alertTriangle',
+      body:
+        bodyText(`Dear ${organizer.name},`) +
+        bodyText(`Your conference <strong>${conference.name}</strong> has been suspended by an eConfMate administrator. It is hidden from authors, reviewers and participants until it is reinstated.`) +
+        metadataBox([
+          ['Conference', conference.name],
+          ['Suspended', formatInZone(new Date(), conference.timezone)],
+        ]) +
+        (reason ? feedbackBlock(`<strong>Reason:</strong> ${reason}`) : '') +
+        bodyText('You can still open the conference from your organizer dashboard. If you believe this is a mistake, please reply to this email.'),
+    }),
+    text: `Dear ${organizer.name},\n\nYour conference "${conference.name}" has been suspended by an eConfMate administrator and is hidden from authors, reviewers and participants until it is reinstated.${reason ? `\n\nReason: ${reason}` : ''}\n\nIf you believe this is a mistake, please reply to this email.`
+  }),
+
+  // 19. Added to a Conference Committee
+  committeeMemberAdded: (member, conference, roleLabel, trackNames, addedByName, dashboardUrl) => ({
+    subject: `[eConfMate] You are now ${roleLabel} for ${conference.name}`,
+    html: buildEmailLayout({
+      title: 'Conference Committee',
+      icon: 'info',
+      buttonText: 'Open Organizer Dashboard',
+      buttonUrl: dashboardUrl,
+      body:
+        bodyText(`Dear ${member.name},`) +
+        bodyText(`${addedByName || 'A conference organizer'} has added you to the organizing committee of <strong>${conference.name}</strong>.`) +
+        metadataBox([
+          ['Conference', conference.name],
+          ['Role', roleLabel],
+          ...(trackNames && trackNames.length ? [['Tracks', trackNames.join(', ')]] : []),
+        ]) +
+        bodyText('Switch to the organizer role from the user menu to find the conference on your dashboard.'),
+    }),
+    text: `Dear ${member.name},\n\n${addedByName || 'A conference organizer'} has added you to the organizing committee of "${conference.name}" as ${roleLabel}${trackNames && trackNames.length ? ` (tracks: ${trackNames.join(', ')})` : ''}.\n\nSwitch to the organizer role to find the conference on your dashboard:\n${dashboardUrl}`
+  }),
+
+  // 20. Account Deletion Scheduled
+  accountDeletionScheduled: (user, scheduledFor, profileUrl) => ({
+    subject: '[eConfMate] Your account is scheduled for deletion',
+    html: buildEmailLayout({
+      title: 'Account Deletion Scheduled',
+      icon: 'alertTriangle',
+      buttonText: 'Cancel Deletion',
+      buttonUrl: profileUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText('We received a request to delete your <strong>eConfMate</strong> account and the personal data linked to it.') +
+        metadataBox([
+          ['Email', user.email],
+          ['Deletion Date', new Date(scheduledFor).toLocaleString()],
+        ]) +
+        bodyText('Until then you can sign in and cancel the deletion from your profile. Download your data first if you want a copy. Accepted papers and anonymized reviews may be kept according to each conference\'s retention policy.') +
+        bodyText('If you did not ask for this, cancel the deletion and change your password straight away.'),
+    }),
+    text: `Dear ${user.name},\n\nYour eConfMate account (${user.email}) is scheduled for deletion on ${new Date(scheduledFor).toLocaleString()}.\n\nUntil then you can sign in and cancel the deletion from your profile:\n${profileUrl}\n\nIf you did not ask for this, cancel the deletion and change your password straight away.`
+  }),
+
+  // 21. Account Deleted
+  accountDeleted: (user) => ({
+    subject: '[eConfMate] Your account has been deleted',
+    html: buildEmailLayout({
+      title: 'Account Deleted',
+      icon: 'info',
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText('Your <strong>eConfMate</strong> account has been deleted as you requested. Your profile, sign-in methods, bids, certificates and unpublished submissions have been removed.') +
+        bodyText('Where a conference\'s retention policy requires it, accepted papers keep their bibliographic record and reviews are kept without your name. This is the last email you will receive from us.'),
+    }),
+    text: `Dear ${user.name},\n\nYour eConfMate account has been deleted as you requested. Your profile, sign-in methods, bids, certificates and unpublished submissions have been removed.\n\nWhere a conference's retention policy requires it, accepted papers keep their bibliographic record and reviews are kept without your name. This is the last email you will receive from us.`
+  }),
+
+  // 22. Track Submissions Closed
+  trackClosed: (user, conference, track, submissionCount, manageUrl) => ({
+    subject: `[eConfMate] Submissions closed: ${track.name} (${conference.name})`,
+    html: buildEmailLayout({
+      title: 'Submissions Closed',
+      icon: 'clock',
+      buttonText: 'Manage Conference',
+      buttonUrl: manageUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText(`The submission deadline for the <strong>${track.name}</strong> track of <strong>${conference.name}</strong> has passed and the track no longer accepts papers.`) +
+        metadataBox([
+          ['Conference', conference.name],
+          ['Track', track.name],
+          ['Deadline', formatInZone(track.submissionDeadline || conference.submissionDeadline, timezoneFor(conference, track))],
+          ['Submissions', String(submissionCount)],
+        ]),
+    }),
+    text: `Dear ${user.name},\n\nThe submission deadline for the "${track.name}" track of "${conference.name}" has passed and the track no longer accepts papers. It received ${submissionCount} submission(s).\n\nManage the conference:\n${manageUrl}`
+  }),
+
+  // 23. Conference Phase Changed
+  conferencePhaseChanged: (user, conference, phaseLabel, note, url) => ({
+    subject: `[eConfMate] ${conference.name} is now in ${phaseLabel}`,
+    html: buildEmailLayout({
+      title: phaseLabel,
+      icon: 'bell',
+      buttonText: 'Open eConfMate',
+      buttonUrl: url,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText(`<strong>${conference.name}</strong> has moved to the <strong>${phaseLabel}</strong> phase.`) +
+        (note ? bodyText(note) : ''),
+    }),
+    text: `Dear ${user.name},\n\n"${conference.name}" has moved to the ${phaseLabel} phase.${note ? `\n\n${note}` : ''}\n\n${url}`
+  }),
+
+  // 24. Deadline Extended
+  deadlineExtended: (user, conference, target, expiresAt, reason, dashboardUrl) => ({
+    subject: `[eConfMate] Deadline extended: ${conference.name}`,
+    html: buildEmailLayout({
+      title: 'Deadline Extended',
+      icon: 'clock',
+      buttonText: 'Go to Dashboard',
+      buttonUrl: dashboardUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText(`The organizers of <strong>${conference.name}</strong> have extended your deadline for ${target}.`) +
+        metadataBox([
+          ['Conference', conference.name],
+          ['New Deadline', formatInZone(expiresAt, conference.timezone)],
+          ['Reason', reason],
+        ]),
+    }),
+    text: `Dear ${user.name},\n\nThe organizers of "${conference.name}" have extended your deadline for ${target}.\n\nNew deadline: ${formatInZone(expiresAt, conference.timezone)}\nReason: ${reason}\n\n${dashboardUrl}`
+  }),
+
+  // 25. Abstract Registered (two-stage submission)
+  abstractRegistered: (author, paper, conference, paperDeadline) => ({
+    subject: `[eConfMate] Abstract registered: ${paper.title}`,
+    html: buildEmailLayout({
+      title: 'Abstract Registered',
+      icon: 'upload',
+      buttonText: 'Upload Your Paper',
+      body:
+        bodyText(`Dear ${author.name},`) +
+        bodyText(`Your abstract <strong>&ldquo;${paper.title}&rdquo;</strong> is registered for <strong>${conference.name}</strong>. The submission is not complete until you upload the full paper.`) +
+        metadataBox([
+          ['Paper ID', `#${paper._id}`],
+          ['Title', paper.title],
+          ['Track', paper.trackId?.name || 'N/A'],
+          ['Paper Deadline', formatInZone(paperDeadline, conference.timezone)],
+        ]) +
+        bodyText('Registrations without a paper are withdrawn automatically once the paper deadline passes.'),
+    }),
+    text: `Dear ${author.name},\n\nYour abstract "${paper.title}" is registered for ${conference.name}. Upload the full paper by ${formatInZone(paperDeadline, conference.timezone)}; registrations without a paper are withdrawn automatically after that.\n\nPaper ID: #${paper._id}\nTrack: ${paper.trackId?.name || 'N/A'}\n\n${PORTAL_URL}`
+  }),
+
+  // 26. Registration Withdrawn (no paper by the deadline)
+  registrationWithdrawn: (author, paper, conference, paperDeadline, submissionsUrl) => ({
+    subject: `[eConfMate] Submission withdrawn: ${paper.title}`,
+    html: buildEmailLayout({
+      title: 'Submission Withdrawn',
+      icon: 'alert',
+      buttonText: 'View Your Submissions',
+      buttonUrl: submissionsUrl,
+      body:
+        bodyText(`Dear ${author.name},`) +
+        bodyText(`Your registered abstract <strong>&ldquo;${paper.title}&rdquo;</strong> for <strong>${conference.name}</strong> has been withdrawn because the full paper was not uploaded before the deadline.`) +
+        metadataBox([
+          ['Paper ID', `#${paper._id}`],
+          ['Paper Deadline', formatInZone(paperDeadline, conference.timezone)],
+        ]) +
+        bodyText('If you believe this is a mistake, please contact the conference organizers.'),
+    }),
+    text: `Dear ${author.name},\n\nYour registered abstract "${paper.title}" for ${conference.name} has been withdrawn because the full paper was not uploaded before the deadline (${formatInZone(paperDeadline, conference.timezone)}).\n\nIf you believe this is a mistake, please contact the conference organizers.\n\n${submissionsUrl}`
+  }),
+
+  // 27. Camera-Ready Reminder (items still missing before the deadline)
+  cameraReadyReminder: (author, paper, conference, missing, deadline, cameraReadyUrl) => ({
+    subject: `[eConfMate] Camera-ready version due: ${paper.title}`,
+    html: buildEmailLayout({
+      title: 'Camera-Ready Reminder',
+      icon: 'clock',
+      buttonText: 'Complete Camera-Ready',
+      buttonUrl: cameraReadyUrl,
+      body:
+        bodyText(`Dear ${author.name},`) +
+        bodyText(`The camera-ready version of your accepted paper <strong>&ldquo;${paper.title}&rdquo;</strong> for <strong>${conference.name}</strong> is not complete yet. Still missing:`) +
+        orderedList(missing) +
+        metadataBox([
+          ['Paper ID', `#${paper._id}`],
+          ['Deadline', deadline ? formatInZone(deadline, conference.timezone) : 'See the conference page'],
+        ]) +
+        bodyText('Papers without a complete camera-ready version may be left out of the proceedings.'),
+    }),
+    text: `Dear ${author.name},\n\nThe camera-ready version of "${paper.title}" for ${conference.name} is not complete yet. Still missing: ${missing.join(', ')}.${deadline ? `\n\nDeadline: ${formatInZone(deadline, conference.timezone)}` : ''}\n\n${cameraReadyUrl}`
+  }),
+
+  // 28. Submission Withdrawn (to reviewers whose assignment was cancelled)
+  submissionWithdrawn: (reviewer, paper, conference, assignmentsUrl) => ({
+    subject: `[eConfMate] Review no longer needed: ${paper.title}`,
+    html: buildEmailLayout({
+      title: 'Submission Withdrawn',
+      icon: 'info',
+      buttonText: 'View Your Assignments',
+      buttonUrl: assignmentsUrl,
+      body:
+        bodyText(`Dear ${reviewer.name},`) +
+        bodyText(`The authors of <strong>&ldquo;${paper.title}&rdquo;</strong> have withdrawn it from <strong>${conference.name}</strong>. Your review assignment for this paper has been cancelled and no review is needed.`) +
+        metadataBox([
+          ['Paper ID', `#${paper._id}`],
+          ['Track', paper.trackId?.name || 'N/A'],
+        ]) +
+        bodyText('Thank you for the time you have already given to this paper.'),
+    }),
+    text: `Dear ${reviewer.name},\n\nThe authors of "${paper.title}" have withdrawn it from ${conference.name}. Your review assignment for this paper has been cancelled and no review is needed.\n\n${assignmentsUrl}`
+  }),
+
+  coAuthorInvitation: (coAuthor, paper, conference, inviter, invitationUrl) => ({
+    subject: `[eConfMate] Please confirm your authorship: ${paper.title}`,
+    html: buildEmailLayout({
+      title: 'Confirm Your Authorship',
+      icon: 'info',
+      buttonText: 'Confirm or Decline',
+      buttonUrl: invitationUrl,
+      body:
+        bodyText(`Dear ${coAuthor.name},`) +
+        bodyText(`<strong>${inviter.name}</strong> listed you as a co-author of <strong>&ldquo;${paper.title}&rdquo;</strong>, submitted to <strong>${conference.name}</strong>. Please confirm that you are an author of this paper, or decline if you are not.`) +
+        metadataBox([
+          ['Paper ID', `#${paper._id}`],
+          ['Track', paper.trackId?.name || 'N/A'],
+          ['Submitted by', inviter.name],
+        ]) +
+        bodyText('When you confirm, you can also declare conflicts of interest so the paper is not assigned to reviewers you work with. Once you confirm, the paper, its reviews and its decision appear under My Submissions in any eConfMate account you have or create with this email address.'),
+    }),
+    text: `Dear ${coAuthor.name},\n\n${inviter.name} listed you as a co-author of "${paper.title}", submitted to ${conference.name}. Please confirm or decline your authorship and declare any conflicts of interest:\n\n${invitationUrl}`
+  }),
+
+  // 30. Account Merge Confirmation (to the owner of the account that would go away)
+  accountMergeConfirmation: (user, keptEmail, organizerName, confirmUrl, expiresInHours) => ({
+    subject: '[eConfMate] Confirm merging your accounts',
+    html: buildEmailLayout({
+      title: 'Confirm Account Merge',
+      icon: 'alertTriangle',
+      buttonText: 'Review and Confirm',
+      buttonUrl: confirmUrl,
+      body:
+        bodyText(`Dear ${user.name},`) +
+        bodyText(`A conference organizer asked to merge your <strong>eConfMate</strong> account <strong>${user.email}</strong> into the account <strong>${keptEmail}</strong>. Nothing changes unless you confirm.`) +
+        metadataBox([
+          ['Account Merged Away', user.email],
+          ['Remaining Account', keptEmail],
+          ['Requested By', organizerName || 'Conference organizer'],
+          ['Link Valid For', `${expiresInHours} hours`],
+        ]) +
+        bodyText(`If you confirm, your submissions, reviews, bids, registrations and certificates move to ${keptEmail} and this account is deleted, including its password and ORCID or Google sign-in. To confirm, open the link while signed in as ${keptEmail}; only the owner of both accounts can merge them. If you did not ask for this, decline or ignore this email.`),
+    }),
+    text: `Dear ${user.name},\n\nA conference organizer (${organizerName || 'organizer'}) asked to merge your eConfMate account ${user.email} into ${keptEmail}. If you confirm, everything on this account moves to ${keptEmail} and this account is deleted. To confirm, open this link while signed in as ${keptEmail}:\n\n${confirmUrl}\n\nThe link is valid for ${expiresInHours} hours and can only be used once. If you did not ask for this, ignore this email; nothing changes.`
   })
 };
 
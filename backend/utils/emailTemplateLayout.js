@@ -40,7 +40,7 @@ const icons = {
  * @param {string} opts.icon        - Key from `icons` map (e.g. 'document')
  * @param {string} opts.body        - Inner HTML body content
  * @param {string} [opts.buttonText]  - CTA button label
- * @param {string} [opts.buttonUrl]   - CTA button URL
+ * @param {string} [opts.buttonUrl]   - CTA button URL (defaults to the portal)
  * @returns {string} Complete HTML email
  */
 function buildEmailLayout({ title, icon, body, buttonText, buttonUrl }) {
@@ -49,7 +49,7 @@ function buildEmailLayout({ title, icon, body, buttonText, buttonUrl }) {
     ? `<table role="presentation" cellpadding="0" cellspacing="0" border="0" style="margin:32px auto 0;">
         <tr>
           <td align="center" style="border-radius:6px;background:#0F172A;">
-            <a href="https://${PORTAL_URL}" target="_blank" style="display:inline-block;padding:12px 32px;font-family:Inter,Roboto,'Segoe UI',sans-serif;font-size:14px;font-weight:700;color:#ffffff;text-decoration:none;text-transform:uppercase;letter-spacing:0.5px;">${buttonText}</a>
+            <a href="${buttonUrl || `https://${PORTAL_URL}`}" target="_blank" style="display:inline-block;padding:12px 32px;font-family:Inter,Roboto,'Segoe UI',sans-serif;font-size:14px;font-weight:700;color:#ffffff;text-decoration:none;text-transform:uppercase;letter-spacing:0.5px;">${buttonText}</a>
           </td>
         </tr>
       </table>`
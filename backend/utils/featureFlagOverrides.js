@@ -0,0 +1,86 @@
+const featureFlags = require('../config/featureFlags');
+const FeatureFlagOverride = require('../models/FeatureFlagOverride');
+
+// Values from the environment, captured before any override is applied
+const ENV_DEFAULTS = { ...featureFlags };
+
+// Other instances pick up admin changes within this interval
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Apply stored overrides to the shared featureFlags object.
+ * Routes read flags as `featureFlags.X` at request time, so changes take
+ * effect without a restart.
+ */
+async function syncFeatureFlagOverrides() {
+  const overrides = await FeatureFlagOverride.find().lean();
+  const byName = new Map(overrides.map(o => [o.name, o.enabled]));
+
+  for (const name of Object.keys(ENV_DEFAULTS)) {
+    featureFlags[name] = byName.has(name) ? byName.get(name) : ENV_DEFAULTS[name];
+  }
+}
+
+/**
+ * Load overrides now and keep them in sync
+ */
+function initializeFeatureFlagOverrides() {
+  const sync = () => syncFeatureFlagOverrides()
+    .catch(err => console.error('Feature flag sync error:', err.message));
+
+  sync();
+  setInterval(sync, SYNC_INTERVAL_MS).unref();
+}
+
+/**
+ * List every flag with its environment default, override and effective value
+ * @returns {Promise<Array<{name: string, envValue: boolean, override: boolean|null, enabled: boolean, updatedAt?: Date}>>}
+ */
+async function listFeatureFlags() {
+  const overrides = await FeatureFlagOverride.find().populate('updatedBy', 'name email').lean();
+  const byName = new Map(overrides.map(o => [o.name, o]));
+
+  return Object.keys(ENV_DEFAULTS).map(name => {
+    const override = byName.get(name);
+    return {
+      name,
+      envValue: ENV_DEFAULTS[name],
+      override: override ? override.enabled : null,
+      enabled: override ? override.enabled : ENV_DEFAULTS[name],
+      updatedAt: override?.updatedAt,
+      updatedBy: override?.updatedBy
+    };
+  });
+}
+
+/**
+ * Set or clear an override
+ * @param {string} name - Flag name
+ * @param {boolean|null} enabled - New value, or null to fall back to the environment
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<boolean>} false when the flag does not exist
+ */
+async function setFeatureFlagOverride(name, enabled, userId) {
+  if (!Object.prototype.hasOwnProperty.call(ENV_DEFAULTS, name)) {
+    return false;
+  }
+
+  if (enabled === null) {
+    await FeatureFlagOverride.deleteOne({ name });
+  } else {
+    await FeatureFlagOverride.findOneAndUpdate(
+      { name },
+      { enabled, updatedBy: userId },
+      { upsert: true }
+    );
+  }
+
+  await syncFeatureFlagOverrides();
+  return true;
+}
+
+module.exports = {
+  initializeFeatureFlagOverrides,
+  listFeatureFlags,
+  setFeatureFlagOverride
+};
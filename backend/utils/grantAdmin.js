@@ -0,0 +1,48 @@
+/**
+ * Grant the platform admin role to an existing account.
+ * Admins can only be created by another admin through the API, so the
+ * first one is bootstrapped from the command line.
+ *
+ * Usage: node utils/grantAdmin.js user@example.com
+ *
+ * Safe to run multiple times (idempotent).
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+async function run() {
+  const email = (process.argv[2] || '').trim().toLowerCase();
+  if (!email) {
+    console.error('Usage: node utils/grantAdmin.js <email>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const User = require('../models/User');
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      console.error(`No account found for ${email}`);
+      process.exit(1);
+    }
+
+    if (user.hasRole('admin')) {
+      console.log(`${email} is already an admin`);
+    } else {
+      user.addRole('admin');
+      await user.save();
+      console.log(`Granted admin to ${email}; sign in again and switch to the admin role`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Grant admin failed:', error);
+    process.exit(1);
+  }
+}
+
+run();
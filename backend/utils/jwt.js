@@ -1,13 +1,18 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
 /**
- * Generate JWT token
+ * Generate JWT access token
  * @param {Object} payload - Data to encode in token
  * @returns {string} JWT token
  */
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
   });
 };
 
@@ -20,7 +25,65 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+/**
+ * Generate a short-lived token proving the password (or OAuth) step of a
+ * two-factor login succeeded. It has no session id, so `auth` rejects it.
+ * @param {ObjectId|string} userId - User ID
+ * @returns {string} JWT token
+ */
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} Random token (only its hash is stored)
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a single-use token for email links (verification, password reset)
+ * @returns {{token: string, tokenHash: string}} Raw token for the link and hash for storage
+ */
+const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
 module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
   generateToken,
-  verifyToken
+  verifyToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateRefreshToken,
+  hashToken,
+  generateOneTimeToken
 };
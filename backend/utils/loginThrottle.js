@@ -0,0 +1,138 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures allowed before progressive delays start
+const FREE_ATTEMPTS = 3;
+// Delay doubles per failure after the free attempts, up to this cap
+const MAX_DELAY_MS = 60 * 1000;
+// Failures that lock an account / block an IP address
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD, 10) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD, 10) || 50;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+// Counters are forgotten after this long without a failure
+const WINDOW_MS = 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const targets = ({ ip, email }) => {
+  const list = [];
+  if (ip) list.push({ scope: 'ip', key: ip });
+  if (email) list.push({ scope: 'account', key: normalizeEmail(email) });
+  return list;
+};
+
+const delayFor = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+/**
+ * Check whether a sign-in attempt may proceed
+ * @param {Object} target - { ip, email } (either may be omitted)
+ * @returns {Promise<{allowed: boolean, reason?: string, scope?: string, retryAfter?: number}>}
+ *   retryAfter is in seconds
+ */
+async function checkLoginAllowed(target) {
+  const now = Date.now();
+
+  for (const { scope, key } of targets(target)) {
+    const attempt = await LoginAttempt.findOne({ scope, key }).lean();
+    if (!attempt) continue;
+
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      return {
+        allowed: false,
+        reason: 'locked',
+        scope,
+        retryAfter: Math.ceil((attempt.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+    if (attempt.nextAttemptAt && attempt.nextAttemptAt.getTime() > now) {
+      return {
+        allowed: false,
+        reason: 'throttled',
+        scope,
+        retryAfter: Math.ceil((attempt.nextAttemptAt.getTime() - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Count a failed sign-in against the IP address and the account
+ * @param {Object} target - { ip, email } (either may be omitted)
+ * @returns {Promise<{accountLocked: boolean}>} accountLocked is true only for
+ *   the failure that triggered the lock, so the owner is alerted once
+ */
+async function recordLoginFailure(target) {
+  let accountLocked = false;
+
+  for (const { scope, key } of targets(target)) {
+    const now = new Date();
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { scope, key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + WINDOW_MS) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const threshold = scope === 'account' ? ACCOUNT_LOCK_THRESHOLD : IP_LOCK_THRESHOLD;
+    if (attempt.failures >= threshold) {
+      // Start a fresh count once the lock runs out
+      const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+      attempt.lockedUntil = lockedUntil;
+      attempt.nextAttemptAt = undefined;
+      attempt.failures = 0;
+      attempt.expiresAt = new Date(lockedUntil.getTime() + WINDOW_MS);
+      if (scope === 'account') accountLocked = true;
+    } else {
+      const delay = delayFor(attempt.failures);
+      attempt.nextAttemptAt = delay > 0 ? new Date(now.getTime() + delay) : undefined;
+    }
+    await attempt.save();
+  }
+
+  return { accountLocked };
+}
+
+/**
+ * Reset the account counter after a successful sign-in.
+ * The IP counter is left alone so one valid account cannot be used to
+ * clear the record of guesses against others.
+ * @param {string} email - Account email
+ */
+async function clearLoginFailures(email) {
+  await LoginAttempt.deleteOne({ scope: 'account', key: normalizeEmail(email) });
+}
+
+/**
+ * Lift a lockout on an account
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} Whether the account had a counter or lock
+ */
+async function unlockAccount(email) {
+  const result = await LoginAttempt.deleteOne({ scope: 'account', key: normalizeEmail(email) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Current lock on an account, if any
+ * @param {string} email - Account email
+ * @returns {Promise<Date|null>} Lock expiry
+ */
+async function getAccountLock(email) {
+  const attempt = await LoginAttempt.findOne({ scope: 'account', key: normalizeEmail(email) }).lean();
+  return attempt?.lockedUntil && attempt.lockedUntil > new Date() ? attempt.lockedUntil : null;
+}
+
+module.exports = {
+  LOCK_MINUTES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  getAccountLock
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration: Backfill Co-Author Status
+ * 
+ * Co-authors listed before authorship invitations existed have no
+ * `status`. They are grandfathered in as confirmed so papers they were
+ * already linked to stay under their My Submissions.
+ * 
+ * Safe to run multiple times (idempotent).
+ * 
+ * Usage: node utils/migrations/backfillCoAuthorStatus.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const Submission = require('../../models/Submission');
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const result = await Submission.updateMany(
+    { coAuthors: { $elemMatch: { status: { $exists: false } } } },
+    { $set: { 'coAuthors.$[coAuthor].status': 'confirmed', 'coAuthors.$[coAuthor].respondedAt': new Date() } },
+    { arrayFilters: [{ 'coAuthor.status': { $exists: false } }] }
+  );
+
+  console.log(`✅ Migration complete: ${result.modifiedCount} submissions updated`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
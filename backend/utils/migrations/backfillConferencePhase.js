@@ -0,0 +1,56 @@
+/**
+ * Migration: Backfill Conference Lifecycle Phases
+ *
+ * `Conference.status` used to be `active` or `expired`. It now holds a
+ * lifecycle phase (config/conferencePhases.js). Existing conferences are
+ * mapped from their dates:
+ *   - `expired`, or ended already        → archived
+ *   - submission deadline still ahead    → cfp_open
+ *   - otherwise                          → reviewing
+ *
+ * Safe to run multiple times (idempotent).
+ *
+ * Usage: node utils/migrations/backfillConferencePhase.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const Conference = require('../../models/Conference');
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const now = new Date();
+  const legacy = { status: { $in: ['active', 'expired', null] } };
+  const stamp = { statusChangedAt: now };
+
+  // Raw collection updates: the legacy values no longer pass the schema enum
+  const archived = await Conference.collection.updateMany(
+    { ...legacy, $or: [{ status: 'expired' }, { endDate: { $lt: now } }] },
+    { $set: { status: 'archived', ...stamp } }
+  );
+  console.log(`[1/3] ${archived.modifiedCount} conferences → archived`);
+
+  const open = await Conference.collection.updateMany(
+    { ...legacy, submissionDeadline: { $gte: now } },
+    { $set: { status: 'cfp_open', ...stamp } }
+  );
+  console.log(`[2/3] ${open.modifiedCount} conferences → cfp_open`);
+
+  const reviewing = await Conference.collection.updateMany(
+    legacy,
+    { $set: { status: 'reviewing', ...stamp } }
+  );
+  console.log(`[3/3] ${reviewing.modifiedCount} conferences → reviewing`);
+
+  console.log('✅ Migration complete');
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
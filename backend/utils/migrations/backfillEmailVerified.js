@@ -0,0 +1,35 @@
+/**
+ * Migration: Backfill Email Verification
+ * 
+ * Accounts created before email verification existed have no
+ * `emailVerified` field. They are grandfathered in as verified so they
+ * are not blocked from submitting or bidding.
+ * 
+ * Safe to run multiple times (idempotent).
+ * 
+ * Usage: node utils/migrations/backfillEmailVerified.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const User = require('../../models/User');
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  console.log(`✅ Migration complete: ${result.modifiedCount} users marked as verified`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
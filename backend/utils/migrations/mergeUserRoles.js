@@ -0,0 +1,114 @@
+/**
+ * Migration: Merge per-role User documents into multi-role accounts
+ *
+ * 1. Backfills the new `roles` array from the legacy single `role` field.
+ * 2. Merges User documents that share an email (one per role) into the
+ *    oldest account: roles, expertise domains, password and ORCID/Google
+ *    links are combined, and every reference (conferences, submissions,
+ *    reviews, bids, assignments, registrations, certificates) is re-pointed.
+ * 3. Syncs User indexes (drops the old `role` index, enforces unique email).
+ *
+ * Duplicates whose references collide with a unique index on the primary
+ * account are left in place, untouched, and reported for manual review.
+ *
+ * Safe to run multiple times (idempotent).
+ *
+ * Usage: node utils/migrations/mergeUserRoles.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const User = require('../../models/User');
+const { PROFILE_FIELDS, findMergeConflicts, reassignUserReferences } = require('../userMerge');
+
+// Accounts sharing an email belong to one person, so unlike an organizer
+// merge their sign-in credentials are combined too
+const IDENTITY_FIELDS = [
+  'passwordHash',
+  'orcid',
+  'orcidAccessToken',
+  'googleId',
+  'googleAccessToken',
+  'googleRefreshToken',
+  ...PROFILE_FIELDS
+];
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  // Step 1: backfill roles from the legacy single role
+  const backfill = await User.collection.updateMany(
+    { $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }] },
+    [{ $set: { roles: ['$role'] } }]
+  );
+  console.log(`Backfilled roles on ${backfill.modifiedCount} users`);
+
+  // Step 2: find emails with more than one account
+  const groups = await User.aggregate([
+    { $group: { _id: { $toLower: '$email' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  console.log(`Found ${groups.length} emails with duplicate accounts`);
+
+  let merged = 0;
+  let skipped = 0;
+
+  for (const group of groups) {
+    const users = await User.find({ _id: { $in: group.ids } })
+      .select('+orcidAccessToken +googleAccessToken +googleRefreshToken')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const [primary, ...duplicates] = users;
+    const roles = new Set(primary.roles || [primary.role]);
+    const expertiseDomains = new Set(primary.expertiseDomains || []);
+    const identity = {};
+
+    for (const duplicate of duplicates) {
+      // Nothing moves unless everything can
+      const conflicts = await findMergeConflicts(duplicate._id, primary._id);
+      if (conflicts.length > 0) {
+        console.log(`⚠️  ${group._id}: kept ${duplicate._id} (${duplicate.role}), ${conflicts.length} conflicting references:`);
+        conflicts.forEach(c => console.log(`     ${c.model}.${c.field} ${c.documentId}`));
+        skipped++;
+        continue;
+      }
+      const updated = await reassignUserReferences(duplicate._id, primary._id);
+
+      (duplicate.roles || [duplicate.role]).forEach(r => roles.add(r));
+      (duplicate.expertiseDomains || []).forEach(d => expertiseDomains.add(d));
+      for (const field of IDENTITY_FIELDS) {
+        if (!primary[field] && !identity[field] && duplicate[field]) {
+          identity[field] = duplicate[field];
+        }
+      }
+
+      // Delete before linking so unique ORCID/Google ids are free
+      await User.deleteOne({ _id: duplicate._id });
+      console.log(`   ${group._id}: merged ${duplicate._id} (${duplicate.role}), ${updated} references moved`);
+      merged++;
+    }
+
+    // Raw update: passwordHash is already hashed and must not go through the save hook
+    await User.collection.updateOne(
+      { _id: primary._id },
+      { $set: { ...identity, roles: [...roles], expertiseDomains: [...expertiseDomains] } }
+    );
+  }
+
+  // Step 3: drop the old role index and make sure the unique email index exists
+  await User.syncIndexes();
+  console.log('User indexes synced');
+
+  console.log(`✅ Migration complete: ${merged} merged, ${skipped} skipped (conflicting references)`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,385 @@
+const axios = require('axios');
+const Submission = require('../models/Submission');
+const Conference = require('../models/Conference');
+const Track = require('../models/Track');
+const User = require('../models/User');
+const {
+  PAPER_SIZES,
+  PAPER_SIZE_TOLERANCE,
+  MAX_INSPECTED_BYTES,
+  PAGES_PAST_LIMIT,
+  MAX_INSPECTED_PAGES,
+  TEXT_PAGES,
+  MAX_TEXT_LENGTH
+} = require('../config/pdfChecks');
+const { findType } = require('./submissionTypes');
+const { reviewModeOf } = require('./reviewMode');
+
+const DOWNLOAD_TIMEOUT = 30000; // 30 seconds
+
+// Host Cloudinary serves uploads from, under /<cloud name>/
+const UPLOAD_HOST = 'res.cloudinary.com';
+
+// Document info fields that commonly carry the author's name
+const INFO_FIELDS = ['Author', 'Creator', 'Title', 'Subject', 'Keywords'];
+
+// Fields holding names only, where a surname alone counts as a match
+const NAME_FIELDS = ['Author', 'Creator', 'dc:creator'];
+
+// pdf.js is large, so it is loaded on the first inspection
+let pdfjs = null;
+const loadPdfjs = () => {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs;
+};
+
+/**
+ * Whether a URL is a file uploaded to this deployment's Cloudinary account.
+ * File URLs come from authors, so only these are ever downloaded: anything
+ * else could point the server at internal addresses.
+ * @param {string} fileUrl
+ * @returns {boolean}
+ */
+function isUploadedFile(fileUrl) {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  if (!cloudName) return false;
+  let url;
+  try {
+    url = new URL(fileUrl);
+  } catch {
+    return false;
+  }
+  return url.protocol === 'https:' &&
+    url.host === UPLOAD_HOST &&
+    !url.username && !url.password &&
+    url.pathname.startsWith(`/${cloudName}/`);
+}
+
+/**
+ * Download an uploaded file (Cloudinary URL) into memory
+ * @param {string} fileUrl - Must pass isUploadedFile
+ * @returns {Promise<Uint8Array|null>} null when larger than MAX_INSPECTED_BYTES
+ */
+async function downloadFile(fileUrl) {
+  if (!isUploadedFile(fileUrl)) {
+    throw new Error('Only files uploaded to Cloudinary are downloaded');
+  }
+  try {
+    const response = await axios.get(fileUrl, {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT,
+      maxContentLength: MAX_INSPECTED_BYTES,
+      // A redirect could lead anywhere
+      maxRedirects: 0
+    });
+    return new Uint8Array(response.data);
+  } catch (error) {
+    // Axios stops reading once the limit is passed
+    if (/maxContentLength/.test(error.message)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Open a PDF with pdf.js (no rendering, no eval)
+ * @param {Uint8Array} data
+ * @returns {Promise<Object>} pdf.js document; call destroy() when done
+ */
+function openPdf(data) {
+  return loadPdfjs().getDocument({
+    data,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    fontExtraProperties: true,
+    verbosity: 0
+  }).promise;
+}
+
+/**
+ * Metadata of a PDF as [{ field, value }]: document info fields and XMP
+ * properties (dc:creator and the like), lists flattened
+ * @param {Object} metadata - Result of the pdf.js document's getMetadata()
+ * @returns {Array<Object>}
+ */
+function metadataEntries({ info, metadata }) {
+  const entries = INFO_FIELDS
+    .filter(field => typeof info?.[field] === 'string' && info[field].trim())
+    .map(field => ({ field, value: info[field] }));
+
+  for (const [field, value] of Object.entries(metadata?.getAll() || {})) {
+    [].concat(value)
+      .filter(item => typeof item === 'string' && item.trim())
+      .forEach(item => entries.push({ field, value: item }));
+  }
+  return entries;
+}
+
+// Lowercase without accents or repeated spaces, so "José  García" matches "jose garcia"
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Author names found in PDF metadata or page text: a full name anywhere, or
+ * a surname as a whole word in an author field
+ * @param {Array<Object>} entries - [{ field, value }], e.g. from metadataEntries
+ * @param {Array<string>} names - Author names
+ * @returns {Array<Object>} [{ name, field }]
+ */
+function findAuthorNames(entries, names) {
+  const found = [];
+  for (const name of new Set(names.filter(Boolean))) {
+    const full = normalize(name);
+    const surname = full.split(' ').pop();
+    if (full.length < 3) continue;
+    const surnamePattern = surname.length >= 3 && new RegExp(`(^|[^a-z0-9])${escapeRegExp(surname)}([^a-z0-9]|$)`);
+    const entry = entries.find(({ field, value }) => {
+      const text = normalize(value);
+      return text.includes(full) || (surnamePattern && NAME_FIELDS.includes(field) && surnamePattern.test(text));
+    });
+    if (entry) found.push({ name, field: entry.field });
+  }
+  return found;
+}
+
+/**
+ * Paper size of a page, either way up
+ * @param {number} width - Points
+ * @param {number} height - Points
+ * @returns {Object} { key, label }; key is null for sizes not in PAPER_SIZES
+ */
+function paperSizeOf(width, height) {
+  const [short, long] = [width, height].sort((a, b) => a - b);
+  const key = Object.keys(PAPER_SIZES).find(size =>
+    Math.abs(PAPER_SIZES[size].width - short) <= PAPER_SIZE_TOLERANCE &&
+    Math.abs(PAPER_SIZES[size].height - long) <= PAPER_SIZE_TOLERANCE
+  ) || null;
+  return { key, label: key ? PAPER_SIZES[key].label : `${Math.round(width)} × ${Math.round(height)} pt` };
+}
+
+// "3, 4, 7, 8, 9 and 2 more"
+const pageList = (numbers) => numbers.length > 5
+  ? `${numbers.slice(0, 5).join(', ')} and ${numbers.length - 5} more`
+  : numbers.join(', ');
+
+// Subset fonts are named like "ABCDEF+Times-Roman"
+const fontName = (name) => String(name || 'Unnamed font').replace(/^[A-Z]{6}\+/, '');
+
+// Report before anything was found
+const emptyReport = () => ({
+  valid: true,
+  encrypted: false,
+  pageCount: null,
+  pagesInspected: 0,
+  pageSize: null,
+  fontsNotEmbedded: [],
+  hasText: false,
+  text: '',
+  warnings: []
+});
+
+// Report for a file that was not inspected, with the reason
+const notInspected = (reason = `The file is larger than ${MAX_INSPECTED_BYTES / (1024 * 1024)} MB`) => ({
+  ...emptyReport(),
+  valid: null,
+  warnings: [`${reason} and was not checked. Make sure it fits the page limit, paper size and font rules.`]
+});
+
+/**
+ * Inspect a PDF: whether it opens, encryption, page count against the page
+ * limit, paper size, fonts that are not embedded, and whether its first
+ * pages have text. The text of the inspected pages is extracted, up to
+ * MAX_TEXT_LENGTH characters. When names are given, the metadata and the
+ * text of the first pages are searched for them.
+ * Paper size and fonts are only scanned up to PAGES_PAST_LIMIT pages past
+ * the page limit (at most MAX_INSPECTED_PAGES); files over
+ * MAX_INSPECTED_BYTES are not inspected.
+ * @param {Uint8Array} data
+ * @param {Object} [limits]
+ * @param {number} [limits.pageLimit]
+ * @param {string} [limits.paperSize] - PAPER_SIZES key
+ * @param {Array<string>} [limits.authorNames] - Names that must not appear in the paper
+ * @returns {Promise<Object>} { valid, encrypted, pageCount, pagesInspected, pageSize,
+ *   fontsNotEmbedded, hasText, text, warnings }
+ */
+async function inspectPdf(data, { pageLimit = null, paperSize = null, authorNames = [] } = {}) {
+  if (data.length > MAX_INSPECTED_BYTES) return notInspected();
+
+  // Outside the try below: a missing pdf.js is not the file's fault
+  const { OPS } = loadPdfjs();
+  const report = emptyReport();
+
+  let pdf;
+  try {
+    pdf = await openPdf(data);
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      return { ...report, encrypted: true, warnings: ['The PDF is password-protected. Upload it without a password.'] };
+    }
+    return { ...report, valid: false, warnings: ['The file is not a valid PDF.'] };
+  }
+
+  try {
+    const metadata = await pdf.getMetadata();
+    report.encrypted = Boolean(metadata.info?.EncryptFilterName);
+    report.pageCount = pdf.numPages;
+    report.pagesInspected = Math.min(
+      pdf.numPages,
+      MAX_INSPECTED_PAGES,
+      pageLimit ? pageLimit + PAGES_PAST_LIMIT : Infinity
+    );
+
+    const offSize = [];
+    const fonts = new Set();
+    const pageTexts = [];
+    let textLength = 0;
+    for (let number = 1; number <= report.pagesInspected; number++) {
+      const page = await pdf.getPage(number);
+      const [x0, y0, x1, y1] = page.view;
+      const size = paperSizeOf(x1 - x0, y1 - y0);
+      if (number === 1) report.pageSize = size.label;
+      if (paperSize && size.key !== paperSize) offSize.push(number);
+
+      // Fonts are resolved while the page's drawing operations are read
+      const operators = await page.getOperatorList();
+      operators.fnArray.forEach((fn, index) => {
+        const fontId = fn === OPS.setFont && operators.argsArray[index][0];
+        if (!fontId || !page.commonObjs.has(fontId)) return;
+        const font = page.commonObjs.get(fontId);
+        if (font?.missingFile) fonts.add(fontName(font.name));
+      });
+
+      if (number <= TEXT_PAGES || textLength < MAX_TEXT_LENGTH) {
+        const content = await page.getTextContent();
+        const text = content.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim();
+        pageTexts.push({ field: `page ${number}`, value: text });
+        textLength += text.length;
+      }
+      page.cleanup();
+    }
+    report.fontsNotEmbedded = [...fonts];
+    report.hasText = pageTexts.slice(0, TEXT_PAGES).some(({ value }) => value);
+    report.text = pageTexts.map(({ value }) => value).join('\n').trim().slice(0, MAX_TEXT_LENGTH);
+
+    if (report.encrypted) {
+      report.warnings.push('The PDF is encrypted. Save it without encryption or restrictions.');
+    }
+    if (pageLimit && report.pageCount > pageLimit) {
+      report.warnings.push(`The paper has ${report.pageCount} pages; the limit is ${pageLimit}.`);
+    }
+    if (offSize.length) {
+      report.warnings.push(offSize.length === report.pagesInspected
+        ? `The pages are ${report.pageSize}, not ${PAPER_SIZES[paperSize].label}.`
+        : `${offSize.length === 1 ? 'Page' : 'Pages'} ${pageList(offSize)} ${offSize.length === 1 ? 'is' : 'are'} not ${PAPER_SIZES[paperSize].label}.`);
+    }
+    if (report.fontsNotEmbedded.length) {
+      report.warnings.push(`Some fonts are not embedded: ${report.fontsNotEmbedded.join(', ')}. Embed all fonts when creating the PDF.`);
+    }
+    if (!report.hasText) {
+      report.warnings.push('No text could be extracted. The paper may consist of scanned images.');
+    }
+    findAuthorNames(metadataEntries(metadata), authorNames).forEach(({ name, field }) => {
+      report.warnings.push(`The PDF metadata (${field}) contains the author name "${name}". Remove it before submitting: this conference reviews double-blind.`);
+    });
+    findAuthorNames(pageTexts.slice(0, TEXT_PAGES), authorNames).forEach(({ name, field }) => {
+      report.warnings.push(`The text of ${field} contains the author name "${name}". Remove it before submitting: this conference reviews double-blind.`);
+    });
+    return report;
+  } catch (error) {
+    console.error('PDF inspection error:', error.message);
+    return { ...report, valid: false, warnings: ['The PDF could not be read. It may be damaged.'] };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Download an uploaded paper and inspect it (see inspectPdf). Files not
+ * uploaded to Cloudinary are not downloaded.
+ * @param {string} fileUrl
+ * @param {Object} [limits]
+ * @returns {Promise<Object>} Report
+ */
+async function inspectFile(fileUrl, limits) {
+  if (!isUploadedFile(fileUrl)) {
+    return notInspected('The file was not uploaded to eConfMate');
+  }
+  const data = await downloadFile(fileUrl);
+  return data ? inspectPdf(data, limits) : notInspected();
+}
+
+/**
+ * Whether an uploaded file is a PDF (Cloudinary keeps the extension)
+ * @param {string} fileUrl
+ * @returns {boolean}
+ */
+const isPdf = (fileUrl) => /\.pdf$/i.test(String(fileUrl || '').split('?')[0]);
+
+/**
+ * Page limit and paper size a paper is held to: its submission type's page
+ * limit, else the track's; the paper size is the track's
+ * @param {Object} track - Track with pageLimit and paperSize
+ * @param {Object} [type] - Submission type
+ * @returns {Object} { pageLimit, paperSize }
+ */
+const limitsFor = (track, type) => ({
+  pageLimit: type?.pageLimit || track?.pageLimit || null,
+  paperSize: track?.paperSize || null
+});
+
+/**
+ * Inspect a submission's current paper in the background and store the
+ * report as `pdfCheck`. Files other than PDF clear it. In double-blind
+ * review the metadata and first pages are also checked for the authors' names.
+ * @param {Object} submission - Saved submission
+ */
+async function checkSubmissionFile(submission) {
+  const { _id: submissionId, fileUrl } = submission;
+  try {
+    if (!isPdf(fileUrl)) {
+      await Submission.updateOne({ _id: submissionId, fileUrl }, { pdfCheck: null });
+      return;
+    }
+
+    const [conference, track, author] = await Promise.all([
+      Conference.findById(submission.conferenceId).select('reviewMode submissionTypes').lean(),
+      Track.findById(submission.trackId).select('pageLimit paperSize').lean(),
+      User.findById(submission.authorId).select('name').lean()
+    ]);
+    const authorNames = reviewModeOf(conference).authorsVisible
+      ? []
+      : [author?.name, ...(submission.coAuthors || []).map(coAuthor => coAuthor.name)];
+    const report = await inspectFile(fileUrl, {
+      ...limitsFor(track, findType(conference, submission.submissionType)),
+      authorNames
+    });
+
+    // Only if the paper was not replaced meanwhile
+    await Submission.updateOne(
+      { _id: submissionId, fileUrl },
+      { pdfCheck: { ...report, fileUrl, checkedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`[PDF] Check failed for submission ${submissionId}:`, error.message);
+  }
+}
+
+module.exports = {
+  isUploadedFile,
+  downloadFile,
+  openPdf,
+  metadataEntries,
+  findAuthorNames,
+  paperSizeOf,
+  inspectPdf,
+  inspectFile,
+  isPdf,
+  limitsFor,
+  checkSubmissionFile
+};
@@ -0,0 +1,371 @@
+/**
+ * Personal Data Export and Account Deletion
+ *
+ * Export collects everything linked to an account into a ZIP (data.json plus
+ * certificate PDFs). Deletion anonymizes the account document instead of
+ * removing it, so reviews and accepted papers kept under a conference's
+ * retention policy still resolve, but to "Deleted user".
+ */
+
+const archiver = require('archiver');
+const Conference = require('../models/Conference');
+const Submission = require('../models/Submission');
+const Review = require('../models/Review');
+const Bid = require('../models/Bid');
+const Assignment = require('../models/Assignment');
+const Registration = require('../models/Registration');
+const Certificate = require('../models/Certificate');
+const ReviewerConferenceRegistration = require('../models/ReviewerConferenceRegistration');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { deleteFromCloudinary } = require('./duplicateCleanup');
+const { deletePaperHash } = require('./pdeClient');
+const { sanitizeMessage } = require('./errorSanitizer');
+const { sendEmail, templates } = require('./emailService');
+
+const DELETION_GRACE_DAYS = 14;
+const DELETED_USER_NAME = 'Deleted user';
+
+const deletedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+/**
+ * Gather every record linked to a user
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<{data: Object, certificates: Array<{name: string, buffer: Buffer}>}|null>}
+ */
+async function collectUserData(userId) {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [
+    submissions,
+    coAuthored,
+    reviews,
+    bids,
+    assignments,
+    registrations,
+    reviewerRegistrations,
+    certificates,
+    conferences,
+    sessions,
+    apiTokens,
+    auditEntries
+  ] = await Promise.all([
+    Submission.find({ authorId: userId }).select('-abstractVector').lean(),
+    Submission.find({ 'coAuthors.userId': userId, authorId: { $ne: userId } }).select('title conferenceId trackId status coAuthors submittedAt').lean(),
+    Review.find({ reviewerId: userId }).lean(),
+    Bid.find({ reviewerId: userId }).lean(),
+    Assignment.find({ reviewerId: userId }).lean(),
+    Registration.find({ participantId: userId }).lean(),
+    ReviewerConferenceRegistration.find({ reviewerId: userId }).lean(),
+    Certificate.find({ userId }).lean(),
+    Conference.find(Conference.managedByFilter(userId)).select('name organizerId committee startDate endDate').lean(),
+    Session.find({ userId }).select('userAgent ipAddress createdAt lastUsedAt expiresAt revokedAt revokedReason').lean(),
+    ApiToken.find({ userId }).select('name prefix readOnly conferenceIds expiresAt lastUsedAt lastUsedIp revokedAt createdAt').lean(),
+    AuditLog.find({ actorId: userId }).select('conferenceId action targetType targetId summary ipAddress createdAt').lean()
+  ]);
+
+  const data = {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    submissions,
+    coAuthoredSubmissions: coAuthored,
+    reviews,
+    bids,
+    assignments,
+    registrations,
+    reviewerRegistrations,
+    certificates: certificates.map(({ certificateBuffer, ...certificate }) => ({
+      ...certificate,
+      file: certificateBuffer ? `certificates/${certificate.uniqueCertificateId}.pdf` : null
+    })),
+    conferenceCommittees: conferences.map(conference => ({
+      conferenceId: conference._id,
+      name: conference.name,
+      role: String(conference.organizerId) === String(userId)
+        ? 'general_chair'
+        : conference.committee.find(m => String(m.userId) === String(userId))?.role
+    })),
+    sessions,
+    apiTokens,
+    auditLogEntries: auditEntries
+  };
+
+  const files = certificates
+    .filter(c => c.certificateBuffer)
+    .map(c => ({ name: `certificates/${c.uniqueCertificateId}.pdf`, buffer: Buffer.from(c.certificateBuffer.buffer || c.certificateBuffer) }));
+
+  return { data, certificates: files };
+}
+
+/**
+ * Stream a ZIP of the user's data
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} res - Express response (headers are set here)
+ * @returns {Promise<boolean>} false when the user does not exist
+ */
+async function streamUserDataArchive(userId, res) {
+  const collected = await collectUserData(userId);
+  if (!collected) return false;
+
+  const { data, certificates } = collected;
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="econfmate-data-${date}.zip"`);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    console.error('Data export archive error:', sanitizeMessage(error.message));
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+  archive.append(
+    'eConfMate personal data export\n\n' +
+    `Exported: ${data.exportedAt}\n\n` +
+    'data.json        Everything linked to your account: profile, submissions, reviews,\n' +
+    '                 bids, assignments, registrations, certificates, committee roles,\n' +
+    '                 sign-in sessions, API tokens and actions you took as an organizer.\n' +
+    'certificates/    Your certificates as PDF files.\n\n' +
+    'Submitted paper files are listed by their download link (fileUrl) in data.json.\n' +
+    'Secrets such as your password hash and two-factor keys are never exported.\n',
+    { name: 'README.txt' }
+  );
+  certificates.forEach(file => archive.append(file.buffer, { name: file.name }));
+
+  await archive.finalize();
+  return true;
+}
+
+/**
+ * Describe what deleting the account would do, per conference
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<{blockers: Array<string>, conferences: Array<Object>}>}
+ */
+async function previewAccountDeletion(userId) {
+  const blockers = [];
+
+  const organized = await Conference.find({ organizerId: userId }).select('name').lean();
+  if (organized.length > 0) {
+    blockers.push(`You organize ${organized.map(c => c.name).join(', ')}. Contact support to hand these conferences over before deleting your account.`);
+  }
+
+  const [submissions, reviews, registrations] = await Promise.all([
+    Submission.find({ authorId: userId }).select('conferenceId status').lean(),
+    Review.find({ reviewerId: userId }).select('submissionId').populate('submissionId', 'conferenceId').lean(),
+    Registration.find({ participantId: userId }).select('conferenceId').lean()
+  ]);
+
+  const counts = new Map();
+  const bump = (conferenceId, key) => {
+    if (!conferenceId) return;
+    const id = String(conferenceId);
+    const entry = counts.get(id) || { acceptedPapers: 0, otherSubmissions: 0, reviews: 0, registrations: 0 };
+    entry[key]++;
+    counts.set(id, entry);
+  };
+  submissions.forEach(s => bump(s.conferenceId, s.status === 'accepted' ? 'acceptedPapers' : 'otherSubmissions'));
+  reviews.forEach(r => bump(r.submissionId?.conferenceId, 'reviews'));
+  registrations.forEach(r => bump(r.conferenceId, 'registrations'));
+
+  const conferences = await Conference.find({ _id: { $in: [...counts.keys()] } }).select('name retentionPolicy').lean();
+
+  return {
+    blockers,
+    conferences: conferences.map(conference => ({
+      conferenceId: conference._id,
+      name: conference.name,
+      retentionPolicy: conference.retentionPolicy || {},
+      counts: counts.get(String(conference._id))
+    }))
+  };
+}
+
+/**
+ * Remove a submission and what hangs off it (file, duplicate-check hash, reviews, bids, assignments)
+ */
+async function removeSubmission(submission) {
+  if (submission.fileUrl) {
+    const result = await deleteFromCloudinary(submission.fileUrl);
+    if (!result.success) console.error(`[Deletion] File cleanup failed for ${submission._id}: ${result.error}`);
+  }
+  if (submission.duplicationCheck?.pdePaperId) {
+    await deletePaperHash(submission.duplicationCheck.pdePaperId)
+      .catch(err => console.error('[Deletion] PDE hash deletion failed:', sanitizeMessage(err.message)));
+  }
+
+  await Promise.all([
+    Review.deleteMany({ submissionId: submission._id }),
+    Bid.deleteMany({ submissionId: submission._id }),
+    Assignment.deleteMany({ submissionId: submission._id }),
+    Certificate.deleteMany({ submissionId: submission._id })
+  ]);
+  await Submission.deleteOne({ _id: submission._id });
+}
+
+/**
+ * Delete an account: personal data is removed, and what conferences keep
+ * under their retention policy is detached from the person
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<{deleted: boolean, reason?: string}>}
+ */
+async function deleteUserAccount(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user || user.deletedAt) {
+    return { deleted: false, reason: 'Account not found' };
+  }
+  if (await Conference.exists({ organizerId: userId })) {
+    return { deleted: false, reason: 'Account still organizes conferences' };
+  }
+
+  const policies = new Map();
+  const policyFor = async (conferenceId) => {
+    const id = String(conferenceId);
+    if (!policies.has(id)) {
+      const conference = await Conference.findById(conferenceId).select('retentionPolicy').lean();
+      policies.set(id, conference?.retentionPolicy || {});
+    }
+    return policies.get(id);
+  };
+  const tombstone = deletedEmail(user._id);
+
+  // Own submissions: accepted papers may stay as a bibliographic record
+  const submissions = await Submission.find({ authorId: userId }).lean();
+  for (const submission of submissions) {
+    const policy = await policyFor(submission.conferenceId);
+    if (submission.status === 'accepted' && (policy.acceptedPapers || 'keep_record') === 'keep_record') {
+      await Submission.updateOne(
+        { _id: submission._id },
+        { $set: { authorNameOnRecord: user.name } }
+      );
+    } else {
+      await removeSubmission(submission);
+    }
+  }
+
+  // Co-authorships on other people's papers keep the name but lose the contact details
+  await Submission.updateMany(
+    { 'coAuthors.userId': userId },
+    { $set: { 'coAuthors.$[coAuthor].email': tombstone }, $unset: { 'coAuthors.$[coAuthor].userId': '' } },
+    { arrayFilters: [{ 'coAuthor.userId': user._id }] }
+  );
+
+  // Reviews are kept without the name unless the conference deletes them
+  const reviews = await Review.find({ reviewerId: userId }).select('submissionId').populate('submissionId', 'conferenceId').lean();
+  for (const review of reviews) {
+    const policy = review.submissionId ? await policyFor(review.submissionId.conferenceId) : {};
+    if (policy.reviews === 'delete' || !review.submissionId) {
+      await Review.deleteOne({ _id: review._id });
+    }
+  }
+
+  // Work still in progress goes away
+  const openAssignments = await Assignment.find({ reviewerId: userId, status: 'ACTIVE' }).select('submissionId').lean();
+  await Submission.updateMany(
+    { _id: { $in: openAssignments.map(a => a.submissionId) } },
+    { $pull: { assignedReviewers: user._id }, $inc: { assignedCount: -1 } }
+  );
+  await Assignment.deleteMany({ reviewerId: userId, status: 'ACTIVE' });
+  await Bid.deleteMany({ reviewerId: userId });
+
+  const registrations = await Registration.find({ participantId: userId }).select('conferenceId').lean();
+  for (const registration of registrations) {
+    const policy = await policyFor(registration.conferenceId);
+    if (policy.registrations === 'delete') {
+      await Registration.deleteOne({ _id: registration._id });
+    }
+  }
+
+  await Promise.all([
+    Certificate.deleteMany({ userId }),
+    ReviewerConferenceRegistration.deleteMany({ reviewerId: userId }),
+    Conference.updateMany({ 'committee.userId': userId }, { $pull: { committee: { userId: user._id } } }),
+    Session.deleteMany({ userId }),
+    ApiToken.deleteMany({ userId }),
+    LoginAttempt.deleteMany({ scope: 'account', key: user.email })
+  ]);
+
+  // Raw update: the anonymized account has no sign-in method, which the schema would reject
+  await User.collection.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_USER_NAME,
+        email: tombstone,
+        roles: ['participant'],
+        role: 'participant',
+        emailVerified: false,
+        twoFactorEnabled: false,
+        expertiseDomains: [],
+        expertiseVectors: [],
+        unavailableDates: [],
+        deletedAt: new Date()
+      },
+      $unset: {
+        passwordHash: '',
+        orcid: '',
+        orcidAccessToken: '',
+        googleId: '',
+        googleAccessToken: '',
+        googleRefreshToken: '',
+        emailVerificationTokenHash: '',
+        emailVerificationExpires: '',
+        passwordResetTokenHash: '',
+        passwordResetExpires: '',
+        twoFactorEnabledAt: '',
+        twoFactorSecret: '',
+        twoFactorPendingSecret: '',
+        twoFactorRecoveryCodes: '',
+        profilePicture: '',
+        affiliation: '',
+        deletionRequestedAt: '',
+        deletionScheduledFor: ''
+      }
+    }
+  );
+
+  sendEmail(user.email, templates.accountDeleted(user))
+    .catch(err => console.error('Email error:', err));
+
+  return { deleted: true };
+}
+
+/**
+ * Delete every account whose grace period has ended (run by the scheduler)
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+async function processDueAccountDeletions() {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null
+  }).select('_id').lean();
+
+  let deleted = 0;
+  for (const { _id } of due) {
+    try {
+      const result = await deleteUserAccount(_id);
+      if (result.deleted) {
+        deleted++;
+      } else {
+        console.error(`[Deletion] Skipped ${_id}: ${result.reason}`);
+      }
+    } catch (error) {
+      console.error(`[Deletion] Failed for ${_id}:`, sanitizeMessage(error.message));
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  collectUserData,
+  streamUserDataArchive,
+  previewAccountDeletion,
+  deleteUserAccount,
+  processDueAccountDeletions
+};
@@ -0,0 +1,43 @@
+const { REVIEW_MODES, DEFAULT_REVIEW_MODE } = require('../config/reviewModes');
+
+/**
+ * A conference's review mode (config/reviewModes.js)
+ * @param {Object} conference - Conference with reviewMode
+ * @returns {Object} { key, label, description, authorsVisible, reviewersVisible }
+ */
+function reviewModeOf(conference) {
+  const key = REVIEW_MODES[conference?.reviewMode] ? conference.reviewMode : DEFAULT_REVIEW_MODE;
+  return { key, ...REVIEW_MODES[key] };
+}
+
+/**
+ * Strip author identity from a submission shown to reviewers when the
+ * conference reviews double-blind: the author, co-authors, the name kept
+ * after the author's account was deleted and the camera-ready signature.
+ * `anonymized` tells the client names were removed.
+ * @param {Object} submission - Lean submission
+ * @param {Object} conference - Conference with reviewMode
+ * @returns {Object}
+ */
+function withoutAuthors(submission, conference) {
+  if (reviewModeOf(conference).authorsVisible) return submission;
+  const { authorId, authorNameOnRecord, coAuthors, cameraReady, ...rest } = submission;
+  return { ...rest, anonymized: true };
+}
+
+/**
+ * Name of the reviewer authors may see, or null unless the conference reviews openly
+ * @param {Object} review - Review with reviewerId populated
+ * @param {Object} conference - Conference with reviewMode
+ * @returns {string|null}
+ */
+function reviewerNameForAuthors(review, conference) {
+  if (!reviewModeOf(conference).reviewersVisible) return null;
+  return review.reviewerId?.name || null;
+}
+
+module.exports = {
+  reviewModeOf,
+  withoutAuthors,
+  reviewerNameForAuthors
+};
@@ -3,7 +3,21 @@ const Conference = require('../models/Conference');
 const Submission = require('../models/Submission');
 const Review = require('../models/Review');
 const User = require('../models/User');
+const Track = require('../models/Track');
 const { sendEmail, templates } = require('./emailService');
+const { PORTAL_URL } = require('./emailTemplateLayout');
+const { processDueAccountDeletions } = require('./personalData');
+const { conferenceAccessFor } = require('./conferenceAccess');
+const { recordSystemAudit } = require('./auditLog');
+const { activeExtension } = require('./deadlineExtensions');
+const { findType, deadlineFor, lastDeadline } = require('./submissionTypes');
+const { phaseLabel, duePhase, checkTransition, applyPhase, notifyPhaseChange } = require('./conferenceLifecycle');
+const { SCHEDULED_PHASES } = require('../config/conferencePhases');
+const { REMINDER_DAYS } = require('../config/cameraReady');
+const { cameraReadyChecklist } = require('./cameraReady');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
 // Send review reminders 7 days before conference start
 const sendReviewReminders = async () => {
@@ -151,6 +165,273 @@ const sendWeeklyDigest = async () => {
   }
 };
 
+// Delete accounts whose deletion grace period has ended
+const runAccountDeletions = async () => {
+  try {
+    const deleted = await processDueAccountDeletions();
+    console.log(`✅ Account deletions processed: ${deleted}`);
+  } catch (error) {
+    console.error('❌ Error processing account deletions:', error);
+  }
+};
+
+// Close tracks whose submission deadline has passed and tell the committee members who see them
+const closeDueTracks = async () => {
+  try {
+    const now = new Date();
+    const tracks = await Track.find({ status: 'active' }).lean();
+
+    let closed = 0;
+    for (const track of tracks) {
+      const conference = await Conference.findById(track.conferenceId).lean();
+      // Submission types can take submissions after the track's own deadline
+      const deadline = lastDeadline(conference, track);
+      if (!conference || !deadline || new Date(deadline) > now) continue;
+
+      // Only the run that flips the status notifies, so restarts never send twice
+      const result = await Track.updateOne({ _id: track._id, status: 'active' }, { $set: { status: 'closed' } });
+      if (result.modifiedCount === 0) continue;
+      closed++;
+
+      recordSystemAudit(conference._id, {
+        action: 'track.close',
+        targetType: 'track',
+        targetId: track._id,
+        summary: `${track.name} closed at its submission deadline`,
+        before: { status: 'active' },
+        after: { status: 'closed' }
+      }).catch(err => console.error('Audit log error:', err));
+
+      const memberIds = [conference.organizerId, ...(conference.committee || []).map(m => m.userId)]
+        .filter(id => conferenceAccessFor(conference, id)?.can('submissions:view', track._id));
+      const [members, submissionCount] = await Promise.all([
+        User.find({ _id: { $in: memberIds }, deletedAt: null }).select('name email').lean(),
+        Submission.countDocuments({ trackId: track._id })
+      ]);
+
+      for (const member of members) {
+        sendEmail(
+          member.email,
+          templates.trackClosed(member, conference, track, submissionCount, `${FRONTEND_URL}/organizer/manage-conference/${conference._id}`)
+        ).catch(err => console.error('Email error:', err));
+      }
+    }
+
+    console.log(`✅ Tracks closed: ${closed}`);
+  } catch (error) {
+    console.error('❌ Error closing tracks:', error);
+  }
+};
+
+// Withdraw registered abstracts whose full paper never arrived by the paper deadline
+const withdrawUnfinishedRegistrations = async () => {
+  try {
+    const now = new Date();
+    const registrations = await Submission.find({ status: 'abstract_registered' })
+      .select('title authorId conferenceId trackId submissionType')
+      .lean();
+
+    let withdrawn = 0;
+    for (const submission of registrations) {
+      const [conference, track] = await Promise.all([
+        Conference.findById(submission.conferenceId).lean(),
+        Track.findById(submission.trackId).lean()
+      ]);
+      const deadline = deadlineFor(conference, track, findType(conference, submission.submissionType));
+      if (!conference || !deadline || new Date(deadline) > now) continue;
+
+      const extension = await activeExtension({
+        conferenceId: conference._id,
+        trackId: submission.trackId,
+        submissionId: submission._id,
+        userId: submission.authorId
+      }, now);
+      if (extension) continue;
+
+      const reason = 'The full paper was not uploaded before the submission deadline';
+      const result = await Submission.updateOne(
+        { _id: submission._id, status: 'abstract_registered' },
+        { $set: { status: 'withdrawn', withdrawnAt: now, withdrawalReason: reason } }
+      );
+      if (result.modifiedCount === 0) continue;
+      withdrawn++;
+
+      recordSystemAudit(conference._id, {
+        action: 'submission.withdraw',
+        targetType: 'submission',
+        targetId: submission._id,
+        summary: `${submission.title} withdrawn: no full paper by the deadline`,
+        before: { status: 'abstract_registered' },
+        after: { status: 'withdrawn' }
+      }).catch(err => console.error('Audit log error:', err));
+
+      const author = await User.findOne({ _id: submission.authorId, deletedAt: null }).select('name email').lean();
+      if (author?.email) {
+        sendEmail(
+          author.email,
+          templates.registrationWithdrawn(author, submission, conference, deadline, `${FRONTEND_URL}/author/submissions`)
+        ).catch(err => console.error('Email error:', err));
+      }
+    }
+
+    console.log(`✅ Unfinished registrations withdrawn: ${withdrawn}`);
+  } catch (error) {
+    console.error('❌ Error withdrawing unfinished registrations:', error);
+  }
+};
+
+// Move conferences into phases whose date in phaseSchedule has come
+const advanceConferencePhases = async () => {
+  try {
+    const now = new Date();
+    const conferences = await Conference.find({
+      status: { $ne: 'archived' },
+      $or: SCHEDULED_PHASES.map(phase => ({ [`phaseSchedule.${phase}`]: { $lte: now } }))
+    }).lean();
+
+    let moved = 0;
+    for (let conference of conferences) {
+      // Catch up one phase at a time if several dates passed while the server was down
+      let next = duePhase(conference, now);
+      while (next) {
+        const blocked = await checkTransition(conference, next);
+        if (blocked) {
+          console.log(`[Lifecycle] ${conference.name}: cannot open ${phaseLabel(next)} yet: ${blocked}`);
+          break;
+        }
+
+        const updated = await applyPhase(conference, next, conference.phaseSchedule[next]);
+        if (!updated) break;
+        moved++;
+
+        recordSystemAudit(conference._id, {
+          action: 'conference.phase',
+          targetType: 'conference',
+          targetId: conference._id,
+          summary: `${phaseLabel(conference.status)} → ${phaseLabel(next)} (scheduled)`,
+          before: { status: conference.status },
+          after: { status: next }
+        }).catch(err => console.error('Audit log error:', err));
+        notifyPhaseChange(updated).catch(err => console.error('Phase notification error:', err));
+
+        conference = updated;
+        next = duePhase(conference, now);
+      }
+    }
+
+    console.log(`✅ Scheduled phase changes: ${moved}`);
+  } catch (error) {
+    console.error('❌ Error advancing conference phases:', error);
+  }
+};
+
+// Archive conferences a day after their end date, once the transition is allowed
+const archiveFinishedConferences = async () => {
+  try {
+    const conferences = await Conference.find({
+      status: { $ne: 'archived' },
+      endDate: { $lt: new Date(Date.now() - ONE_DAY_MS) }
+    }).lean();
+
+    let archived = 0;
+    for (const conference of conferences) {
+      // Same guard as a manual phase change: only a published program is archived
+      const blocked = await checkTransition(conference, 'archived');
+      if (blocked) {
+        console.log(`[Lifecycle] ${conference.name}: cannot archive yet: ${blocked}`);
+        continue;
+      }
+
+      const updated = await applyPhase(conference, 'archived');
+      if (!updated) continue;
+      archived++;
+
+      recordSystemAudit(conference._id, {
+        action: 'conference.phase',
+        targetType: 'conference',
+        targetId: conference._id,
+        summary: `${phaseLabel(conference.status)} → ${phaseLabel('archived')} (conference ended)`,
+        before: { status: conference.status },
+        after: { status: 'archived' }
+      }).catch(err => console.error('Audit log error:', err));
+      notifyPhaseChange(updated).catch(err => console.error('Phase notification error:', err));
+    }
+
+    console.log(`✅ Conferences archived: ${archived}`);
+  } catch (error) {
+    console.error('❌ Error archiving conferences:', error);
+  }
+};
+
+// Remind authors of accepted papers with missing camera-ready items as the
+// deadline nears (once per REMINDER_DAYS threshold)
+const sendCameraReadyReminders = async () => {
+  try {
+    const now = new Date();
+    const conferences = await Conference.find({
+      status: 'camera_ready',
+      'cameraReady.deadline': { $gt: now }
+    }).lean();
+
+    let sent = 0;
+    for (const conference of conferences) {
+      const daysLeft = Math.ceil((new Date(conference.cameraReady.deadline) - now) / ONE_DAY_MS);
+      const submissions = await Submission.find({ conferenceId: conference._id, status: 'accepted' })
+        .select('title authorId coAuthors cameraReady')
+        .populate('authorId', 'name email deletedAt')
+        .lean();
+
+      for (const submission of submissions) {
+        const already = submission.cameraReady?.remindersSent || [];
+        const due = REMINDER_DAYS.filter(days => daysLeft <= days && !already.includes(days));
+        if (due.length === 0) continue;
+
+        const checklist = cameraReadyChecklist(submission, conference);
+        if (checklist.complete) continue;
+
+        // A paper accepted late gets one reminder, not one per threshold already passed
+        await Submission.updateOne(
+          { _id: submission._id },
+          { $addToSet: { 'cameraReady.remindersSent': { $each: due } } }
+        );
+
+        const author = submission.authorId;
+        if (!author?.email || author.deletedAt) continue;
+        const coAuthorEmails = (submission.coAuthors || [])
+          .map(ca => ca.email)
+          .filter(email => email && email !== author.email)
+          .join(', ');
+
+        sendEmail(
+          author.email,
+          templates.cameraReadyReminder(
+            author,
+            submission,
+            conference,
+            checklist.items.filter(item => !item.done).map(item => item.label),
+            conference.cameraReady.deadline,
+            `${FRONTEND_URL}/author/submissions/${submission._id}/camera-ready`
+          ),
+          coAuthorEmails || null
+        ).catch(err => console.error('Email error:', err));
+        sent++;
+      }
+    }
+
+    console.log(`✅ Camera-ready reminders sent: ${sent}`);
+  } catch (error) {
+    console.error('❌ Error sending camera-ready reminders:', error);
+  }
+};
+
+// Lifecycle jobs, in order: deadlines first so a phase change sees closed tracks
+const runLifecycleJobs = async () => {
+  await closeDueTracks();
+  await withdrawUnfinishedRegistrations();
+  await advanceConferencePhases();
+  await archiveFinishedConferences();
+};
+
 // Initialize cron jobs
 const initializeScheduledTasks = () => {
   // Run review reminders daily at 9 AM
@@ -159,19 +440,48 @@ const initializeScheduledTasks = () => {
     sendReviewReminders();
   });
 
+  // Run camera-ready reminders daily at 9 AM
+  cron.schedule('0 9 * * *', () => {
+    console.log('⏰ Running camera-ready reminder check...');
+    sendCameraReadyReminders();
+  });
+
   // Run weekly digest every Monday at 8 AM
   cron.schedule('0 8 * * 1', () => {
     console.log('⏰ Running weekly digest...');
     sendWeeklyDigest();
   });
 
+  // Process scheduled account deletions daily at 3 AM
+  cron.schedule('0 3 * * *', () => {
+    console.log('⏰ Running account deletions...');
+    runAccountDeletions();
+  });
+
+  // Close tracks, advance phases and archive finished conferences every 15 minutes
+  cron.schedule('*/15 * * * *', () => {
+    runLifecycleJobs();
+  });
+
+  // Catch up on anything that came due while the server was down
+  runLifecycleJobs();
+
   console.log('✅ Scheduled tasks initialized');
   console.log('   - Review reminders: Daily at 9:00 AM');
+  console.log('   - Camera-ready reminders: Daily at 9:00 AM');
   console.log('   - Weekly digests: Every Monday at 8:00 AM');
+  console.log('   - Account deletions: Daily at 3:00 AM');
+  console.log('   - Track closing, phase changes and archiving: Every 15 minutes');
 };
 
 module.exports = {
   initializeScheduledTasks,
   sendReviewReminders,
-  sendWeeklyDigest
+  sendCameraReadyReminders,
+  sendWeeklyDigest,
+  runAccountDeletions,
+  closeDueTracks,
+  withdrawUnfinishedRegistrations,
+  advanceConferencePhases,
+  archiveFinishedConferences
 };
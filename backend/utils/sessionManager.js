@@ -0,0 +1,116 @@
+const Session = require('../models/Session');
+const { REFRESH_TOKEN_TTL_DAYS, generateRefreshToken, hashToken } = require('./jwt');
+
+// Two tabs refreshing at once both present the same token; the loser
+// should simply retry instead of being treated as a stolen token.
+const REUSE_GRACE_MS = 10 * 1000;
+
+const getExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 300),
+  ipAddress: req.ip
+});
+
+/**
+ * Start a new session for a device
+ * @param {ObjectId|string} userId - User ID
+ * @param {Object} req - Express request (for user agent / IP)
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+async function createSession(userId, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    expiresAt: getExpiry()
+  });
+  return { session, refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * Presenting an already-rotated token revokes the session, since it means
+ * the token was copied.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<{session: Object|null, refreshToken?: string, reason?: string}>}
+ */
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const rotated = await Session.findOne({ previousTokenHash: tokenHash });
+    if (!rotated || rotated.revokedAt) {
+      return { session: null, reason: 'invalid' };
+    }
+    if (Date.now() - rotated.lastUsedAt.getTime() < REUSE_GRACE_MS) {
+      return { session: null, reason: 'rotated' };
+    }
+    rotated.revokedAt = new Date();
+    rotated.revokedReason = 'reuse_detected';
+    await rotated.save();
+    return { session: null, reason: 'reuse_detected' };
+  }
+
+  if (!session.isActive()) {
+    return { session: null, reason: 'invalid' };
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = getExpiry();
+  Object.assign(session, getClientInfo(req));
+  await session.save();
+
+  return { session, refreshToken: newRefreshToken };
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeSessionByToken(refreshToken) {
+  const result = await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Check whether an access token's session is still usable
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  isSessionActive
+};
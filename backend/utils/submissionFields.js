@@ -0,0 +1,160 @@
+const { FIELD_TYPES, FIELD_KEY_PATTERN, CHOICE_TYPES } = require('../config/submissionFields');
+
+// Longest text answer when the organizer set no limit
+const DEFAULT_MAX_LENGTH = { text: 500, textarea: 5000 };
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Custom fields asked on a track's submission form
+ * @param {Object} conference - Conference with submissionFields
+ * @param {string} trackId
+ * @returns {Array<Object>}
+ */
+function fieldsForTrack(conference, trackId) {
+  return (conference.submissionFields || []).filter(field =>
+    !field.trackIds?.length || field.trackIds.some(id => String(id) === String(trackId))
+  );
+}
+
+/**
+ * Check field definitions before saving them on a conference
+ * @param {Array<Object>} fields
+ * @param {Array<string>} trackIds - The conference's tracks
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkSubmissionFields(fields, trackIds) {
+  if (!Array.isArray(fields)) return 'Submission fields must be a list';
+
+  const tracks = new Set(trackIds.map(String));
+  const keys = new Set();
+  for (const field of fields) {
+    if (!field || !field.key || !field.label) return 'Every field needs a key and a label';
+    if (String(field.label).length > 200) return 'Field labels cannot exceed 200 characters';
+    if (!FIELD_KEY_PATTERN.test(field.key)) {
+      return `${field.label}: the key must start with a letter and use only lowercase letters, digits and underscores`;
+    }
+    if (keys.has(field.key)) return `The key "${field.key}" is used by two fields`;
+    keys.add(field.key);
+
+    if (!FIELD_TYPES[field.type]) return `${field.label}: unknown field type`;
+    if (CHOICE_TYPES.includes(field.type) && !(field.options || []).some(option => String(option).trim())) {
+      return `${field.label}: add at least one option`;
+    }
+    if (field.min != null && field.max != null && Number(field.min) > Number(field.max)) {
+      return `${field.label}: the minimum is above the maximum`;
+    }
+    if ((field.trackIds || []).some(id => !tracks.has(String(id)))) {
+      return `${field.label}: unknown track`;
+    }
+  }
+  return null;
+}
+
+// Normalized answer to one field, or the reason it is not accepted
+function readAnswer(field, raw) {
+  const { label, min, max } = field;
+
+  switch (field.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return { error: `${label} must be a number` };
+      if (min != null && value < min) return { error: `${label} must be at least ${min}` };
+      if (max != null && value > max) return { error: `${label} must be at most ${max}` };
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw);
+      if (!field.options.includes(value)) return { error: `${label}: choose one of the listed options` };
+      return { value };
+    }
+    case 'checkboxes': {
+      const value = [...new Set((Array.isArray(raw) ? raw : [raw]).map(String))];
+      if (value.some(option => !field.options.includes(option))) return { error: `${label}: choose from the listed options` };
+      if (min != null && value.length < min) return { error: `${label}: choose at least ${min}` };
+      if (max != null && value.length > max) return { error: `${label}: choose at most ${max}` };
+      return { value };
+    }
+    default: {
+      const value = String(raw).trim();
+      const maxLength = field.maxLength || DEFAULT_MAX_LENGTH[field.type] || DEFAULT_MAX_LENGTH.text;
+      if (value.length > maxLength) return { error: `${label} cannot exceed ${maxLength} characters` };
+      return { value };
+    }
+  }
+}
+
+/**
+ * Validate answers to custom fields
+ * @param {Array<Object>} fields - Fields asked (fieldsForTrack)
+ * @param {Object} [answers] - { key: value } as sent by the author
+ * @returns {{ values: Object, errors: Array<{ path: string, msg: string }> }}
+ *          Answers to store, and errors in the shape express-validator returns
+ */
+function validateAnswers(fields, answers) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+  const values = {};
+  const errors = [];
+
+  for (const field of fields) {
+    const raw = given[field.key];
+    const path = `customFields.${field.key}`;
+
+    if (field.type === 'checkbox') {
+      const checked = raw === true || raw === 'true';
+      if (field.required && !checked) errors.push({ path, msg: `${field.label} must be checked` });
+      values[field.key] = checked;
+      continue;
+    }
+
+    if (isBlank(raw) || (typeof raw === 'string' && !raw.trim())) {
+      if (field.required) errors.push({ path, msg: `${field.label} is required` });
+      continue;
+    }
+
+    const { value, error } = readAnswer(field, raw);
+    if (error) {
+      errors.push({ path, msg: error });
+    } else {
+      values[field.key] = value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Answers with their labels, for display
+ * @param {Array<Object>} fields - The conference's submissionFields
+ * @param {Object} [answers] - Submission.customFields
+ * @param {Object} [options]
+ * @param {boolean} [options.reviewer] - Only fields reviewers may see
+ * @returns {Array<{ key: string, label: string, type: string, value: * }>}
+ */
+function answerList(fields, answers, { reviewer = false } = {}) {
+  return (fields || [])
+    .filter(field => !reviewer || field.visibility === 'reviewers')
+    .filter(field => answers && !isBlank(answers[field.key]))
+    .map(({ key, label, type }) => ({ key, label, type, value: answers[key] }));
+}
+
+/**
+ * An answer as plain text (exports)
+ * @param {*} value
+ * @returns {string}
+ */
+function formatAnswer(value) {
+  if (isBlank(value)) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+module.exports = {
+  fieldsForTrack,
+  checkSubmissionFields,
+  validateAnswers,
+  answerList,
+  formatAnswer
+};
@@ -0,0 +1,110 @@
+const { SUBMISSION_KINDS, TYPE_KEY_PATTERN, FILE_FORMATS } = require('../config/submissionTypes');
+
+/**
+ * A conference's submission type by key
+ * @param {Object} conference - Conference with submissionTypes
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function findType(conference, key) {
+  if (!key) return null;
+  return (conference?.submissionTypes || []).find(type => type.key === key) || null;
+}
+
+/**
+ * Deadline that applies to a submission: its type's, else its track's, else the conference's
+ * @param {Object} conference
+ * @param {Object} [track]
+ * @param {Object} [type] - Submission type (findType)
+ * @returns {Date|null}
+ */
+function deadlineFor(conference, track, type) {
+  return type?.submissionDeadline || track?.submissionDeadline || conference?.submissionDeadline || null;
+}
+
+/**
+ * Last deadline a track takes submissions under, counting type deadlines
+ * (the track closes once it has passed)
+ * @param {Object} conference
+ * @param {Object} track
+ * @returns {Date|null}
+ */
+function lastDeadline(conference, track) {
+  const types = conference?.submissionTypes || [];
+  const deadlines = (types.length ? types.map(type => deadlineFor(conference, track, type)) : [deadlineFor(conference, track)])
+    .filter(Boolean)
+    .map(date => new Date(date));
+  if (deadlines.length === 0) return null;
+  return new Date(Math.max(...deadlines.map(date => date.getTime())));
+}
+
+/**
+ * Check type definitions before saving them on a conference
+ * @param {Array<Object>} types
+ * @param {Array<string>} usedKeys - Types existing submissions already have
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkSubmissionTypes(types, usedKeys = []) {
+  if (!Array.isArray(types)) return 'Submission types must be a list';
+
+  const keys = new Set();
+  for (const type of types) {
+    if (!type || !type.key || !type.name) return 'Every submission type needs a key and a name';
+    if (!TYPE_KEY_PATTERN.test(type.key)) {
+      return `${type.name}: the key must start with a letter and use only lowercase letters, digits and underscores`;
+    }
+    if (keys.has(type.key)) return `The key "${type.key}" is used by two submission types`;
+    keys.add(type.key);
+
+    if (type.kind && !SUBMISSION_KINDS[type.kind]) return `${type.name}: unknown kind of submission`;
+    if ((type.fileFormats || []).some(format => !FILE_FORMATS.includes(format))) {
+      return `${type.name}: files can only be ${FILE_FORMATS.join(', ')}`;
+    }
+    if (type.submissionDeadline && isNaN(new Date(type.submissionDeadline).getTime())) {
+      return `${type.name}: invalid deadline`;
+    }
+  }
+
+  const removed = usedKeys.filter(key => key && !keys.has(key));
+  if (removed.length) {
+    return `Submissions already use ${removed.map(key => `"${key}"`).join(', ')}, so the type cannot be removed`;
+  }
+  return null;
+}
+
+/**
+ * Check a submission's file against its type's requirements
+ * @param {Object} [type]
+ * @param {string} [fileUrl]
+ * @returns {string|null} Error message, or null when acceptable
+ */
+function checkTypeFile(type, fileUrl) {
+  if (!type) return null;
+  if (!fileUrl) {
+    return type.fileRequired === false ? null : `A file is required for ${type.name} submissions`;
+  }
+  const formats = type.fileFormats || [];
+  const extension = String(fileUrl).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  if (formats.length && !formats.includes(extension)) {
+    return `${type.name} submissions must be ${formats.map(format => format.toUpperCase()).join(' or ')} files`;
+  }
+  return null;
+}
+
+/**
+ * Certificate wording for a submission's type
+ * @param {Object} [type]
+ * @returns {{ work: string, presented: string }}
+ */
+function typeWording(type) {
+  return SUBMISSION_KINDS[type?.kind] || SUBMISSION_KINDS.full_paper;
+}
+
+module.exports = {
+  findType,
+  deadlineFor,
+  lastDeadline,
+  checkSubmissionTypes,
+  checkTypeFile,
+  typeWording
+};
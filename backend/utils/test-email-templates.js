@@ -1,5 +1,5 @@
 /**
- * Quick test script — renders all 13 email templates to HTML files for preview.
+ * Quick test script — renders all 21 email templates to HTML files for preview.
  * Run: node backend/utils/test-email-templates.js
  */
 const fs = require('fs');
@@ -31,6 +31,7 @@ const conference = {
   name: 'ICML 2026',
   startDate: '2026-07-15',
   reviewDeadline: '2026-06-01',
+  timezone: 'AoE',
   organizerId: 'org123'
 };
 const stats = {
@@ -51,11 +52,28 @@ const cases = [
   ['06-all-reviews-complete',       () => templates.allReviewsComplete(organizer, paper, conference, 3)],
   ['07-review-reminder',            () => templates.reviewReminder(reviewer, paper, conference, 7)],
   ['08-revised-paper-submitted',    () => templates.revisedPaperSubmitted(reviewer, paper, conference)],
-  ['09-paper-accepted',             () => templates.paperAccepted(author, paper, conference)],
+  ['09-paper-accepted',             () => templates.paperAccepted(author, paper, conference, 'http://localhost:3000/author/submissions/682516a3f1/camera-ready')],
   ['10-paper-rejected',             () => templates.paperRejected(author, paper, conference, 'While the topic is interesting, the experimental validation is insufficient.')],
   ['11-final-decision-reviewers',   () => templates.finalDecisionToReviewers(reviewer, paper, conference, 'accepted')],
   ['12-weekly-digest',              () => templates.weeklyDigest(organizer, conference, stats)],
   ['13-rejected-duplicate',         () => templates.paperRejectedDuplicate(author, paper, conference)],
+  ['14-email-verification',         () => templates.emailVerification(author, 'https://econfmate.vercel.app/verify-email?token=preview', 24)],
+  ['15-password-reset',             () => templates.passwordReset(author, 'https://econfmate.vercel.app/reset-password?token=preview', 60)],
+  ['16-account-locked',             () => templates.accountLocked(author, 'https://econfmate.vercel.app/forgot-password', 15, '203.0.113.7')],
+  ['17-accounts-merged',            () => templates.accountsMerged(author, 'sarah.chen@gmail.com', author.email, organizer.name)],
+  ['18-conference-suspended',       () => templates.conferenceSuspended(organizer, conference, 'Reported as a predatory event; please contact support.')],
+  ['19-committee-member-added',     () => templates.committeeMemberAdded(reviewer, conference, 'Track Chair', ['Natural Language Processing'], organizer.name, 'http://localhost:3000/organizer/dashboard')],
+  ['20-account-deletion-scheduled', () => templates.accountDeletionScheduled(author, new Date(Date.now() + 14 * 24 * 60 * 60 * 1000), 'http://localhost:3000/profile')],
+  ['21-account-deleted',            () => templates.accountDeleted(author)],
+  ['22-track-closed',               () => templates.trackClosed(organizer, conference, { name: 'Natural Language Processing' }, 37, 'http://localhost:3000/organizer/dashboard')],
+  ['23-conference-phase-changed',   () => templates.conferencePhaseChanged(reviewer, conference, 'Bidding', 'Bidding is open. Bid on the papers you would like to review.', 'http://localhost:3000/reviewer/dashboard')],
+  ['24-deadline-extended',          () => templates.deadlineExtended(author, conference, '"Sparse Attention at Scale"', new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), 'Upload problems reported before the deadline', 'http://localhost:3000/author/dashboard')],
+  ['25-abstract-registered',        () => templates.abstractRegistered(author, paper, conference, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000))],
+  ['26-registration-withdrawn',     () => templates.registrationWithdrawn(author, paper, conference, new Date(), 'http://localhost:3000/author/submissions')],
+  ['27-camera-ready-reminder',       () => templates.cameraReadyReminder(author, paper, conference, ['Source archive', 'Copyright or license agreement'], new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), 'http://localhost:3000/author/submissions/682516a3f1/camera-ready')],
+  ['28-submission-withdrawn',       () => templates.submissionWithdrawn(reviewer, paper, conference, 'http://localhost:3000/reviewer/assignments')],
+  ['29-co-author-invitation',       () => templates.coAuthorInvitation(reviewer, paper, conference, author, 'http://localhost:3000/co-author-invitation?token=preview')],
+  ['30-account-merge-confirmation', () => templates.accountMergeConfirmation(author, 'sarah.chen@gmail.com', organizer.name, 'http://localhost:3000/account-merge?token=preview', 72)],
 ];
 
 for (const [name, fn] of cases) {
@@ -65,5 +83,5 @@ for (const [name, fn] of cases) {
   console.log(`  Rendered: ${name}.html  |  Subject: ${result.subject}`);
 }
 
-console.log(`\nAll 13 templates rendered to: ${outputDir}`);
+console.log(`\nAll ${cases.length} templates rendered to: ${outputDir}`);
 console.log('Open any .html file in a browser to preview.');
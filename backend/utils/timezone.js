@@ -0,0 +1,130 @@
+/**
+ * Conference timezones
+ *
+ * Dates are stored as instants. Organizers enter them as wall-clock times in
+ * the conference's timezone (`Conference.timezone`, overridable per track),
+ * which is an IANA zone name or 'AoE' (Anywhere on Earth, UTC-12: a deadline
+ * has passed once it is over everywhere). A date without a time means the
+ * start of that day, or its end (23:59:59) for deadlines.
+ */
+
+const AOE = 'AoE';
+const DEFAULT_TIMEZONE = 'UTC';
+
+// IANA spells UTC-12 with the sign inverted
+const AOE_ZONE = 'Etc/GMT+12';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * IANA zone for a conference timezone setting
+ * @param {string} [timezone]
+ * @returns {string}
+ */
+function ianaZone(timezone) {
+  if (timezone === AOE) return AOE_ZONE;
+  return timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * @param {string} timezone - IANA zone name or 'AoE'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (timezone === AOE) return true;
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Timezone that applies to a track's dates (the track's own, else the conference's)
+ * @param {Object} conference
+ * @param {Object} [track]
+ * @returns {string}
+ */
+function timezoneFor(conference, track) {
+  return track?.timezone || conference?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function zoneOffsetMs(date, zone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Read a date entered in a conference's timezone
+ * Values with an explicit offset (e.g. ISO strings ending in Z) are taken as they are.
+ * @param {string|Date} value - 'YYYY-MM-DD', 'YYYY-MM-DDTHH:mm[:ss]' or an ISO instant
+ * @param {string} timezone - IANA zone name or 'AoE'
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay] - A date without a time means 23:59:59 that day
+ * @returns {Date|null} null for empty values (an Invalid Date for values that are not dates)
+ */
+function parseInZone(value, timezone, { endOfDay = false } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = WALL_CLOCK.exec(String(value));
+  if (value instanceof Date || !match) return new Date(value);
+
+  const [, year, month, day, hour, minute, second] = match;
+  const lastSecond = endOfDay && DATE_ONLY.test(value);
+  const wallClock = Date.UTC(
+    Number(year), Number(month) - 1, Number(day),
+    lastSecond ? 23 : Number(hour || 0),
+    lastSecond ? 59 : Number(minute || 0),
+    lastSecond ? 59 : Number(second || 0)
+  );
+
+  // The offset at the guess can differ from the offset at the answer around DST changes
+  const zone = ianaZone(timezone);
+  const guess = wallClock - zoneOffsetMs(new Date(wallClock), zone);
+  return new Date(wallClock - zoneOffsetMs(new Date(guess), zone));
+}
+
+/**
+ * Format a date in a conference's timezone, labelled with the zone
+ * @param {string|Date} date
+ * @param {string} [timezone]
+ * @param {Object} [options]
+ * @param {boolean} [options.time=true] - Include the time of day
+ * @returns {string} e.g. 'Mar 1, 2026, 11:59 PM AoE', or 'TBD' without a date
+ */
+function formatInZone(date, timezone, { time = true } = {}) {
+  if (!date) return 'TBD';
+  const formatted = new Date(date).toLocaleString('en-US', {
+    timeZone: ianaZone(timezone),
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...(time ? { hour: 'numeric', minute: '2-digit' } : {})
+  });
+  return time ? `${formatted} ${timezone || DEFAULT_TIMEZONE}` : formatted;
+}
+
+module.exports = {
+  AOE,
+  DEFAULT_TIMEZONE,
+  ianaZone,
+  isValidTimezone,
+  timezoneFor,
+  parseInZone,
+  formatInZone
+};
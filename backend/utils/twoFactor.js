@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { hashToken } = require('./jwt');
+
+// Accept the previous/next 30s step to tolerate clock drift on phones
+authenticator.options = { window: 1 };
+
+const ISSUER = 'eConfMate';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without formatting ("abcde-12345" == "ABCDE12345")
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string}
+ */
+const generateSecret = () => authenticator.generateSecret();
+
+/**
+ * Build the otpauth:// URI and a QR code image for authenticator apps
+ * @param {string} email - Account label shown in the app
+ * @param {string} secret - Base32 secret
+ * @returns {Promise<{otpauthUrl: string, qrCodeDataUrl: string}>}
+ */
+async function buildProvisioning(email, secret) {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+  return { otpauthUrl, qrCodeDataUrl };
+}
+
+/**
+ * Check a 6-digit TOTP code
+ * @param {string} code - Code from the authenticator app
+ * @param {string} secret - Base32 secret
+ * @returns {boolean}
+ */
+const verifyTotp = (code, secret) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return false;
+  return authenticator.verify({ token, secret });
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once and hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(c => hashToken(normalizeRecoveryCode(c))) };
+};
+
+/**
+ * Verify a second factor: a TOTP code, or a recovery code which is then used up.
+ * The caller must save the user when a recovery code was consumed.
+ * @param {Object} user - User document with twoFactorSecret and twoFactorRecoveryCodes selected
+ * @param {string} code - TOTP or recovery code
+ * @returns {{valid: boolean, usedRecoveryCode: boolean}}
+ */
+const verifySecondFactor = (user, code) => {
+  if (verifyTotp(code, user.twoFactorSecret)) {
+    return { valid: true, usedRecoveryCode: false };
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const index = (user.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (index === -1) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  user.twoFactorRecoveryCodes.splice(index, 1);
+  return { valid: true, usedRecoveryCode: true };
+};
+
+module.exports = {
+  generateSecret,
+  buildProvisioning,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
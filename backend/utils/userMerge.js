@@ -0,0 +1,252 @@
+const Conference = require('../models/Conference');
+const Submission = require('../models/Submission');
+const Review = require('../models/Review');
+const Bid = require('../models/Bid');
+const Assignment = require('../models/Assignment');
+const Registration = require('../models/Registration');
+const Certificate = require('../models/Certificate');
+const ReviewerConferenceRegistration = require('../models/ReviewerConferenceRegistration');
+const User = require('../models/User');
+const { revokeAllSessions } = require('./sessionManager');
+const { sendEmail, templates } = require('./emailService');
+const { PORTAL_URL } = require('./emailTemplateLayout');
+const { generateOneTimeToken, hashToken } = require('./jwt');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || `https://${PORTAL_URL}`;
+
+// How long the owner has to confirm a merge from the emailed link
+const MERGE_CONFIRMATION_TTL_HOURS = 72;
+
+// Scalar fields holding a User id
+const USER_REFERENCES = [
+  { model: Conference, field: 'organizerId' },
+  { model: Submission, field: 'authorId' },
+  { model: Submission, field: 'decision.decidedBy' },
+  { model: Review, field: 'reviewerId' },
+  { model: Bid, field: 'reviewerId' },
+  { model: Bid, field: 'decision.decidedBy' },
+  { model: Assignment, field: 'reviewerId' },
+  { model: Assignment, field: 'assignedBy' },
+  { model: Registration, field: 'participantId' },
+  { model: Certificate, field: 'userId' },
+  { model: ReviewerConferenceRegistration, field: 'reviewerId' },
+  { model: ReviewerConferenceRegistration, field: 'registeredBy' }
+];
+
+// Profile fields copied from a merged account when the surviving account
+// has no value. Sign-in credentials (password, ORCID, Google) never move:
+// they would let the merged account's owner sign in as the other account.
+const PROFILE_FIELDS = ['profilePicture', 'affiliation'];
+
+/**
+ * Count the documents that reference a user, per model and field
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<Array<{model: string, field: string, count: number}>>}
+ */
+async function countUserReferences(userId) {
+  const counts = await Promise.all(USER_REFERENCES.map(async ({ model, field }) => ({
+    model: model.modelName,
+    field,
+    count: await model.countDocuments({ [field]: userId })
+  })));
+
+  counts.push({
+    model: Submission.modelName,
+    field: 'coAuthors.userId',
+    count: await Submission.countDocuments({ 'coAuthors.userId': userId })
+  });
+  counts.push({
+    model: Submission.modelName,
+    field: 'assignedReviewers',
+    count: await Submission.countDocuments({ assignedReviewers: userId })
+  });
+
+  return counts.filter(c => c.count > 0);
+}
+
+// Value at a dotted path of a lean document
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Find the documents that could not move from one user to another: those
+ * that would collide with a unique index (e.g. both accounts reviewed the
+ * same paper) and submissions listing both accounts as co-author or
+ * assigned reviewer. Nothing is written.
+ * @param {ObjectId|string} fromUserId - User whose references would move
+ * @param {ObjectId|string} toUserId - User that would receive them
+ * @returns {Promise<Array<{model: string, field: string, documentId: ObjectId}>>}
+ */
+async function findMergeConflicts(fromUserId, toUserId) {
+  const conflicts = [];
+
+  for (const { model, field } of USER_REFERENCES) {
+    // The other keys of each unique index that includes this field
+    const uniqueKeys = model.schema.indexes()
+      .filter(([keys, options]) => options?.unique && field in keys)
+      .map(([keys]) => Object.keys(keys).filter(key => key !== field));
+    if (uniqueKeys.length === 0) continue;
+
+    const docs = await model.find({ [field]: fromUserId }).select(uniqueKeys.flat().join(' ')).lean();
+    for (const doc of docs) {
+      for (const keys of uniqueKeys) {
+        const duplicate = { [field]: toUserId };
+        keys.forEach(key => { duplicate[key] = valueAt(doc, key); });
+        if (await model.exists(duplicate)) {
+          conflicts.push({ model: model.modelName, field, documentId: doc._id });
+          break;
+        }
+      }
+    }
+  }
+
+  for (const field of ['coAuthors.userId', 'assignedReviewers']) {
+    const docs = await Submission.find({ [field]: { $all: [fromUserId, toUserId] } }).select('_id').lean();
+    docs.forEach(doc => conflicts.push({ model: Submission.modelName, field, documentId: doc._id }));
+  }
+
+  return conflicts;
+}
+
+/**
+ * Re-point every document that references one user to another user.
+ * Check findMergeConflicts first: a unique-index collision fails the
+ * update it happens in.
+ *
+ * @param {ObjectId|string} fromUserId - User whose references are moved
+ * @param {ObjectId|string} toUserId - User that receives the references
+ * @returns {Promise<number>} Documents updated
+ */
+async function reassignUserReferences(fromUserId, toUserId) {
+  let updated = 0;
+
+  for (const { model, field } of USER_REFERENCES) {
+    const result = await model.updateMany({ [field]: fromUserId }, { $set: { [field]: toUserId } });
+    updated += result.modifiedCount;
+  }
+
+  // Array references on submissions
+  const coAuthorResult = await Submission.updateMany(
+    { 'coAuthors.userId': fromUserId },
+    { $set: { 'coAuthors.$[coAuthor].userId': toUserId } },
+    { arrayFilters: [{ 'coAuthor.userId': fromUserId }] }
+  );
+  updated += coAuthorResult.modifiedCount;
+
+  const reviewerResult = await Submission.updateMany(
+    { assignedReviewers: fromUserId },
+    { $set: { 'assignedReviewers.$[reviewer]': toUserId } },
+    { arrayFilters: [{ reviewer: fromUserId }] }
+  );
+  updated += reviewerResult.modifiedCount;
+
+  return updated;
+}
+
+/**
+ * Merge one account into another: references are moved, roles and
+ * expertise combined, missing profile fields copied, and the source account
+ * deleted. Nothing is moved when any reference would conflict
+ * (see findMergeConflicts); both accounts stay as they were.
+ * Only call this once the owner of both accounts has confirmed.
+ *
+ * @param {ObjectId|string} sourceUserId - Account that goes away
+ * @param {ObjectId|string} targetUserId - Account that remains
+ * @returns {Promise<{merged: boolean, updated: number, conflicts: Array}>}
+ */
+async function mergeUserAccounts(sourceUserId, targetUserId) {
+  const source = await User.findById(sourceUserId).lean();
+  const target = await User.findById(targetUserId).lean();
+
+  const conflicts = await findMergeConflicts(sourceUserId, targetUserId);
+  if (conflicts.length > 0) {
+    return { merged: false, updated: 0, conflicts };
+  }
+
+  const updated = await reassignUserReferences(sourceUserId, targetUserId);
+
+  const roles = new Set([...(target.roles || [target.role]), ...(source.roles || [source.role])]);
+  const expertiseDomains = new Set([...(target.expertiseDomains || []), ...(source.expertiseDomains || [])]);
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    if (!target[field] && source[field]) {
+      profile[field] = source[field];
+    }
+  }
+
+  await revokeAllSessions(source._id, 'account_merged');
+  await User.deleteOne({ _id: source._id });
+
+  await User.updateOne(
+    { _id: target._id },
+    { $set: { ...profile, roles: [...roles], expertiseDomains: [...expertiseDomains] } }
+  );
+
+  return { merged: true, updated, conflicts };
+}
+
+/**
+ * Ask the owner of an account to confirm merging it into another. The
+ * emailed link is single-use; a new request replaces the previous link.
+ * @param {Object} source - Account that would go away ({ _id, name, email })
+ * @param {Object} target - Account that would remain ({ _id, email })
+ * @param {Object} organizer - Organizer asking ({ _id, name })
+ */
+async function requestAccountMerge(source, target, organizer) {
+  const { token, tokenHash } = generateOneTimeToken();
+  await User.updateOne({ _id: source._id }, {
+    mergeTokenHash: tokenHash,
+    mergeExpires: new Date(Date.now() + MERGE_CONFIRMATION_TTL_HOURS * 60 * 60 * 1000),
+    mergeIntoUserId: target._id,
+    mergeRequestedBy: organizer._id
+  });
+
+  const confirmUrl = `${FRONTEND_URL}/account-merge?token=${token}`;
+  sendEmail(source.email, templates.accountMergeConfirmation(source, target.email, organizer.name, confirmUrl, MERGE_CONFIRMATION_TTL_HOURS))
+    .catch(err => console.error('Email error:', err));
+}
+
+/**
+ * Pending merge whose confirmation link carries this token
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<{source?: Object, target?: Object, organizer?: Object}>}
+ *   Empty when the link is invalid, expired or the target account is gone
+ */
+async function findMergeRequest(token) {
+  const source = await User.findOne({
+    mergeTokenHash: hashToken(token),
+    mergeExpires: { $gt: new Date() }
+  }).select('+mergeIntoUserId +mergeRequestedBy');
+  if (!source) return {};
+
+  const [target, organizer] = await Promise.all([
+    User.findById(source.mergeIntoUserId).select('name email'),
+    User.findById(source.mergeRequestedBy).select('name')
+  ]);
+  return target ? { source, target, organizer } : {};
+}
+
+/**
+ * Spend a merge confirmation link, so it works once
+ * @param {Object} source - Account the merge was requested for
+ * @returns {Promise<boolean>} False when the link was already used
+ */
+async function clearMergeRequest(source) {
+  const result = await User.updateOne(
+    { _id: source._id, mergeTokenHash: { $ne: null } },
+    { $unset: { mergeTokenHash: 1, mergeExpires: 1, mergeIntoUserId: 1, mergeRequestedBy: 1 } }
+  );
+  return result.modifiedCount === 1;
+}
+
+module.exports = {
+  USER_REFERENCES,
+  PROFILE_FIELDS,
+  MERGE_CONFIRMATION_TTL_HOURS,
+  countUserReferences,
+  findMergeConflicts,
+  reassignUserReferences,
+  mergeUserAccounts,
+  requestAccountMerge,
+  findMergeRequest,
+  clearMergeRequest
+};
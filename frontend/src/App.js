@@ -13,6 +13,11 @@ import ContactUs from './pages/ContactUs';
 import OrcidCallback from './pages/OrcidCallback';
 import GoogleCallback from './pages/GoogleCallback';
 import Profile from './pages/Profile';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import CoAuthorInvitation from './pages/CoAuthorInvitation';
+import ConfirmAccountMerge from './pages/ConfirmAccountMerge';
 
 // Organizer Pages
 import OrganizerDashboard from './pages/Organizer/Dashboard';
@@ -22,6 +27,9 @@ import ViewSubmissions from './pages/Organizer/ViewSubmissions';
 import ManageBids from './pages/Organizer/ManageBids';
 import ManageAssignments from './pages/Organizer/ManageAssignments';
 import ManageAuthors from './pages/Organizer/ManageAuthors';
+import OrganizerAuditLog from './pages/Organizer/AuditLog';
+import CloneConference from './pages/Organizer/CloneConference';
+import CameraReadyChecklist from './pages/Organizer/CameraReadyChecklist';
 
 // Author Pages
 import AuthorDashboard from './pages/Author/Dashboard';
@@ -30,6 +38,7 @@ import ConferenceDetails from './pages/Author/ConferenceDetails';
 import SubmitPaper from './pages/Author/SubmitPaper';
 import MySubmissions from './pages/Author/MySubmissions';
 import SubmissionDetails from './pages/Author/SubmissionDetails';
+import CameraReady from './pages/Author/CameraReady';
 import AuthorMyCertificates from './pages/Author/MyCertificates';
 
 // Reviewer Pages
@@ -54,6 +63,9 @@ import RegisterForConference from './pages/Participant/RegisterForConference';
 // Organizer Participants
 import OrganizerParticipants from './pages/Organizer/Participants';
 
+// Admin Pages
+import AdminDashboard from './pages/Admin/Dashboard';
+
 function App() {
   return (
     <Router>
@@ -69,17 +81,32 @@ function App() {
               <Route path="/contact" element={<ContactUs />} />
               <Route path="/auth/orcid/callback" element={<OrcidCallback />} />
               <Route path="/auth/google/callback" element={<GoogleCallback />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/co-author-invitation" element={<CoAuthorInvitation />} />
+              <Route path="/account-merge" element={<ConfirmAccountMerge />} />
 
               {/* Profile Route (All Roles) */}
               <Route
                 path="/profile"
                 element={
-                  <ProtectedRoute allowedRoles={['organizer', 'author', 'reviewer', 'participant']}>
+                  <ProtectedRoute allowedRoles={['organizer', 'author', 'reviewer', 'participant', 'admin']}>
                     <Profile />
                   </ProtectedRoute>
                 }
               />
 
+              {/* Admin Routes */}
+              <Route
+                path="/admin/dashboard"
+                element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <AdminDashboard />
+                  </ProtectedRoute>
+                }
+              />
+
               {/* Organizer Routes */}
               <Route
                 path="/organizer/dashboard"
@@ -145,6 +172,30 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/organizer/conferences/:conferenceId/audit-log"
+                element={
+                  <ProtectedRoute allowedRoles={['organizer']}>
+                    <OrganizerAuditLog />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/organizer/conferences/:conferenceId/clone"
+                element={
+                  <ProtectedRoute allowedRoles={['organizer']}>
+                    <CloneConference />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/organizer/conferences/:conferenceId/camera-ready"
+                element={
+                  <ProtectedRoute allowedRoles={['organizer']}>
+                    <CameraReadyChecklist />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/organizer/conference/:conferenceId"
                 element={
@@ -203,6 +254,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/author/submissions/:id/camera-ready"
+                element={
+                  <ProtectedRoute allowedRoles={['author']}>
+                    <CameraReady />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/author/certificates"
                 element={
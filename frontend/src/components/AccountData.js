@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { exportMyData, getAccountDeletion, requestAccountDeletion, cancelAccountDeletion } from '../utils/api';
+import Card from './Card';
+import Input from './Input';
+import Button from './Button';
+
+// What each conference keeps of your data under its retention policy
+const describePolicy = ({ retentionPolicy: policy, counts }) => {
+  const lines = [];
+  if (counts.acceptedPapers > 0) {
+    lines.push(policy.acceptedPapers === 'delete'
+      ? `${counts.acceptedPapers} accepted paper(s) will be deleted`
+      : `${counts.acceptedPapers} accepted paper(s) stay in the proceedings under your name`);
+  }
+  if (counts.otherSubmissions > 0) {
+    lines.push(`${counts.otherSubmissions} other submission(s) will be deleted`);
+  }
+  if (counts.reviews > 0) {
+    lines.push(policy.reviews === 'delete'
+      ? `${counts.reviews} review(s) will be deleted`
+      : `${counts.reviews} review(s) are kept without your name`);
+  }
+  if (counts.registrations > 0) {
+    lines.push(policy.registrations === 'delete'
+      ? `${counts.registrations} registration(s) will be deleted`
+      : `${counts.registrations} registration(s) are kept without your name`);
+  }
+  return lines;
+};
+
+const AccountData = () => {
+  const { user } = useAuth();
+  const [deletion, setDeletion] = useState(null);
+  const [form, setForm] = useState({ confirmEmail: '', code: '' });
+  const [showDelete, setShowDelete] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  const fetchDeletion = () => getAccountDeletion()
+    .then(setDeletion)
+    .catch(() => setDeletion(null));
+
+  useEffect(() => {
+    fetchDeletion();
+  }, []);
+
+  const handleExport = async () => {
+    setBusy('export');
+    setError('');
+    try {
+      const blob = await exportMyData();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `econfmate-data-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export your data');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setBusy('delete');
+    setError('');
+    try {
+      const res = await requestAccountDeletion(form.confirmEmail, form.code || undefined);
+      setMessage(res.message);
+      setForm({ confirmEmail: '', code: '' });
+      setShowDelete(false);
+      await fetchDeletion();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to schedule deletion');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    setBusy('cancel');
+    setError('');
+    try {
+      const res = await cancelAccountDeletion();
+      setMessage(res.message);
+      await fetchDeletion();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel deletion');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <Card className="mt-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2 pb-4 border-b">Your Data</h3>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm text-green-700">{message}</p>
+        </div>
+      )}
+
+      <div className="mb-6">
+        <p className="text-sm text-gray-500 mb-3">
+          Download your profile, submissions, reviews, registrations and certificates as a ZIP archive.
+        </p>
+        <Button variant="outline" onClick={handleExport} disabled={busy !== null}>
+          {busy === 'export' ? 'Preparing...' : 'Download my data'}
+        </Button>
+      </div>
+
+      {deletion && (
+        <div className="pt-4 border-t">
+          <h4 className="text-md font-semibold text-gray-900 mb-2">Delete account</h4>
+
+          {deletion.deletionScheduledFor ? (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-sm text-yellow-800 mb-3">
+                Your account will be deleted on <strong>{new Date(deletion.deletionScheduledFor).toLocaleDateString()}</strong>.
+              </p>
+              <Button size="sm" variant="outline" onClick={handleCancel} disabled={busy !== null}>
+                {busy === 'cancel' ? 'Cancelling...' : 'Keep my account'}
+              </Button>
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-500 mb-3">
+                Your account is deleted {deletion.graceDays} days after you ask, and you can cancel until then.
+                Each conference decides what it keeps:
+              </p>
+
+              {deletion.conferences.length > 0 && (
+                <ul className="mb-4 space-y-2">
+                  {deletion.conferences.map(conf => (
+                    <li key={conf.conferenceId} className="text-sm">
+                      <p className="font-medium text-gray-900">{conf.name}</p>
+                      <ul className="list-disc list-inside text-gray-600">
+                        {describePolicy(conf).map(line => <li key={line}>{line}</li>)}
+                      </ul>
+                      {conf.retentionPolicy.notes && (
+                        <p className="text-xs text-gray-500 mt-1">{conf.retentionPolicy.notes}</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {deletion.blockers.length > 0 ? (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                  {deletion.blockers.map(blocker => (
+                    <p key={blocker} className="text-sm text-red-700">{blocker}</p>
+                  ))}
+                </div>
+              ) : !showDelete ? (
+                <Button variant="danger" onClick={() => setShowDelete(true)}>
+                  Delete my account
+                </Button>
+              ) : (
+                <form onSubmit={handleRequest}>
+                  <Input
+                    label={`Type ${user?.email} to confirm`}
+                    type="email"
+                    value={form.confirmEmail}
+                    onChange={(e) => setForm({ ...form, confirmEmail: e.target.value })}
+                    required
+                  />
+                  {user?.twoFactorEnabled && (
+                    <Input
+                      label="Authentication code"
+                      value={form.code}
+                      onChange={(e) => setForm({ ...form, code: e.target.value })}
+                      placeholder="6-digit code or recovery code"
+                      required
+                    />
+                  )}
+                  <div className="flex gap-2">
+                    <Button type="submit" variant="danger" disabled={busy !== null}>
+                      {busy === 'delete' ? 'Scheduling...' : 'Schedule deletion'}
+                    </Button>
+                    <Button type="button" variant="outline" onClick={() => setShowDelete(false)}>
+                      Cancel
+                    </Button>
+                  </div>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default AccountData;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { getApiTokens, createApiToken, revokeApiToken, getOrganizerDashboard } from '../utils/api';
+import Card from './Card';
+import Input from './Input';
+import Button from './Button';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'No expiry' }
+];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Never');
+
+const ApiTokens = () => {
+  const { user } = useAuth();
+  const isOrganizer = (user?.roles || [user?.role]).includes('organizer');
+
+  const [tokens, setTokens] = useState([]);
+  const [conferences, setConferences] = useState([]);
+  const [form, setForm] = useState({ name: '', readOnly: true, conferenceIds: [], expiresInDays: '90' });
+  const [newToken, setNewToken] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getApiTokens()
+      .then(data => setTokens(data.tokens || []))
+      .catch(() => setTokens([]));
+
+    if (isOrganizer) {
+      getOrganizerDashboard()
+        .then(res => setConferences(res.data?.conferences || []))
+        .catch(() => setConferences([]));
+    }
+  }, [isOrganizer]);
+
+  const toggleConference = (conferenceId) => {
+    setForm(prev => ({
+      ...prev,
+      conferenceIds: prev.conferenceIds.includes(conferenceId)
+        ? prev.conferenceIds.filter(id => id !== conferenceId)
+        : [...prev.conferenceIds, conferenceId]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const data = await createApiToken({
+        ...form,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null
+      });
+      setNewToken(data.token);
+      setTokens(prev => [data.apiToken, ...prev]);
+      setForm({ name: '', readOnly: true, conferenceIds: [], expiresInDays: '90' });
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to create token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) return;
+    try {
+      await revokeApiToken(tokenId);
+      setTokens(prev => prev.map(t => (t._id === tokenId ? { ...t, revokedAt: new Date().toISOString() } : t)));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke token');
+    }
+  };
+
+  const conferenceName = (conf) => conf?.name || conferences.find(c => c._id === conf)?.name || 'Conference';
+
+  return (
+    <Card className="mt-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2 pb-4 border-b">API Tokens</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Personal access tokens let scripts call the API as you. Send them as <code className="text-xs bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {newToken && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800 mb-2">Copy your new token now. It will not be shown again.</p>
+          <code className="block text-sm break-all bg-white border rounded p-2">{newToken}</code>
+          <button
+            type="button"
+            onClick={() => setNewToken(null)}
+            className="mt-2 text-sm text-yellow-900 font-medium underline hover:no-underline"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+          <Input
+            label="Token name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. Review export script"
+            required
+          />
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {EXPIRY_OPTIONS.map(opt => (
+                <option key={opt.label} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.readOnly}
+            onChange={(e) => setForm({ ...form, readOnly: e.target.checked })}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          Read-only (GET requests only)
+        </label>
+
+        {conferences.length > 0 && (
+          <div className="mb-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Limit to conferences (leave empty for all)</p>
+            <div className="flex flex-wrap gap-2">
+              {conferences.map(conf => (
+                <label key={conf._id} className="flex items-center gap-2 px-3 py-1 border rounded-full text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.conferenceIds.includes(conf._id)}
+                    onChange={() => toggleConference(conf._id)}
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  {conf.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <Button type="submit" disabled={busy || !form.name.trim()}>
+          {busy ? 'Creating...' : 'Create token'}
+        </Button>
+      </form>
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">No API tokens yet.</p>
+      ) : (
+        <ul className="divide-y">
+          {tokens.map(token => (
+            <li key={token._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-900 font-medium">
+                  {token.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500">{token.prefix}…</span>
+                  {token.revokedAt && (
+                    <span className="ml-2 px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded-full">Revoked</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {token.readOnly ? 'Read-only' : 'Read & write'}
+                  {' · '}
+                  {token.conferenceIds?.length > 0
+                    ? token.conferenceIds.map(conferenceName).join(', ')
+                    : 'All conferences'}
+                  {' · '}
+                  Last used {formatDate(token.lastUsedAt)}
+                  {' · '}
+                  Expires {token.expiresAt ? formatDate(token.expiresAt) : 'never'}
+                </p>
+              </div>
+              {!token.revokedAt && (
+                <Button variant="outline" size="sm" onClick={() => handleRevoke(token._id)}>
+                  Revoke
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default ApiTokens;
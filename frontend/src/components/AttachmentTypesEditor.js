@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { updateConference } from '../utils/api';
+import { ATTACHMENT_KINDS, ATTACHMENT_VISIBILITY, MAX_ATTACHMENT_SIZE_MB, DEFAULT_SIZE_MB, attachmentFormats } from '../utils/attachments';
+import { keyFromLabel } from '../utils/submissionFields';
+import Card from './Card';
+import Input from './Input';
+import Select from './Select';
+import Textarea from './Textarea';
+import Button from './Button';
+import Badge from './Badge';
+
+const emptyForm = {
+  key: '',
+  label: '',
+  kind: 'appendix',
+  description: '',
+  maxSizeMB: DEFAULT_SIZE_MB.appendix,
+  maxFiles: 1,
+  visibility: 'reviewers'
+};
+
+const toType = (form) => ({
+  key: form.key,
+  label: form.label.trim(),
+  kind: form.kind,
+  description: form.description.trim(),
+  maxSizeMB: Number(form.maxSizeMB),
+  maxFiles: Number(form.maxFiles) || 1,
+  visibility: form.visibility
+});
+
+/**
+ * Supplementary files authors can add to a submission (appendix, dataset, video,
+ * code), each with a size limit and reviewer visibility
+ * (shown to committee members with conference:edit)
+ */
+const AttachmentTypesEditor = ({ conferenceId, types: initialTypes }) => {
+  const [types, setTypes] = useState(initialTypes || []);
+  const [form, setForm] = useState(emptyForm);
+  // Index of the type being edited, or null when adding
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async (next) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await updateConference(conferenceId, { attachmentTypes: next });
+      setTypes(res.data.conference.attachmentTypes || next);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save attachment types');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const type = toType(form);
+    const next = editing === null
+      ? [...types, type]
+      : types.map((t, i) => (i === editing ? type : t));
+    if (await save(next)) {
+      setForm(emptyForm);
+      setEditing(null);
+    }
+  };
+
+  const handleRemove = (index) => {
+    if (!window.confirm(`Remove "${types[index].label}"?`)) return;
+    save(types.filter((_, i) => i !== index));
+  };
+
+  const setField = (name) => (e) => {
+    const { value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value,
+      // The key follows the label until the type is saved; attachments refer to it after that
+      ...(name === 'label' && editing === null ? { key: keyFromLabel(value) } : {}),
+      ...(name === 'kind' && editing === null ? { maxSizeMB: DEFAULT_SIZE_MB[value] } : {})
+    }));
+  };
+
+  return (
+    <Card className="mt-8">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-2">Supplementary Material</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Files authors can add next to their paper, such as an appendix, a dataset, a video or source code.
+        Authors add them from the submission page until the submission deadline.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {types.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No attachment types. Submissions carry the paper only.</p>
+      ) : (
+        <ul className="divide-y mb-6">
+          {types.map((type, index) => (
+            <li key={type.key} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-900 font-medium">
+                  {type.label}
+                  <Badge size="sm" variant="default" className="ml-2">{ATTACHMENT_KINDS[type.kind]?.label}</Badge>
+                  {type.visibility === 'committee' && <Badge size="sm" variant="warning" className="ml-2">Hidden from reviewers</Badge>}
+                </p>
+                <p className="text-gray-500">
+                  {type.key}
+                  {` · ${attachmentFormats(type).map(f => f.toUpperCase()).join('/')}`}
+                  {` · up to ${type.maxSizeMB} MB`}
+                  {` · ${type.maxFiles || 1} file${(type.maxFiles || 1) > 1 ? 's' : ''}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={busy}
+                  onClick={() => {
+                    setEditing(index);
+                    setForm({ ...emptyForm, ...type, description: type.description || '' });
+                  }}
+                >
+                  Edit
+                </Button>
+                <Button size="sm" variant="danger" disabled={busy} onClick={() => handleRemove(index)}>
+                  Remove
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <h3 className="text-md font-semibold text-gray-900 mb-3">{editing === null ? 'Add a type' : `Edit "${types[editing]?.label}"`}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input label="Label" value={form.label} onChange={setField('label')} maxLength={100} placeholder="Dataset" required />
+          <Input
+            label="Key"
+            value={form.key}
+            onChange={setField('key')}
+            disabled={editing !== null}
+            placeholder="dataset"
+            required
+          />
+          <Select
+            label={`Kind (${attachmentFormats(form).map(f => f.toUpperCase()).join(', ')})`}
+            value={form.kind}
+            onChange={setField('kind')}
+            options={Object.entries(ATTACHMENT_KINDS).map(([value, { label }]) => ({ value, label }))}
+          />
+          <Select
+            label="Visible to"
+            value={form.visibility}
+            onChange={setField('visibility')}
+            options={Object.entries(ATTACHMENT_VISIBILITY).map(([value, label]) => ({ value, label }))}
+          />
+          <Input
+            label={`Size limit in MB (at most ${MAX_ATTACHMENT_SIZE_MB})`}
+            type="number"
+            min={1}
+            max={MAX_ATTACHMENT_SIZE_MB}
+            value={form.maxSizeMB}
+            onChange={setField('maxSizeMB')}
+            required
+          />
+          <Input
+            label="Files per submission"
+            type="number"
+            min={1}
+            max={10}
+            value={form.maxFiles}
+            onChange={setField('maxFiles')}
+          />
+        </div>
+        <Textarea
+          label="Description for authors"
+          value={form.description}
+          onChange={setField('description')}
+          rows={2}
+        />
+
+        <div className="flex gap-2">
+          <Button type="submit" disabled={busy}>
+            {busy ? 'Saving...' : editing === null ? 'Add Type' : 'Save Type'}
+          </Button>
+          {editing !== null && (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                setEditing(null);
+                setForm(emptyForm);
+              }}
+            >
+              Cancel
+            </Button>
+          )}
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default AttachmentTypesEditor;
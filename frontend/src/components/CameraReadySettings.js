@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { updateConference } from '../utils/api';
+import { LICENSES } from '../utils/cameraReady';
+import { dateInputInZone } from '../utils/timezone';
+import Card from './Card';
+import Input from './Input';
+import Textarea from './Textarea';
+import Button from './Button';
+
+const toForm = (settings, timezone) => ({
+  deadline: dateInputInZone(settings?.deadline, timezone),
+  licenses: settings?.licenses || [],
+  sourceRequired: settings?.sourceRequired !== false,
+  agreementText: settings?.agreementText || ''
+});
+
+/**
+ * Camera-ready deadline, offered licenses, source archive requirement and
+ * agreement wording (shown to committee members with conference:edit)
+ */
+const CameraReadySettings = ({ conferenceId, settings, timezone }) => {
+  const [form, setForm] = useState(() => toForm(settings, timezone));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  const setField = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setSaved(false);
+  };
+
+  const toggleLicense = (license) => {
+    setForm(prev => ({
+      ...prev,
+      licenses: prev.licenses.includes(license)
+        ? prev.licenses.filter(l => l !== license)
+        : [...prev.licenses, license]
+    }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const res = await updateConference(conferenceId, {
+        cameraReady: {
+          deadline: form.deadline || null,
+          licenses: form.licenses,
+          sourceRequired: form.sourceRequired,
+          agreementText: form.agreementText.trim()
+        }
+      });
+      setForm(toForm(res.data.conference.cameraReady, timezone));
+      setSaved(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save camera-ready settings');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card className="mt-8">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-2">Camera-Ready</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Authors of accepted papers upload the final version, sign a license agreement and confirm their author list
+        while the conference is in the Camera-Ready phase. Dates are in {timezone}.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <Input label="Deadline" type="date" value={form.deadline} onChange={setField('deadline')} />
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-1">Licenses authors can choose (none ticked means all)</p>
+          <div className="space-y-1">
+            {Object.entries(LICENSES).map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.licenses.includes(value)}
+                  onChange={() => toggleLicense(value)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={form.sourceRequired}
+            onChange={setField('sourceRequired')}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          A source archive (ZIP or TAR.GZ) is required
+        </label>
+        <Textarea
+          label="Agreement text shown to authors"
+          value={form.agreementText}
+          onChange={setField('agreementText')}
+          placeholder="The authors grant the publisher..."
+          rows={4}
+        />
+        <div className="flex items-center gap-3">
+          <Button type="submit" disabled={busy}>
+            {busy ? 'Saving...' : 'Save Camera-Ready Settings'}
+          </Button>
+          {saved && <span className="text-sm text-green-700">Saved</span>}
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default CameraReadySettings;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getCommittee, addCommitteeMember, updateCommitteeMember, removeCommitteeMember } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import Card from './Card';
+import Input from './Input';
+import Select from './Select';
+import Button from './Button';
+import Badge from './Badge';
+
+const emptyForm = { email: '', role: 'program_chair', trackIds: [] };
+
+const ConferenceCommittee = ({ conferenceId, tracks }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [committee, setCommittee] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchCommittee = async () => {
+    try {
+      const res = await getCommittee(conferenceId);
+      setCommittee(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load committee');
+    }
+  };
+
+  useEffect(() => {
+    fetchCommittee();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [conferenceId]);
+
+  if (!committee) return null;
+
+  const canManage = committee.myPermissions.includes('committee:manage');
+  const roleLabel = (role) => committee.roles.find(r => r.value === role)?.label || role;
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError('');
+    try {
+      await action();
+      await fetchCommittee();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Request failed');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const toggleTrack = (setter, trackId) => {
+    setter(prev => ({
+      ...prev,
+      trackIds: prev.trackIds.includes(trackId)
+        ? prev.trackIds.filter(id => id !== trackId)
+        : [...prev.trackIds, trackId]
+    }));
+  };
+
+  const trackPicker = (value, setter) => value.role === 'track_chair' && (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-1">Tracks</p>
+      {tracks.length === 0 ? (
+        <p className="text-xs text-gray-500">Create a track first.</p>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          {tracks.map(track => (
+            <label key={track._id} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={value.trackIds.includes(track._id)}
+                onChange={() => toggleTrack(setter, track._id)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+              />
+              {track.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const added = await run('add', () => addCommitteeMember(conferenceId, form));
+    if (added) setForm(emptyForm);
+  };
+
+  const handleUpdate = async () => {
+    const saved = await run(editing.userId, () => updateCommitteeMember(conferenceId, editing.userId, editing));
+    if (saved) setEditing(null);
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId._id === user?._id;
+    const prompt = leaving
+      ? 'Leave this conference committee? You will lose access to it.'
+      : `Remove ${member.userId.name} from the committee?`;
+    if (!window.confirm(prompt)) return;
+
+    const removed = await run(member.userId._id, () => removeCommitteeMember(conferenceId, member.userId._id));
+    if (removed && leaving) navigate('/organizer/dashboard');
+  };
+
+  return (
+    <Card className="mt-8">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-2">Committee</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Your role: <strong>{roleLabel(committee.myRole)}</strong>. Track chairs only see the tracks they are assigned to.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <ul className="divide-y mb-6">
+        {committee.members.map(member => (
+          <li key={member.userId._id} className="py-3">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-900 font-medium">
+                  {member.userId.name}
+                  <Badge size="sm" variant={member.isOrganizer ? 'primary' : 'default'} className="ml-2">
+                    {roleLabel(member.role)}
+                  </Badge>
+                </p>
+                <p className="text-gray-500">
+                  {member.userId.email}
+                  {member.trackIds.length > 0 && ` · ${member.trackIds.map(t => t.name).join(', ')}`}
+                </p>
+              </div>
+              {!member.isOrganizer && (
+                <div className="flex gap-2">
+                  {canManage && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={busy !== null}
+                      onClick={() => setEditing({
+                        userId: member.userId._id,
+                        role: member.role,
+                        trackIds: member.trackIds.map(t => t._id)
+                      })}
+                    >
+                      Change role
+                    </Button>
+                  )}
+                  {(canManage || member.userId._id === user?._id) && (
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      disabled={busy !== null}
+                      onClick={() => handleRemove(member)}
+                    >
+                      {member.userId._id === user?._id ? 'Leave' : 'Remove'}
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {editing?.userId === member.userId._id && (
+              <div className="mt-3 p-4 bg-gray-50 rounded-lg border">
+                <Select
+                  label="Role"
+                  value={editing.role}
+                  onChange={(e) => setEditing(prev => ({ ...prev, role: e.target.value }))}
+                  options={committee.roles}
+                />
+                {trackPicker(editing, setEditing)}
+                <div className="flex gap-2">
+                  <Button size="sm" onClick={handleUpdate} disabled={busy !== null}>
+                    {busy === editing.userId ? 'Saving...' : 'Save'}
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => setEditing(null)}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={handleAdd}>
+          <h3 className="text-md font-semibold text-gray-900 mb-3">Add a committee member</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Email"
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+              placeholder="They need an eConfMate account"
+              required
+            />
+            <Select
+              label="Role"
+              value={form.role}
+              onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+              options={committee.roles}
+            />
+          </div>
+          {trackPicker(form, setForm)}
+          <Button type="submit" disabled={busy !== null}>
+            {busy === 'add' ? 'Adding...' : 'Add Member'}
+          </Button>
+        </form>
+      )}
+    </Card>
+  );
+};
+
+export default ConferenceCommittee;
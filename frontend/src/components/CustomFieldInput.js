@@ -0,0 +1,109 @@
+import React from 'react';
+import Input from './Input';
+import Textarea from './Textarea';
+import Select from './Select';
+
+/**
+ * Input for one organizer-defined submission field
+ * (definitions from Conference.submissionFields)
+ */
+const CustomFieldInput = ({ field, value, onChange }) => {
+  const help = field.helpText && <p className="-mt-3 mb-4 text-sm text-gray-500">{field.helpText}</p>;
+
+  if (field.type === 'checkbox') {
+    return (
+      <div className="mb-4">
+        <label className="flex items-start gap-2 text-sm text-gray-900">
+          <input
+            type="checkbox"
+            checked={!!value}
+            onChange={(e) => onChange(e.target.checked)}
+            required={field.required}
+            className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          <span>
+            {field.label}
+            {field.required && <span className="text-red-500 ml-1">*</span>}
+          </span>
+        </label>
+        {field.helpText && <p className="mt-1 ml-6 text-sm text-gray-500">{field.helpText}</p>}
+      </div>
+    );
+  }
+
+  if (field.type === 'checkboxes') {
+    const picked = value || [];
+    const toggle = (option) => onChange(picked.includes(option) ? picked.filter(o => o !== option) : [...picked, option]);
+    return (
+      <div className="mb-4">
+        <p className="block text-sm font-medium text-gray-700 mb-1">
+          {field.label}
+          {field.required && <span className="text-red-500 ml-1">*</span>}
+        </p>
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+          {field.options.map(option => (
+            <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={picked.includes(option)}
+                onChange={() => toggle(option)}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+        {field.helpText && <p className="mt-1 text-sm text-gray-500">{field.helpText}</p>}
+      </div>
+    );
+  }
+
+  if (field.type === 'select') {
+    return (
+      <Select
+        label={field.label}
+        name={`field-${field.key}`}
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        options={field.options.map(option => ({ value: option, label: option }))}
+        required={field.required}
+        helperText={field.helpText}
+      />
+    );
+  }
+
+  if (field.type === 'textarea') {
+    return (
+      <>
+        <Textarea
+          label={field.label}
+          name={`field-${field.key}`}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+          rows={4}
+        />
+        {help}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Input
+        label={field.label}
+        name={`field-${field.key}`}
+        type={field.type === 'number' ? 'number' : 'text'}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        required={field.required}
+        min={field.type === 'number' ? field.min ?? undefined : undefined}
+        max={field.type === 'number' ? field.max ?? undefined : undefined}
+        maxLength={field.type === 'text' ? field.maxLength || undefined : undefined}
+      />
+      {help}
+    </>
+  );
+};
+
+export default CustomFieldInput;
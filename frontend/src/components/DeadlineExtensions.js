@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getDeadlineExtensions,
+  grantDeadlineExtension,
+  revokeDeadlineExtension,
+  getConferenceSubmissionsOrganizer
+} from '../utils/api';
+import { formatInZone } from '../utils/timezone';
+import Card from './Card';
+import Input from './Input';
+import Select from './Select';
+import Textarea from './Textarea';
+import Button from './Button';
+import Badge from './Badge';
+
+const SCOPES = [
+  { value: 'user', label: 'An author (all their submissions)' },
+  { value: 'submission', label: 'A submission' },
+  { value: 'track', label: 'A whole track' }
+];
+
+const emptyForm = { scope: 'user', email: '', submissionId: '', trackId: '', expiresAt: '', reason: '' };
+
+const describe = (extension) => {
+  if (extension.scope === 'track') return `${extension.trackId?.name || 'Deleted track'} (track)`;
+  if (extension.scope === 'submission') return `"${extension.submissionId?.title || 'Deleted submission'}"`;
+  return extension.userId ? `${extension.userId.name} <${extension.userId.email}>` : 'Deleted account';
+};
+
+/**
+ * Deadline extensions for a conference: list, grant and revoke
+ * (shown to committee members with deadlines:extend)
+ */
+const DeadlineExtensions = ({ conferenceId, tracks, timezone }) => {
+  const [extensions, setExtensions] = useState(null);
+  const [submissions, setSubmissions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchExtensions = async () => {
+    try {
+      const res = await getDeadlineExtensions(conferenceId);
+      setExtensions(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load deadline extensions');
+    }
+  };
+
+  useEffect(() => {
+    fetchExtensions();
+    getConferenceSubmissionsOrganizer(conferenceId)
+      .then(res => setSubmissions(res.data || []))
+      .catch(() => setSubmissions([]));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [conferenceId]);
+
+  if (!extensions) return null;
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError('');
+    setNotice('');
+    try {
+      const res = await action();
+      setNotice(res.message);
+      await fetchExtensions();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Request failed');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleGrant = async (e) => {
+    e.preventDefault();
+    const granted = await run('grant', () => grantDeadlineExtension(conferenceId, form));
+    if (granted) setForm(emptyForm);
+  };
+
+  const handleRevoke = (extension) => {
+    if (!window.confirm(`Revoke the extension for ${describe(extension)}?`)) return;
+    run(extension._id, () => revokeDeadlineExtension(conferenceId, extension._id));
+  };
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <Card className="mt-8">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-2">Deadline Extensions</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Until an extension ends, it lets its author, submission or track submit and upload revisions
+        after the deadline, even once the track has closed or the phase has moved on.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {notice && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm text-green-800">{notice}</p>
+        </div>
+      )}
+
+      {extensions.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No extensions granted.</p>
+      ) : (
+        <ul className="divide-y mb-6">
+          {extensions.map(extension => (
+            <li key={extension._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-900 font-medium">
+                  {describe(extension)}
+                  <Badge size="sm" variant={extension.active ? 'success' : 'default'} className="ml-2">
+                    {extension.active ? 'Active' : 'Expired'}
+                  </Badge>
+                </p>
+                <p className="text-gray-500">
+                  Until {formatInZone(extension.expiresAt, timezone)} · {extension.reason}
+                  {extension.grantedBy && ` · granted by ${extension.grantedBy.name}`}
+                </p>
+              </div>
+              <Button size="sm" variant="danger" disabled={busy !== null} onClick={() => handleRevoke(extension)}>
+                Revoke
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleGrant}>
+        <h3 className="text-md font-semibold text-gray-900 mb-3">Grant an extension</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select label="Extend for" value={form.scope} onChange={setField('scope')} options={SCOPES} />
+          {form.scope === 'user' && (
+            <Input
+              label="Author email"
+              type="email"
+              value={form.email}
+              onChange={setField('email')}
+              required
+            />
+          )}
+          {form.scope === 'submission' && (
+            <Select
+              label="Submission"
+              value={form.submissionId}
+              onChange={setField('submissionId')}
+              options={submissions.map(s => ({ value: s._id, label: s.title }))}
+              required
+            />
+          )}
+          {form.scope === 'track' && (
+            <Select
+              label="Track"
+              value={form.trackId}
+              onChange={setField('trackId')}
+              options={tracks.map(t => ({ value: t._id, label: t.name }))}
+              required
+            />
+          )}
+          <Input
+            label={`Extended until (${timezone})`}
+            type="datetime-local"
+            value={form.expiresAt}
+            onChange={setField('expiresAt')}
+            required
+          />
+        </div>
+        <Textarea
+          label="Reason"
+          value={form.reason}
+          onChange={setField('reason')}
+          placeholder="Shown to the author"
+          rows={2}
+          required
+        />
+        <Button type="submit" disabled={busy !== null}>
+          {busy === 'grant' ? 'Granting...' : 'Grant Extension'}
+        </Button>
+      </form>
+    </Card>
+  );
+};
+
+export default DeadlineExtensions;
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { updateSubmission, uploadPaper } from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { fieldsForTrack } from '../utils/submissionFields';
+import { acceptFor, fileMatchesType, typeFormats } from '../utils/submissionTypes';
+import Card from './Card';
+import Input from './Input';
+import Textarea from './Textarea';
+import Button from './Button';
+import CustomFieldInput from './CustomFieldInput';
+import FileWarnings from './FileWarnings';
+
+const toForm = (submission) => ({
+  title: submission.title || '',
+  abstract: submission.abstract || '',
+  keywords: (submission.keywords || []).join(', '),
+  coAuthors: (submission.coAuthors || []).map(({ name, email, orcid }) => ({ name, email, orcid: orcid || '' })),
+  customFields: { ...(submission.customFields || {}) },
+  file: null
+});
+
+/**
+ * Edit form for the main author while the call for papers is open:
+ * title, abstract, keywords, co-authors, custom fields and the paper file
+ * (the file is not offered for a registered abstract, which has its own upload)
+ */
+const EditSubmission = ({ submission, onSaved }) => {
+  const toast = useToast();
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => toForm(submission));
+  const [newCoAuthor, setNewCoAuthor] = useState({ name: '', email: '', orcid: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  // Paper uploaded on a previous attempt ({ file, fileUrl, warnings }), reused when the file is unchanged
+  const [uploaded, setUploaded] = useState(null);
+
+  const conference = submission.conferenceId;
+  const type = submission.typeDetails;
+  const customFields = fieldsForTrack(conference?.submissionFields, submission.trackId?._id);
+  const canReplaceFile = submission.status !== 'abstract_registered';
+
+  const setField = (name) => (e) => setForm(prev => ({ ...prev, [name]: e.target.value }));
+
+  const setAnswer = (key) => (value) => {
+    setForm(prev => ({ ...prev, customFields: { ...prev.customFields, [key]: value } }));
+  };
+
+  const handleAddCoAuthor = () => {
+    if (!newCoAuthor.name.trim() || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newCoAuthor.email)) {
+      toast.warning('Please provide a name and a valid email for the co-author');
+      return;
+    }
+    setForm(prev => ({ ...prev, coAuthors: [...prev.coAuthors, { ...newCoAuthor }] }));
+    setNewCoAuthor({ name: '', email: '', orcid: '' });
+  };
+
+  const handleRemoveCoAuthor = (index) => {
+    setForm(prev => ({ ...prev, coAuthors: prev.coAuthors.filter((_, i) => i !== index) }));
+  };
+
+  const handleCancel = () => {
+    setForm(toForm(submission));
+    setUploaded(null);
+    setError('');
+    setOpen(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.file && !fileMatchesType(type, form.file)) {
+      setError(`Please upload a ${typeFormats(type).map(f => f.toUpperCase()).join(' or ')} file`);
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      let fileUrl;
+      if (form.file && uploaded?.file === form.file) {
+        fileUrl = uploaded.fileUrl;
+      } else if (form.file) {
+        const uploadRes = await uploadPaper(form.file, {
+          conferenceId: conference?._id,
+          trackId: submission.trackId?._id,
+          submissionType: submission.submissionType,
+          authorNames: form.coAuthors.map(c => c.name)
+        });
+        const data = uploadRes.data || uploadRes;
+        fileUrl = data.fileUrl;
+        setUploaded({ file: form.file, fileUrl, warnings: data.warnings || [] });
+        // Stop once so the author can replace the file or save it as it is
+        if (data.warnings?.length) return;
+      }
+
+      const res = await updateSubmission(submission._id, {
+        title: form.title,
+        abstract: form.abstract,
+        keywords: form.keywords.split(',').map(k => k.trim()).filter(Boolean),
+        coAuthors: form.coAuthors,
+        ...(customFields.length && {
+          customFields: customFields.reduce((acc, f) => ({ ...acc, [f.key]: form.customFields[f.key] }), {})
+        }),
+        ...(fileUrl && { fileUrl })
+      });
+      toast.success(res.message);
+      setOpen(false);
+      onSaved();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update submission');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <Card className="mb-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Edit Submission</h2>
+            <p className="text-sm text-gray-600">
+              Fix the title or abstract, change co-authors or replace the paper until the submission deadline.
+            </p>
+          </div>
+          <Button variant="outline" onClick={() => setOpen(true)}>✏️ Edit</Button>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="mb-6">
+      <h2 className="text-lg font-bold text-gray-900 mb-4">Edit Submission</h2>
+      <form onSubmit={handleSubmit}>
+        <Input label="Title" value={form.title} onChange={setField('title')} required />
+        <Textarea label="Abstract" value={form.abstract} onChange={setField('abstract')} rows={6} required />
+        <Input
+          label="Keywords (comma-separated)"
+          value={form.keywords}
+          onChange={setField('keywords')}
+        />
+
+        {customFields.map(field => (
+          <CustomFieldInput
+            key={field.key}
+            field={field}
+            value={form.customFields[field.key]}
+            onChange={setAnswer(field.key)}
+          />
+        ))}
+
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">Co-Authors</p>
+          {form.coAuthors.map((coAuthor, index) => (
+            <div key={index} className="flex items-center justify-between bg-white border border-gray-200 rounded-lg p-3 mb-2">
+              <div>
+                <p className="font-medium text-gray-900">{coAuthor.name}</p>
+                <p className="text-sm text-gray-600">{coAuthor.email}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemoveCoAuthor(index)}
+                className="text-red-600 hover:text-red-800 px-3 py-1 rounded hover:bg-red-50"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+              <Input
+                placeholder="Full Name *"
+                value={newCoAuthor.name}
+                onChange={(e) => setNewCoAuthor({ ...newCoAuthor, name: e.target.value })}
+              />
+              <Input
+                type="email"
+                placeholder="Email *"
+                value={newCoAuthor.email}
+                onChange={(e) => setNewCoAuthor({ ...newCoAuthor, email: e.target.value })}
+              />
+              <Input
+                placeholder="ORCID (optional)"
+                value={newCoAuthor.orcid}
+                onChange={(e) => setNewCoAuthor({ ...newCoAuthor, orcid: e.target.value })}
+              />
+            </div>
+            <Button type="button" size="sm" variant="outline" onClick={handleAddCoAuthor}>
+              + Add Co-Author
+            </Button>
+          </div>
+        </div>
+
+        {canReplaceFile && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Replace paper (optional; the current file is kept as an earlier version)
+            </label>
+            <input
+              type="file"
+              accept={acceptFor(type)}
+              onChange={(e) => setForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+              className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+            />
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        {form.file && uploaded?.file === form.file && (
+          <FileWarnings
+            className="mb-4"
+            warnings={uploaded.warnings}
+            hint="Choose a corrected file, or save again to keep this one."
+          />
+        )}
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={busy}>
+            {busy ? 'Saving...' : 'Save Changes'}
+          </Button>
+          <Button type="button" variant="outline" onClick={handleCancel} disabled={busy}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default EditSubmission;
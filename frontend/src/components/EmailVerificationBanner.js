@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { resendVerification } from '../utils/api';
+
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  // Older sessions may not carry the flag; only warn when it is explicitly false
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const res = await resendVerification();
+      setMessage(res.message);
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 text-sm">
+        <p className="text-yellow-800">
+          {message || `Please verify your email address (${user.email}). You can't submit papers or place bids until it is confirmed.`}
+        </p>
+        {!message && (
+          <button
+            onClick={handleResend}
+            disabled={sending}
+            className="text-yellow-900 font-medium underline hover:no-underline disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend verification email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
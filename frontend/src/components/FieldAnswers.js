@@ -0,0 +1,25 @@
+import React from 'react';
+import { formatAnswer } from '../utils/submissionFields';
+
+/**
+ * Answers to custom submission fields ([{ key, label, value }] from the API)
+ */
+const FieldAnswers = ({ answers, title = 'Additional Information' }) => {
+  if (!answers || answers.length === 0) return null;
+
+  return (
+    <div>
+      {title && <h3 className="text-md font-semibold text-gray-900 mb-2">{title}</h3>}
+      <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+        {answers.map(answer => (
+          <div key={answer.key}>
+            <dt className="text-gray-500">{answer.label}</dt>
+            <dd className="text-gray-900 whitespace-pre-wrap">{formatAnswer(answer.value)}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default FieldAnswers;
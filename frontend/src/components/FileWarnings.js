@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * Warnings the server raised about an uploaded paper (data.warnings of
+ * POST /api/upload/paper, or a stored PDF check), with an optional hint on what to do next
+ */
+const FileWarnings = ({ warnings, hint, title = 'Please check your file', className = '' }) => {
+  if (!warnings || warnings.length === 0) return null;
+
+  return (
+    <div className={`p-4 bg-yellow-50 border border-yellow-200 rounded-lg ${className}`}>
+      {title && <p className="text-sm font-medium text-yellow-800 mb-1">{title}</p>}
+      <ul className="list-disc list-inside text-sm text-yellow-800 space-y-1">
+        {warnings.map((warning, index) => (
+          <li key={index}>{warning}</li>
+        ))}
+      </ul>
+      {hint && <p className="text-xs text-yellow-700 mt-2">{hint}</p>}
+    </div>
+  );
+};
+
+export default FileWarnings;
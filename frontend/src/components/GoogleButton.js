@@ -1,10 +1,12 @@
 import React from 'react';
 
-const GoogleButton = ({ role = null }) => {
+const GoogleButton = ({ role = null, link = false }) => {
   const handleGoogleLogin = () => {
     const clientId = process.env.REACT_APP_GOOGLE_CLIENT_ID;
     const redirectUri = encodeURIComponent(process.env.REACT_APP_GOOGLE_REDIRECT_URI);
-    const state = role ? encodeURIComponent(JSON.stringify({ role })) : '';
+    // `link` attaches the identity to the signed-in account instead of signing in
+    const stateData = { ...(role && { role }), ...(link && { link: true }) };
+    const state = Object.keys(stateData).length > 0 ? encodeURIComponent(JSON.stringify(stateData)) : '';
     const scope = encodeURIComponent('openid email profile');
     
     const googleAuthUrl = `https://accounts.google.com/o/oauth2/v2/auth?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}&access_type=offline&prompt=consent${state ? `&state=${state}` : ''}`;
@@ -42,7 +44,7 @@ const GoogleButton = ({ role = null }) => {
         />
       </svg>
       <span className="text-sm font-medium text-gray-700">
-        {role ? `Continue with Google as ${role}` : 'Continue with Google'}
+        {link ? 'Link Google account' : role ? `Continue with Google as ${role}` : 'Continue with Google'}
       </span>
     </button>
   );
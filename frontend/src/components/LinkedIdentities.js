@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { setAccountPassword, unlinkIdentity } from '../utils/api';
+import Card from './Card';
+import Input from './Input';
+import Button from './Button';
+import GoogleButton from './GoogleButton';
+import OrcidButton from './OrcidButton';
+
+const LinkedIdentities = ({ account, onChange }) => {
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  if (!account) return null;
+
+  const linkedCount = [account.hasPassword, account.googleId, account.orcid].filter(Boolean).length;
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError('');
+    try {
+      const data = await action();
+      onChange(data.user);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Request failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleUnlink = (provider) => run(provider, () => unlinkIdentity(provider));
+
+  const handleSetPassword = (e) => {
+    e.preventDefault();
+    run('password', async () => {
+      const data = await setAccountPassword(password);
+      setPassword('');
+      return data;
+    });
+  };
+
+  const removeButton = (provider) => (
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={() => handleUnlink(provider)}
+      disabled={busy !== null || linkedCount < 2}
+    >
+      {busy === provider ? 'Removing...' : 'Remove'}
+    </Button>
+  );
+
+  return (
+    <Card className="mt-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Linked Identities</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Ways you can sign in to this account. If you have a second eConfMate account, ask a conference organizer to merge it into this one.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {/* Password */}
+        <div className="border-b pb-4">
+          <div className="flex items-center justify-between gap-2">
+            <div>
+              <p className="text-sm font-medium text-gray-900">Password</p>
+              <p className="text-xs text-gray-500">{account.hasPassword ? account.email : 'Not set'}</p>
+            </div>
+            {account.hasPassword && removeButton('password')}
+          </div>
+          {!account.hasPassword && (
+            <form onSubmit={handleSetPassword} className="mt-3">
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="New password (min. 6 characters)"
+                autoComplete="new-password"
+              />
+              <Button type="submit" size="sm" disabled={busy !== null || password.length < 6} className="w-full">
+                {busy === 'password' ? 'Saving...' : 'Set password'}
+              </Button>
+            </form>
+          )}
+        </div>
+
+        {/* Google */}
+        <div className="border-b pb-4">
+          {account.googleId ? (
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">Google</p>
+                <p className="text-xs text-gray-500">Linked</p>
+              </div>
+              {removeButton('google')}
+            </div>
+          ) : (
+            <GoogleButton link />
+          )}
+        </div>
+
+        {/* ORCID */}
+        <div>
+          {account.orcid ? (
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">ORCID</p>
+                <p className="text-xs text-gray-500">{account.orcid}</p>
+              </div>
+              {removeButton('orcid')}
+            </div>
+          ) : (
+            <OrcidButton link />
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default LinkedIdentities;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { previewAccountMerge, mergeAccounts } from '../utils/api';
+import Card from './Card';
+import Input from './Input';
+import Button from './Button';
+
+const MergeAccountsForm = () => {
+  const [sourceEmail, setSourceEmail] = useState('');
+  const [targetEmail, setTargetEmail] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const resetPreview = () => {
+    setPreview(null);
+    setResult(null);
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setResult(null);
+    try {
+      const res = await previewAccountMerge(sourceEmail, targetEmail);
+      setPreview(res.data);
+    } catch (err) {
+      setPreview(null);
+      setResult({ ok: false, message: err.response?.data?.message || 'Failed to load accounts' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    setBusy(true);
+    try {
+      const res = await mergeAccounts(sourceEmail, targetEmail);
+      setResult({ ok: true, message: res.message });
+      setPreview(null);
+      setSourceEmail('');
+      setTargetEmail('');
+    } catch (err) {
+      setResult({ ok: false, message: err.response?.data?.message || 'Failed to request the merge' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Merge Duplicate Accounts</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        When someone ends up with two accounts (e.g. one from ORCID, one from Google), move everything from the duplicate to the account they want to keep. The owner of the duplicate gets an email to confirm, which they must open while signed in to the account they keep; only then is everything moved and the duplicate deleted. Passwords and ORCID or Google sign-in are not carried over. You cannot merge your own account.
+      </p>
+      <form onSubmit={handlePreview}>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+          <Input
+            label="Duplicate account (removed)"
+            type="email"
+            value={sourceEmail}
+            onChange={(e) => { setSourceEmail(e.target.value); resetPreview(); }}
+            placeholder="old@example.com"
+            required
+          />
+          <Input
+            label="Account to keep"
+            type="email"
+            value={targetEmail}
+            onChange={(e) => { setTargetEmail(e.target.value); resetPreview(); }}
+            placeholder="main@example.com"
+            required
+          />
+        </div>
+        {!preview && (
+          <Button type="submit" variant="outline" disabled={busy || !sourceEmail || !targetEmail}>
+            {busy ? 'Checking...' : 'Preview merge'}
+          </Button>
+        )}
+      </form>
+
+      {preview && (
+        <div className="mt-2">
+          <p className="text-sm text-gray-700 mb-2">
+            <strong>{preview.source.name}</strong> ({preview.source.email}) will be merged into{' '}
+            <strong>{preview.target.name}</strong> ({preview.target.email}).
+          </p>
+          {preview.references.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">The duplicate has no submissions, reviews or other records.</p>
+          ) : (
+            <ul className="text-sm text-gray-600 mb-4 list-disc list-inside">
+              {preview.references.map((ref) => (
+                <li key={`${ref.model}-${ref.field}`}>
+                  {ref.count} {ref.model} ({ref.field})
+                </li>
+              ))}
+            </ul>
+          )}
+          {preview.conflicts.length > 0 && (
+            <p className="text-sm text-red-600 mb-4">
+              {preview.conflicts.length} records would duplicate records the account to keep already has (e.g. two reviews of the same paper). Resolve these before merging.
+            </p>
+          )}
+          <div className="flex gap-3">
+            <Button variant="danger" onClick={handleMerge} disabled={busy || preview.conflicts.length > 0}>
+              {busy ? 'Sending...' : 'Ask owner to confirm'}
+            </Button>
+            <Button variant="outline" onClick={resetPreview} disabled={busy}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <p className={`mt-3 text-sm ${result.ok ? 'text-green-700' : 'text-red-600'}`}>{result.message}</p>
+      )}
+    </Card>
+  );
+};
+
+export default MergeAccountsForm;
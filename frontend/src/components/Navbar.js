@@ -1,9 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Navbar = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, switchRole } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -34,10 +35,14 @@ const Navbar = () => {
       { to: '/participant/events', label: 'Browse Events' },
       { to: '/participant/registrations', label: 'My Registrations' },
       { to: '/participant/certificates', label: 'My Certificates' }
+    ],
+    admin: [
+      { to: '/admin/dashboard', label: 'Administration' }
     ]
   };
 
   const links = user ? navLinks[user.role] || [] : [];
+  const otherRoles = user ? (user.roles || []).filter(r => r !== user.role) : [];
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -78,6 +83,15 @@ const Navbar = () => {
     navigate('/profile');
   };
 
+  const handleSwitchRole = async (role) => {
+    setIsDropdownOpen(false);
+    setIsMobileMenuOpen(false);
+    const result = await switchRole(role);
+    if (result.success) {
+      navigate(`/${role}/dashboard`);
+    }
+  };
+
   const handleLogout = () => {
     setIsDropdownOpen(false);
     setIsMobileMenuOpen(false);
@@ -200,6 +214,28 @@ const Navbar = () => {
                           </div>
                         </button>
 
+                        {/* Role Switcher */}
+                        {otherRoles.length > 0 && (
+                          <>
+                            <div className="border-t my-1"></div>
+                            <div className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                              Switch Role
+                            </div>
+                            {otherRoles.map((role) => (
+                              <button
+                                key={role}
+                                onClick={() => handleSwitchRole(role)}
+                                className="w-full text-left px-4 py-3 text-sm text-gray-700 hover:bg-gray-50 flex items-center space-x-3 transition-colors min-h-[44px]"
+                              >
+                                <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                                </svg>
+                                <span className="font-medium capitalize">{role}</span>
+                              </button>
+                            ))}
+                          </>
+                        )}
+
                         <div className="border-t my-1"></div>
 
                         {/* Logout Option */}
@@ -220,6 +256,7 @@ const Navbar = () => {
             </div>
           </div>
         </div>
+        <EmailVerificationBanner />
       </nav>
 
       {/* Mobile Navigation Drawer */}
@@ -273,6 +310,15 @@ const Navbar = () => {
                 </div>
 
                 <div className="space-y-2">
+                  {otherRoles.map((role) => (
+                    <button
+                      key={role}
+                      onClick={() => handleSwitchRole(role)}
+                      className="w-full flex items-center justify-center px-4 py-2.5 text-sm font-medium text-primary-700 bg-primary-50 hover:bg-primary-100 rounded-lg transition-colors min-h-[44px] capitalize"
+                    >
+                      Switch to {role}
+                    </button>
+                  ))}
                   <button
                     onClick={() => {
                       setIsMobileMenuOpen(false);
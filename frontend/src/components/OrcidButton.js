@@ -1,10 +1,12 @@
 import React from 'react';
 
-const OrcidButton = ({ role = null }) => {
+const OrcidButton = ({ role = null, link = false }) => {
   const handleOrcidLogin = () => {
     const clientId = process.env.REACT_APP_ORCID_CLIENT_ID;
     const redirectUri = encodeURIComponent(process.env.REACT_APP_ORCID_REDIRECT_URI);
-    const state = role ? encodeURIComponent(JSON.stringify({ role })) : '';
+    // `link` attaches the identity to the signed-in account instead of signing in
+    const stateData = { ...(role && { role }), ...(link && { link: true }) };
+    const state = Object.keys(stateData).length > 0 ? encodeURIComponent(JSON.stringify(stateData)) : '';
     
     const orcidAuthUrl = `https://orcid.org/oauth/authorize?client_id=${clientId}&response_type=code&scope=/authenticate&redirect_uri=${redirectUri}${state ? `&state=${state}` : ''}`;
     
@@ -32,7 +34,7 @@ const OrcidButton = ({ role = null }) => {
         </g>
       </svg>
       <span className="text-sm font-medium text-gray-700">
-        {role ? `Login with ORCID as ${role}` : 'Login with ORCID'}
+        {link ? 'Link ORCID iD' : role ? `Login with ORCID as ${role}` : 'Login with ORCID'}
       </span>
     </button>
   );
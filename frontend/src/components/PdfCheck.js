@@ -0,0 +1,30 @@
+import React from 'react';
+import FileWarnings from './FileWarnings';
+
+/**
+ * The server's check of a PDF paper (submission.pdfCheck): page count, paper
+ * size, and the problems it found (page limit, paper size, fonts, encryption).
+ * Long papers only have their first pages scanned for paper size and fonts.
+ */
+const PdfCheck = ({ check, title = 'Problems found in the PDF', className = '' }) => {
+  if (!check) return null;
+
+  const details = [
+    check.pageCount != null && `${check.pageCount} page${check.pageCount === 1 ? '' : 's'}`,
+    check.pageSize,
+    check.pagesInspected > 0 && check.pagesInspected < check.pageCount && `first ${check.pagesInspected} pages checked`,
+    check.valid && !check.encrypted && check.fontsNotEmbedded?.length === 0 && 'fonts embedded'
+  ].filter(Boolean);
+
+  return (
+    <div className={className}>
+      <p className="text-sm text-gray-600">
+        <span className="font-medium">PDF check:</span> {details.join(' · ')}
+        {check.warnings?.length === 0 && <span className="ml-2 text-green-700">✓ No problems found</span>}
+      </p>
+      <FileWarnings warnings={check.warnings} title={title} className="mt-2" />
+    </div>
+  );
+};
+
+export default PdfCheck;
@@ -4,7 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import Loading from './Loading';
 
 const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading } = useAuth();
+  const { user, loading, switchRole } = useAuth();
 
   if (loading) {
     return <Loading fullScreen message="Authenticating..." />;
@@ -15,13 +15,26 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
   }
 
   if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
+    // The account holds a role for this page, it just isn't the active one
+    const switchableRole = (user.roles || []).find(r => allowedRoles.includes(r));
+
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
         <div className="text-center">
           <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 mb-4">Access Denied</h1>
           <p className="text-base sm:text-lg text-gray-600 mb-6 sm:mb-8">
-            You don't have permission to access this page.
+            {switchableRole
+              ? `This page is for your ${switchableRole} role. You are currently signed in as ${user.role}.`
+              : "You don't have permission to access this page."}
           </p>
+          {switchableRole && (
+            <button
+              onClick={() => switchRole(switchableRole)}
+              className="block mx-auto mb-4 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 font-medium"
+            >
+              Switch to {switchableRole}
+            </button>
+          )}
           <a 
             href={`/${user.role}/dashboard`} 
             className="text-primary-600 hover:text-primary-700 font-medium"
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { uploadAttachment, addSubmissionAttachment, removeSubmissionAttachment } from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { ATTACHMENT_KINDS, attachmentFormats, acceptForAttachment, fileMatchesAttachment, formatSize } from '../utils/attachments';
+import Badge from './Badge';
+import Button from './Button';
+
+/**
+ * Supplementary attachments of a submission ([{ _id, type, label, kind, name, size, fileUrl }]
+ * from the API). With `types` and `editable` the main author can add and remove them.
+ */
+const SubmissionAttachments = ({ attachments, submissionId, conferenceId, types = [], editable = false, onChanged, title = 'Supplementary Material' }) => {
+  const toast = useToast();
+  const [files, setFiles] = useState({});
+  const [busy, setBusy] = useState(null);
+
+  const list = attachments || [];
+  if (list.length === 0 && !(editable && types.length)) return null;
+
+  const handleAdd = async (type) => {
+    const file = files[type.key];
+    if (!file) return;
+    if (!fileMatchesAttachment(type, file)) {
+      toast.warning(`${type.label} must be ${attachmentFormats(type).map(f => f.toUpperCase()).join(', ')}`);
+      return;
+    }
+    if (file.size > type.maxSizeMB * 1024 * 1024) {
+      toast.warning(`${type.label} files can be at most ${type.maxSizeMB} MB`);
+      return;
+    }
+
+    setBusy(type.key);
+    try {
+      const uploadRes = await uploadAttachment(conferenceId, type.key, file);
+      const uploaded = uploadRes.data || uploadRes;
+      await addSubmissionAttachment(submissionId, {
+        type: type.key,
+        fileUrl: uploaded.fileUrl,
+        name: file.name,
+        size: file.size
+      });
+      setFiles(prev => ({ ...prev, [type.key]: null }));
+      toast.success(`${type.label} attached`);
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add attachment');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRemove = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.name || attachment.label}?`)) return;
+    setBusy(attachment._id);
+    try {
+      await removeSubmissionAttachment(submissionId, attachment._id);
+      toast.success('Attachment removed');
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove attachment');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div>
+      {title && <h3 className="text-md font-semibold text-gray-900 mb-2">{title}</h3>}
+
+      {list.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No attachments yet.</p>
+      ) : (
+        <ul className="divide-y mb-3">
+          {list.map(attachment => (
+            <li key={attachment._id} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 text-sm">
+              <div>
+                <Badge size="sm" variant="default" className="mr-2">{attachment.label}</Badge>
+                <span className="text-gray-900">{attachment.name || attachment.fileUrl.split('/').pop()}</span>
+                {attachment.size && <span className="text-gray-500 ml-2">{formatSize(attachment.size)}</span>}
+              </div>
+              <div className="flex gap-2">
+                <a
+                  href={attachment.fileUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition"
+                >
+                  ⬇️ Download
+                </a>
+                {editable && (
+                  <Button size="sm" variant="danger" disabled={busy !== null} onClick={() => handleRemove(attachment)}>
+                    Remove
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editable && types.map(type => {
+        const count = list.filter(attachment => attachment.type === type.key).length;
+        const full = count >= (type.maxFiles || 1);
+        return (
+          <div key={type.key} className="p-3 mb-2 bg-gray-50 rounded-lg border border-gray-200">
+            <p className="text-sm font-medium text-gray-900">
+              {type.label}
+              <span className="text-gray-500 font-normal">
+                {` · ${attachmentFormats(type).map(f => f.toUpperCase()).join('/')} up to ${type.maxSizeMB} MB`}
+                {` · ${count}/${type.maxFiles || 1}`}
+                {type.visibility === 'committee' && ' · not shown to reviewers'}
+              </span>
+            </p>
+            {type.description && <p className="text-xs text-gray-500 mt-1">{type.description}</p>}
+            {!full && (
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-2">
+                <input
+                  type="file"
+                  accept={acceptForAttachment(type)}
+                  onChange={(e) => setFiles(prev => ({ ...prev, [type.key]: e.target.files[0] || null }))}
+                  className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+                  aria-label={`${ATTACHMENT_KINDS[type.kind]?.label || type.label} file`}
+                />
+                <Button size="sm" disabled={!files[type.key] || busy !== null} onClick={() => handleAdd(type)}>
+                  {busy === type.key ? 'Uploading...' : 'Attach'}
+                </Button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SubmissionAttachments;
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import { updateConference } from '../utils/api';
+import { FIELD_TYPES, CHOICE_TYPES, FIELD_VISIBILITY, keyFromLabel } from '../utils/submissionFields';
+import Card from './Card';
+import Input from './Input';
+import Select from './Select';
+import Textarea from './Textarea';
+import Button from './Button';
+import Badge from './Badge';
+
+const emptyForm = {
+  key: '',
+  label: '',
+  type: 'text',
+  helpText: '',
+  options: '',
+  required: false,
+  min: '',
+  max: '',
+  maxLength: '',
+  trackIds: [],
+  visibility: 'committee'
+};
+
+const toOptions = (labels) => Object.entries(labels).map(([value, label]) => ({ value, label }));
+
+// Form state <-> field definition (options are edited one per line)
+const toForm = (field) => ({
+  ...emptyForm,
+  ...field,
+  helpText: field.helpText || '',
+  options: (field.options || []).join('\n'),
+  min: field.min ?? '',
+  max: field.max ?? '',
+  maxLength: field.maxLength ?? '',
+  trackIds: (field.trackIds || []).map(String)
+});
+
+const toField = (form) => ({
+  key: form.key,
+  label: form.label.trim(),
+  type: form.type,
+  helpText: form.helpText.trim(),
+  options: CHOICE_TYPES.includes(form.type) ? form.options.split('\n').map(o => o.trim()).filter(Boolean) : [],
+  required: form.required,
+  min: form.min === '' ? null : Number(form.min),
+  max: form.max === '' ? null : Number(form.max),
+  maxLength: form.maxLength === '' ? null : Number(form.maxLength),
+  trackIds: form.trackIds,
+  visibility: form.visibility
+});
+
+/**
+ * Organizer-defined questions on the submission form: add, edit, reorder and remove
+ * (shown to committee members with conference:edit)
+ */
+const SubmissionFieldsEditor = ({ conferenceId, fields: initialFields, tracks }) => {
+  const [fields, setFields] = useState(initialFields || []);
+  const [form, setForm] = useState(emptyForm);
+  // Index of the field being edited, or null when adding
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async (next) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await updateConference(conferenceId, { submissionFields: next });
+      setFields(res.data.conference.submissionFields || next);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save submission fields');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const field = toField(form);
+    const next = editing === null
+      ? [...fields, field]
+      : fields.map((f, i) => (i === editing ? field : f));
+    if (await save(next)) {
+      setForm(emptyForm);
+      setEditing(null);
+    }
+  };
+
+  const handleRemove = (index) => {
+    if (!window.confirm(`Remove "${fields[index].label}"? Answers already given stay on the submissions but are no longer shown.`)) return;
+    save(fields.filter((_, i) => i !== index));
+  };
+
+  const handleMove = (index, step) => {
+    const next = [...fields];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    save(next);
+  };
+
+  const setField = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({
+      ...prev,
+      [name]: value,
+      // The key follows the label until the field is saved; answers are stored under it after that
+      ...(name === 'label' && editing === null ? { key: keyFromLabel(value) } : {})
+    }));
+  };
+
+  const toggleTrack = (trackId) => {
+    setForm(prev => ({
+      ...prev,
+      trackIds: prev.trackIds.includes(trackId)
+        ? prev.trackIds.filter(id => id !== trackId)
+        : [...prev.trackIds, trackId]
+    }));
+  };
+
+  const trackNames = (ids) => tracks.filter(t => ids.map(String).includes(t._id)).map(t => t.name).join(', ');
+
+  return (
+    <Card className="mt-8">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-2">Submission Form Fields</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Extra questions authors answer when they submit, for every track or only some. Answers appear with each
+        submission and in the submissions export; reviewers only see fields shared with them.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {fields.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No extra fields. Authors give the title, abstract, keywords and co-authors only.</p>
+      ) : (
+        <ul className="divide-y mb-6">
+          {fields.map((field, index) => (
+            <li key={field.key} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-900 font-medium">
+                  {field.label}
+                  {field.required && <span className="text-red-500 ml-1">*</span>}
+                  <Badge size="sm" variant="default" className="ml-2">{FIELD_TYPES[field.type]}</Badge>
+                  {field.visibility === 'reviewers' && (
+                    <Badge size="sm" variant="info" className="ml-2">Reviewers</Badge>
+                  )}
+                </p>
+                <p className="text-gray-500">
+                  {field.key} · {field.trackIds?.length ? trackNames(field.trackIds) : 'All tracks'}
+                  {field.options?.length > 0 && ` · ${field.options.join(', ')}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" disabled={busy || index === 0} onClick={() => handleMove(index, -1)}>↑</Button>
+                <Button size="sm" variant="outline" disabled={busy || index === fields.length - 1} onClick={() => handleMove(index, 1)}>↓</Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={busy}
+                  onClick={() => {
+                    setEditing(index);
+                    setForm(toForm(field));
+                  }}
+                >
+                  Edit
+                </Button>
+                <Button size="sm" variant="danger" disabled={busy} onClick={() => handleRemove(index)}>
+                  Remove
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <h3 className="text-md font-semibold text-gray-900 mb-3">{editing === null ? 'Add a field' : `Edit "${fields[editing]?.label}"`}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input label="Label" value={form.label} onChange={setField('label')} maxLength={200} required />
+          <Input
+            label="Key"
+            value={form.key}
+            onChange={setField('key')}
+            disabled={editing !== null}
+            placeholder="student_paper"
+            required
+          />
+          <Select label="Type" value={form.type} onChange={setField('type')} options={toOptions(FIELD_TYPES)} />
+          <Select
+            label="Visible to"
+            value={form.visibility}
+            onChange={setField('visibility')}
+            options={toOptions(FIELD_VISIBILITY)}
+          />
+        </div>
+        <Input label="Help text" value={form.helpText} onChange={setField('helpText')} maxLength={500} />
+        {CHOICE_TYPES.includes(form.type) && (
+          <Textarea
+            label="Options (one per line)"
+            value={form.options}
+            onChange={setField('options')}
+            rows={4}
+            required
+          />
+        )}
+        {(form.type === 'number' || form.type === 'checkboxes') && (
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label={form.type === 'number' ? 'Minimum value' : 'Pick at least'}
+              type="number"
+              value={form.min}
+              onChange={setField('min')}
+            />
+            <Input
+              label={form.type === 'number' ? 'Maximum value' : 'Pick at most'}
+              type="number"
+              value={form.max}
+              onChange={setField('max')}
+            />
+          </div>
+        )}
+        {(form.type === 'text' || form.type === 'textarea') && (
+          <Input label="Maximum length (characters)" type="number" min={1} value={form.maxLength} onChange={setField('maxLength')} />
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={form.required}
+            onChange={setField('required')}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          {form.type === 'checkbox' ? 'Must be checked (consent)' : 'Required'}
+        </label>
+        {tracks.length > 0 && (
+          <div className="mb-4">
+            <p className="text-sm font-medium text-gray-700 mb-1">Tracks (none ticked means every track)</p>
+            <div className="flex flex-wrap gap-3">
+              {tracks.map(track => (
+                <label key={track._id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.trackIds.includes(track._id)}
+                    onChange={() => toggleTrack(track._id)}
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  {track.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        <div className="flex gap-2">
+          <Button type="submit" disabled={busy}>
+            {busy ? 'Saving...' : editing === null ? 'Add Field' : 'Save Field'}
+          </Button>
+          {editing !== null && (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                setEditing(null);
+                setForm(emptyForm);
+              }}
+            >
+              Cancel
+            </Button>
+          )}
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default SubmissionFieldsEditor;
@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { updateConference } from '../utils/api';
+import { SUBMISSION_KINDS, FILE_FORMATS } from '../utils/submissionTypes';
+import { keyFromLabel } from '../utils/submissionFields';
+import { formatInZone, dateInputInZone } from '../utils/timezone';
+import Card from './Card';
+import Input from './Input';
+import Select from './Select';
+import Textarea from './Textarea';
+import Button from './Button';
+import Badge from './Badge';
+
+const emptyForm = {
+  key: '',
+  name: '',
+  kind: 'full_paper',
+  description: '',
+  submissionDeadline: '',
+  fileRequired: true,
+  fileFormats: [],
+  pageLimit: '',
+  reviewersPerPaper: '',
+  allowRevisions: true,
+  reviewInstructions: ''
+};
+
+// Form state <-> type definition (the deadline is a date in the conference timezone)
+const toForm = (type, timezone) => ({
+  ...emptyForm,
+  ...type,
+  description: type.description || '',
+  submissionDeadline: dateInputInZone(type.submissionDeadline, timezone),
+  fileFormats: type.fileFormats || [],
+  pageLimit: type.pageLimit ?? '',
+  reviewersPerPaper: type.reviewersPerPaper ?? '',
+  reviewInstructions: type.reviewInstructions || ''
+});
+
+const toType = (form) => ({
+  key: form.key,
+  name: form.name.trim(),
+  kind: form.kind,
+  description: form.description.trim(),
+  submissionDeadline: form.submissionDeadline || null,
+  fileRequired: form.fileRequired,
+  fileFormats: form.fileFormats,
+  pageLimit: form.pageLimit === '' ? null : Number(form.pageLimit),
+  reviewersPerPaper: form.reviewersPerPaper === '' ? null : Number(form.reviewersPerPaper),
+  allowRevisions: form.allowRevisions,
+  reviewInstructions: form.reviewInstructions.trim()
+});
+
+/**
+ * Kinds of submission the conference takes (full paper, poster, demo...), each with
+ * its own deadline, file requirements and review settings
+ * (shown to committee members with conference:edit)
+ */
+const SubmissionTypesEditor = ({ conferenceId, types: initialTypes, timezone }) => {
+  const [types, setTypes] = useState(initialTypes || []);
+  const [form, setForm] = useState(emptyForm);
+  // Index of the type being edited, or null when adding
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async (next) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await updateConference(conferenceId, { submissionTypes: next });
+      setTypes(res.data.conference.submissionTypes || next);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save submission types');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const type = toType(form);
+    const next = editing === null
+      ? [...types, type]
+      : types.map((t, i) => (i === editing ? type : t));
+    if (await save(next)) {
+      setForm(emptyForm);
+      setEditing(null);
+    }
+  };
+
+  const handleRemove = (index) => {
+    if (!window.confirm(`Remove "${types[index].name}"?`)) return;
+    save(types.filter((_, i) => i !== index));
+  };
+
+  const setField = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({
+      ...prev,
+      [name]: value,
+      // The key follows the name until the type is saved; submissions refer to it after that
+      ...(name === 'name' && editing === null ? { key: keyFromLabel(value) } : {})
+    }));
+  };
+
+  const toggleFormat = (format) => {
+    setForm(prev => ({
+      ...prev,
+      fileFormats: prev.fileFormats.includes(format)
+        ? prev.fileFormats.filter(f => f !== format)
+        : [...prev.fileFormats, format]
+    }));
+  };
+
+  return (
+    <Card className="mt-8">
+      <h2 className="text-lg sm:text-xl font-bold text-gray-900 mb-2">Submission Types</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Full papers, short papers, posters, demos or workshop proposals, each with its own deadline, files and
+        review settings. Authors pick a type when they submit. Without types, every submission follows its track's
+        deadline. Dates are in {timezone}.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {types.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No submission types. Every submission is a paper.</p>
+      ) : (
+        <ul className="divide-y mb-6">
+          {types.map((type, index) => (
+            <li key={type.key} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-900 font-medium">
+                  {type.name}
+                  <Badge size="sm" variant="default" className="ml-2">{SUBMISSION_KINDS[type.kind]}</Badge>
+                  {!type.fileRequired && <Badge size="sm" variant="info" className="ml-2">No file needed</Badge>}
+                </p>
+                <p className="text-gray-500">
+                  {type.key}
+                  {' · '}
+                  {type.submissionDeadline ? `Due ${formatInZone(type.submissionDeadline, timezone)}` : 'Track deadline'}
+                  {type.pageLimit && ` · ${type.pageLimit} pages`}
+                  {type.fileFormats?.length > 0 && ` · ${type.fileFormats.map(f => f.toUpperCase()).join('/')}`}
+                  {type.reviewersPerPaper && ` · ${type.reviewersPerPaper} reviewers`}
+                  {!type.allowRevisions && ' · Accept/reject only'}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={busy}
+                  onClick={() => {
+                    setEditing(index);
+                    setForm(toForm(type, timezone));
+                  }}
+                >
+                  Edit
+                </Button>
+                <Button size="sm" variant="danger" disabled={busy} onClick={() => handleRemove(index)}>
+                  Remove
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <h3 className="text-md font-semibold text-gray-900 mb-3">{editing === null ? 'Add a type' : `Edit "${types[editing]?.name}"`}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input label="Name" value={form.name} onChange={setField('name')} maxLength={100} placeholder="Short paper" required />
+          <Input
+            label="Key"
+            value={form.key}
+            onChange={setField('key')}
+            disabled={editing !== null}
+            placeholder="short_paper"
+            required
+          />
+          <Select
+            label="Kind (sets certificate wording)"
+            value={form.kind}
+            onChange={setField('kind')}
+            options={Object.entries(SUBMISSION_KINDS).map(([value, label]) => ({ value, label }))}
+          />
+          <Input
+            label="Deadline (blank follows the track)"
+            type="date"
+            value={form.submissionDeadline}
+            onChange={setField('submissionDeadline')}
+          />
+        </div>
+        <Textarea
+          label="Description for authors"
+          value={form.description}
+          onChange={setField('description')}
+          rows={2}
+        />
+
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">Files</h4>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+          <input
+            type="checkbox"
+            checked={form.fileRequired}
+            onChange={setField('fileRequired')}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          A file is required
+        </label>
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-1">Formats (none ticked means any)</p>
+          <div className="flex flex-wrap gap-3">
+            {FILE_FORMATS.map(format => (
+              <label key={format} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.fileFormats.includes(format)}
+                  onChange={() => toggleFormat(format)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                />
+                {format.toUpperCase()}
+              </label>
+            ))}
+          </div>
+        </div>
+        <Input label="Page limit" type="number" min={1} value={form.pageLimit} onChange={setField('pageLimit')} />
+
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">Review</h4>
+        <Input
+          label="Reviewers per paper (blank uses the auto-assignment setting)"
+          type="number"
+          min={1}
+          max={10}
+          value={form.reviewersPerPaper}
+          onChange={setField('reviewersPerPaper')}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={form.allowRevisions}
+            onChange={setField('allowRevisions')}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          Reviewers can ask for a revision
+        </label>
+        <Textarea
+          label="Instructions for reviewers"
+          value={form.reviewInstructions}
+          onChange={setField('reviewInstructions')}
+          rows={3}
+        />
+
+        <div className="flex gap-2">
+          <Button type="submit" disabled={busy}>
+            {busy ? 'Saving...' : editing === null ? 'Add Type' : 'Save Type'}
+          </Button>
+          {editing !== null && (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                setEditing(null);
+                setForm(emptyForm);
+              }}
+            >
+              Cancel
+            </Button>
+          )}
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default SubmissionTypesEditor;
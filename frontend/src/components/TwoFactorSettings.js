@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from '../utils/api';
+import Button from './Button';
+import Input from './Input';
+import Card from './Card';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const enabled = !!user?.twoFactorEnabled;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      setCode('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await setupTwoFactor());
+  });
+
+  const handleEnable = () => run(async () => {
+    const data = await enableTwoFactor(code);
+    updateUser(data.user);
+    setRecoveryCodes(data.recoveryCodes);
+    setSetup(null);
+  });
+
+  const handleDisable = () => run(async () => {
+    const data = await disableTwoFactor(code);
+    updateUser(data.user);
+    setRecoveryCodes(null);
+  });
+
+  const handleRegenerate = () => run(async () => {
+    const data = await regenerateRecoveryCodes(code);
+    setRecoveryCodes(data.recoveryCodes);
+  });
+
+  return (
+    <Card className="mt-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Two-Factor Authentication</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        {enabled
+          ? 'Enabled. Sign-ins ask for a code from your authenticator app.'
+          : 'Protect your account with a code from an authenticator app.'}
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800 mb-2">
+            Save these recovery codes somewhere safe. Each can be used once if you lose your device; they will not be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <Button onClick={handleStart} disabled={busy} className="w-full">
+          {busy ? 'Starting...' : 'Set up two-factor authentication'}
+        </Button>
+      )}
+
+      {!enabled && setup && (
+        <div>
+          <p className="text-sm text-gray-700 mb-2">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img src={setup.qrCodeDataUrl} alt="Authenticator QR code" className="mx-auto mb-2 w-40 h-40" />
+          <p className="text-xs text-gray-500 mb-4 break-all text-center">
+            Or enter this key manually: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <Input
+            label="Authentication Code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            autoComplete="one-time-code"
+          />
+          <Button onClick={handleEnable} disabled={busy || !code} className="w-full">
+            {busy ? 'Verifying...' : 'Enable'}
+          </Button>
+        </div>
+      )}
+
+      {enabled && (
+        <div>
+          <Input
+            label="Authentication Code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Code from your authenticator app"
+            autoComplete="one-time-code"
+          />
+          <div className="space-y-2">
+            <Button variant="secondary" onClick={handleRegenerate} disabled={busy || !code} className="w-full">
+              New recovery codes
+            </Button>
+            <Button variant="danger" onClick={handleDisable} disabled={busy || !code} className="w-full">
+              Disable two-factor authentication
+            </Button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
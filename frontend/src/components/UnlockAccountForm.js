@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { unlockUserAccount } from '../utils/api';
+import Card from './Card';
+import Input from './Input';
+import Button from './Button';
+
+const UnlockAccountForm = () => {
+  const [email, setEmail] = useState('');
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setResult(null);
+    try {
+      const res = await unlockUserAccount(email);
+      setResult({ ok: true, message: res.message });
+      setEmail('');
+    } catch (err) {
+      setResult({ ok: false, message: err.response?.data?.message || 'Failed to unlock account' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Unlock an Account</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Accounts are locked for a short time after repeated failed sign-ins. You can unlock authors, reviewers and participants of your conferences.
+      </p>
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row sm:items-start gap-3">
+        <div className="flex-1">
+          <Input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="user@example.com"
+            required
+          />
+        </div>
+        <Button type="submit" disabled={submitting || !email}>
+          {submitting ? 'Unlocking...' : 'Unlock'}
+        </Button>
+      </form>
+      {result && (
+        <p className={`text-sm ${result.ok ? 'text-green-700' : 'text-red-600'}`}>{result.message}</p>
+      )}
+    </Card>
+  );
+};
+
+export default UnlockAccountForm;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { VERSION_KINDS } from '../utils/cameraReady';
+
+/**
+ * Switch between the numbered file versions of a submission
+ * ([{ number, kind, uploadedAt, uploadedBy? }] from the API, oldest first).
+ * `selected` is a version number; the latest version is selected when it is null.
+ */
+const VersionPicker = ({ versions, selected, onSelect }) => {
+  if (!versions || versions.length < 2) return null;
+
+  const latest = versions[versions.length - 1].number;
+  const current = selected ?? latest;
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">Versions</p>
+      <div className="flex flex-wrap gap-2">
+        {versions.map(version => (
+          <button
+            key={version.number}
+            type="button"
+            onClick={() => onSelect(version.number === latest ? null : version.number)}
+            className={`px-3 py-1.5 rounded-lg border text-sm text-left transition ${
+              version.number === current
+                ? 'border-primary-500 bg-primary-50 text-primary-800'
+                : 'border-gray-200 bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <span className="font-semibold">v{version.number}</span>
+            {' · '}
+            {VERSION_KINDS[version.kind] || version.kind}
+            {version.number === latest && ' (latest)'}
+            <span className="block text-xs text-gray-500">
+              {version.uploadedAt && new Date(version.uploadedAt).toLocaleString()}
+              {version.uploadedBy?.name && ` · ${version.uploadedBy.name}`}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/** The version a picker selection points at (latest when nothing is selected) */
+export const pickVersion = (versions = [], selected) =>
+  versions.find(version => version.number === selected) || versions[versions.length - 1] || null;
+
+export default VersionPicker;
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useEffect } from 'react';
 import axios from 'axios';
 import { setAuthToken } from '../utils/api';
 
@@ -28,15 +28,21 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!initialToken
   });
 
-  async function login(email, password) {
+  async function login(email, password, role = null) {
     try {
-      const res = await axios.post(`${base}/auth/login`, { email, password });
+      const res = await axios.post(`${base}/auth/login`, { email, password, role });
       const body = res.data || {};
       const token = body.token || body.data?.token || body.data?.accessToken || body.accessToken;
+      // Password accepted but the account has 2FA: caller must complete the second step
+      if (body.data?.requiresTwoFactor) {
+        return { success: false, requiresTwoFactor: true, twoFactorToken: body.data.twoFactorToken, message: body.message };
+      }
       const user = body.user || body.data?.user || body.data || null;
+      const refreshToken = body.data?.refreshToken || body.refreshToken;
       if (token) {
         localStorage.setItem('token', token);
         localStorage.setItem('user', JSON.stringify(user || {}));
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
         axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
         setAuthToken(token);
         setAuth({ token, user, isAuthenticated: true });
@@ -53,9 +59,11 @@ export const AuthProvider = ({ children }) => {
       const body = res.data || {};
       const token = body.token || body.data?.token || body.data?.accessToken || body.accessToken;
       const user = body.user || body.data?.user || body.data || null;
+      const refreshToken = body.data?.refreshToken || body.refreshToken;
       if (token) {
         localStorage.setItem('token', token);
         localStorage.setItem('user', JSON.stringify(user || {}));
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
         axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
         setAuthToken(token);
         setAuth({ token, user, isAuthenticated: true });
@@ -66,14 +74,97 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  function logout() {
+  // Second login step for accounts with two-factor authentication
+  async function completeTwoFactorLogin(twoFactorToken, code) {
+    try {
+      const res = await axios.post(`${base}/auth/login/2fa`, { twoFactorToken, code });
+      const { token, refreshToken, user } = res.data?.data || {};
+      if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+      storeSession(token, user);
+      return { success: true, token, user, message: res.data?.message };
+    } catch (err) {
+      return { success: false, message: err.response?.data?.message || err.message || 'Verification failed' };
+    }
+  }
+
+  // Switch the active role; the backend issues a new token for it
+  async function switchRole(role) {
+    try {
+      const res = await axios.post(`${base}/auth/switch-role`, { role });
+      const { token, user } = res.data?.data || {};
+      storeSession(token, user);
+      return { success: true, token, user };
+    } catch (err) {
+      return { success: false, message: err.response?.data?.message || err.message || 'Failed to switch role' };
+    }
+  }
+
+  // Add a role to the current account without changing the active role
+  async function addRole(role) {
+    try {
+      const res = await axios.post(`${base}/auth/roles`, { role });
+      const { token, user } = res.data?.data || {};
+      storeSession(token, user);
+      return { success: true, token, user };
+    } catch (err) {
+      return { success: false, message: err.response?.data?.message || err.message || 'Failed to add role' };
+    }
+  }
+
+  function storeSession(token, user) {
+    if (!token) return;
+    localStorage.setItem('token', token);
+    localStorage.setItem('user', JSON.stringify(user || {}));
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    setAuthToken(token);
+    setAuth({ token, user, isAuthenticated: true });
+  }
+
+  function clearSession() {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     delete axios.defaults.headers.common['Authorization'];
     setAuthToken(null);
     setAuth({ token: null, user: null, isAuthenticated: false });
   }
 
+  function logout() {
+    // Revoke this device's session server-side; local sign-out does not wait for it
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      axios.post(`${base}/auth/logout`, { refreshToken }).catch(() => {});
+    }
+    clearSession();
+  }
+
+  // Revoke every session of this account (all devices), including this one
+  async function logoutAll() {
+    try {
+      await axios.post(`${base}/auth/logout-all`);
+      clearSession();
+      return { success: true };
+    } catch (err) {
+      return { success: false, message: err.response?.data?.message || err.message || 'Failed to sign out sessions' };
+    }
+  }
+
+  // Keep state in sync with token refreshes and expired sessions handled in utils/api
+  useEffect(() => {
+    const handleRefreshed = (e) => {
+      const { token, user } = e.detail || {};
+      setAuth(prev => ({ ...prev, token, user: user || prev.user, isAuthenticated: true }));
+    };
+    const handleExpired = () => clearSession();
+
+    window.addEventListener('auth:refreshed', handleRefreshed);
+    window.addEventListener('auth:expired', handleExpired);
+    return () => {
+      window.removeEventListener('auth:refreshed', handleRefreshed);
+      window.removeEventListener('auth:expired', handleExpired);
+    };
+  }, []);
+
   function updateUser(updatedUser) {
     if (!updatedUser) return;
 
@@ -98,7 +189,7 @@ export const AuthProvider = ({ children }) => {
   }
 
   return (
-    <AuthContext.Provider value={{ ...auth, login, register, logout, updateUser }}>
+    <AuthContext.Provider value={{ ...auth, login, completeTwoFactorLogin, register, logout, logoutAll, updateUser, switchRole, addRole }}>
       {children}
     </AuthContext.Provider>
   );
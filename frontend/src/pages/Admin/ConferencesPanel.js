@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Badge from '../../components/Badge';
+import Input from '../../components/Input';
+import Textarea from '../../components/Textarea';
+import Loading from '../../components/Loading';
+import Modal from '../../components/Modal';
+import { useToast } from '../../context/ToastContext';
+import { adminGetConferences, adminSuspendConference, adminUnsuspendConference } from '../../utils/api';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const ConferencesPanel = () => {
+  const toast = useToast();
+  const [query, setQuery] = useState('');
+  const [suspended, setSuspended] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ conferences: [], total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [suspending, setSuspending] = useState(null);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchConferences = async (search, suspendedFilter, pageNumber) => {
+    setLoading(true);
+    try {
+      const res = await adminGetConferences({
+        q: search || undefined,
+        suspended: suspendedFilter || undefined,
+        page: pageNumber
+      });
+      setResult(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load conferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchConferences('', '', 1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    fetchConferences(query, suspended, 1);
+  };
+
+  const changePage = (nextPage) => {
+    setPage(nextPage);
+    fetchConferences(query, suspended, nextPage);
+  };
+
+  const handleSuspend = async () => {
+    setBusy(true);
+    try {
+      const res = await adminSuspendConference(suspending._id, reason);
+      toast.success(res.message);
+      setSuspending(null);
+      setReason('');
+      fetchConferences(query, suspended, page);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to suspend conference');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUnsuspend = async (conference) => {
+    if (!window.confirm(`Reinstate "${conference.name}"? It will be visible to authors, reviewers and participants again.`)) return;
+    try {
+      const res = await adminUnsuspendConference(conference._id);
+      toast.success(res.message);
+      fetchConferences(query, suspended, page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reinstate conference');
+    }
+  };
+
+  return (
+    <>
+      <Card className="mb-6">
+        <form onSubmit={handleSearch} className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-1">
+            <Input
+              label="Search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Conference name or venue"
+            />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={suspended}
+              onChange={(e) => setSuspended(e.target.value)}
+              className="w-full md:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">All</option>
+              <option value="false">Live</option>
+              <option value="true">Suspended</option>
+            </select>
+          </div>
+          <div className="mb-4">
+            <Button type="submit">Search</Button>
+          </div>
+        </form>
+      </Card>
+
+      <Card>
+        {loading ? (
+          <Loading message="Loading conferences..." />
+        ) : result.conferences.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No conferences found.</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-3">{result.total} conference(s)</p>
+            <ul className="divide-y">
+              {result.conferences.map(conf => (
+                <li key={conf._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div className="text-sm">
+                    <p className="text-gray-900 font-medium">
+                      {conf.name}
+                      {conf.suspendedAt && (
+                        <Badge size="sm" variant="danger" className="ml-2">Suspended</Badge>
+                      )}
+                    </p>
+                    <p className="text-gray-500">
+                      {conf.organizerId?.name || 'Unknown organizer'} ({conf.organizerId?.email || 'no email'})
+                      {' · '}
+                      {formatDate(conf.startDate)}
+                    </p>
+                    {conf.suspendedAt && conf.suspensionReason && (
+                      <p className="text-red-600 text-xs mt-1">{conf.suspensionReason}</p>
+                    )}
+                  </div>
+                  {conf.suspendedAt ? (
+                    <Button size="sm" variant="outline" onClick={() => handleUnsuspend(conf)}>
+                      Reinstate
+                    </Button>
+                  ) : (
+                    <Button size="sm" variant="danger" onClick={() => setSuspending(conf)}>
+                      Suspend
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {result.pages > 1 && (
+              <div className="flex justify-between items-center mt-4">
+                <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => changePage(page - 1)}>
+                  Previous
+                </Button>
+                <span className="text-sm text-gray-500">Page {page} of {result.pages}</span>
+                <Button size="sm" variant="outline" disabled={page >= result.pages} onClick={() => changePage(page + 1)}>
+                  Next
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </Card>
+
+      <Modal isOpen={!!suspending} onClose={() => setSuspending(null)} title="Suspend conference" size="sm">
+        {suspending && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">
+              <strong>{suspending.name}</strong> will be hidden from authors, reviewers and participants. The organizer keeps access and is notified by email.
+            </p>
+            <Textarea
+              label="Reason (sent to the organizer)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={4}
+            />
+            <div className="flex gap-3">
+              <Button variant="danger" onClick={handleSuspend} disabled={busy}>
+                {busy ? 'Suspending...' : 'Suspend'}
+              </Button>
+              <Button variant="outline" onClick={() => setSuspending(null)} disabled={busy}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default ConferencesPanel;
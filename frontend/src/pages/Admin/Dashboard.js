@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import Navbar from '../../components/Navbar';
+import UsersPanel from './UsersPanel';
+import ConferencesPanel from './ConferencesPanel';
+import FeatureFlagsPanel from './FeatureFlagsPanel';
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'conferences', label: 'Conferences' },
+  { id: 'flags', label: 'Feature Flags' }
+];
+
+const AdminDashboard = () => {
+  const [activeTab, setActiveTab] = useState('users');
+
+  return (
+    <>
+      <Navbar />
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-6 sm:mb-8">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Platform Administration</h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">Manage accounts, conferences and feature flags</p>
+        </div>
+
+        <div className="flex border-b mb-6 overflow-x-auto">
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-6 py-3 font-medium whitespace-nowrap transition-colors ${activeTab === tab.id
+                ? 'text-primary-600 border-b-2 border-primary-600'
+                : 'text-gray-500 hover:text-gray-700'
+                }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'users' && <UsersPanel />}
+        {activeTab === 'conferences' && <ConferencesPanel />}
+        {activeTab === 'flags' && <FeatureFlagsPanel />}
+      </div>
+    </>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Badge from '../../components/Badge';
+import Loading from '../../components/Loading';
+import { useToast } from '../../context/ToastContext';
+import { adminGetFeatureFlags, adminSetFeatureFlag } from '../../utils/api';
+
+const FeatureFlagsPanel = () => {
+  const toast = useToast();
+  const [flags, setFlags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    adminGetFeatureFlags()
+      .then(res => setFlags(res.data.flags))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to load feature flags'))
+      .finally(() => setLoading(false));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const setOverride = async (name, enabled) => {
+    setBusy(name);
+    try {
+      const res = await adminSetFeatureFlag(name, enabled);
+      setFlags(res.data.flags);
+      toast.success(res.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update feature flag');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return <Loading message="Loading feature flags..." />;
+  }
+
+  return (
+    <Card>
+      <p className="text-sm text-gray-500 mb-4">
+        Overrides take precedence over the server environment and reach every instance within a minute. Clear an override to fall back to the environment value.
+      </p>
+      <ul className="divide-y">
+        {flags.map(flag => (
+          <li key={flag.name} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <div className="text-sm">
+              <p className="font-mono text-gray-900">
+                {flag.name}
+                <Badge size="sm" variant={flag.enabled ? 'success' : 'default'} className="ml-2">
+                  {flag.enabled ? 'On' : 'Off'}
+                </Badge>
+              </p>
+              <p className="text-xs text-gray-500">
+                Environment: {flag.envValue ? 'on' : 'off'}
+                {flag.override !== null && (
+                  <>
+                    {' · '}Overridden{flag.updatedBy ? ` by ${flag.updatedBy.name}` : ''}
+                    {flag.updatedAt ? ` on ${new Date(flag.updatedAt).toLocaleString()}` : ''}
+                  </>
+                )}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                variant={flag.override === true ? 'success' : 'outline'}
+                disabled={busy === flag.name || flag.override === true}
+                onClick={() => setOverride(flag.name, true)}
+              >
+                Force on
+              </Button>
+              <Button
+                size="sm"
+                variant={flag.override === false ? 'danger' : 'outline'}
+                disabled={busy === flag.name || flag.override === false}
+                onClick={() => setOverride(flag.name, false)}
+              >
+                Force off
+              </Button>
+              <Button
+                size="sm"
+                variant="secondary"
+                disabled={busy === flag.name || flag.override === null}
+                onClick={() => setOverride(flag.name, null)}
+              >
+                Clear
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+};
+
+export default FeatureFlagsPanel;
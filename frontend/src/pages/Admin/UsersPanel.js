@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Badge from '../../components/Badge';
+import Input from '../../components/Input';
+import Loading from '../../components/Loading';
+import Modal from '../../components/Modal';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import {
+  adminSearchUsers,
+  adminGetUser,
+  adminUpdateUserRoles,
+  adminUnlockUser,
+  adminRevokeUserSessions
+} from '../../utils/api';
+
+const ROLES = ['organizer', 'author', 'reviewer', 'participant', 'admin'];
+
+const UsersPanel = () => {
+  const { user: currentUser } = useAuth();
+  const toast = useToast();
+  const [query, setQuery] = useState('');
+  const [role, setRole] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ users: [], total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const fetchUsers = async (search, roleFilter, pageNumber) => {
+    setLoading(true);
+    try {
+      const res = await adminSearchUsers({ q: search || undefined, role: roleFilter || undefined, page: pageNumber });
+      setResult(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers('', '', 1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    fetchUsers(query, role, 1);
+  };
+
+  const changePage = (nextPage) => {
+    setPage(nextPage);
+    fetchUsers(query, role, nextPage);
+  };
+
+  const openUser = async (userId) => {
+    try {
+      const res = await adminGetUser(userId);
+      setSelected(res.data);
+      setRoles(res.data.user.roles || [res.data.user.role]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load user');
+    }
+  };
+
+  const toggleRole = (r) => {
+    setRoles(prev => (prev.includes(r) ? prev.filter(x => x !== r) : [...prev, r]));
+  };
+
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      const res = await action();
+      toast.success(res.message);
+      await openUser(selected.user._id);
+      fetchUsers(query, role, page);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isSelf = selected && String(selected.user._id) === String(currentUser?._id);
+
+  return (
+    <>
+      <Card className="mb-6">
+        <form onSubmit={handleSearch} className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-1">
+            <Input
+              label="Search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Name, email or ORCID iD"
+            />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="w-full md:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">All roles</option>
+              {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+          </div>
+          <div className="mb-4">
+            <Button type="submit">Search</Button>
+          </div>
+        </form>
+      </Card>
+
+      <Card>
+        {loading ? (
+          <Loading message="Loading users..." />
+        ) : result.users.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No users found.</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-3">{result.total} user(s)</p>
+            <ul className="divide-y">
+              {result.users.map(u => (
+                <li key={u._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div className="text-sm">
+                    <p className="text-gray-900 font-medium">{u.name}</p>
+                    <p className="text-gray-500">{u.email}</p>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {(u.roles || [u.role]).map(r => (
+                      <Badge key={r} size="sm" variant={r === 'admin' ? 'danger' : 'default'}>{r}</Badge>
+                    ))}
+                    <Button size="sm" variant="outline" onClick={() => openUser(u._id)}>
+                      Manage
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {result.pages > 1 && (
+              <div className="flex justify-between items-center mt-4">
+                <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => changePage(page - 1)}>
+                  Previous
+                </Button>
+                <span className="text-sm text-gray-500">Page {page} of {result.pages}</span>
+                <Button size="sm" variant="outline" disabled={page >= result.pages} onClick={() => changePage(page + 1)}>
+                  Next
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </Card>
+
+      <Modal isOpen={!!selected} onClose={() => setSelected(null)} title={selected?.user.name || 'User'}>
+        {selected && (
+          <div className="space-y-6">
+            <div className="text-sm text-gray-600 space-y-1">
+              <p><span className="font-medium">Email:</span> {selected.user.email}</p>
+              {selected.user.orcid && <p><span className="font-medium">ORCID iD:</span> {selected.user.orcid}</p>}
+              <p><span className="font-medium">Active sessions:</span> {selected.activeSessions}</p>
+              <p>
+                <span className="font-medium">Sign-in:</span>{' '}
+                {selected.lockedUntil
+                  ? `Locked until ${new Date(selected.lockedUntil).toLocaleString()}`
+                  : 'Not locked'}
+              </p>
+              {selected.conferences.length > 0 && (
+                <p><span className="font-medium">Organizes:</span> {selected.conferences.map(c => c.name).join(', ')}</p>
+              )}
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-gray-900 mb-2">Roles</h4>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {ROLES.map(r => (
+                  <label key={r} className="flex items-center gap-2 px-3 py-1 border rounded-full text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={roles.includes(r)}
+                      onChange={() => toggleRole(r)}
+                      disabled={isSelf && r === 'admin'}
+                      className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                    />
+                    {r}
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mb-3">Saving signs the user out of every device so the change takes effect.</p>
+              <Button
+                size="sm"
+                disabled={busy || roles.length === 0}
+                onClick={() => runAction(() => adminUpdateUserRoles(selected.user._id, roles))}
+              >
+                Save roles
+              </Button>
+            </div>
+
+            <div className="flex flex-wrap gap-3 pt-4 border-t">
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={busy}
+                onClick={() => runAction(() => adminUnlockUser(selected.user._id))}
+              >
+                Unlock sign-in
+              </Button>
+              <Button
+                size="sm"
+                variant="danger"
+                disabled={busy || selected.activeSessions === 0}
+                onClick={() => runAction(() => adminRevokeUserSessions(selected.user._id))}
+              >
+                Sign out everywhere
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default UsersPanel;
@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Navbar from '../../components/Navbar';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Badge from '../../components/Badge';
+import Input from '../../components/Input';
+import Loading from '../../components/Loading';
+import { useToast } from '../../context/ToastContext';
+import { getSubmissionDetailsAuthor, submitCameraReady, uploadPaper, uploadSource } from '../../utils/api';
+import { LICENSES, SOURCE_FORMATS, allowedLicenses } from '../../utils/cameraReady';
+import { acceptFor, fileMatchesType, typeFormats } from '../../utils/submissionTypes';
+import { formatInZone } from '../../utils/timezone';
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const StepHeader = ({ number, title, done }) => (
+  <div className="flex items-center justify-between mb-3">
+    <h2 className="text-lg font-bold text-gray-900">
+      {number}. {title}
+    </h2>
+    <Badge size="sm" variant={done ? 'success' : 'warning'}>{done ? 'Done' : 'Missing'}</Badge>
+  </div>
+);
+
+const CameraReady = () => {
+  const { id: submissionId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+  const [submission, setSubmission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+
+  const [paperFile, setPaperFile] = useState(null);
+  const [sourceFile, setSourceFile] = useState(null);
+  const [agreement, setAgreement] = useState({ license: '', signedName: '', agree: false });
+  const [coAuthors, setCoAuthors] = useState([]);
+  const [newCoAuthor, setNewCoAuthor] = useState({ name: '', email: '', orcid: '' });
+
+  const fetchSubmission = useCallback(async () => {
+    try {
+      const res = await getSubmissionDetailsAuthor(submissionId);
+      const data = res.data || res;
+      setSubmission(data);
+      setCoAuthors((data.coAuthors || []).map(({ name, email, orcid }) => ({ name, email, orcid: orcid || '' })));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load submission');
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [submissionId]);
+
+  useEffect(() => {
+    fetchSubmission();
+  }, [fetchSubmission]);
+
+  // Send one step and refresh the checklist
+  const save = async (step, items) => {
+    setBusy(step);
+    try {
+      const res = await submitCameraReady(submissionId, items);
+      toast.success(res.message);
+      await fetchSubmission();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handlePaper = async (e) => {
+    e.preventDefault();
+    if (!paperFile) return;
+    if (!fileMatchesType(submission.typeDetails, paperFile)) {
+      toast.warning(`Upload a ${typeFormats(submission.typeDetails).map(f => f.toUpperCase()).join(' or ')} file`);
+      return;
+    }
+    setBusy('paper');
+    try {
+      const upload = await uploadPaper(paperFile, {
+        trackId: submission.trackId?._id,
+        submissionType: submission.submissionType
+      });
+      const uploaded = upload.data || upload;
+      (uploaded.warnings || []).forEach(warning => toast.warning(warning));
+      if (await save('paper', { fileUrl: uploaded.fileUrl })) setPaperFile(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+      setBusy(null);
+    }
+  };
+
+  const handleSource = async (e) => {
+    e.preventDefault();
+    if (!sourceFile) return;
+    setBusy('source');
+    try {
+      const upload = await uploadSource(sourceFile);
+      if (await save('source', { sourceUrl: upload.data?.fileUrl })) setSourceFile(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+      setBusy(null);
+    }
+  };
+
+  const handleAgreement = (e) => {
+    e.preventDefault();
+    save('agreement', agreement);
+  };
+
+  const handleAddCoAuthor = () => {
+    if (!newCoAuthor.name || !emailRegex.test(newCoAuthor.email)) {
+      toast.warning('Please provide a name and a valid email for the co-author');
+      return;
+    }
+    setCoAuthors(prev => [...prev, { ...newCoAuthor }]);
+    setNewCoAuthor({ name: '', email: '', orcid: '' });
+  };
+
+  const handleConfirmAuthors = () => {
+    save('authors', { coAuthors, confirmAuthors: true });
+  };
+
+  if (loading) {
+    return (
+      <>
+        <Navbar />
+        <Loading fullScreen message="Loading camera-ready..." />
+      </>
+    );
+  }
+
+  const conference = submission?.conferenceId || {};
+  const settings = conference.cameraReady || {};
+  const checklist = submission?.cameraReadyChecklist;
+  const done = Object.fromEntries((checklist?.items || []).map(item => [item.key, item.done]));
+  const state = submission?.cameraReady || {};
+  const finalVersion = (submission?.versions || []).find(v => v.number === state.version);
+  const isOpen = conference.status === 'camera_ready';
+  const readOnly = !isOpen || submission?.isCoAuthor;
+  let step = 0;
+
+  return (
+    <>
+      <Navbar />
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-6">
+          <Button variant="outline" size="sm" onClick={() => navigate(`/author/submissions/${submissionId}`)}>
+            ← Back to Submission
+          </Button>
+        </div>
+
+        {!checklist ? (
+          <Card>
+            <p className="text-gray-600">Only accepted papers have a camera-ready version.</p>
+          </Card>
+        ) : (
+          <>
+            <div className="mb-6">
+              <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Camera-Ready Version</h1>
+              <p className="text-gray-600 mt-1">{submission.title} · {conference.name}</p>
+            </div>
+
+            <div className={`mb-6 p-4 rounded-lg border ${checklist.complete ? 'bg-green-50 border-green-200 text-green-800' : 'bg-blue-50 border-blue-200 text-blue-800'}`}>
+              {checklist.complete
+                ? 'Your camera-ready version is complete. You can still replace items until the deadline.'
+                : `${checklist.missing.length} item${checklist.missing.length > 1 ? 's' : ''} still missing.`}
+              {settings.deadline && ` Due ${formatInZone(settings.deadline, conference.timezone)}.`}
+              {!isOpen && ' Camera-ready uploads are not open.'}
+              {submission.isCoAuthor && ' Only the submitting author can make changes.'}
+            </div>
+
+            <Card className="mb-6">
+              <StepHeader number={++step} title="Final paper" done={done.paper} />
+              {finalVersion && (
+                <p className="text-sm text-gray-600 mb-3">
+                  Version {finalVersion.number} uploaded {new Date(finalVersion.uploadedAt).toLocaleString()}
+                </p>
+              )}
+              {!readOnly && (
+                <form onSubmit={handlePaper} className="flex flex-col sm:flex-row gap-3 sm:items-center">
+                  <input
+                    type="file"
+                    accept={acceptFor(submission.typeDetails)}
+                    onChange={(e) => setPaperFile(e.target.files?.[0] || null)}
+                    className="text-sm"
+                  />
+                  <Button type="submit" size="sm" disabled={!paperFile || busy !== null}>
+                    {busy === 'paper' ? 'Uploading...' : finalVersion ? 'Replace Final Paper' : 'Upload Final Paper'}
+                  </Button>
+                </form>
+              )}
+            </Card>
+
+            {settings.sourceRequired !== false && (
+              <Card className="mb-6">
+                <StepHeader number={++step} title="Source archive" done={done.source} />
+                <p className="text-sm text-gray-600 mb-3">
+                  The LaTeX or Word sources and figures as a {SOURCE_FORMATS.map(f => f.toUpperCase()).join(', ')} archive (up to 50MB).
+                  {state.sourceUrl && ` Uploaded: ${state.sourceUrl.split('/').pop()}`}
+                </p>
+                {!readOnly && (
+                  <form onSubmit={handleSource} className="flex flex-col sm:flex-row gap-3 sm:items-center">
+                    <input
+                      type="file"
+                      accept={SOURCE_FORMATS.map(f => `.${f}`).join(',')}
+                      onChange={(e) => setSourceFile(e.target.files?.[0] || null)}
+                      className="text-sm"
+                    />
+                    <Button type="submit" size="sm" disabled={!sourceFile || busy !== null}>
+                      {busy === 'source' ? 'Uploading...' : state.sourceUrl ? 'Replace Archive' : 'Upload Archive'}
+                    </Button>
+                  </form>
+                )}
+              </Card>
+            )}
+
+            <Card className="mb-6">
+              <StepHeader number={++step} title="Copyright or license agreement" done={done.agreement} />
+              {state.agreement?.signedAt && (
+                <p className="text-sm text-gray-600 mb-3">
+                  {LICENSES[state.agreement.license]}, signed by {state.agreement.signedName} on{' '}
+                  {new Date(state.agreement.signedAt).toLocaleDateString()}
+                </p>
+              )}
+              {settings.agreementText && (
+                <div className="mb-4 p-3 bg-gray-50 border rounded-lg text-sm text-gray-700 whitespace-pre-wrap max-h-64 overflow-y-auto">
+                  {settings.agreementText}
+                </div>
+              )}
+              {!readOnly && (
+                <form onSubmit={handleAgreement}>
+                  <div className="space-y-2 mb-4">
+                    {allowedLicenses(settings).map(license => (
+                      <label key={license} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="license"
+                          value={license}
+                          checked={agreement.license === license}
+                          onChange={() => setAgreement(prev => ({ ...prev, license }))}
+                          className="h-4 w-4 text-primary-600 border-gray-300"
+                        />
+                        {LICENSES[license]}
+                      </label>
+                    ))}
+                  </div>
+                  <Input
+                    label="Your full name as signature"
+                    value={agreement.signedName}
+                    onChange={(e) => setAgreement(prev => ({ ...prev, signedName: e.target.value }))}
+                    required
+                  />
+                  <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                    <input
+                      type="checkbox"
+                      checked={agreement.agree}
+                      onChange={(e) => setAgreement(prev => ({ ...prev, agree: e.target.checked }))}
+                      className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                    />
+                    I accept the agreement on behalf of all authors
+                  </label>
+                  <Button type="submit" size="sm" disabled={!agreement.license || !agreement.agree || busy !== null}>
+                    {busy === 'agreement' ? 'Signing...' : 'Sign Agreement'}
+                  </Button>
+                </form>
+              )}
+            </Card>
+
+            <Card className="mb-6">
+              <StepHeader number={++step} title="Final author list" done={done.authors} />
+              <p className="text-sm text-gray-600 mb-3">
+                The author list printed in the proceedings: you ({submission.authorId?.name}) followed by these co-authors.
+                Changing the list needs a new confirmation.
+              </p>
+              <ul className="divide-y mb-4">
+                {coAuthors.length === 0 && <li className="py-2 text-sm text-gray-500">No co-authors.</li>}
+                {coAuthors.map((coAuthor, index) => (
+                  <li key={`${coAuthor.email}-${index}`} className="py-2 flex items-center justify-between text-sm">
+                    <span>
+                      <span className="font-medium text-gray-900">{coAuthor.name}</span>
+                      <span className="text-gray-500"> · {coAuthor.email}</span>
+                      {coAuthor.orcid && <span className="text-gray-400"> · ORCID {coAuthor.orcid}</span>}
+                    </span>
+                    {!readOnly && (
+                      <button
+                        type="button"
+                        onClick={() => setCoAuthors(prev => prev.filter((_, i) => i !== index))}
+                        className="text-red-600 hover:text-red-800 px-3 py-1 rounded hover:bg-red-50"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {!readOnly && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <Input
+                      placeholder="Full Name *"
+                      value={newCoAuthor.name}
+                      onChange={(e) => setNewCoAuthor({ ...newCoAuthor, name: e.target.value })}
+                    />
+                    <Input
+                      type="email"
+                      placeholder="Email *"
+                      value={newCoAuthor.email}
+                      onChange={(e) => setNewCoAuthor({ ...newCoAuthor, email: e.target.value })}
+                    />
+                    <Input
+                      placeholder="ORCID (optional)"
+                      value={newCoAuthor.orcid}
+                      onChange={(e) => setNewCoAuthor({ ...newCoAuthor, orcid: e.target.value })}
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <Button type="button" size="sm" variant="outline" onClick={handleAddCoAuthor}>
+                      + Add Co-Author
+                    </Button>
+                    <Button type="button" size="sm" onClick={handleConfirmAuthors} disabled={busy !== null}>
+                      {busy === 'authors' ? 'Saving...' : 'Confirm Author List'}
+                    </Button>
+                  </div>
+                </>
+              )}
+            </Card>
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default CameraReady;
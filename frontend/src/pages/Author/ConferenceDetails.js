@@ -5,6 +5,22 @@ import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
 import Button from '../../components/Button';
 import Loading from '../../components/Loading';
+import { formatInZone, timeUntil, viewerTimezone } from '../../utils/timezone';
+import { typeFormats } from '../../utils/submissionTypes';
+
+// A deadline in the conference's timezone and the viewer's, with a countdown
+function Deadline({ date, timezone, now }) {
+  const left = timeUntil(date, now);
+  return (
+    <div>
+      <div className="text-lg font-bold text-gray-900">{formatInZone(date, timezone)}</div>
+      <div className="text-xs text-gray-500">Your time: {formatInZone(date, viewerTimezone())}</div>
+      <div className={`text-sm font-medium mt-1 ${left ? 'text-blue-700' : 'text-red-600'}`}>
+        {left ? `${left} left` : 'Closed'}
+      </div>
+    </div>
+  );
+}
 
 export default function ConferenceDetails() {
   const { id: conferenceId } = useParams();
@@ -13,6 +29,7 @@ export default function ConferenceDetails() {
   const [tracks, setTracks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [now, setNow] = useState(new Date());
 
   const fetchDetails = useCallback(async () => {
     try {
@@ -38,6 +55,12 @@ export default function ConferenceDetails() {
     fetchDetails();
   }, [fetchDetails]);
 
+  // Keep the countdowns current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
   if (loading) return <Loading />;
 
   return (
@@ -71,18 +94,22 @@ export default function ConferenceDetails() {
             </div>
 
             {/* Conference Info */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            <div className={`grid grid-cols-1 ${conference.abstractDeadline ? 'md:grid-cols-4' : 'md:grid-cols-3'} gap-6 mb-8`}>
+              {conference.abstractDeadline && (
+                <Card>
+                  <div className="text-sm text-gray-600">Abstract Registration</div>
+                  <Deadline date={conference.abstractDeadline} timezone={conference.timezone} now={now} />
+                </Card>
+              )}
               <Card>
-                <div className="text-sm text-gray-600">Submission Deadline</div>
-                <div className="text-lg font-bold text-gray-900">
-                  {new Date(conference.submissionDeadline).toLocaleDateString()}
-                </div>
+                <div className="text-sm text-gray-600">{conference.abstractDeadline ? 'Full Paper Deadline' : 'Submission Deadline'}</div>
+                <Deadline date={conference.submissionDeadline} timezone={conference.timezone} now={now} />
               </Card>
               <Card>
                 <div className="text-sm text-gray-600">Conference Date</div>
                 <div className="text-lg font-bold text-gray-900">
-                  {conference.startDate ? new Date(conference.startDate).toLocaleDateString() : 'TBD'}
-                  {conference.endDate && ` - ${new Date(conference.endDate).toLocaleDateString()}`}
+                  {formatInZone(conference.startDate, conference.timezone, { time: false })}
+                  {conference.endDate && ` - ${formatInZone(conference.endDate, conference.timezone, { time: false })}`}
                 </div>
               </Card>
               <Card>
@@ -91,6 +118,30 @@ export default function ConferenceDetails() {
               </Card>
             </div>
 
+            {/* Submission Types */}
+            {conference.submissionTypes?.length > 0 && (
+              <div className="mb-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-4">Submission Types</h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {conference.submissionTypes.map((type) => (
+                    <Card key={type.key}>
+                      <h3 className="font-bold text-gray-900">{type.name}</h3>
+                      {type.description && <p className="text-sm text-gray-600 mt-1 whitespace-pre-wrap">{type.description}</p>}
+                      <p className="text-sm text-gray-500 mt-2">
+                        {type.pageLimit ? `Up to ${type.pageLimit} pages` : 'No page limit'}
+                        {' · '}
+                        {typeFormats(type).map(f => f.toUpperCase()).join(', ')}
+                        {!type.fileRequired && ' (optional)'}
+                      </p>
+                      {type.submissionDeadline && (
+                        <Deadline date={type.submissionDeadline} timezone={conference.timezone} now={now} />
+                      )}
+                    </Card>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Tracks */}
             <div className="mb-8">
               <h2 className="text-2xl font-bold text-gray-900 mb-4">Tracks</h2>
@@ -108,6 +159,11 @@ export default function ConferenceDetails() {
                           <p className="text-sm text-gray-600 mt-1">{track.description}</p>
                         </div>
                       </div>
+                      <Deadline
+                        date={track.submissionDeadline || conference.submissionDeadline}
+                        timezone={track.timezone || conference.timezone}
+                        now={now}
+                      />
                       <div className="mt-4">
                         <Button
                           onClick={() =>
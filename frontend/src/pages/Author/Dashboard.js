@@ -7,6 +7,14 @@ import Loading from '../../components/Loading';
 import Card from '../../components/Card';
 import Badge from '../../components/Badge';
 import Button from '../../components/Button';
+import { formatInZone } from '../../utils/timezone';
+
+// What an extension covers, as shown to the author
+const extensionTarget = (extension) => {
+  if (extension.scope === 'track') return `${extension.trackId?.name || 'Track'} track`;
+  if (extension.scope === 'submission') return `"${extension.submissionId?.title || 'Submission'}"`;
+  return 'All your submissions';
+};
 
 const AuthorDashboard = () => {
   const navigate = useNavigate();
@@ -62,7 +70,8 @@ const AuthorDashboard = () => {
       submitted_pending_dup_check: 'info',
       submitted_dup_ok: 'info',
       submitted_dup_suspect: 'info',
-      revision: 'default'
+      revision: 'default',
+      abstract_registered: 'info'
     };
     const statusLabels = {
       under_review: 'Under Review',
@@ -73,7 +82,9 @@ const AuthorDashboard = () => {
       submitted_pending_dup_check: 'Under Review',
       submitted_dup_ok: 'Under Review',
       submitted_dup_suspect: 'Under Review',
-      revision: 'Revision Needed'
+      revision: 'Revision Needed',
+      abstract_registered: 'Abstract Registered',
+      withdrawn: 'Withdrawn'
     };
     return <Badge variant={variants[status] || 'default'}>{statusLabels[status] || status?.replace('_', ' ')}</Badge>;
   };
@@ -146,6 +157,26 @@ const AuthorDashboard = () => {
           </div>
         )}
 
+        {/* Deadline Extensions */}
+        {dashboardData?.extensions?.length > 0 && (
+          <Card className="mb-8 border-l-4 border-blue-500">
+            <h2 className="text-lg font-bold text-gray-900 mb-3">Deadline Extensions</h2>
+            <ul className="divide-y">
+              {dashboardData.extensions.map((extension) => (
+                <li key={extension._id} className="py-2 text-sm">
+                  <p className="text-gray-900">
+                    <strong>{extension.conferenceId?.name}</strong> · {extensionTarget(extension)}
+                  </p>
+                  <p className="text-gray-600">
+                    Extended until {formatInZone(extension.expiresAt, extension.conferenceId?.timezone)}
+                    {extension.reason && ` — ${extension.reason}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </Card>
+        )}
+
         {/* My Submissions */}
         <div className="mb-8">
           <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
@@ -69,7 +69,9 @@ export default function MySubmissions() {
       submitted_pending_dup_check: 'info',
       submitted_dup_ok: 'info',
       submitted_dup_suspect: 'info',
-      revision: 'warning'
+      revision: 'warning',
+      abstract_registered: 'info',
+      withdrawn: 'default'
     };
     const statusLabels = {
       under_review: 'Under Review',
@@ -80,7 +82,9 @@ export default function MySubmissions() {
       submitted_pending_dup_check: 'Under Review',
       submitted_dup_ok: 'Under Review',
       submitted_dup_suspect: 'Under Review',
-      revision: '⚠️ Revision Needed'
+      revision: '⚠️ Revision Needed',
+      abstract_registered: 'Abstract Registered',
+      withdrawn: 'Withdrawn'
     };
     return <Badge variant={variants[status] || 'default'}>{statusLabels[status] || status?.replace('_', ' ')}</Badge>;
   };
@@ -134,8 +138,10 @@ export default function MySubmissions() {
             <option value="pending">Pending</option>
             <option value="under_review">Under Review</option>
             <option value="revision">Revision Needed</option>
+            <option value="abstract_registered">Abstract Registered</option>
             <option value="accepted">Accepted</option>
             <option value="rejected">Rejected</option>
+            <option value="withdrawn">Withdrawn</option>
           </Select>
         </div>
 
@@ -172,6 +178,7 @@ export default function MySubmissions() {
                       </p>
                       <p className="text-sm text-gray-600 mb-2">
                         Track: {submission.trackId?.name || 'Unknown'}
+                        {submission.typeDetails && ` · ${submission.typeDetails.name}`}
                       </p>
                       <div className="flex gap-4 text-xs text-gray-500">
                         <span>Submitted: {new Date(submission.createdAt).toLocaleDateString()}</span>
@@ -194,6 +201,17 @@ export default function MySubmissions() {
                             ✏️ Edit & Resubmit
                           </Button>
                         )}
+                        {submission.status === 'abstract_registered' && (
+                          <Button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              navigate(`/author/submissions/${submission._id}`);
+                            }}
+                            className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-sm font-medium"
+                          >
+                            Upload Paper
+                          </Button>
+                        )}
                         <Button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -248,6 +266,7 @@ export default function MySubmissions() {
                         </p>
                         <p className="text-sm text-gray-600 mb-2">
                           Track: {paper.trackId?.name || 'Unknown'}
+                          {paper.typeDetails && ` · ${paper.typeDetails.name}`}
                         </p>
                         <p className="text-sm text-gray-700 mb-2">
                           <span className="font-medium">Primary Author:</span> {paper.authorId?.name || 'Unknown'}
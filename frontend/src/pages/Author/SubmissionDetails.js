@@ -1,17 +1,48 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getSubmissionDetailsAuthor, uploadRevision, uploadPaper } from '../../utils/api';
+import { getSubmissionDetailsAuthor, uploadRevision, uploadPaper, uploadFullPaper, withdrawSubmission, resendCoAuthorInvitation } from '../../utils/api';
+import { useToast } from '../../context/ToastContext';
 import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
 import Badge from '../../components/Badge';
 import Button from '../../components/Button';
 import Loading from '../../components/Loading';
 import Textarea from '../../components/Textarea';
+import Modal from '../../components/Modal';
+import EditSubmission from '../../components/EditSubmission';
+import FileWarnings from '../../components/FileWarnings';
+import PdfCheck from '../../components/PdfCheck';
+import FieldAnswers from '../../components/FieldAnswers';
+import SubmissionAttachments from '../../components/SubmissionAttachments';
+import VersionPicker, { pickVersion } from '../../components/VersionPicker';
 import { viewPdfInNewTab, downloadPdfFile, extractFilename } from '../../utils/pdfHelper';
+import { formatInZone } from '../../utils/timezone';
+import { currentPdfCheck } from '../../utils/pdfChecks';
+
+// Statuses the main author can still edit while the call for papers is open (a revision has its own upload)
+const EDITABLE_STATUSES = [
+    'submitted',
+    'submitted_pending_dup_check',
+    'submitted_dup_ok',
+    'submitted_dup_suspect',
+    'under_review',
+    'manual_review_required',
+    'abstract_registered'
+];
+const WITHDRAWABLE_STATUSES = [...EDITABLE_STATUSES, 'revision', 'accepted'];
+// Phases in which a submission can be withdrawn (mirrors 'submissions:withdraw' in the backend)
+const WITHDRAW_PHASES = ['cfp_open', 'bidding', 'reviewing', 'rebuttal', 'decisions', 'camera_ready'];
+// Answers to a co-author's authorship invitation
+const CO_AUTHOR_STATUS = {
+    pending: { label: 'Invitation pending', variant: 'warning' },
+    confirmed: { label: '✓ Confirmed', variant: 'success' },
+    declined: { label: 'Declined', variant: 'danger' }
+};
 
 export default function SubmissionDetails() {
     const { id: submissionId } = useParams();
     const navigate = useNavigate();
+    const toast = useToast();
     const [submission, setSubmission] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -20,8 +51,19 @@ export default function SubmissionDetails() {
     const [showRevisionForm, setShowRevisionForm] = useState(false);
     const [revisionAbstract, setRevisionAbstract] = useState('');
     const [revisionFile, setRevisionFile] = useState(null);
+    // Full paper for a registered abstract (two-stage submission)
+    const [paperFile, setPaperFile] = useState(null);
     const [uploading, setUploading] = useState(false);
     const [uploadError, setUploadError] = useState(null);
+    // Paper uploaded on a previous attempt ({ file, fileUrl, warnings }), reused when the file is unchanged
+    const [uploaded, setUploaded] = useState(null);
+    // Version number shown (null shows the latest)
+    const [selectedVersion, setSelectedVersion] = useState(null);
+    // Withdrawal dialog
+    const [showWithdraw, setShowWithdraw] = useState(false);
+    const [withdrawReason, setWithdrawReason] = useState('');
+    const [withdrawing, setWithdrawing] = useState(false);
+    const [withdrawError, setWithdrawError] = useState(null);
 
     const fetchSubmission = useCallback(async () => {
         try {
@@ -43,6 +85,21 @@ export default function SubmissionDetails() {
         fetchSubmission();
     }, [fetchSubmission]);
 
+    // Upload a paper, or reuse the one uploaded on the last attempt. Returns null the
+    // first time the server warns about the file, so the author can replace it
+    const uploadOnce = async (file) => {
+        if (uploaded?.file === file) return uploaded.fileUrl;
+        const uploadResult = await uploadPaper(file, {
+            conferenceId: submission.conferenceId?._id,
+            trackId: submission.trackId?._id,
+            submissionType: submission.submissionType,
+            authorNames: (submission.coAuthors || []).map(c => c.name)
+        });
+        const data = uploadResult.data || uploadResult;
+        setUploaded({ file, fileUrl: data.fileUrl, warnings: data.warnings || [] });
+        return data.warnings?.length ? null : data.fileUrl;
+    };
+
     const handleRevisionSubmit = async (e) => {
         e.preventDefault();
         if (!revisionFile) {
@@ -55,8 +112,8 @@ export default function SubmissionDetails() {
             setUploadError(null);
 
             // First upload the file
-            const uploadResult = await uploadPaper(revisionFile);
-            const fileUrl = uploadResult.data?.fileUrl || uploadResult.fileUrl;
+            const fileUrl = await uploadOnce(revisionFile);
+            if (!fileUrl) return;
 
             // Then submit the revision
             await uploadRevision(submissionId, {
@@ -76,6 +133,55 @@ export default function SubmissionDetails() {
         }
     };
 
+    const handlePaperSubmit = async (e) => {
+        e.preventDefault();
+        if (!paperFile) {
+            setUploadError('Please select a file to upload');
+            return;
+        }
+
+        try {
+            setUploading(true);
+            setUploadError(null);
+            const fileUrl = await uploadOnce(paperFile);
+            if (!fileUrl) return;
+            await uploadFullPaper(submissionId, { fileUrl });
+            await fetchSubmission();
+            setPaperFile(null);
+        } catch (err) {
+            console.error('Error uploading paper:', err);
+            setUploadError(err.response?.data?.message || 'Failed to upload paper');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleWithdraw = async () => {
+        try {
+            setWithdrawing(true);
+            setWithdrawError(null);
+            await withdrawSubmission(submissionId, withdrawReason.trim() || undefined);
+            setShowWithdraw(false);
+            setWithdrawReason('');
+            await fetchSubmission();
+        } catch (err) {
+            console.error('Error withdrawing submission:', err);
+            setWithdrawError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to withdraw submission');
+        } finally {
+            setWithdrawing(false);
+        }
+    };
+
+    const handleResendInvitation = async (coAuthor) => {
+        try {
+            await resendCoAuthorInvitation(submissionId, coAuthor._id);
+            toast.success(`Invitation sent to ${coAuthor.email}`);
+            await fetchSubmission();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to send invitation');
+        }
+    };
+
     const getStatusBadge = (status) => {
         const variants = {
             submitted: 'info',
@@ -89,6 +195,8 @@ export default function SubmissionDetails() {
             revision: 'default',
             pending: 'info',
             manual_review_required: 'warning',
+            abstract_registered: 'info',
+            withdrawn: 'default',
         };
         const statusLabels = {
             submitted: 'Under Review',
@@ -102,6 +210,8 @@ export default function SubmissionDetails() {
             revision: 'Revision Requested',
             pending: 'Pending',
             manual_review_required: 'Manual Review Required',
+            abstract_registered: 'Abstract Registered',
+            withdrawn: 'Withdrawn',
         };
         return <Badge variant={variants[status] || 'default'}>{statusLabels[status] || status}</Badge>;
     };
@@ -135,6 +245,12 @@ export default function SubmissionDetails() {
 
     if (loading) return <Loading />;
 
+    const shownVersion = pickVersion(submission?.versions, selectedVersion);
+    const shownFileUrl = shownVersion?.fileUrl || submission?.fileUrl;
+    const conferencePhase = submission?.conferenceId?.status;
+    const canEdit = submission?.isMainAuthor && conferencePhase === 'cfp_open' && EDITABLE_STATUSES.includes(submission.status);
+    const canWithdraw = submission?.isMainAuthor && WITHDRAW_PHASES.includes(conferencePhase) && WITHDRAWABLE_STATUSES.includes(submission.status);
+
     return (
         <>
             <Navbar />
@@ -206,6 +322,17 @@ export default function SubmissionDetails() {
                                     <h3 className="text-sm font-medium text-gray-600">Track</h3>
                                     <p className="text-gray-900 font-medium">{submission.trackId?.name || 'Unknown'}</p>
                                 </div>
+                                {submission.typeDetails && (
+                                    <div>
+                                        <h3 className="text-sm font-medium text-gray-600">Submission Type</h3>
+                                        <p className="text-gray-900 font-medium">
+                                            {submission.typeDetails.name}
+                                            {submission.typeDetails.pageLimit && (
+                                                <span className="text-sm text-gray-500 font-normal"> · up to {submission.typeDetails.pageLimit} pages</span>
+                                            )}
+                                        </p>
+                                    </div>
+                                )}
                             </div>
                         </Card>
 
@@ -366,6 +493,8 @@ export default function SubmissionDetails() {
                                     {submission.status === 'rejected' && '📝 Unfortunately, your paper was not accepted this time.'}
                                     {submission.status === 'rejected_duplicate' && '🔴 Your paper was rejected due to duplication concerns.'}
                                     {submission.status === 'revision' && '✏️ Please submit a revised version of your paper.'}
+                                    {submission.status === 'abstract_registered' && '📝 Your abstract is registered. Upload the full paper to complete your submission.'}
+                                    {submission.status === 'withdrawn' && `Withdrawn${submission.withdrawalReason ? `: ${submission.withdrawalReason}` : '.'}`}
                                 </p>
                             </div>
 
@@ -410,10 +539,50 @@ export default function SubmissionDetails() {
                             )}
                         </Card>
 
+                        {/* Camera-Ready (accepted papers) */}
+                        {submission.cameraReadyChecklist && (
+                            <Card className="mb-6 border-2 border-green-300">
+                                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                                    <div>
+                                        <h2 className="text-lg font-bold text-gray-900 mb-1">Camera-Ready Version</h2>
+                                        <ul className="text-sm space-y-0.5">
+                                            {submission.cameraReadyChecklist.items.map(item => (
+                                                <li key={item.key} className={item.done ? 'text-green-700' : 'text-gray-600'}>
+                                                    {item.done ? '✓' : '○'} {item.label}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                        {submission.conferenceId?.cameraReady?.deadline && (
+                                            <p className="text-sm text-gray-500 mt-2">
+                                                Due {formatInZone(submission.conferenceId.cameraReady.deadline, submission.conferenceId.timezone)}
+                                            </p>
+                                        )}
+                                    </div>
+                                    <Button onClick={() => navigate(`/author/submissions/${submission._id}/camera-ready`)}>
+                                        {submission.cameraReadyChecklist.complete ? 'View Camera-Ready' : 'Complete Camera-Ready'}
+                                    </Button>
+                                </div>
+                            </Card>
+                        )}
+
+                        {/* Versions */}
+                        {submission.versions?.length > 1 && (
+                            <Card className="mb-6">
+                                <VersionPicker
+                                    versions={submission.versions}
+                                    selected={selectedVersion}
+                                    onSelect={setSelectedVersion}
+                                />
+                                <p className="text-xs text-gray-500">
+                                    The abstract and paper below are from version {shownVersion.number}.
+                                </p>
+                            </Card>
+                        )}
+
                         {/* Abstract */}
                         <Card className="mb-6">
                             <h2 className="text-lg font-bold text-gray-900 mb-3">Abstract</h2>
-                            <p className="text-gray-700 whitespace-pre-wrap leading-relaxed">{submission.abstract}</p>
+                            <p className="text-gray-700 whitespace-pre-wrap leading-relaxed">{shownVersion?.abstract || submission.abstract}</p>
                         </Card>
 
                         {/* Keywords */}
@@ -433,6 +602,13 @@ export default function SubmissionDetails() {
                             </Card>
                         )}
 
+                        {/* Custom field answers */}
+                        {submission.fieldAnswers?.length > 0 && (
+                            <Card className="mb-6">
+                                <FieldAnswers answers={submission.fieldAnswers} />
+                            </Card>
+                        )}
+
                         {/* Co-Authors */}
                         {submission.coAuthors && submission.coAuthors.length > 0 && (
                             <Card className="mb-6">
@@ -456,12 +632,29 @@ export default function SubmissionDetails() {
                                                         ORCID: {coAuthor.orcid}
                                                     </p>
                                                 )}
-                                                {coAuthor.userId && (
-                                                    <span className="inline-block mt-1 text-xs px-2 py-0.5 bg-green-100 text-green-700 rounded">
-                                                        ✓ Registered User
-                                                    </span>
+                                                <div className="flex flex-wrap gap-2 mt-1">
+                                                    {coAuthor.userId && (
+                                                        <span className="inline-block text-xs px-2 py-0.5 bg-green-100 text-green-700 rounded">
+                                                            ✓ Registered User
+                                                        </span>
+                                                    )}
+                                                    {CO_AUTHOR_STATUS[coAuthor.status] && (
+                                                        <Badge size="sm" variant={CO_AUTHOR_STATUS[coAuthor.status].variant}>
+                                                            {CO_AUTHOR_STATUS[coAuthor.status].label}
+                                                        </Badge>
+                                                    )}
+                                                </div>
+                                                {submission.isMainAuthor && coAuthor.conflicts?.length > 0 && (
+                                                    <p className="text-xs text-gray-500 mt-1">
+                                                        Declared conflicts: {coAuthor.conflicts.join(', ')}
+                                                    </p>
                                                 )}
                                             </div>
+                                            {submission.isMainAuthor && coAuthor._id && coAuthor.status !== 'confirmed' && submission.status !== 'withdrawn' && (
+                                                <Button size="sm" variant="outline" onClick={() => handleResendInvitation(coAuthor)}>
+                                                    {coAuthor.status === 'declined' ? 'Invite Again' : 'Resend Invitation'}
+                                                </Button>
+                                            )}
                                         </div>
                                     ))}
                                 </div>
@@ -469,31 +662,98 @@ export default function SubmissionDetails() {
                         )}
 
                         {/* Paper File */}
-                        {submission.fileUrl && (
+                        {shownFileUrl && (
                             <Card className="mb-6">
                                 <h2 className="text-lg font-bold text-gray-900 mb-3">Submitted Paper</h2>
                                 <div className="flex items-center gap-4 p-4 bg-blue-50 rounded-lg">
                                     <div className="flex-1">
                                         <p className="text-sm text-gray-600">
-                                            <span className="font-medium">File:</span> {submission.fileUrl.split('/').pop()}
+                                            <span className="font-medium">File:</span> {shownFileUrl.split('/').pop()}
+                                            {shownVersion && <span className="ml-2 text-gray-500">(version {shownVersion.number})</span>}
                                         </p>
                                     </div>
                                     <button
-                                        onClick={() => viewPdfInNewTab(submission.fileUrl)}
+                                        onClick={() => viewPdfInNewTab(shownFileUrl)}
                                         className="hidden px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition shadow-md"
                                     >
                                         📄 View Paper
                                     </button>
                                     <button
-                                        onClick={() => downloadPdfFile(submission.fileUrl, extractFilename(submission.fileUrl, submission.title))}
+                                        onClick={() => downloadPdfFile(shownFileUrl, extractFilename(shownFileUrl, submission.title))}
                                         className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition shadow-md"
                                     >
                                         ⬇️ Download
                                     </button>
                                 </div>
+                                {shownFileUrl === submission.fileUrl && (
+                                    <PdfCheck check={currentPdfCheck(submission)} className="mt-3" />
+                                )}
+                            </Card>
+                        )}
+
+                        {/* Supplementary attachments (added and removed while the submission can be edited) */}
+                        {(submission.attachments?.length > 0 || (canEdit && submission.conferenceId?.attachmentTypes?.length > 0)) && (
+                            <Card className="mb-6">
+                                <SubmissionAttachments
+                                    attachments={submission.attachments}
+                                    submissionId={submission._id}
+                                    conferenceId={submission.conferenceId?._id}
+                                    types={submission.conferenceId?.attachmentTypes}
+                                    editable={canEdit}
+                                    onChanged={fetchSubmission}
+                                />
                             </Card>
                         )}
 
+                        {/* Full Paper Upload (registered abstract) */}
+                        {submission.status === 'abstract_registered' && !submission.isCoAuthor && (
+                            <Card className="mb-6 border-2 border-blue-300 bg-blue-50">
+                                <h2 className="text-lg font-bold text-blue-800 mb-2">Full Paper Required</h2>
+                                <p className="text-blue-700 mb-4">
+                                    Upload the full paper by{' '}
+                                    <strong>
+                                        {formatInZone(
+                                            submission.typeDetails?.submissionDeadline || submission.trackId?.submissionDeadline || submission.conferenceId?.submissionDeadline,
+                                            submission.trackId?.timezone || submission.conferenceId?.timezone
+                                        )}
+                                    </strong>
+                                    . Registrations without a paper are withdrawn once the deadline passes.
+                                </p>
+                                <form onSubmit={handlePaperSubmit} className="space-y-4 p-4 bg-white rounded-lg border border-blue-200">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                                            Paper (PDF) <span className="text-red-500">*</span>
+                                        </label>
+                                        <input
+                                            type="file"
+                                            accept=".pdf"
+                                            onChange={(e) => setPaperFile(e.target.files[0])}
+                                            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+                                        />
+                                        {paperFile && (
+                                            <p className="mt-2 text-sm text-green-600">✓ {paperFile.name}</p>
+                                        )}
+                                    </div>
+                                    {uploadError && (
+                                        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                                            <p className="text-red-700 text-sm">{uploadError}</p>
+                                        </div>
+                                    )}
+                                    {paperFile && uploaded?.file === paperFile && (
+                                        <FileWarnings warnings={uploaded.warnings} hint="Choose a corrected file, or upload again to keep this one." />
+                                    )}
+                                    <Button type="submit" disabled={uploading}>
+                                        {uploading ? 'Uploading...' : 'Upload Paper'}
+                                    </Button>
+                                </form>
+                            </Card>
+                        )}
+
+                        {/* Edit (main author, before the deadline) */}
+                        {canEdit && (
+                            <EditSubmission key={submission.lastUpdatedAt} submission={submission} onSaved={fetchSubmission} />
+                        )}
+
                         {/* Revision Request Banner */}
                         {submission.status === 'revision' && !submission.isCoAuthor && (
                             <Card className="mb-6 border-2 border-yellow-400 bg-yellow-50">
@@ -540,6 +800,9 @@ export default function SubmissionDetails() {
                                                         <p className="text-red-700 text-sm">{uploadError}</p>
                                                     </div>
                                                 )}
+                                                {revisionFile && uploaded?.file === revisionFile && (
+                                                    <FileWarnings warnings={uploaded.warnings} hint="Choose a corrected file, or submit again to keep this one." />
+                                                )}
                                                 <div className="flex gap-3">
                                                     <Button type="submit" disabled={uploading}>
                                                         {uploading ? 'Uploading...' : 'Submit Revision'}
@@ -641,8 +904,11 @@ export default function SubmissionDetails() {
                                                     {review.reviewNumber || index + 1}
                                                 </span>
                                                 <span className="text-sm text-gray-600">
-                                                    Reviewer #{review.reviewNumber || index + 1}
+                                                    {review.reviewerName || `Reviewer #${review.reviewNumber || index + 1}`}
                                                 </span>
+                                                {review.version && (
+                                                    <Badge size="sm" variant="default">on version {review.version}</Badge>
+                                                )}
                                                 {review.submittedAt && (
                                                     <span className="text-xs text-gray-400 ml-auto">
                                                         {formatDate(review.submittedAt)}
@@ -670,10 +936,41 @@ export default function SubmissionDetails() {
                             >
                                 ← Back to All Submissions
                             </Button>
+                            {canWithdraw && (
+                                <Button variant="danger" onClick={() => setShowWithdraw(true)}>
+                                    Withdraw Submission
+                                </Button>
+                            )}
                         </div>
                     </>
                 )}
             </div>
+
+            <Modal isOpen={showWithdraw} onClose={() => setShowWithdraw(false)} title="Withdraw submission" size="sm">
+                <p className="text-sm text-gray-600 mb-4">
+                    <strong>{submission?.title}</strong> will be withdrawn from {submission?.conferenceId?.name}.
+                    Assigned reviewers are told no review is needed. This cannot be undone.
+                </p>
+                <Textarea
+                    label="Reason (optional)"
+                    value={withdrawReason}
+                    onChange={(e) => setWithdrawReason(e.target.value)}
+                    rows={3}
+                />
+                {withdrawError && (
+                    <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+                        <p className="text-red-700 text-sm">{withdrawError}</p>
+                    </div>
+                )}
+                <div className="flex gap-3">
+                    <Button variant="danger" onClick={handleWithdraw} disabled={withdrawing}>
+                        {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+                    </Button>
+                    <Button variant="outline" onClick={() => setShowWithdraw(false)} disabled={withdrawing}>
+                        Cancel
+                    </Button>
+                </div>
+            </Modal>
         </>
     );
 }
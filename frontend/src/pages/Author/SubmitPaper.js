@@ -7,7 +7,13 @@ import Textarea from '../../components/Textarea';
 import Select from '../../components/Select';
 import Button from '../../components/Button';
 import Loading from '../../components/Loading';
+import CustomFieldInput from '../../components/CustomFieldInput';
+import FileWarnings from '../../components/FileWarnings';
 import { useToast } from '../../context/ToastContext';
+import { formatInZone } from '../../utils/timezone';
+import { fieldsForTrack } from '../../utils/submissionFields';
+import { PAPER_SIZES } from '../../utils/pdfChecks';
+import { SUBMISSION_KINDS, typeFormats, acceptFor, fileMatchesType } from '../../utils/submissionTypes';
 
 export default function SubmitPaper() {
   const [searchParams] = useSearchParams();
@@ -25,13 +31,17 @@ export default function SubmitPaper() {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
+  // Paper uploaded on a previous attempt ({ file, fileUrl, warnings }), reused when the file is unchanged
+  const [uploaded, setUploaded] = useState(null);
 
   const [form, setForm] = useState({
     title: '',
     abstract: '',
     trackId: trackId || '',
+    submissionType: '',
     keywords: [],
     coAuthors: [],
+    customFields: {},
     file: null,
   });
 
@@ -82,7 +92,7 @@ export default function SubmitPaper() {
   const handleConferenceChange = async (e) => {
     const confId = e.target.value;
     setSelectedConference(confId);
-    setForm({ ...form, trackId: '' });
+    setForm({ ...form, trackId: '', submissionType: '' });
 
     if (confId) {
       try {
@@ -151,6 +161,26 @@ export default function SubmitPaper() {
     });
   };
 
+  const conference = conferences.find(c => c._id === selectedConference);
+  // Conferences with submission types need one; its deadline and file rules replace the track's
+  const types = conference?.submissionTypes || [];
+  const type = types.find(t => t.key === form.submissionType);
+  const fileRequired = type?.fileRequired !== false;
+  const track = tracks.find(t => t._id === form.trackId);
+  const paperDeadline = type?.submissionDeadline
+    || track?.submissionDeadline
+    || conference?.submissionDeadline;
+  // Uploaded PDFs are checked against these (the type's page limit comes first)
+  const pageLimit = type?.pageLimit || track?.pageLimit;
+  // Two-stage conferences take the abstract first and the paper later
+  const twoStage = Boolean(conference?.abstractDeadline) && fileRequired;
+  // Organizer-defined questions for the chosen track
+  const customFields = form.trackId ? fieldsForTrack(conference?.submissionFields, form.trackId) : [];
+
+  const setAnswer = (key) => (value) => {
+    setForm(prev => ({ ...prev, customFields: { ...prev.customFields, [key]: value } }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -164,6 +194,10 @@ export default function SubmitPaper() {
       setError('Please select a track');
       return;
     }
+    if (types.length && !type) {
+      setError('Please choose a submission type');
+      return;
+    }
     if (!form.title.trim()) {
       setError('Please enter a paper title');
       return;
@@ -172,18 +206,38 @@ export default function SubmitPaper() {
       setError('Please enter an abstract');
       return;
     }
-    if (!form.file) {
+    const unanswered = customFields.find(f => f.type === 'checkboxes' && f.required && !form.customFields[f.key]?.length);
+    if (unanswered) {
+      setError(`Please answer "${unanswered.label}"`);
+      return;
+    }
+    if (!form.file && !twoStage && fileRequired) {
       setError('Please upload a paper file');
       return;
     }
+    if (form.file && !fileMatchesType(type, form.file)) {
+      setError(`Please upload a ${typeFormats(type).map(f => f.toUpperCase()).join(' or ')} file`);
+      return;
+    }
 
     setSubmitting(true);
     try {
       // First upload the file
       let fileUrl = '';
-      if (form.file) {
-        const uploadRes = await uploadPaper(form.file);
-        fileUrl = uploadRes.data?.fileUrl || uploadRes.fileUrl;
+      if (form.file && uploaded?.file === form.file) {
+        fileUrl = uploaded.fileUrl;
+      } else if (form.file) {
+        const uploadRes = await uploadPaper(form.file, {
+          conferenceId: selectedConference,
+          trackId: form.trackId,
+          submissionType: type?.key,
+          authorNames: form.coAuthors.map(c => c.name)
+        });
+        const data = uploadRes.data || uploadRes;
+        fileUrl = data.fileUrl;
+        setUploaded({ file: form.file, fileUrl, warnings: data.warnings || [] });
+        // Stop once so the author can replace the file or submit it as it is
+        if (data.warnings?.length) return;
       }
 
       // Then submit with the fileUrl
@@ -191,16 +245,18 @@ export default function SubmitPaper() {
         title: form.title,
         abstract: form.abstract,
         trackId: form.trackId,
+        ...(type && { submissionType: type.key }),
         keywords: form.keywords,
         coAuthors: form.coAuthors,
-        fileUrl
+        customFields: customFields.reduce((acc, f) => ({ ...acc, [f.key]: form.customFields[f.key] }), {}),
+        ...(fileUrl && { fileUrl })
       };
 
       await submitPaper(selectedConference, submissionData);
       navigate('/author/submissions');
     } catch (err) {
       console.error('Error submitting paper:', err);
-      setError(err.response?.data?.message || 'Failed to submit paper');
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to submit paper');
     } finally {
       setSubmitting(false);
     }
@@ -278,6 +334,38 @@ export default function SubmitPaper() {
             )}
           </div>
 
+          {/* Submission Type */}
+          {types.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-900 mb-2">
+                Submission Type <span className="text-red-600">*</span>
+              </label>
+              <Select
+                name="submissionType"
+                value={form.submissionType}
+                onChange={handleChange}
+                required
+              >
+                <option value="">-- Select a Type --</option>
+                {types.map((t) => (
+                  <option key={t.key} value={t.key}>
+                    {t.name}
+                  </option>
+                ))}
+              </Select>
+              {type && (
+                <div className="mt-2 text-sm text-gray-600 space-y-1">
+                  {type.description && <p className="whitespace-pre-wrap">{type.description}</p>}
+                  <p>
+                    {SUBMISSION_KINDS[type.kind]}
+                    {type.pageLimit && ` · up to ${type.pageLimit} pages`}
+                    {type.submissionDeadline && ` · due ${formatInZone(type.submissionDeadline, conference.timezone)}`}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Paper Title */}
           <div>
             <label className="block text-sm font-medium text-gray-900 mb-2">
@@ -341,6 +429,21 @@ export default function SubmitPaper() {
             )}
           </div>
 
+          {/* Custom Fields */}
+          {customFields.length > 0 && (
+            <div className="border-t pt-6">
+              <h3 className="text-sm font-medium text-gray-900 mb-4">Additional Information</h3>
+              {customFields.map(field => (
+                <CustomFieldInput
+                  key={field.key}
+                  field={field}
+                  value={form.customFields[field.key]}
+                  onChange={setAnswer(field.key)}
+                />
+              ))}
+            </div>
+          )}
+
           {/* Co-Authors */}
           <div className="border-t pt-6">
             <label className="block text-sm font-medium text-gray-900 mb-2">
@@ -413,14 +516,22 @@ export default function SubmitPaper() {
           {/* File Upload */}
           <div>
             <label className="block text-sm font-medium text-gray-900 mb-2">
-              Paper File (PDF) <span className="text-red-600">*</span>
+              Paper File {!twoStage && fileRequired && <span className="text-red-600">*</span>}
             </label>
+            {twoStage && (
+              <p className="text-sm text-gray-600 mb-2">
+                This conference takes submissions in two stages. Register your abstract by{' '}
+                {formatInZone(conference.abstractDeadline, conference.timezone)} and upload the full paper
+                by {formatInZone(paperDeadline, conference.timezone)} from My Submissions.
+                Registrations without a paper are withdrawn after that.
+              </p>
+            )}
             <input
               type="file"
               name="file"
               onChange={handleChange}
-              accept=".pdf,.doc,.docx"
-              required
+              accept={acceptFor(type)}
+              required={!twoStage && fileRequired}
               className="block w-full text-sm text-gray-600
                 file:mr-4 file:py-2 file:px-4
                 file:rounded-full file:border-0
@@ -428,9 +539,21 @@ export default function SubmitPaper() {
                 file:bg-blue-50 file:text-blue-700
                 hover:file:bg-blue-100"
             />
-            <p className="text-xs text-gray-500 mt-2">Accepted formats: PDF, DOC, DOCX</p>
+            <p className="text-xs text-gray-500 mt-2">
+              Accepted formats: {typeFormats(type).map(f => f.toUpperCase()).join(', ')}
+              {pageLimit && ` · Page limit: ${pageLimit}`}
+              {track?.paperSize && ` · Paper size: ${PAPER_SIZES[track.paperSize]?.label}`}
+              {!fileRequired && ' · Optional for this submission type'}
+            </p>
           </div>
 
+          {uploaded?.file === form.file && (
+            <FileWarnings
+              warnings={uploaded.warnings}
+              hint="Choose a corrected file, or submit again to keep this one."
+            />
+          )}
+
           {/* Actions */}
           <div className="flex gap-4">
             <Button
@@ -438,7 +561,7 @@ export default function SubmitPaper() {
               disabled={submitting}
               className="flex-1 bg-blue-600 hover:bg-blue-700"
             >
-              {submitting ? 'Submitting...' : 'Submit Paper'}
+              {submitting ? 'Submitting...' : (form.file || !twoStage ? 'Submit Paper' : 'Register Abstract')}
             </Button>
             <Button
               type="button"
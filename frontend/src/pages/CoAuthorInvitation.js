@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getCoAuthorInvitation, respondToCoAuthorInvitation } from '../utils/api';
+import Card from '../components/Card';
+import Button from '../components/Button';
+import Textarea from '../components/Textarea';
+import Loading from '../components/Loading';
+
+const CoAuthorInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user } = useAuth();
+
+  const [invitation, setInvitation] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [conflicts, setConflicts] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('error');
+      setError('This invitation link is missing its token.');
+      return;
+    }
+    getCoAuthorInvitation(token)
+      .then((data) => {
+        setInvitation(data);
+        setStatus('open');
+      })
+      .catch((err) => {
+        setStatus('error');
+        setError(err.response?.data?.message || 'Failed to load invitation');
+      });
+  }, [token]);
+
+  const respond = async (response) => {
+    setBusy(true);
+    setError('');
+    try {
+      // One conflict per line: an email address or an institution
+      const list = conflicts.split('\n').map(line => line.trim()).filter(Boolean);
+      const res = await respondToCoAuthorInvitation(token, response, response === 'confirm' ? list : []);
+      setMessage(res.message);
+      setStatus('answered');
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to record your answer');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-primary-100 flex items-center justify-center px-4">
+      <div className="max-w-lg w-full">
+        <Card>
+          {status === 'loading' && <Loading message="Loading invitation..." />}
+
+          {status === 'open' && invitation && (
+            <>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Confirm Your Authorship</h2>
+              <p className="text-gray-600 mb-4">
+                {invitation.submittedBy} listed you ({invitation.email}) as a co-author of this paper.
+              </p>
+              <dl className="text-sm mb-6 space-y-1">
+                <div><dt className="inline text-gray-500">Title: </dt><dd className="inline text-gray-900 font-medium">{invitation.title}</dd></div>
+                <div><dt className="inline text-gray-500">Conference: </dt><dd className="inline text-gray-900">{invitation.conference}</dd></div>
+                {invitation.track && (
+                  <div><dt className="inline text-gray-500">Track: </dt><dd className="inline text-gray-900">{invitation.track}</dd></div>
+                )}
+              </dl>
+
+              <Textarea
+                label="Conflicts of interest (optional, one per line)"
+                name="conflicts"
+                value={conflicts}
+                onChange={(e) => setConflicts(e.target.value)}
+                placeholder={'jane.doe@university.edu\nUniversity of Example'}
+                rows={3}
+              />
+              <p className="text-xs text-gray-500 -mt-2 mb-4">
+                Email addresses or institutions of people who should not review this paper.
+              </p>
+
+              {error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm text-red-600">{error}</p>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <Button onClick={() => respond('confirm')} disabled={busy}>
+                  {busy ? 'Saving...' : 'I am an author'}
+                </Button>
+                <Button variant="outline" onClick={() => respond('decline')} disabled={busy}>
+                  I am not an author
+                </Button>
+              </div>
+            </>
+          )}
+
+          {status === 'answered' && (
+            <div className="text-center">
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Thank You</h2>
+              <p className="text-gray-600 mb-6">{message}</p>
+              <Link
+                to={user ? '/author/submissions' : '/register'}
+                className="text-primary-600 hover:text-primary-700 font-medium"
+              >
+                {user ? 'Go to My Submissions' : 'Create an account with this email'}
+              </Link>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="text-center">
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Invitation Unavailable</h2>
+              <p className="text-red-600 mb-4">{error}</p>
+              <p className="text-sm text-gray-600">Ask the submitting author to send you a new invitation.</p>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default CoAuthorInvitation;
@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getAccountMergeRequest, respondToAccountMerge } from '../utils/api';
+import Card from '../components/Card';
+import Button from '../components/Button';
+import Loading from '../components/Loading';
+
+const ConfirmAccountMerge = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user } = useAuth();
+
+  const [request, setRequest] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('error');
+      setError('This confirmation link is missing its token.');
+      return;
+    }
+    getAccountMergeRequest(token)
+      .then((data) => {
+        setRequest(data);
+        setStatus('open');
+      })
+      .catch((err) => {
+        setStatus('error');
+        setError(err.response?.data?.message || 'Failed to load merge request');
+      });
+  }, [token]);
+
+  const respond = async (response) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await respondToAccountMerge(token, response);
+      setMessage(res.message);
+      setStatus('answered');
+    } catch (err) {
+      setStatus('error');
+      setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to record your answer');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Confirming needs a session on the remaining account too
+  const signedInAsTarget = user?.email === request?.targetEmail;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-primary-100 flex items-center justify-center px-4">
+      <div className="max-w-lg w-full">
+        <Card>
+          {status === 'loading' && <Loading message="Loading merge request..." />}
+
+          {status === 'open' && request && (
+            <>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Merge Your Accounts?</h2>
+              <p className="text-gray-600 mb-4">
+                {request.requestedBy || 'A conference organizer'} asked to merge your account into another eConfMate account.
+              </p>
+              <dl className="text-sm mb-4 space-y-1">
+                <div><dt className="inline text-gray-500">Account merged away: </dt><dd className="inline text-gray-900 font-medium">{request.email}</dd></div>
+                <div><dt className="inline text-gray-500">Remaining account: </dt><dd className="inline text-gray-900 font-medium">{request.targetEmail}</dd></div>
+              </dl>
+              <p className="text-sm text-gray-600 mb-6">
+                Your submissions, reviews, bids, registrations and certificates will move to {request.targetEmail}, and {request.email} will be deleted along with its password and ORCID or Google sign-in. Only confirm if both accounts are yours.
+              </p>
+              {!signedInAsTarget && (
+                <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-6">
+                  To confirm, <Link to="/login" className="font-medium underline">sign in as {request.targetEmail}</Link> in this browser and open this link again.
+                </p>
+              )}
+
+              <div className="flex gap-2">
+                <Button variant="danger" onClick={() => respond('confirm')} disabled={busy || !signedInAsTarget}>
+                  {busy ? 'Saving...' : 'Merge my accounts'}
+                </Button>
+                <Button variant="outline" onClick={() => respond('decline')} disabled={busy}>
+                  Do not merge
+                </Button>
+              </div>
+            </>
+          )}
+
+          {status === 'answered' && (
+            <div className="text-center">
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Thank You</h2>
+              <p className="text-gray-600 mb-6">{message}</p>
+              <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+                Go to sign in
+              </Link>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="text-center">
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Merge Not Completed</h2>
+              <p className="text-red-600 mb-4">{error}</p>
+              <p className="text-sm text-gray-600">Ask the organizer to request the merge again if you still want it.</p>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmAccountMerge;
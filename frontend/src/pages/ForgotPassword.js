@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../utils/api';
+import Input from '../components/Input';
+import Button from '../components/Button';
+import Card from '../components/Card';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const res = await forgotPassword(email);
+      setMessage(res.message);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to request password reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-primary-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            Forgot Password
+          </h2>
+          <p className="text-gray-600">
+            Enter your email and we'll send you a link to reset your password
+          </p>
+        </div>
+
+        <Card>
+          {message ? (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-700">{message}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <Input
+                label="Email Address"
+                type="email"
+                name="email"
+                value={email}
+                onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                placeholder="you@example.com"
+                required
+              />
+
+              {error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm text-red-600">{error}</p>
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                disabled={loading}
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+              ← Back to Login
+            </Link>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
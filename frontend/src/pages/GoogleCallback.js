@@ -3,6 +3,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
 import Loading from '../components/Loading';
+import { linkGoogleIdentity } from '../utils/api';
 
 const GoogleCallback = () => {
   const navigate = useNavigate();
@@ -43,15 +44,25 @@ const GoogleCallback = () => {
 
       // Parse state to get role if provided
       let role = null;
+      let link = false;
       if (state) {
         try {
           const stateData = JSON.parse(decodeURIComponent(state));
           role = stateData.role;
+          link = !!stateData.link;
         } catch (e) {
           console.warn('Could not parse state:', e);
         }
       }
 
+      // Started from the Profile page: attach to the signed-in account
+      if (link) {
+        const data = await linkGoogleIdentity(code);
+        updateUser(data.user);
+        navigate('/profile', { replace: true });
+        return;
+      }
+
       // Send code to backend
       // Only include role in request body if it's not null/undefined
       const requestBody = { code };
@@ -64,11 +75,15 @@ const GoogleCallback = () => {
         requestBody
       );
 
-      if (response.data.success) {
+      if (response.data.success && response.data.data.requiresTwoFactor) {
+        // Account has two-factor authentication: finish on the login page
+        navigate('/login', { replace: true, state: { twoFactorToken: response.data.data.twoFactorToken } });
+      } else if (response.data.success) {
         setStatus('Login successful! Redirecting...');
         
         // Store token and user data
         localStorage.setItem('token', response.data.data.token);
+        localStorage.setItem('refreshToken', response.data.data.refreshToken);
         localStorage.setItem('user', JSON.stringify(response.data.data.user));
         updateUser(response.data.data.user);
 
@@ -210,7 +210,7 @@ const Home = () => {
   const faqs = [
     { question: "What is eConfMate?", answer: "eConfMate is a comprehensive platform designed to streamline the entire lifecycle of academic and professional conferences, from paper submission to certificate generation." },
     { question: "How do I register as an organizer?", answer: "Click on the Organizer role card, then register with your email and credentials. Once registered, you can create and manage conferences." },
-    { question: "Can I have multiple roles?", answer: "Yes, you can register separate accounts for different roles or switch between roles based on your conference involvement." },
+    { question: "Can I have multiple roles?", answer: "Yes, one account can hold several roles. Add a role from your profile and switch between roles from the user menu." },
     { question: "How does the review process work?", answer: "Organizers assign papers to reviewers based on expertise. Reviewers can bid on papers, provide scores, and submit detailed feedback." },
     { question: "Is the platform free to use?", answer: "Yes, the platform is currently free for all users. Organizers, authors, reviewers, and participants can use all features without any charges." }
   ];
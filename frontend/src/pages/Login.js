@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Input from '../components/Input';
 import Button from '../components/Button';
@@ -10,7 +10,8 @@ import GoogleButton from '../components/GoogleButton';
 const Login = () => {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
-  const { login, user } = useAuth();
+  const location = useLocation();
+  const { login, completeTwoFactorLogin, user } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -18,6 +19,9 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set once the password (or ORCID/Google) step passed on a 2FA account
+  const [twoFactorToken, setTwoFactorToken] = useState(location.state?.twoFactorToken || null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   const roleParam = searchParams.get('role');
 
@@ -40,7 +44,15 @@ const Login = () => {
     setError('');
     setLoading(true);
 
-    const res = await login(formData.email, formData.password);
+    const res = twoFactorToken
+      ? await completeTwoFactorLogin(twoFactorToken, twoFactorCode)
+      : await login(formData.email, formData.password, roleParam);
+
+    if (res?.requiresTwoFactor) {
+      setTwoFactorToken(res.twoFactorToken);
+      setLoading(false);
+      return;
+    }
 
     if (!res || !res.success) {
       setError(res?.message || 'Login failed');
@@ -82,6 +94,47 @@ const Login = () => {
 
         {/* Login Card */}
         <Card>
+          {twoFactorToken ? (
+            <form onSubmit={handleSubmit}>
+              <p className="text-sm text-gray-600 mb-4">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+
+              <Input
+                label="Authentication Code"
+                name="twoFactorCode"
+                value={twoFactorCode}
+                onChange={(e) => { setTwoFactorCode(e.target.value); setError(''); }}
+                placeholder="123456"
+                autoComplete="one-time-code"
+                required
+              />
+
+              {error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm text-red-600">{error}</p>
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                disabled={loading}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+
+              <button
+                type="button"
+                onClick={() => { setTwoFactorToken(null); setTwoFactorCode(''); setError(''); }}
+                className="mt-4 w-full text-sm text-gray-600 hover:text-gray-900 font-medium"
+              >
+                ← Use a different account
+              </button>
+            </form>
+          ) : (
+          <>
           <form onSubmit={handleSubmit}>
             <Input
               label="Email Address"
@@ -103,6 +156,12 @@ const Login = () => {
               required
             />
 
+            <div className="-mt-2 mb-4 text-right">
+              <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+                Forgot password?
+              </Link>
+            </div>
+
             {error && (
               <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
                 <p className="text-sm text-red-600">{error}</p>
@@ -148,6 +207,8 @@ const Login = () => {
               </Link>
             </p>
           </div>
+          </>
+          )}
         </Card>
 
         <div className="mt-6 text-center">
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Navbar from '../../components/Navbar';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Badge from '../../components/Badge';
+import Input from '../../components/Input';
+import Loading from '../../components/Loading';
+import { useToast } from '../../context/ToastContext';
+import { getAuditLog, exportAuditLog, verifyAuditLog } from '../../utils/api';
+
+const emptyFilters = { action: '', actorId: '', from: '', to: '' };
+
+const selectClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+// Render one side of a before/after diff as "field: value" lines
+const ChangeList = ({ values }) => {
+  const entries = Object.entries(values || {});
+  if (entries.length === 0) return <span className="text-gray-400">—</span>;
+  return (
+    <ul className="space-y-0.5">
+      {entries.map(([key, value]) => (
+        <li key={key} className="break-all">
+          <span className="text-gray-500">{key}:</span>{' '}
+          {typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AuditLog = () => {
+  const { conferenceId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchEntries = async (activeFilters, pageNumber) => {
+    setLoading(true);
+    try {
+      const res = await getAuditLog(conferenceId, { ...activeFilters, page: pageNumber });
+      setResult(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries(emptyFilters, 1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [conferenceId]);
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    setPage(1);
+    fetchEntries(filters, 1);
+  };
+
+  const clearFilters = () => {
+    setFilters(emptyFilters);
+    setPage(1);
+    fetchEntries(emptyFilters, 1);
+  };
+
+  const changePage = (nextPage) => {
+    setPage(nextPage);
+    fetchEntries(filters, nextPage);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await exportAuditLog(conferenceId, filters);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      const res = await verifyAuditLog(conferenceId);
+      setVerification(res);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to verify audit log');
+    }
+  };
+
+  const actionLabel = (action) => result?.actions.find(a => a.value === action)?.label || action;
+
+  return (
+    <>
+      <Navbar />
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-6">
+          <Button variant="outline" size="sm" onClick={() => navigate(`/organizer/manage-conference/${conferenceId}`)}>
+            ← Back to Conference
+          </Button>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Audit Log</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">
+              Every decision, bid, assignment, attendance and certificate action taken by the committee
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={handleVerify}>
+              Verify integrity
+            </Button>
+            <Button onClick={handleExport} disabled={exporting}>
+              {exporting ? 'Exporting...' : 'Export CSV'}
+            </Button>
+          </div>
+        </div>
+
+        {verification && (
+          <div className={`mb-6 p-4 rounded-lg border ${verification.data.valid ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'}`}>
+            {verification.message}
+          </div>
+        )}
+
+        <Card className="mb-6">
+          <form onSubmit={handleFilter} className="grid grid-cols-1 md:grid-cols-5 gap-4 md:items-end">
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+              <select
+                value={filters.action}
+                onChange={(e) => setFilters(prev => ({ ...prev, action: e.target.value }))}
+                className={selectClass}
+              >
+                <option value="">All actions</option>
+                {result?.actions.map(a => (
+                  <option key={a.value} value={a.value}>{a.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Committee member</label>
+              <select
+                value={filters.actorId}
+                onChange={(e) => setFilters(prev => ({ ...prev, actorId: e.target.value }))}
+                className={selectClass}
+              >
+                <option value="">Everyone</option>
+                {result?.actors.map(actor => (
+                  <option key={actor._id} value={actor._id}>{actor.name}</option>
+                ))}
+              </select>
+            </div>
+            <Input
+              label="From"
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+            />
+            <Input
+              label="To"
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+            />
+            <div className="mb-4 flex gap-2">
+              <Button type="submit">Filter</Button>
+              <Button type="button" variant="outline" onClick={clearFilters}>Clear</Button>
+            </div>
+          </form>
+        </Card>
+
+        <Card>
+          {loading ? (
+            <Loading message="Loading audit log..." />
+          ) : !result || result.entries.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No audit log entries found.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-500 mb-3">{result.total} entr{result.total === 1 ? 'y' : 'ies'}</p>
+              <ul className="divide-y">
+                {result.entries.map(entry => (
+                  <li key={entry._id} className="py-3 text-sm">
+                    <button
+                      type="button"
+                      className="w-full text-left flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1"
+                      onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                    >
+                      <span>
+                        <span className="text-gray-400 font-mono mr-2">#{entry.seq}</span>
+                        <Badge size="sm" variant="info" className="mr-2">{actionLabel(entry.action)}</Badge>
+                        <span className="text-gray-900">{entry.summary}</span>
+                      </span>
+                      <span className="text-gray-500 text-xs whitespace-nowrap">
+                        {entry.actorId?.name || (entry.actorRole === 'system' ? 'Scheduler' : 'Unknown')} · {new Date(entry.createdAt).toLocaleString()}
+                      </span>
+                    </button>
+                    {expanded === entry._id && (
+                      <div className="mt-3 p-3 bg-gray-50 rounded-lg border text-xs">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-3">
+                          <div>
+                            <p className="font-semibold text-gray-700 mb-1">Before</p>
+                            <ChangeList values={entry.changes?.before} />
+                          </div>
+                          <div>
+                            <p className="font-semibold text-gray-700 mb-1">After</p>
+                            <ChangeList values={entry.changes?.after} />
+                          </div>
+                        </div>
+                        <p className="text-gray-500">
+                          {entry.actorId?.email} ({entry.actorRole?.replace('_', ' ')}) · IP {entry.ipAddress || 'unknown'}
+                          {' · '}{entry.targetType} {entry.targetId}
+                        </p>
+                        <p className="text-gray-400 font-mono break-all mt-1">hash {entry.hash}</p>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {result.pages > 1 && (
+                <div className="flex justify-between items-center mt-4">
+                  <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => changePage(page - 1)}>
+                    Previous
+                  </Button>
+                  <span className="text-sm text-gray-500">Page {page} of {result.pages}</span>
+                  <Button size="sm" variant="outline" disabled={page >= result.pages} onClick={() => changePage(page + 1)}>
+                    Next
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </Card>
+      </div>
+    </>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Navbar from '../../components/Navbar';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Badge from '../../components/Badge';
+import Loading from '../../components/Loading';
+import { useToast } from '../../context/ToastContext';
+import { getCameraReadyChecklist, sendCameraReadyReminders } from '../../utils/api';
+import { CAMERA_READY_ITEMS, LICENSES, REMINDER_DAYS } from '../../utils/cameraReady';
+import { formatInZone } from '../../utils/timezone';
+import { downloadPdfFile } from '../../utils/pdfHelper';
+
+const CameraReadyChecklist = () => {
+  const { conferenceId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showMissingOnly, setShowMissingOnly] = useState(false);
+  // 'all' or the ID of the paper being reminded
+  const [reminding, setReminding] = useState(null);
+
+  const fetchChecklist = async () => {
+    setLoading(true);
+    try {
+      const res = await getCameraReadyChecklist(conferenceId);
+      setResult(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load camera-ready checklist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchChecklist();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [conferenceId]);
+
+  const handleRemind = async (submissionId) => {
+    setReminding(submissionId || 'all');
+    try {
+      const res = await sendCameraReadyReminders(conferenceId, submissionId ? [submissionId] : undefined);
+      toast.success(res.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reminders');
+    } finally {
+      setReminding(null);
+    }
+  };
+
+  const submissions = (result?.submissions || []).filter(s => !showMissingOnly || !s.checklist.complete);
+  const itemKeys = result?.submissions[0]?.checklist.items.map(item => item.key) || Object.keys(CAMERA_READY_ITEMS);
+
+  return (
+    <>
+      <Navbar />
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-6">
+          <Button variant="outline" size="sm" onClick={() => navigate(`/organizer/manage-conference/${conferenceId}`)}>
+            ← Back to Conference
+          </Button>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Camera-Ready</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">
+              {result?.settings?.deadline
+                ? `Due ${formatInZone(result.settings.deadline, result.timezone)}. Authors with missing items are reminded ${REMINDER_DAYS.join(' and ')} days before.`
+                : 'No camera-ready deadline set. Set one in the conference settings to send automatic reminders.'}
+            </p>
+          </div>
+          <Button onClick={() => handleRemind()} disabled={reminding !== null || !result?.summary.total}>
+            {reminding === 'all' ? 'Sending...' : 'Remind all incomplete'}
+          </Button>
+        </div>
+
+        {result && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            <Card>
+              <p className="text-sm text-gray-500">Complete</p>
+              <p className="text-2xl font-bold text-gray-900">{result.summary.complete} / {result.summary.total}</p>
+            </Card>
+            {itemKeys.map(key => (
+              <Card key={key}>
+                <p className="text-sm text-gray-500">{CAMERA_READY_ITEMS[key]} missing</p>
+                <p className="text-2xl font-bold text-gray-900">{result.summary.missing[key] || 0}</p>
+              </Card>
+            ))}
+          </div>
+        )}
+
+        <Card>
+          {loading ? (
+            <Loading message="Loading camera-ready checklist..." />
+          ) : !result || result.submissions.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No accepted papers yet.</p>
+          ) : (
+            <>
+              <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                <input
+                  type="checkbox"
+                  checked={showMissingOnly}
+                  onChange={(e) => setShowMissingOnly(e.target.checked)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                />
+                Only papers with missing items
+              </label>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4">Paper</th>
+                      {itemKeys.map(key => (
+                        <th key={key} className="py-2 pr-4 whitespace-nowrap">{CAMERA_READY_ITEMS[key]}</th>
+                      ))}
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {submissions.map(submission => {
+                      const done = Object.fromEntries(submission.checklist.items.map(item => [item.key, item.done]));
+                      const { agreement, sourceUrl } = submission.cameraReady || {};
+                      return (
+                        <tr key={submission._id} className="align-top">
+                          <td className="py-3 pr-4">
+                            <p className="font-medium text-gray-900">{submission.title}</p>
+                            <p className="text-gray-500">
+                              {submission.authorId?.name} · {submission.trackId?.name}
+                            </p>
+                            {submission.checklist.complete && (
+                              <Badge size="sm" variant="success" className="mt-1">Complete</Badge>
+                            )}
+                          </td>
+                          {itemKeys.map(key => (
+                            <td key={key} className="py-3 pr-4">
+                              {done[key] ? (
+                                <span className="text-green-700">✓</span>
+                              ) : (
+                                <span className="text-red-600">Missing</span>
+                              )}
+                              {key === 'source' && sourceUrl && (
+                                <button
+                                  type="button"
+                                  className="block text-xs text-primary-600 hover:underline"
+                                  onClick={() => downloadPdfFile(sourceUrl, sourceUrl.split('/').pop())}
+                                >
+                                  Download
+                                </button>
+                              )}
+                              {key === 'agreement' && agreement?.signedAt && (
+                                <p className="text-xs text-gray-500">
+                                  {LICENSES[agreement.license]} · signed by {agreement.signedName}
+                                </p>
+                              )}
+                            </td>
+                          ))}
+                          <td className="py-3 text-right">
+                            {!submission.checklist.complete && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={reminding !== null}
+                                onClick={() => handleRemind(submission._id)}
+                              >
+                                {reminding === submission._id ? 'Sending...' : 'Remind'}
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </Card>
+      </div>
+    </>
+  );
+};
+
+export default CameraReadyChecklist;
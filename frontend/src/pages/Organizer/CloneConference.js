@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Navbar from '../../components/Navbar';
+import Card from '../../components/Card';
+import Button from '../../components/Button';
+import Input from '../../components/Input';
+import Loading from '../../components/Loading';
+import { useToast } from '../../context/ToastContext';
+import { getCloneOptions, cloneConference } from '../../utils/api';
+import { PHASE_LABELS, SCHEDULED_PHASES } from '../../utils/conferencePhases';
+import { formatInZone } from '../../utils/timezone';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const STEPS = ['Edition', 'What to copy', 'Review'];
+
+// 52 weeks keeps every date on the same weekday
+const OFFSET_PRESETS = [
+  { days: 364, label: '52 weeks (same weekday)' },
+  { days: 365, label: '1 year' }
+];
+
+const shift = (date, days) => (date ? new Date(new Date(date).getTime() + days * ONE_DAY_MS) : null);
+
+// Bump the first four-digit year in the name ("ICML 2025" -> "ICML 2026")
+const nextEditionName = (name) => name.replace(/\b(19|20)\d{2}\b/, (year) => String(Number(year) + 1));
+
+const CloneConference = () => {
+  const { conferenceId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+  const [options, setOptions] = useState(null);
+  const [step, setStep] = useState(0);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({
+    name: '',
+    dayOffset: 364,
+    tracks: true,
+    committee: true,
+    settings: true,
+    phaseSchedule: true,
+    reinviteReviewers: false
+  });
+
+  useEffect(() => {
+    getCloneOptions(conferenceId)
+      .then(data => {
+        setOptions(data);
+        setForm(prev => ({ ...prev, name: nextEditionName(data.conference.name) }));
+      })
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load conference'));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [conferenceId]);
+
+  const toggle = (field) => setForm(prev => ({ ...prev, [field]: !prev[field] }));
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const res = await cloneConference(conferenceId, { ...form, dayOffset: Number(form.dayOffset) });
+      toast.success(res.message);
+      navigate(`/organizer/manage-conference/${res.data.conference._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to create the new edition');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (!options) {
+    return (
+      <>
+        <Navbar />
+        <Loading message="Loading conference..." />
+      </>
+    );
+  }
+
+  const offset = Number(form.dayOffset) || 0;
+  const source = options.conference;
+  const scheduled = SCHEDULED_PHASES.filter(phase => source.phaseSchedule?.[phase]);
+
+  const dateRows = [
+    ...(source.abstractDeadline ? [['Abstract deadline', source.abstractDeadline]] : []),
+    ['Submission deadline', source.submissionDeadline],
+    ['Start date', source.startDate],
+    ['End date', source.endDate],
+    ...(form.phaseSchedule ? scheduled.map(phase => [PHASE_LABELS[phase], source.phaseSchedule[phase]]) : [])
+  ];
+
+  const copyOptions = [
+    { field: 'tracks', label: 'Tracks', detail: `${options.tracks.length} track(s), deadlines shifted` },
+    { field: 'committee', label: 'Committee', detail: `${options.committeeCount} member(s); track chairs need copied tracks` },
+    { field: 'settings', label: 'Settings', detail: 'Fee, certificate signature, organizer 2FA requirement, data retention policy, review mode, submission fields, submission types, attachment types and camera-ready settings' },
+    { field: 'phaseSchedule', label: 'Phase schedule', detail: scheduled.length ? `${scheduled.length} scheduled phase date(s), shifted` : 'No phase dates set' },
+    { field: 'reinviteReviewers', label: 'Re-invite reviewers', detail: `Email ${options.reviewerCount} reviewer(s) from this edition when the call for papers opens` }
+  ];
+
+  return (
+    <>
+      <Navbar />
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-6">
+          <Button variant="outline" size="sm" onClick={() => navigate(`/organizer/manage-conference/${conferenceId}`)}>
+            ← Back to Conference
+          </Button>
+        </div>
+
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">New Edition</h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-1 mb-6">
+          Start next year's conference from {source.name}. It is created as a draft, so nothing is public until you open the call for papers.
+        </p>
+
+        <ol className="flex gap-2 mb-6">
+          {STEPS.map((label, i) => (
+            <li
+              key={label}
+              className={`px-3 py-1 rounded-full text-xs font-medium ${i === step ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-600'}`}
+            >
+              {i + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        <Card>
+          {step === 0 && (
+            <>
+              <Input
+                label="Name of the new edition"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                required
+              />
+              <Input
+                label="Shift every date by (days)"
+                type="number"
+                value={form.dayOffset}
+                onChange={(e) => setForm(prev => ({ ...prev, dayOffset: e.target.value }))}
+              />
+              <div className="flex flex-wrap gap-2 mb-6">
+                {OFFSET_PRESETS.map(preset => (
+                  <Button
+                    key={preset.days}
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setForm(prev => ({ ...prev, dayOffset: preset.days }))}
+                  >
+                    {preset.label}
+                  </Button>
+                ))}
+              </div>
+
+              <table className="w-full text-sm mb-2">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 font-medium">Date ({source.timezone})</th>
+                    <th className="py-1 font-medium">This edition</th>
+                    <th className="py-1 font-medium">New edition</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {dateRows.map(([label, date]) => (
+                    <tr key={label}>
+                      <td className="py-1 text-gray-700">{label}</td>
+                      <td className="py-1 text-gray-500">{formatInZone(date, source.timezone, { time: false })}</td>
+                      <td className="py-1 text-gray-900">{formatInZone(shift(date, offset), source.timezone, { time: false })}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {step === 1 && (
+            <ul className="space-y-4">
+              {copyOptions.map(option => (
+                <li key={option.field}>
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={form[option.field]}
+                      onChange={() => toggle(option.field)}
+                      className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-700">{option.label}</span>
+                      <span className="block text-xs text-gray-500">{option.detail}</span>
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {step === 2 && (
+            <div className="text-sm text-gray-700 space-y-2">
+              <p><strong>{form.name}</strong>, every date shifted by {offset} day(s).</p>
+              <p>
+                Copying: {copyOptions.filter(o => form[o.field] && o.field !== 'reinviteReviewers').map(o => o.label.toLowerCase()).join(', ') || 'nothing but the details'}.
+              </p>
+              {form.committee && options.committeeCount > 0 && (
+                <p>Committee members are emailed that they were added to the new edition.</p>
+              )}
+              {form.reinviteReviewers && (
+                <p>{options.reviewerCount} reviewer(s) will be invited when the call for papers opens.</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-between mt-6 pt-4 border-t">
+            <Button variant="outline" onClick={() => setStep(step - 1)} disabled={step === 0}>
+              Back
+            </Button>
+            {step < STEPS.length - 1 ? (
+              <Button onClick={() => setStep(step + 1)} disabled={!form.name.trim() || form.dayOffset === ''}>
+                Next
+              </Button>
+            ) : (
+              <Button onClick={handleCreate} disabled={creating}>
+                {creating ? 'Creating...' : 'Create Draft'}
+              </Button>
+            )}
+          </div>
+        </Card>
+      </div>
+    </>
+  );
+};
+
+export default CloneConference;
@@ -4,8 +4,10 @@ import { createConference } from '../../utils/api';
 import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
 import Input from '../../components/Input';
+import Select from '../../components/Select';
 import Textarea from '../../components/Textarea';
 import Button from '../../components/Button';
+import { AOE, TIMEZONE_OPTIONS } from '../../utils/timezone';
 
 const CreateConference = () => {
   const navigate = useNavigate();
@@ -18,6 +20,8 @@ const CreateConference = () => {
     startDate: '',
     endDate: '',
     submissionDeadline: '',
+    abstractDeadline: '',
+    timezone: AOE,
     tracks: [],
   });
   const [currentTrack, setCurrentTrack] = useState({ name: '', description: '' });
@@ -86,6 +90,10 @@ const CreateConference = () => {
       setError('Please select submission deadline');
       return;
     }
+    if (formData.abstractDeadline && formData.abstractDeadline > formData.submissionDeadline) {
+      setError('Abstract deadline must be on or before the submission deadline');
+      return;
+    }
     if (formData.tracks.length === 0) {
       setError('Please add at least one track');
       return;
@@ -93,8 +101,9 @@ const CreateConference = () => {
 
     setLoading(true);
     try {
-      await createConference(formData);
-      navigate('/organizer/dashboard');
+      // New conferences start as drafts; open the call for papers from the manage page
+      const res = await createConference(formData);
+      navigate(`/organizer/manage-conference/${res.data.conference._id}`);
     } catch (err) {
       console.error('Error creating conference:', err);
       setError(err.response?.data?.message || 'Failed to create conference');
@@ -172,6 +181,14 @@ const CreateConference = () => {
             </div>
 
             {/* Dates */}
+            <Select
+              label="Timezone"
+              name="timezone"
+              value={formData.timezone}
+              onChange={handleChange}
+              options={TIMEZONE_OPTIONS}
+              helperText="All dates are in this timezone. A deadline closes at 23:59 on its day."
+            />
             <div className="grid grid-cols-3 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-900 mb-2">
@@ -210,6 +227,21 @@ const CreateConference = () => {
                 />
               </div>
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-900 mb-2">
+                Abstract Deadline
+              </label>
+              <Input
+                type="date"
+                name="abstractDeadline"
+                value={formData.abstractDeadline}
+                onChange={handleChange}
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Optional. Set it for two-stage submission: authors register an abstract by this date and upload
+                the full paper by the submission deadline. Registrations without a paper are then withdrawn.
+              </p>
+            </div>
 
             {/* Tracks Section */}
             <div className="border-t pt-6">
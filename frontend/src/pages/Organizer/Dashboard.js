@@ -2,11 +2,14 @@ import React, { useState, useEffect, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../../context/AuthContext';
 import { getOrganizerDashboard } from '../../utils/api';
+import { phaseLabel, phaseVariant } from '../../utils/conferencePhases';
 import Navbar from '../../components/Navbar';
 import Card from '../../components/Card';
 import Button from '../../components/Button';
 import Badge from '../../components/Badge';
 import Loading from '../../components/Loading';
+import UnlockAccountForm from '../../components/UnlockAccountForm';
+import MergeAccountsForm from '../../components/MergeAccountsForm';
 
 const OrganizerDashboard = () => {
   const navigate = useNavigate();
@@ -127,11 +130,21 @@ const OrganizerDashboard = () => {
                   <h3 className="text-lg font-bold text-gray-900 line-clamp-2 flex-1">
                     {conference.name}
                   </h3>
-                  <Badge variant={conference.status === 'active' ? 'success' : 'info'}>
-                    {conference.status || 'active'}
-                  </Badge>
+                  {conference.suspendedAt ? (
+                    <Badge variant="danger">suspended</Badge>
+                  ) : (
+                    <Badge variant={phaseVariant(conference.status)}>
+                      {phaseLabel(conference.status)}
+                    </Badge>
+                  )}
                 </div>
 
+                {conference.committeeRole && conference.committeeRole !== 'general_chair' && (
+                  <p className="text-xs text-primary-700 font-medium mb-2">
+                    You are {conference.committeeRole.replace('_', ' ')}
+                  </p>
+                )}
+
                 <p className="text-gray-600 text-sm line-clamp-2 mb-4">
                   {conference.description}
                 </p>
@@ -200,6 +213,11 @@ const OrganizerDashboard = () => {
             ))}
           </div>
         )}
+
+        <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <UnlockAccountForm />
+          <MergeAccountsForm />
+        </div>
       </div>
     </>
   );
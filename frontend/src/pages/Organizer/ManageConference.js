@@ -5,9 +5,16 @@ import Card from '../../components/Card';
 import Button from '../../components/Button';
 import Input from '../../components/Input';
 import Textarea from '../../components/Textarea';
+import Select from '../../components/Select';
 import Loading from '../../components/Loading';
 import Modal from '../../components/Modal';
 import DomainMultiSelect from '../../components/DomainMultiSelect';
+import ConferenceCommittee from '../../components/ConferenceCommittee';
+import DeadlineExtensions from '../../components/DeadlineExtensions';
+import SubmissionFieldsEditor from '../../components/SubmissionFieldsEditor';
+import SubmissionTypesEditor from '../../components/SubmissionTypesEditor';
+import AttachmentTypesEditor from '../../components/AttachmentTypesEditor';
+import CameraReadySettings from '../../components/CameraReadySettings';
 import {
   getConferenceDetailsOrganizer,
   updateConference,
@@ -16,7 +23,26 @@ import {
   updateTrack,
   deleteTrack,
   uploadGeneralChairSignature,
+  changeConferencePhase,
 } from '../../utils/api';
+import { PHASE_LABELS, SCHEDULED_PHASES, phaseLabel } from '../../utils/conferencePhases';
+import { REVIEW_MODES, DEFAULT_REVIEW_MODE } from '../../utils/reviewModes';
+import { PAPER_SIZES } from '../../utils/pdfChecks';
+import { DEFAULT_TIMEZONE, TIMEZONE_OPTIONS, formatInZone, dateInputInZone, dateTimeInputInZone } from '../../utils/timezone';
+
+const emptyRetention = { acceptedPapers: 'keep_record', reviews: 'anonymize', registrations: 'anonymize', notes: '' };
+const emptyTrackForm = { name: '', description: '', submissionDeadline: '', timezone: '', pageLimit: '', paperSize: '' };
+
+const RETENTION_OPTIONS = {
+  acceptedPapers: [
+    { value: 'keep_record', label: 'Keep the bibliographic record' },
+    { value: 'delete', label: 'Delete' }
+  ],
+  personal: [
+    { value: 'anonymize', label: 'Keep without the name' },
+    { value: 'delete', label: 'Delete' }
+  ]
+};
 
 const ManageConference = () => {
   const { id, conferenceId: confId } = useParams();
@@ -29,11 +55,22 @@ const ManageConference = () => {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [phase, setPhase] = useState({ status: null, nextPhases: [] });
+  const [changingPhase, setChangingPhase] = useState(false);
+  const [phaseSchedule, setPhaseSchedule] = useState({});
+  const [savingSchedule, setSavingSchedule] = useState(false);
+  // Saved timezone, which the phase schedule is entered in
+  const [timezone, setTimezone] = useState(DEFAULT_TIMEZONE);
+  const [submissionFields, setSubmissionFields] = useState([]);
+  const [submissionTypes, setSubmissionTypes] = useState([]);
+  const [attachmentTypes, setAttachmentTypes] = useState([]);
+  const [cameraReady, setCameraReady] = useState(null);
 
   // Track modal state
   const [showTrackModal, setShowTrackModal] = useState(false);
   const [editingTrack, setEditingTrack] = useState(null);
-  const [trackForm, setTrackForm] = useState({ name: '', description: '' });
+  const [trackForm, setTrackForm] = useState(emptyTrackForm);
   const [trackSaving, setTrackSaving] = useState(false);
 
   const [uploadingSignature, setUploadingSignature] = useState(false);
@@ -49,7 +86,12 @@ const ManageConference = () => {
     startDate: '',
     endDate: '',
     submissionDeadline: '',
-    generalChairSignaturePath: ''
+    abstractDeadline: '',
+    timezone: DEFAULT_TIMEZONE,
+    generalChairSignaturePath: '',
+    requireOrganizerTwoFactor: false,
+    reviewMode: DEFAULT_REVIEW_MODE,
+    retentionPolicy: emptyRetention
   });
 
   const fetchData = useCallback(async () => {
@@ -63,17 +105,31 @@ const ManageConference = () => {
       ]);
 
       const confData = confRes.data || confRes;
+      const zone = confData.timezone || DEFAULT_TIMEZONE;
       setTracks(tracksRes.data || tracksRes || []);
+      setPermissions(confData.permissions || []);
+      setPhase({ status: confData.status, nextPhases: confData.nextPhases || [] });
+      setTimezone(zone);
+      setSubmissionFields(confData.submissionFields || []);
+      setSubmissionTypes(confData.submissionTypes || []);
+      setAttachmentTypes(confData.attachmentTypes || []);
+      setCameraReady(confData.cameraReady || null);
+      setPhaseSchedule(SCHEDULED_PHASES.reduce((acc, value) => ({ ...acc, [value]: dateTimeInputInZone(confData.phaseSchedule?.[value], zone) }), {}));
 
       // Initialize form
       setFormData({
         name: confData.name || '',
         description: confData.description || '',
         venue: confData.venue || '',
-        startDate: confData.startDate ? confData.startDate.split('T')[0] : '',
-        endDate: confData.endDate ? confData.endDate.split('T')[0] : '',
-        submissionDeadline: confData.submissionDeadline ? confData.submissionDeadline.split('T')[0] : '',
-        generalChairSignaturePath: confData.generalChairSignaturePath || ''
+        startDate: dateInputInZone(confData.startDate, zone),
+        endDate: dateInputInZone(confData.endDate, zone),
+        submissionDeadline: dateInputInZone(confData.submissionDeadline, zone),
+        abstractDeadline: dateInputInZone(confData.abstractDeadline, zone),
+        timezone: zone,
+        generalChairSignaturePath: confData.generalChairSignaturePath || '',
+        requireOrganizerTwoFactor: !!confData.requireOrganizerTwoFactor,
+        reviewMode: confData.reviewMode || DEFAULT_REVIEW_MODE,
+        retentionPolicy: { ...emptyRetention, ...confData.retentionPolicy }
       });
     } catch (err) {
       console.error('Error fetching data:', err);
@@ -112,11 +168,51 @@ const ManageConference = () => {
     }
   };
 
+  const handleChangePhase = async (next) => {
+    if (!window.confirm(`Move the conference to ${next.label}?`)) return;
+    try {
+      setChangingPhase(true);
+      setError(null);
+      const res = await changeConferencePhase(conferenceId, next.value);
+      setPhase({ status: res.data.status, nextPhases: res.data.nextPhases });
+      setSuccess(res.message);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change phase');
+    } finally {
+      setChangingPhase(false);
+    }
+  };
+
+  const handleSaveSchedule = async () => {
+    try {
+      setSavingSchedule(true);
+      setError(null);
+      await updateConference(conferenceId, {
+        phaseSchedule: SCHEDULED_PHASES.reduce((acc, value) => ({
+          ...acc,
+          [value]: phaseSchedule[value] || null
+        }), {})
+      });
+      setSuccess('Phase schedule saved!');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save phase schedule');
+    } finally {
+      setSavingSchedule(false);
+    }
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     setSuccess(null);
   };
 
+  const handleRetentionChange = (field, value) => {
+    setFormData(prev => ({ ...prev, retentionPolicy: { ...prev.retentionPolicy, [field]: value } }));
+    setSuccess(null);
+  };
+
   const handleSaveConference = async () => {
     try {
       setSaving(true);
@@ -124,6 +220,8 @@ const ManageConference = () => {
       await updateConference(conferenceId, formData);
       setSuccess('Conference updated successfully!');
       setTimeout(() => setSuccess(null), 3000);
+      // Scheduled dates keep their instant, so show them in the new timezone
+      if (formData.timezone !== timezone) fetchData();
     } catch (err) {
       console.error('Error saving conference:', err);
       setError(err.response?.data?.message || 'Failed to save conference');
@@ -135,13 +233,20 @@ const ManageConference = () => {
   // Track CRUD
   const openAddTrack = () => {
     setEditingTrack(null);
-    setTrackForm({ name: '', description: '' });
+    setTrackForm(emptyTrackForm);
     setShowTrackModal(true);
   };
 
   const openEditTrack = (track) => {
     setEditingTrack(track);
-    setTrackForm({ name: track.name, description: track.description || '' });
+    setTrackForm({
+      name: track.name,
+      description: track.description || '',
+      submissionDeadline: dateInputInZone(track.submissionDeadline, track.timezone || timezone),
+      timezone: track.timezone || '',
+      pageLimit: track.pageLimit ?? '',
+      paperSize: track.paperSize || ''
+    });
     setShowTrackModal(true);
   };
 
@@ -155,10 +260,19 @@ const ManageConference = () => {
       setTrackSaving(true);
       setError(null);
 
+      // A blank deadline or timezone follows the conference's; a blank page limit or paper size takes any
+      const { submissionDeadline, ...fields } = trackForm;
+      const payload = {
+        ...fields,
+        timezone: trackForm.timezone || null,
+        pageLimit: trackForm.pageLimit === '' ? null : Number(trackForm.pageLimit),
+        paperSize: trackForm.paperSize || null,
+        ...(submissionDeadline ? { submissionDeadline } : {})
+      };
       if (editingTrack) {
-        await updateTrack(editingTrack._id, trackForm);
+        await updateTrack(editingTrack._id, payload);
       } else {
-        await createTrack(conferenceId, trackForm);
+        await createTrack(conferenceId, payload);
       }
 
       // Refresh tracks
@@ -189,6 +303,9 @@ const ManageConference = () => {
     }
   };
 
+  const canEdit = permissions.includes('conference:edit');
+  const canManageTracks = permissions.includes('tracks:manage');
+
   if (loading) {
     return (
       <>
@@ -226,6 +343,21 @@ const ManageConference = () => {
             <Button variant="secondary" onClick={() => navigate(`/organizer/conferences/${conferenceId}/authors`)}>
               🧾 Certificates
             </Button>
+            {permissions.includes('submissions:view') && (
+              <Button variant="secondary" onClick={() => navigate(`/organizer/conferences/${conferenceId}/camera-ready`)}>
+                📦 Camera-Ready
+              </Button>
+            )}
+            {canEdit && (
+              <Button variant="secondary" onClick={() => navigate(`/organizer/conferences/${conferenceId}/clone`)}>
+                ⧉ New Edition
+              </Button>
+            )}
+            {permissions.includes('audit:view') && (
+              <Button variant="secondary" onClick={() => navigate(`/organizer/conferences/${conferenceId}/audit-log`)}>
+                🗂 Audit Log
+              </Button>
+            )}
           </div>
         </div>
 
@@ -241,6 +373,66 @@ const ManageConference = () => {
           </div>
         )}
 
+        {/* Lifecycle */}
+        <Card className="mb-8">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Lifecycle</h2>
+          <ol className="flex flex-wrap gap-2 mb-4">
+            {Object.keys(PHASE_LABELS).map(value => (
+              <li
+                key={value}
+                className={`px-3 py-1 rounded-full text-xs font-medium ${value === phase.status ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-600'}`}
+              >
+                {PHASE_LABELS[value]}
+              </li>
+            ))}
+          </ol>
+          <p className="text-sm text-gray-600 mb-4">
+            {phase.status === 'draft'
+              ? 'The conference is hidden from authors, reviewers and participants until the call for papers opens.'
+              : `Currently in ${phaseLabel(phase.status)}. Submissions, bids, reviews and registrations are only accepted in their phases.`}
+          </p>
+          {permissions.includes('phase:manage') && phase.nextPhases.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {phase.nextPhases.map(next => (
+                <Button
+                  key={next.value}
+                  size="sm"
+                  variant={Object.keys(PHASE_LABELS).indexOf(next.value) < Object.keys(PHASE_LABELS).indexOf(phase.status) ? 'outline' : 'primary'}
+                  onClick={() => handleChangePhase(next)}
+                  disabled={changingPhase}
+                >
+                  Move to {next.label}
+                </Button>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-6 pt-4 border-t">
+            <h3 className="text-md font-semibold text-gray-900 mb-1">Phase Schedule</h3>
+            <p className="text-xs text-gray-500 mb-4">
+              Optional. The conference moves into each phase automatically at its date (checked every 15 minutes) and is archived a day after it ends.
+              Tracks close at their submission deadline. Times are in {timezone}.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+              {SCHEDULED_PHASES.map(value => (
+                <Input
+                  key={value}
+                  label={PHASE_LABELS[value]}
+                  type="datetime-local"
+                  value={phaseSchedule[value] || ''}
+                  onChange={(e) => setPhaseSchedule(prev => ({ ...prev, [value]: e.target.value }))}
+                  disabled={!canEdit}
+                />
+              ))}
+            </div>
+            {canEdit && (
+              <Button size="sm" variant="outline" onClick={handleSaveSchedule} disabled={savingSchedule}>
+                {savingSchedule ? 'Saving...' : 'Save Schedule'}
+              </Button>
+            )}
+          </div>
+        </Card>
+
         {/* Conference Details Form */}
         <Card className="mb-8">
           <h2 className="text-xl font-bold text-gray-900 mb-6">Conference Details</h2>
@@ -280,6 +472,14 @@ const ManageConference = () => {
               />
             </div>
 
+            <Select
+              label="Timezone"
+              value={formData.timezone}
+              onChange={(e) => handleInputChange('timezone', e.target.value)}
+              options={TIMEZONE_OPTIONS}
+              helperText="The dates below are in this timezone. A deadline closes at 23:59 on its day."
+            />
+
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -313,6 +513,21 @@ const ManageConference = () => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Abstract Deadline
+              </label>
+              <Input
+                type="date"
+                value={formData.abstractDeadline}
+                onChange={(e) => handleInputChange('abstractDeadline', e.target.value)}
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Leave empty for single-stage submission. When set, authors register abstracts until this date
+                and upload the full paper by the submission deadline.
+              </p>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 General Chair Signature
@@ -322,7 +537,7 @@ const ManageConference = () => {
                   type="file"
                   accept="image/*"
                   onChange={handleSignatureUpload}
-                  disabled={uploadingSignature}
+                  disabled={uploadingSignature || !canEdit}
                   className="block w-full text-sm text-gray-700
                              file:mr-4 file:py-2 file:px-4
                              file:rounded-md file:border-0
@@ -344,15 +559,79 @@ const ManageConference = () => {
               </div>
             </div>
 
-            <div className="pt-4">
-              <Button
-                onClick={handleSaveConference}
-                disabled={saving}
-                className={saving ? 'opacity-50 cursor-not-allowed' : ''}
-              >
-                {saving ? 'Saving...' : 'Save Changes'}
-              </Button>
+            <Select
+              label="Review Mode"
+              name="reviewMode"
+              value={formData.reviewMode}
+              onChange={(e) => handleInputChange('reviewMode', e.target.value)}
+              options={Object.entries(REVIEW_MODES).map(([value, { label }]) => ({ value, label }))}
+              helperText={`${REVIEW_MODES[formData.reviewMode]?.description || ''}${
+                formData.reviewMode === 'double_blind' ? ' Authors are warned when their PDF metadata contains their names.' : ''
+              }`}
+            />
+
+            <div>
+              <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.requireOrganizerTwoFactor}
+                  onChange={(e) => handleInputChange('requireOrganizerTwoFactor', e.target.checked)}
+                  className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">Require two-factor authentication for organizers</span>
+                  <span className="block text-xs text-gray-500">
+                    Organizer pages are blocked until two-factor authentication is enabled on the account. Enable it on your own profile first.
+                  </span>
+                </span>
+              </label>
+            </div>
+
+            <div className="pt-4 border-t">
+              <h3 className="text-md font-semibold text-gray-900 mb-1">Data Retention</h3>
+              <p className="text-xs text-gray-500 mb-4">
+                What is kept here when an author, reviewer or participant deletes their account. Shown to them before they confirm.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Select
+                  label="Accepted papers"
+                  value={formData.retentionPolicy.acceptedPapers}
+                  onChange={(e) => handleRetentionChange('acceptedPapers', e.target.value)}
+                  options={RETENTION_OPTIONS.acceptedPapers}
+                />
+                <Select
+                  label="Reviews"
+                  value={formData.retentionPolicy.reviews}
+                  onChange={(e) => handleRetentionChange('reviews', e.target.value)}
+                  options={RETENTION_OPTIONS.personal}
+                />
+                <Select
+                  label="Registrations"
+                  value={formData.retentionPolicy.registrations}
+                  onChange={(e) => handleRetentionChange('registrations', e.target.value)}
+                  options={RETENTION_OPTIONS.personal}
+                />
+              </div>
+              <Textarea
+                label="Retention notes"
+                value={formData.retentionPolicy.notes}
+                onChange={(e) => handleRetentionChange('notes', e.target.value)}
+                placeholder="e.g. Reviews are kept for five years for appeals"
+                rows={2}
+              />
             </div>
+
+            {canEdit && (
+              <div className="pt-4">
+                <Button
+                  onClick={handleSaveConference}
+                  disabled={saving}
+                  className={saving ? 'opacity-50 cursor-not-allowed' : ''}
+                >
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </Button>
+              </div>
+            )}
           </div>
         </Card>
 
@@ -360,18 +639,22 @@ const ManageConference = () => {
         <Card>
           <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-6">
             <h2 className="text-lg sm:text-xl font-bold text-gray-900">Tracks</h2>
-            <Button onClick={openAddTrack}>
-              + Add Track
-            </Button>
+            {canManageTracks && (
+              <Button onClick={openAddTrack}>
+                + Add Track
+              </Button>
+            )}
           </div>
 
           {tracks.length === 0 ? (
             <div className="text-center py-8">
               <div className="text-4xl mb-4">📂</div>
               <p className="text-gray-600 mb-4">No tracks created yet</p>
-              <Button onClick={openAddTrack}>
-                Create First Track
-              </Button>
+              {canManageTracks && (
+                <Button onClick={openAddTrack}>
+                  Create First Track
+                </Button>
+              )}
             </div>
           ) : (
             <div className="space-y-3">
@@ -385,29 +668,58 @@ const ManageConference = () => {
                     {track.description && (
                       <p className="text-sm text-gray-600 mt-1">{track.description}</p>
                     )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Deadline: {formatInZone(track.submissionDeadline, track.timezone || timezone)}
+                      {track.pageLimit && ` · Up to ${track.pageLimit} pages`}
+                      {track.paperSize && ` · ${PAPER_SIZES[track.paperSize]?.label}`}
+                    </p>
                   </div>
-                  <div className="flex gap-2">
-                    <Button
-                      size="sm"
-                      variant="outline"
-                      onClick={() => openEditTrack(track)}
-                    >
-                      Edit
-                    </Button>
-                    <Button
-                      size="sm"
-                      variant="outline"
-                      className="text-red-600 border-red-600 hover:bg-red-50"
-                      onClick={() => setDeleteConfirm(track)}
-                    >
-                      Delete
-                    </Button>
-                  </div>
+                  {canManageTracks && (
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => openEditTrack(track)}
+                      >
+                        Edit
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="text-red-600 border-red-600 hover:bg-red-50"
+                        onClick={() => setDeleteConfirm(track)}
+                      >
+                        Delete
+                      </Button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
           )}
         </Card>
+
+        {canEdit && (
+          <SubmissionTypesEditor conferenceId={conferenceId} types={submissionTypes} timezone={timezone} />
+        )}
+
+        {canEdit && (
+          <AttachmentTypesEditor conferenceId={conferenceId} types={attachmentTypes} />
+        )}
+
+        {canEdit && (
+          <SubmissionFieldsEditor conferenceId={conferenceId} fields={submissionFields} tracks={tracks} />
+        )}
+
+        {canEdit && (
+          <CameraReadySettings conferenceId={conferenceId} settings={cameraReady} timezone={timezone} />
+        )}
+
+        <ConferenceCommittee conferenceId={conferenceId} tracks={tracks} />
+
+        {permissions.includes('deadlines:extend') && (
+          <DeadlineExtensions conferenceId={conferenceId} tracks={tracks} timezone={timezone} />
+        )}
       </div>
 
       {/* Track Modal */}
@@ -439,6 +751,46 @@ const ManageConference = () => {
               rows={3}
             />
           </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Input
+              label="Submission Deadline (blank = conference's)"
+              type="date"
+              value={trackForm.submissionDeadline}
+              onChange={(e) => setTrackForm(prev => ({ ...prev, submissionDeadline: e.target.value }))}
+            />
+            <Select
+              label="Timezone"
+              value={trackForm.timezone}
+              onChange={(e) => setTrackForm(prev => ({ ...prev, timezone: e.target.value }))}
+            >
+              <option value="">Same as conference ({timezone})</option>
+              {TIMEZONE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Select>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Input
+              label="Page Limit (blank = none)"
+              type="number"
+              min={1}
+              value={trackForm.pageLimit}
+              onChange={(e) => setTrackForm(prev => ({ ...prev, pageLimit: e.target.value }))}
+            />
+            <Select
+              label="Paper Size"
+              value={trackForm.paperSize}
+              onChange={(e) => setTrackForm(prev => ({ ...prev, paperSize: e.target.value }))}
+            >
+              <option value="">Any</option>
+              {Object.entries(PAPER_SIZES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Select>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">
+            Uploaded PDFs are checked against these. A submission type's page limit takes precedence.
+          </p>
           <div className="flex gap-3 pt-2">
             <Button
               onClick={handleSaveTrack}
@@ -8,6 +8,7 @@ import Loading from '../../components/Loading';
 import Modal from '../../components/Modal';
 import { useToast } from '../../context/ToastContext';
 import api from '../../utils/api';
+import { phaseLabel, phaseVariant } from '../../utils/conferencePhases';
 
 const Participants = () => {
   const navigate = useNavigate();
@@ -103,8 +104,8 @@ const Participants = () => {
                     <h3 className="font-bold text-gray-900 text-lg line-clamp-2 flex-1">
                       {conference.name}
                     </h3>
-                    <Badge variant={conference.status === 'active' ? 'success' : 'default'}>
-                      {conference.status}
+                    <Badge variant={phaseVariant(conference.status)}>
+                      {phaseLabel(conference.status)}
                     </Badge>
                   </div>
                 </div>
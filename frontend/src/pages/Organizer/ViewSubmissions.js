@@ -8,6 +8,10 @@ import Loading from '../../components/Loading';
 import Select from '../../components/Select';
 import Textarea from '../../components/Textarea';
 import Input from '../../components/Input';
+import FieldAnswers from '../../components/FieldAnswers';
+import SubmissionAttachments from '../../components/SubmissionAttachments';
+import VersionPicker, { pickVersion } from '../../components/VersionPicker';
+import PdfCheck from '../../components/PdfCheck';
 import {
   getConferenceSubmissionsOrganizer,
   getTracks,
@@ -16,9 +20,11 @@ import {
   scheduleSubmission,
   approveSubmission,
   getConferenceDetailsOrganizer,
-  retryDuplicationCheck
+  retryDuplicationCheck,
+  exportConferenceSubmissions
 } from '../../utils/api';
 import { viewPdfInNewTab, downloadPdfFile, extractFilename } from '../../utils/pdfHelper';
+import { currentPdfCheck } from '../../utils/pdfChecks';
 
 const ViewSubmissions = () => {
   const { id: conferenceId } = useParams();
@@ -38,6 +44,8 @@ const ViewSubmissions = () => {
   const [selectedSubmission, setSelectedSubmission] = useState(null);
   const [submissionReviews, setSubmissionReviews] = useState([]);
   const [loadingDetails, setLoadingDetails] = useState(false);
+  // Version number shown in the details modal (null shows the latest)
+  const [selectedVersion, setSelectedVersion] = useState(null);
 
   // Decision form
   const [decision, setDecision] = useState('');
@@ -47,6 +55,7 @@ const ViewSubmissions = () => {
   const [saving, setSaving] = useState(false);
   const [approvingId, setApprovingId] = useState(null);
   const [retryingDupCheck, setRetryingDupCheck] = useState(null);
+  const [exporting, setExporting] = useState(false);
 
   const fetchData = useCallback(async () => {
     try {
@@ -79,6 +88,7 @@ const ViewSubmissions = () => {
 
   const openSubmissionDetails = async (submission) => {
     setSelectedSubmission(submission);
+    setSelectedVersion(null);
     // Pre-fill decision based on submission status
     setDecision(submission.status || '');
     setFeedback(submission.feedback || '');
@@ -161,7 +171,8 @@ const ViewSubmissions = () => {
       rejected: 'danger',
       rejected_duplicate: 'danger',
       revision: 'default',
-      manual_review_required: 'warning'
+      manual_review_required: 'warning',
+      abstract_registered: 'info'
     };
     const statusLabels = {
       submitted_pending_dup_check: 'DUP CHECK PENDING',
@@ -191,6 +202,22 @@ const ViewSubmissions = () => {
     );
   };
 
+  const getPdfBadge = (submission) => {
+    const check = currentPdfCheck(submission);
+    if (!check) return null;
+    const issues = check.warnings?.length || 0;
+    return (
+      <span
+        className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold border ${
+          issues ? 'bg-amber-100 text-amber-800 border-amber-300' : 'bg-green-100 text-green-800 border-green-300'
+        }`}
+        title={check.warnings?.join('\n')}
+      >
+        📄 {issues ? `${issues} PDF issue${issues > 1 ? 's' : ''}` : 'PDF OK'}
+      </span>
+    );
+  };
+
   const handleRetryDupCheck = async (e, submissionId) => {
     e.stopPropagation();
     try {
@@ -205,6 +232,25 @@ const ViewSubmissions = () => {
     }
   };
 
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await exportConferenceSubmissions(conferenceId, { trackId: trackFilter, status: statusFilter });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `submissions-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export submissions');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const getRecommendationBadge = (rec) => {
     const variants = {
       ACCEPT: 'success',
@@ -231,6 +277,9 @@ const ViewSubmissions = () => {
 
   // PDF helper functions imported from utils/pdfHelper
 
+  const shownVersion = pickVersion(selectedSubmission?.versions, selectedVersion);
+  const shownFileUrl = shownVersion?.fileUrl || selectedSubmission?.fileUrl;
+
   if (loading) {
     return (
       <>
@@ -275,6 +324,9 @@ const ViewSubmissions = () => {
           <div className="text-right">
             <p className="text-2xl font-bold text-blue-600">{submissions.length}</p>
             <p className="text-sm text-gray-600">Total Submissions</p>
+            <Button variant="outline" size="sm" className="mt-2" onClick={handleExport} disabled={exporting}>
+              {exporting ? 'Exporting...' : 'Export CSV'}
+            </Button>
           </div>
         </div>
 
@@ -332,6 +384,16 @@ const ViewSubmissions = () => {
                         <span className="inline-flex items-center px-3 py-1 rounded-md text-xs font-semibold bg-indigo-100 text-indigo-800 border border-indigo-200">
                           📁 Track: {submission.trackId.name}
                         </span>
+                        {submission.typeDetails && (
+                          <span className="ml-2 inline-flex items-center px-3 py-1 rounded-md text-xs font-semibold bg-purple-100 text-purple-800 border border-purple-200">
+                            {submission.typeDetails.name}
+                          </span>
+                        )}
+                        {submission.attachments?.length > 0 && (
+                          <span className="ml-2 inline-flex items-center px-3 py-1 rounded-md text-xs font-semibold bg-gray-100 text-gray-700 border border-gray-200">
+                            📎 {submission.attachments.length} attachment{submission.attachments.length > 1 ? 's' : ''}
+                          </span>
+                        )}
                       </div>
                     )}
                     <div className="flex items-center gap-3 mb-2 flex-wrap">
@@ -340,6 +402,7 @@ const ViewSubmissions = () => {
                       </h3>
                       {getStatusBadge(submission.status)}
                       {getDupBadge(submission.duplicationCheck)}
+                      {getPdfBadge(submission)}
                       {submission.organizerApproved && (
                         <Badge variant="success">✓ Approved for Review</Badge>
                       )}
@@ -407,6 +470,9 @@ const ViewSubmissions = () => {
                   {selectedSubmission.trackId?.name && (
                     <Badge variant="default">{selectedSubmission.trackId.name}</Badge>
                   )}
+                  {selectedSubmission.typeDetails && (
+                    <Badge variant="info">{selectedSubmission.typeDetails.name}</Badge>
+                  )}
                 </div>
               </div>
               <button
@@ -424,41 +490,59 @@ const ViewSubmissions = () => {
                 <div className="bg-gray-50 rounded-lg p-4 space-y-2">
                   <p><span className="font-medium">Author:</span> {selectedSubmission.authorId?.name} ({selectedSubmission.authorId?.email})</p>
                   <p><span className="font-medium">Submitted:</span> {formatDate(selectedSubmission.createdAt)}</p>
-                  {selectedSubmission.abstract && (
+                  {(shownVersion?.abstract || selectedSubmission.abstract) && (
                     <div>
                       <span className="font-medium">Abstract:</span>
-                      <p className="mt-1 text-gray-700">{selectedSubmission.abstract}</p>
+                      <p className="mt-1 text-gray-700">{shownVersion?.abstract || selectedSubmission.abstract}</p>
                     </div>
                   )}
                 </div>
               </div>
 
+              <VersionPicker versions={selectedSubmission.versions} selected={selectedVersion} onSelect={setSelectedVersion} />
+
+              {selectedSubmission.fieldAnswers?.length > 0 && (
+                <div className="mb-6 bg-gray-50 rounded-lg p-4">
+                  <FieldAnswers answers={selectedSubmission.fieldAnswers} />
+                </div>
+              )}
+
+              {selectedSubmission.attachments?.length > 0 && (
+                <div className="mb-6 bg-gray-50 rounded-lg p-4">
+                  <SubmissionAttachments attachments={selectedSubmission.attachments} />
+                </div>
+              )}
+
               {/* Paper File Download */}
-              {selectedSubmission.fileUrl && (
+              {shownFileUrl && (
                 <div className="mb-6">
                   <h3 className="font-semibold text-gray-900 mb-3">Submitted Paper</h3>
                   <div className="bg-blue-50 rounded-lg p-4 flex items-center justify-between">
                     <div>
                       <p className="text-sm text-gray-600">
                         <span className="font-medium">File:</span>{' '}
-                        {selectedSubmission.fileUrl.split('/').pop()}
+                        {shownFileUrl.split('/').pop()}
+                        {shownVersion && <span className="ml-2 text-gray-500">(version {shownVersion.number})</span>}
                       </p>
                     </div>
                     <div className="flex gap-2">
                       <button
-                        onClick={() => viewPdfInNewTab(selectedSubmission.fileUrl)}
+                        onClick={() => viewPdfInNewTab(shownFileUrl)}
                         className="hidden px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition"
                       >
                         📄 View Paper
                       </button>
                       <button
-                        onClick={() => downloadPdfFile(selectedSubmission.fileUrl, extractFilename(selectedSubmission.fileUrl, selectedSubmission.title))}
+                        onClick={() => downloadPdfFile(shownFileUrl, extractFilename(shownFileUrl, selectedSubmission.title))}
                         className="px-4 py-2 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition"
                       >
                         ⬇️ Download
                       </button>
                     </div>
                   </div>
+                  {shownFileUrl === selectedSubmission.fileUrl && (
+                    <PdfCheck check={currentPdfCheck(selectedSubmission)} className="mt-3" />
+                  )}
                 </div>
               )}
 
@@ -554,6 +638,7 @@ const ViewSubmissions = () => {
                         <div className="flex justify-between items-start mb-2">
                           <span className="text-sm text-gray-600">
                             Reviewer {index + 1}
+                            {review.version && <span className="ml-2 text-xs text-gray-400">on version {review.version}</span>}
                           </span>
                           <div className="flex items-center gap-2">
                             <span className="px-2 py-1 bg-blue-100 text-blue-800 text-sm rounded">
@@ -6,6 +6,7 @@ import Button from '../../components/Button';
 import Badge from '../../components/Badge';
 import Loading from '../../components/Loading';
 import api from '../../utils/api';
+import { phaseLabel, phaseVariant } from '../../utils/conferencePhases';
 
 const BrowseEvents = () => {
   const navigate = useNavigate();
@@ -86,8 +87,8 @@ const BrowseEvents = () => {
                     <h3 className="font-bold text-gray-900 text-lg line-clamp-2 flex-1">
                       {conference.name}
                     </h3>
-                    <Badge variant={conference.status === 'active' ? 'success' : 'default'}>
-                      {conference.status}
+                    <Badge variant={phaseVariant(conference.status)}>
+                      {phaseLabel(conference.status)}
                     </Badge>
                   </div>
                   {conference.isRegistered && (
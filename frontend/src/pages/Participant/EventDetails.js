@@ -7,6 +7,7 @@ import Badge from '../../components/Badge';
 import Loading from '../../components/Loading';
 import { useToast } from '../../context/ToastContext';
 import api from '../../utils/api';
+import { phaseLabel, phaseVariant } from '../../utils/conferencePhases';
 
 const EventDetails = () => {
   const navigate = useNavigate();
@@ -99,8 +100,8 @@ const EventDetails = () => {
             <div className="flex-1">
               <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-3">{conference.name}</h1>
               <div className="flex flex-wrap gap-2 mb-4">
-                <Badge variant={conference.status === 'active' ? 'success' : 'default'}>
-                  {conference.status}
+                <Badge variant={phaseVariant(conference.status)}>
+                  {phaseLabel(conference.status)}
                 </Badge>
                 {isRegistered && (
                   <Badge variant="primary">Registered</Badge>
@@ -9,6 +9,7 @@ import Loading from '../../components/Loading';
 import Badge from '../../components/Badge';
 import { useToast } from '../../context/ToastContext';
 import api from '../../utils/api';
+import { phaseLabel, phaseVariant } from '../../utils/conferencePhases';
 
 const RegisterForConference = () => {
   const navigate = useNavigate();
@@ -132,7 +133,7 @@ const RegisterForConference = () => {
           <div className="flex justify-between items-start mb-4">
             <div>
               <h2 className="text-2xl font-bold text-gray-900 mb-2">{conference.name}</h2>
-              <Badge variant="success">{conference.status}</Badge>
+              <Badge variant={phaseVariant(conference.status)}>{phaseLabel(conference.status)}</Badge>
             </div>
           </div>
 
@@ -1,15 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { getUserProfile, updateUserProfile } from '../utils/api';
+import { useNavigate } from 'react-router-dom';
+import { getUserProfile, updateUserProfile, getSessions } from '../utils/api';
 import Navbar from '../components/Navbar';
 import Button from '../components/Button';
 import Input from '../components/Input';
 import Card from '../components/Card';
 import Loading from '../components/Loading';
 import DomainMultiSelect from '../components/DomainMultiSelect';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import LinkedIdentities from '../components/LinkedIdentities';
+import ApiTokens from '../components/ApiTokens';
+import AccountData from '../components/AccountData';
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, addRole, logoutAll } = useAuth();
+  const navigate = useNavigate();
   const [isEditing, setIsEditing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -17,6 +23,8 @@ const Profile = () => {
   const [success, setSuccess] = useState('');
   const [profileData, setProfileData] = useState(null);
   const [editedData, setEditedData] = useState({});
+  const [sessions, setSessions] = useState([]);
+  const [signingOut, setSigningOut] = useState(false);
 
   // Fetch profile on mount only
   useEffect(() => {
@@ -43,10 +51,29 @@ const Profile = () => {
       }
     };
     
+    const fetchSessions = async () => {
+      try {
+        const data = await getSessions();
+        setSessions(data.sessions || []);
+      } catch (err) {
+        // Session list is informational only
+        setSessions([]);
+      }
+    };
+
     fetchProfile();
+    fetchSessions();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Only run once on mount to avoid infinite loop
 
+  const handleIdentitiesChange = (updatedUser) => {
+    setProfileData(updatedUser);
+    setEditedData(updatedUser);
+    if (updateUser) {
+      updateUser(updatedUser);
+    }
+  };
+
   const handleEdit = () => {
     setIsEditing(true);
     setSuccess('');
@@ -109,6 +136,36 @@ const Profile = () => {
     }
   };
 
+  const handleAddRole = async (role) => {
+    setError('');
+    setSuccess('');
+    const result = await addRole(role);
+    if (result.success) {
+      setProfileData(result.user);
+      setEditedData(result.user);
+      setSuccess(`The ${role} role was added to your account. Use the menu to switch to it.`);
+      setTimeout(() => setSuccess(''), 3000);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleSignOutAll = async () => {
+    if (!window.confirm('Sign out of all sessions on every device, including this one?')) return;
+    setSigningOut(true);
+    const result = await logoutAll();
+    if (result.success) {
+      navigate('/login');
+    } else {
+      setError(result.message);
+      setSigningOut(false);
+    }
+  };
+
+  const allRoles = ['organizer', 'author', 'reviewer', 'participant'];
+  const accountRoles = profileData?.roles?.length ? profileData.roles : [profileData?.role].filter(Boolean);
+  const availableRoles = allRoles.filter(r => !accountRoles.includes(r));
+
   const getInitials = (name) => {
     if (!name) return 'U';
     return name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2);
@@ -184,6 +241,35 @@ const Profile = () => {
                 </Button>
               )}
             </Card>
+
+            {/* Sessions */}
+            <Card className="mt-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Active Sessions</h3>
+              {sessions.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No active sessions found.</p>
+              ) : (
+                <ul className="space-y-3 mb-4">
+                  {sessions.map((session) => (
+                    <li key={session._id} className="text-sm border-b pb-3 last:border-b-0">
+                      <p className="text-gray-900 truncate" title={session.userAgent}>
+                        {session.userAgent || 'Unknown device'}
+                        {session.current && (
+                          <span className="ml-2 px-2 py-0.5 text-xs bg-green-100 text-green-800 rounded-full">This device</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">Last active {formatDate(session.lastUsedAt)}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <Button variant="danger" onClick={handleSignOutAll} disabled={signingOut} className="w-full">
+                {signingOut ? 'Signing out...' : 'Sign out all sessions'}
+              </Button>
+            </Card>
+
+            <LinkedIdentities account={profileData} onChange={handleIdentitiesChange} />
+
+            <TwoFactorSettings />
           </div>
 
           {/* Right: Detailed Information */}
@@ -230,12 +316,33 @@ const Profile = () => {
                     <p className="text-xs text-gray-500 mt-1">Email cannot be changed</p>
                   </div>
 
-                  {/* Role (Read-only) */}
+                  {/* Roles (active role highlighted) */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Role
+                      Roles
                     </label>
-                    <p className="text-gray-900 py-2 capitalize">{profileData?.role || 'N/A'}</p>
+                    <div className="flex flex-wrap gap-1.5 py-2">
+                      {accountRoles.map((role) => (
+                        <span
+                          key={role}
+                          className={`inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-full border capitalize ${role === profileData?.role
+                              ? 'bg-primary-600 text-white border-primary-600'
+                              : 'bg-primary-50 text-primary-700 border-primary-200'
+                            }`}
+                        >
+                          {role}{role === profileData?.role && ' (active)'}
+                        </span>
+                      ))}
+                    </div>
+                    {!isEditing && availableRoles.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {availableRoles.map((role) => (
+                          <Button key={role} size="sm" variant="outline" onClick={() => handleAddRole(role)}>
+                            <span className="capitalize">+ {role}</span>
+                          </Button>
+                        ))}
+                      </div>
+                    )}
                   </div>
 
                   {/* OAuth Provider (Read-only) */}
@@ -426,6 +533,9 @@ const Profile = () => {
                 )}
               </div>
             </Card>
+
+            <ApiTokens />
+            <AccountData />
           </div>
         </div>
       </div>
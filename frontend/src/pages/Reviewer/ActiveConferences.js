@@ -8,6 +8,7 @@ import Input from '../../components/Input';
 import Loading from '../../components/Loading';
 import api from '../../utils/api';
 import { registerReviewerForConference } from '../../utils/api';
+import { phaseLabel, phaseVariant } from '../../utils/conferencePhases';
 
 const ActiveConferences = () => {
   const navigate = useNavigate();
@@ -189,7 +190,7 @@ const ActiveConferences = () => {
                 >
                   <div className="flex justify-between items-start mb-3">
                     <h3 className="text-xl font-bold text-gray-900">{conference.name}</h3>
-                    <Badge variant={conference.status === 'active' ? 'success' : 'default'}>{conference.status}</Badge>
+                    <Badge variant={phaseVariant(conference.status)}>{phaseLabel(conference.status)}</Badge>
                   </div>
 
                   <p className="text-sm text-gray-600 mb-4 line-clamp-3">{conference.description}</p>
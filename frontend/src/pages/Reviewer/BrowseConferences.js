@@ -8,6 +8,7 @@ import Loading from '../../components/Loading';
 import Modal from '../../components/Modal';
 import api from '../../utils/api';
 import { fetchAsBlobUrl, downloadPdfFile, extractFilename, viewPdfInNewTab } from '../../utils/pdfHelper';
+import { ANONYMOUS_AUTHOR } from '../../utils/reviewModes';
 
 const MyAssignedPapers = () => {
   const navigate = useNavigate();
@@ -121,11 +122,15 @@ const MyAssignedPapers = () => {
                     <p className="text-sm text-gray-600 mb-1">
                       Conference: <span className="font-medium">{submission.conferenceId?.name}</span>
                     </p>
-                    <div className="flex items-center gap-2 text-sm text-gray-600">
-                      <span className="font-medium text-blue-600">{submission.authorId?.name}</span>
-                      <span>•</span>
-                      <span>{submission.authorId?.email}</span>
-                    </div>
+                    {submission.anonymized ? (
+                      <p className="text-sm text-gray-600">{ANONYMOUS_AUTHOR}</p>
+                    ) : (
+                      <div className="flex items-center gap-2 text-sm text-gray-600">
+                        <span className="font-medium text-blue-600">{submission.authorId?.name}</span>
+                        <span>•</span>
+                        <span>{submission.authorId?.email}</span>
+                      </div>
+                    )}
                     {submission.theme && (
                       <Badge variant="info" className="text-xs mt-2">
                         Theme: {submission.theme}
@@ -213,14 +218,18 @@ const MyAssignedPapers = () => {
         onClose={() => {
           setShowPdfModal(false);
         }}
-        title={selectedSubmission ? `${selectedSubmission.title} - ${selectedSubmission.authorId?.name}` : 'Paper Preview'}
+        title={selectedSubmission ? `${selectedSubmission.title} - ${selectedSubmission.anonymized ? ANONYMOUS_AUTHOR : selectedSubmission.authorId?.name}` : 'Paper Preview'}
         size="large"
       >
         {selectedSubmission && (
           <div className="space-y-4">
             <div className="p-3 bg-gray-50 rounded-lg">
-              <p className="text-sm font-medium text-gray-900">Author: {selectedSubmission.authorId?.name}</p>
-              <p className="text-xs text-gray-600">{selectedSubmission.authorId?.email}</p>
+              <p className="text-sm font-medium text-gray-900">
+                Author: {selectedSubmission.anonymized ? ANONYMOUS_AUTHOR : selectedSubmission.authorId?.name}
+              </p>
+              {!selectedSubmission.anonymized && (
+                <p className="text-xs text-gray-600">{selectedSubmission.authorId?.email}</p>
+              )}
               {selectedSubmission.theme && (
                 <p className="text-xs text-gray-600 mt-1">Theme: {selectedSubmission.theme}</p>
               )}
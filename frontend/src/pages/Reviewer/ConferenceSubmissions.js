@@ -9,7 +9,9 @@ import Button from '../../components/Button';
 import Loading from '../../components/Loading';
 import Select from '../../components/Select';
 import Modal from '../../components/Modal';
+import FieldAnswers from '../../components/FieldAnswers';
 import { getTracks, getConferenceSubmissionsReviewer, placeBid, registerReviewerConference } from '../../utils/api';
+import { ANONYMOUS_AUTHOR } from '../../utils/reviewModes';
 
 const ConferenceSubmissions = () => {
   const { id: conferenceId } = useParams();
@@ -316,6 +318,11 @@ const ConferenceSubmissions = () => {
                     </h3>
                     <div className="flex flex-col gap-1 items-end">
                       {getStatusBadge(submission.status)}
+                      {!submission.fileUrl && (
+                        <Badge variant="default" className="text-xs whitespace-nowrap">
+                          Abstract Only
+                        </Badge>
+                      )}
                       {isOutsideExpertise && (
                         <Badge variant="warning" className="text-xs whitespace-nowrap">
                           Outside Your Expertise
@@ -329,11 +336,14 @@ const ConferenceSubmissions = () => {
                       <p className="text-sm text-gray-600">
                         <span className="font-medium">Track:</span>{' '}
                         <Badge variant="info" className="text-xs">{submission.trackId.name}</Badge>
+                        {submission.typeDetails && (
+                          <Badge variant="default" className="text-xs ml-2">{submission.typeDetails.name}</Badge>
+                        )}
                       </p>
                     )}
-                    {submission.authorId?.name && (
+                    {(submission.authorId?.name || submission.anonymized) && (
                       <p className="text-sm text-gray-600">
-                        <span className="font-medium">Author:</span> {submission.authorId.name}
+                        <span className="font-medium">Author:</span> {submission.anonymized ? ANONYMOUS_AUTHOR : submission.authorId.name}
                       </p>
                     )}
                     <p className="text-sm text-gray-500">
@@ -391,6 +401,8 @@ const ConferenceSubmissions = () => {
               )}
             </div>
 
+            <FieldAnswers answers={selectedSubmission.fieldAnswers} />
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Your Confidence Level
@@ -7,8 +7,12 @@ import Button from '../../components/Button';
 import Loading from '../../components/Loading';
 import Textarea from '../../components/Textarea';
 import ScoreSlider from '../../components/ScoreSlider';
+import FieldAnswers from '../../components/FieldAnswers';
+import SubmissionAttachments from '../../components/SubmissionAttachments';
+import VersionPicker, { pickVersion } from '../../components/VersionPicker';
 import { getSubmissionForReview, createReview, getReviewerMyReview } from '../../utils/api';
 import { fetchAsBlobUrl, downloadPdfFile, extractFilename, viewPdfInNewTab } from '../../utils/pdfHelper';
+import { ANONYMOUS_AUTHOR } from '../../utils/reviewModes';
 
 const ReviewPaper = () => {
   const { submissionId, id } = useParams();
@@ -22,6 +26,8 @@ const ReviewPaper = () => {
   const [showPdfModal, setShowPdfModal] = useState(false);
   const [pdfBlobUrl, setPdfBlobUrl] = useState(null);
   const [pdfLoading, setPdfLoading] = useState(false);
+  // Version number shown (null shows the latest)
+  const [selectedVersion, setSelectedVersion] = useState(null);
 
   // Review status state
   const [reviewStatus, setReviewStatus] = useState(null);
@@ -88,11 +94,20 @@ const ReviewPaper = () => {
     fetchData();
   }, [fetchData]);
 
+  const shownVersion = pickVersion(submission?.versions, selectedVersion);
+  const shownFileUrl = shownVersion?.fileUrl || submission?.fileUrl;
+
+  // Switching versions closes the preview, which releases the old file's blob URL
+  const selectVersion = (number) => {
+    setSelectedVersion(number);
+    setShowPdfModal(false);
+  };
+
   // Load PDF blob when modal opens
   useEffect(() => {
-    if (showPdfModal && submission?.fileUrl && !pdfBlobUrl) {
+    if (showPdfModal && shownFileUrl && !pdfBlobUrl) {
       setPdfLoading(true);
-      fetchAsBlobUrl(submission.fileUrl)
+      fetchAsBlobUrl(shownFileUrl)
         .then(url => {
           setPdfBlobUrl(url);
           setPdfLoading(false);
@@ -102,7 +117,7 @@ const ReviewPaper = () => {
           setPdfLoading(false);
         });
     }
-  }, [showPdfModal, submission?.fileUrl, pdfBlobUrl]);
+  }, [showPdfModal, shownFileUrl, pdfBlobUrl]);
 
   // Cleanup blob URL when modal closes
   useEffect(() => {
@@ -278,7 +293,7 @@ const ReviewPaper = () => {
                 <div className="flex items-center gap-4 text-sm text-gray-600 mb-3">
                   <span>
                     <span className="font-medium">Author:</span>{' '}
-                    {submission.authorId?.name || 'Unknown'}
+                    {submission.anonymized ? ANONYMOUS_AUTHOR : submission.authorId?.name || 'Unknown'}
                   </span>
                   {submission.authorId?.email && (
                     <span className="text-gray-400">({submission.authorId.email})</span>
@@ -291,6 +306,12 @@ const ReviewPaper = () => {
                   {submission.trackId?.name && (
                     <Badge variant="default">{submission.trackId.name}</Badge>
                   )}
+                  {submission.typeDetails && (
+                    <Badge variant="info">
+                      {submission.typeDetails.name}
+                      {submission.typeDetails.pageLimit && ` · ${submission.typeDetails.pageLimit} pages max`}
+                    </Badge>
+                  )}
                   {submission.theme && (
                     <Badge variant="default">Theme: {submission.theme}</Badge>
                   )}
@@ -298,11 +319,18 @@ const ReviewPaper = () => {
               </div>
             </div>
 
-            {submission.abstract && (
+            <VersionPicker versions={submission.versions} selected={selectedVersion} onSelect={selectVersion} />
+            {reviewStatus?.review?.version && reviewStatus.review.version !== submission.versions?.slice(-1)[0]?.number && (
+              <p className="mb-4 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                Your review was written on version {reviewStatus.review.version}. The authors have uploaded a newer version since.
+              </p>
+            )}
+
+            {(shownVersion?.abstract || submission.abstract) && (
               <div className="mb-4">
                 <h3 className="font-semibold text-gray-900 mb-2">Abstract</h3>
                 <p className="text-gray-700 leading-relaxed bg-gray-50 p-4 rounded-lg">
-                  {submission.abstract}
+                  {shownVersion?.abstract || submission.abstract}
                 </p>
               </div>
             )}
@@ -323,7 +351,19 @@ const ReviewPaper = () => {
               </div>
             )}
 
-            {submission.fileUrl && (
+            {submission.fieldAnswers?.length > 0 && (
+              <div className="mb-4">
+                <FieldAnswers answers={submission.fieldAnswers} />
+              </div>
+            )}
+
+            {submission.attachments?.length > 0 && (
+              <div className="mb-4">
+                <SubmissionAttachments attachments={submission.attachments} />
+              </div>
+            )}
+
+            {shownFileUrl && (
               <div className="flex gap-3 pt-4 border-t">
                 <Button
                   variant="outline"
@@ -333,7 +373,7 @@ const ReviewPaper = () => {
                   📄 Preview Paper
                 </Button>
                 <button
-                  onClick={() => downloadPdfFile(submission.fileUrl, extractFilename(submission.fileUrl, submission.title))}
+                  onClick={() => downloadPdfFile(shownFileUrl, extractFilename(shownFileUrl, submission.title))}
                   className="inline-flex items-center px-4 py-2 text-sm font-medium text-blue-600 hover:text-blue-700 border border-blue-600 hover:border-blue-700 rounded-lg transition-colors"
                 >
                   ⬇️ Download PDF
@@ -347,6 +387,15 @@ const ReviewPaper = () => {
         <Card>
           <h2 className="text-xl font-bold text-gray-900 mb-6">Your Review</h2>
 
+          {submission?.typeDetails?.reviewInstructions && (
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <h3 className="text-sm font-semibold text-blue-900 mb-1">
+                Reviewing {submission.typeDetails.name} submissions
+              </h3>
+              <p className="text-sm text-blue-800 whitespace-pre-wrap">{submission.typeDetails.reviewInstructions}</p>
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             {/* Score */}
             <div>
@@ -365,7 +414,10 @@ const ReviewPaper = () => {
                 Recommendation <span className="text-red-500">*</span>
               </label>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                {recommendations.map((rec) => (
+                {recommendations
+                  // Some submission types (e.g. posters) are only accepted or rejected
+                  .filter(rec => submission?.typeDetails?.allowRevisions !== false || !rec.value.endsWith('_REVISION'))
+                  .map((rec) => (
                   <button
                     key={rec.value}
                     type="button"
@@ -439,7 +491,7 @@ const ReviewPaper = () => {
       </div>
 
       {/* PDF Preview Modal */}
-      {showPdfModal && submission?.fileUrl && (
+      {showPdfModal && shownFileUrl && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] overflow-hidden">
             <div className="flex justify-between items-center px-6 py-4 border-b">
@@ -469,7 +521,7 @@ const ReviewPaper = () => {
                 <div className="text-center text-gray-500">
                   <p>Unable to load PDF preview</p>
                   <button
-                    onClick={() => viewPdfInNewTab(submission.fileUrl)}
+                    onClick={() => viewPdfInNewTab(shownFileUrl)}
                     className="mt-2 text-blue-600 hover:text-blue-700"
                   >
                     Open in New Tab instead
@@ -480,13 +532,13 @@ const ReviewPaper = () => {
             <div className="px-6 py-4 border-t flex justify-between items-center">
               <div className="flex gap-3">
                 <button
-                  onClick={() => viewPdfInNewTab(submission.fileUrl)}
+                  onClick={() => viewPdfInNewTab(shownFileUrl)}
                   className="hidden px-4 py-2 text-sm font-medium text-blue-600 hover:text-blue-700 border border-blue-600 hover:border-blue-700 rounded-lg transition-colors"
                 >
                   📄 Open in New Tab
                 </button>
                 <button
-                  onClick={() => downloadPdfFile(submission.fileUrl, extractFilename(submission.fileUrl, submission.title))}
+                  onClick={() => downloadPdfFile(shownFileUrl, extractFilename(shownFileUrl, submission.title))}
                   className="px-4 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg transition-colors"
                 >
                   ⬇️ Download PDF
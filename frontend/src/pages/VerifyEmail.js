@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { verifyEmail } from '../utils/api';
+import Card from '../components/Card';
+import Loading from '../components/Loading';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const hasRunRef = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so never submit twice (e.g. StrictMode double effects)
+    if (hasRunRef.current) return;
+    hasRunRef.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setStatus('error');
+      setError('This verification link is missing its token.');
+      return;
+    }
+
+    verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        if (user) {
+          updateUser({ ...user, emailVerified: true });
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setError(err.response?.data?.message || 'Failed to verify email');
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-primary-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full">
+        <Card className="text-center">
+          {status === 'verifying' && <Loading message="Verifying your email..." />}
+
+          {status === 'verified' && (
+            <>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Email Verified</h2>
+              <p className="text-gray-600 mb-6">Your email address has been confirmed. You can now submit papers and place bids.</p>
+              <Link
+                to={user ? `/${user.role}/dashboard` : '/login'}
+                className="text-primary-600 hover:text-primary-700 font-medium"
+              >
+                {user ? 'Go to your dashboard' : 'Go to Login'}
+              </Link>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Verification Failed</h2>
+              <p className="text-red-600 mb-6">{error}</p>
+              <p className="text-sm text-gray-600">
+                You can request a new verification link from the banner at the top of any page after logging in.
+              </p>
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
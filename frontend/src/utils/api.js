@@ -25,6 +25,77 @@ export const setAuthToken = (token) => {
   }
 };
 
+// ============ SESSION REFRESH ============
+
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share one request so the refresh token is rotated once.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const sentRefreshToken = localStorage.getItem('refreshToken');
+      if (!sentRefreshToken) {
+        throw new Error('No refresh token');
+      }
+      try {
+        const res = await axios.post(`${getBaseUrl()}/auth/refresh`, { refreshToken: sentRefreshToken });
+        const { token, refreshToken, user } = res.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        if (user) {
+          localStorage.setItem('user', JSON.stringify(user));
+        }
+        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        setAuthToken(token);
+        window.dispatchEvent(new CustomEvent('auth:refreshed', { detail: { token, user } }));
+        return token;
+      } catch (err) {
+        // Another tab rotated the token first; use the session it stored
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== sentRefreshToken) {
+          const token = localStorage.getItem('token');
+          axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+          setAuthToken(token);
+          return token;
+        }
+        throw err;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Retry a request once with a fresh access token when the old one expired
+const retryWithFreshToken = (client) => async (error) => {
+  const original = error.config;
+  const message = error.response?.data?.message;
+  const isAuthFailure = error.response?.status === 401 &&
+    (message === 'Token expired' || message === 'Session revoked');
+
+  if (!isAuthFailure || !original || original._retry || original.url?.includes('/auth/refresh')) {
+    return Promise.reject(error);
+  }
+
+  original._retry = true;
+  try {
+    const token = await refreshSession();
+    original.headers['Authorization'] = `Bearer ${token}`;
+    return client(original);
+  } catch (refreshError) {
+    window.dispatchEvent(new Event('auth:expired'));
+    return Promise.reject(error);
+  }
+};
+
+axiosInstance.interceptors.response.use((res) => res, retryWithFreshToken(axiosInstance));
+axios.interceptors.response.use((res) => res, retryWithFreshToken(axios));
+
 // ============ AUTHENTICATION APIs ============
 
 export const registerUser = async (data) => {
@@ -37,12 +108,225 @@ export const loginUser = async (email, password) => {
   return res.data;
 };
 
+/**
+ * Request a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise} { success, message }
+ */
+export const forgotPassword = async (email) => {
+  const res = await axiosInstance.post('/auth/forgot-password', { email });
+  return res.data;
+};
+
+/**
+ * Set a new password with a reset token
+ * @param {string} token - Token from the reset email
+ * @param {string} password - New password
+ * @returns {Promise} { success, message }
+ */
+export const resetPassword = async (token, password) => {
+  const res = await axiosInstance.post('/auth/reset-password', { token, password });
+  return res.data;
+};
+
+/**
+ * Confirm an email address with a verification token
+ * @param {string} token - Token from the verification email
+ * @returns {Promise} { user }
+ */
+export const verifyEmail = async (token) => {
+  const res = await axiosInstance.post('/auth/verify-email', { token });
+  return res.data.data || res.data;
+};
+
+/**
+ * Send a new verification email to the current user
+ * @returns {Promise} { success, message }
+ */
+export const resendVerification = async () => {
+  const res = await axiosInstance.post('/auth/resend-verification');
+  return res.data;
+};
+
+/**
+ * Start TOTP enrollment
+ * @returns {Promise} { secret, otpauthUrl, qrCodeDataUrl }
+ */
+export const setupTwoFactor = async () => {
+  const res = await axiosInstance.post('/auth/2fa/setup');
+  return res.data.data || res.data;
+};
+
+/**
+ * Confirm TOTP enrollment
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise} { user, recoveryCodes }
+ */
+export const enableTwoFactor = async (code) => {
+  const res = await axiosInstance.post('/auth/2fa/enable', { code });
+  return res.data.data || res.data;
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise} { user }
+ */
+export const disableTwoFactor = async (code) => {
+  const res = await axiosInstance.post('/auth/2fa/disable', { code });
+  return res.data.data || res.data;
+};
+
+/**
+ * Replace recovery codes
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise} { recoveryCodes }
+ */
+export const regenerateRecoveryCodes = async (code) => {
+  const res = await axiosInstance.post('/auth/2fa/recovery-codes', { code });
+  return res.data.data || res.data;
+};
+
+/**
+ * Link a Google account to the signed-in user
+ * @param {string} code - Authorization code from the Google redirect
+ * @returns {Promise} { user }
+ */
+export const linkGoogleIdentity = async (code) => {
+  const res = await axiosInstance.post('/auth/identities/google', { code });
+  return res.data.data || res.data;
+};
+
+/**
+ * Link an ORCID iD to the signed-in user
+ * @param {string} code - Authorization code from the ORCID redirect
+ * @returns {Promise} { user }
+ */
+export const linkOrcidIdentity = async (code) => {
+  const res = await axiosInstance.post('/auth/identities/orcid', { code });
+  return res.data.data || res.data;
+};
+
+/**
+ * Add password sign-in to an ORCID/Google-only account
+ * @param {string} password - New password
+ * @returns {Promise} { user }
+ */
+export const setAccountPassword = async (password) => {
+  const res = await axiosInstance.post('/auth/identities/password', { password });
+  return res.data.data || res.data;
+};
+
+/**
+ * Detach a sign-in method
+ * @param {string} provider - 'password' | 'google' | 'orcid'
+ * @returns {Promise} { user }
+ */
+export const unlinkIdentity = async (provider) => {
+  const res = await axiosInstance.delete(`/auth/identities/${provider}`);
+  return res.data.data || res.data;
+};
+
+/**
+ * List personal API tokens
+ * @returns {Promise} { tokens }
+ */
+export const getApiTokens = async () => {
+  const res = await axiosInstance.get('/auth/api-tokens');
+  return res.data.data || res.data;
+};
+
+/**
+ * Create a personal API token
+ * @param {Object} data - { name, readOnly, conferenceIds, expiresInDays }
+ * @returns {Promise} { token, apiToken } (token is only returned here)
+ */
+export const createApiToken = async (data) => {
+  const res = await axiosInstance.post('/auth/api-tokens', data);
+  return res.data.data || res.data;
+};
+
+/**
+ * Revoke a personal API token
+ * @param {string} tokenId - Token ID
+ */
+export const revokeApiToken = async (tokenId) => {
+  const res = await axiosInstance.delete(`/auth/api-tokens/${tokenId}`);
+  return res.data;
+};
+
+/**
+ * Download all personal data as a ZIP archive
+ * @returns {Promise<Blob>}
+ */
+export const exportMyData = async () => {
+  const res = await axiosInstance.get('/auth/account/export', { responseType: 'blob' });
+  return res.data;
+};
+
+/**
+ * What deleting the account would do, and any pending deletion
+ * @returns {Promise} { blockers, conferences, graceDays, deletionScheduledFor }
+ */
+export const getAccountDeletion = async () => {
+  const res = await axiosInstance.get('/auth/account/deletion');
+  return res.data.data || res.data;
+};
+
+/**
+ * Schedule account deletion
+ * @param {string} confirmEmail - Account email, typed to confirm
+ * @param {string} [code] - 2FA code when enabled
+ */
+export const requestAccountDeletion = async (confirmEmail, code) => {
+  const res = await axiosInstance.post('/auth/account/deletion', { confirmEmail, code });
+  return res.data;
+};
+
+/**
+ * Cancel a scheduled account deletion
+ */
+export const cancelAccountDeletion = async () => {
+  const res = await axiosInstance.delete('/auth/account/deletion');
+  return res.data;
+};
+
 // ============ FILE UPLOAD APIs ============
 
-export const uploadPaper = async (file) => {
+// PDFs are inspected against the track's (or submission type's) page limit and paper
+// size; a double-blind conference also checks the metadata for the uploader's and
+// authorNames. Problems come back as data.warnings
+export const uploadPaper = async (file, { conferenceId, trackId, submissionType, authorNames } = {}) => {
   const formData = new FormData();
+  if (authorNames) formData.append('authorNames', JSON.stringify(authorNames));
   formData.append('file', file);
   const res = await axiosInstance.post('/upload/paper', formData, {
+    params: { conferenceId, trackId, submissionType },
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return res.data;
+};
+
+// Source archive (zip, tar.gz, tgz) of a camera-ready paper
+export const uploadSource = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  const res = await axiosInstance.post('/upload/source', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return res.data;
+};
+
+// Supplementary attachment of one of the conference's attachment types
+export const uploadAttachment = async (conferenceId, type, file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  const res = await axiosInstance.post('/upload/attachment', formData, {
+    params: { conferenceId, type },
     headers: {
       'Content-Type': 'multipart/form-data',
     },
@@ -71,6 +355,15 @@ export const updateUserProfile = async (data) => {
   return res.data.data || res.data;
 };
 
+/**
+ * Get active sessions (devices) of the current user
+ * @returns {Promise} { sessions }
+ */
+export const getSessions = async () => {
+  const res = await axiosInstance.get('/auth/sessions');
+  return res.data.data || res.data;
+};
+
 // ============ TRACK APIs ============
 
 export const getTracks = async (conferenceId) => {
@@ -171,6 +464,84 @@ export const uploadRevision = async (submissionId, revisionData) => {
   return res.data;
 };
 
+export const uploadFullPaper = async (submissionId, paperData) => {
+  const res = await axiosInstance.put(
+    `/author/submissions/${submissionId}/paper`,
+    paperData
+  );
+  return res.data;
+};
+
+/**
+ * Edit a submission before its deadline (any of title, abstract, keywords,
+ * coAuthors, customFields, fileUrl)
+ */
+export const updateSubmission = async (submissionId, changes) => {
+  const res = await axiosInstance.put(`/author/submissions/${submissionId}`, changes);
+  return res.data;
+};
+
+export const withdrawSubmission = async (submissionId, reason) => {
+  const res = await axiosInstance.post(`/author/submissions/${submissionId}/withdraw`, { reason });
+  return res.data;
+};
+
+/**
+ * Attach an uploaded file to a submission ({ type, fileUrl, name, size })
+ */
+export const addSubmissionAttachment = async (submissionId, attachment) => {
+  const res = await axiosInstance.post(`/author/submissions/${submissionId}/attachments`, attachment);
+  return res.data;
+};
+
+export const removeSubmissionAttachment = async (submissionId, attachmentId) => {
+  const res = await axiosInstance.delete(`/author/submissions/${submissionId}/attachments/${attachmentId}`);
+  return res.data;
+};
+
+// Send a co-author a new authorship invitation
+export const resendCoAuthorInvitation = async (submissionId, coAuthorId) => {
+  const res = await axiosInstance.post(`/author/submissions/${submissionId}/co-authors/${coAuthorId}/invite`);
+  return res.data;
+};
+
+// Co-authorship invitation from an email link (no login needed)
+export const getCoAuthorInvitation = async (token) => {
+  const res = await axiosInstance.post('/public/co-author-invitation', { token });
+  return res.data.data || res.data;
+};
+
+/**
+ * Confirm or decline co-authorship ('confirm' | 'decline'), with declared conflicts
+ * (emails or institutions) when confirming
+ */
+export const respondToCoAuthorInvitation = async (token, response, conflicts = []) => {
+  const res = await axiosInstance.post('/public/co-author-invitation/respond', { token, response, conflicts });
+  return res.data;
+};
+
+// Account merge an organizer requested, from the owner's email link (no login needed)
+export const getAccountMergeRequest = async (token) => {
+  const res = await axiosInstance.post('/public/account-merge', { token });
+  return res.data.data || res.data;
+};
+
+// Confirm or decline an account merge ('confirm' | 'decline')
+export const respondToAccountMerge = async (token, response) => {
+  const res = await axiosInstance.post('/public/account-merge/respond', { token, response });
+  return res.data;
+};
+
+/**
+ * Save camera-ready items of an accepted paper (any of fileUrl, sourceUrl,
+ * license + signedName + agree, coAuthors, confirmAuthors)
+ * @returns {Promise} { submission, checklist }
+ */
+export const submitCameraReady = async (submissionId, items) => {
+  const res = await axiosInstance.put(`/author/submissions/${submissionId}/camera-ready`, items);
+  return res.data;
+};
+
 // ============ REVIEWER APIs ============
 
 export const getReviewerDashboard = async () => {
@@ -308,6 +679,64 @@ export const updateConference = async (conferenceId, updateData) => {
   return res.data;
 };
 
+export const exportConferenceSubmissions = async (conferenceId, filters = {}) => {
+  const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/submissions/export?${params}`, {
+    responseType: 'blob',
+  });
+  return res.data;
+};
+
+/**
+ * Camera-ready checklist of a conference's accepted papers
+ * @returns {Promise} { settings, timezone, submissions, summary }
+ */
+export const getCameraReadyChecklist = async (conferenceId) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/camera-ready`);
+  return res.data;
+};
+
+/**
+ * Email authors whose camera-ready version is incomplete
+ * @param {Array<string>} [submissionIds] - Only these papers (default: all incomplete)
+ */
+export const sendCameraReadyReminders = async (conferenceId, submissionIds) => {
+  const res = await axiosInstance.post(`/organizer/conferences/${conferenceId}/camera-ready/reminders`, { submissionIds });
+  return res.data;
+};
+
+/**
+ * Move a conference to another lifecycle phase
+ * @param {string} conferenceId - Conference ID
+ * @param {string} phase - Target phase (see utils/conferencePhases)
+ * @returns {Promise} { status, statusChangedAt, nextPhases }
+ */
+export const changeConferencePhase = async (conferenceId, phase) => {
+  const res = await axiosInstance.post(`/organizer/conferences/${conferenceId}/phase`, { phase });
+  return res.data;
+};
+
+/**
+ * What can be copied into a new edition of a conference
+ * @param {string} conferenceId - Source conference ID
+ * @returns {Promise} { conference, tracks, committeeCount, reviewerCount }
+ */
+export const getCloneOptions = async (conferenceId) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/clone-options`);
+  return res.data.data || res.data;
+};
+
+/**
+ * Create a new edition of a conference as a draft
+ * @param {string} conferenceId - Source conference ID
+ * @param {Object} data - { name, dayOffset, tracks, committee, settings, phaseSchedule, reinviteReviewers }
+ * @returns {Promise} { conference, tracks, committeeCount, invitedReviewers }
+ */
+export const cloneConference = async (conferenceId, data) => {
+  const res = await axiosInstance.post(`/organizer/conferences/${conferenceId}/clone`, data);
+  return res.data;
+};
+
 export const getConferenceSubmissionsOrganizer = async (conferenceId, filters = {}) => {
   const params = new URLSearchParams();
   Object.entries(filters).forEach(([key, value]) => {
@@ -401,6 +830,89 @@ export const getConferenceParticipants = async (conferenceId) => {
   return res.data;
 };
 
+export const unlockUserAccount = async (email) => {
+  const res = await axiosInstance.post('/organizer/accounts/unlock', { email });
+  return res.data;
+};
+
+export const previewAccountMerge = async (sourceEmail, targetEmail) => {
+  const params = new URLSearchParams({ sourceEmail, targetEmail });
+  const res = await axiosInstance.get(`/organizer/accounts/merge-preview?${params}`);
+  return res.data;
+};
+
+// Emails the owner of sourceEmail a link to confirm; nothing moves until they do
+export const mergeAccounts = async (sourceEmail, targetEmail) => {
+  const res = await axiosInstance.post('/organizer/accounts/merge', { sourceEmail, targetEmail });
+  return res.data;
+};
+
+// ============ ORGANIZER COMMITTEE APIs ============
+
+export const getCommittee = async (conferenceId) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/committee`);
+  return res.data;
+};
+
+export const addCommitteeMember = async (conferenceId, { email, role, trackIds = [] }) => {
+  const res = await axiosInstance.post(`/organizer/conferences/${conferenceId}/committee`, { email, role, trackIds });
+  return res.data;
+};
+
+export const updateCommitteeMember = async (conferenceId, userId, { role, trackIds = [] }) => {
+  const res = await axiosInstance.put(`/organizer/conferences/${conferenceId}/committee/${userId}`, { role, trackIds });
+  return res.data;
+};
+
+export const removeCommitteeMember = async (conferenceId, userId) => {
+  const res = await axiosInstance.delete(`/organizer/conferences/${conferenceId}/committee/${userId}`);
+  return res.data;
+};
+
+// ============ ORGANIZER DEADLINE EXTENSION APIs ============
+
+export const getDeadlineExtensions = async (conferenceId) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/extensions`);
+  return res.data;
+};
+
+export const grantDeadlineExtension = async (conferenceId, data) => {
+  const res = await axiosInstance.post(`/organizer/conferences/${conferenceId}/extensions`, data);
+  return res.data;
+};
+
+export const revokeDeadlineExtension = async (conferenceId, extensionId) => {
+  const res = await axiosInstance.delete(`/organizer/conferences/${conferenceId}/extensions/${extensionId}`);
+  return res.data;
+};
+
+// ============ ORGANIZER AUDIT LOG APIs ============
+
+const auditLogParams = (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return params;
+};
+
+export const getAuditLog = async (conferenceId, filters = {}) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/audit-log?${auditLogParams(filters)}`);
+  return res.data;
+};
+
+export const exportAuditLog = async (conferenceId, filters = {}) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/audit-log/export?${auditLogParams(filters)}`, {
+    responseType: 'blob',
+  });
+  return res.data;
+};
+
+export const verifyAuditLog = async (conferenceId) => {
+  const res = await axiosInstance.get(`/organizer/conferences/${conferenceId}/audit-log/verify`);
+  return res.data;
+};
+
 // ============ ORGANIZER BID MANAGEMENT APIs ============
 
 export const getOrganizerBids = async (filters = {}) => {
@@ -579,6 +1091,58 @@ export const uploadGeneralChairSignature = async (conferenceId, file) => {
   return res.data;
 };
 
+// ============ ADMIN APIs ============
+
+export const adminSearchUsers = async (params = {}) => {
+  const res = await axiosInstance.get('/admin/users', { params });
+  return res.data;
+};
+
+export const adminGetUser = async (userId) => {
+  const res = await axiosInstance.get(`/admin/users/${userId}`);
+  return res.data;
+};
+
+export const adminUpdateUserRoles = async (userId, roles) => {
+  const res = await axiosInstance.put(`/admin/users/${userId}/roles`, { roles });
+  return res.data;
+};
+
+export const adminUnlockUser = async (userId) => {
+  const res = await axiosInstance.post(`/admin/users/${userId}/unlock`);
+  return res.data;
+};
+
+export const adminRevokeUserSessions = async (userId) => {
+  const res = await axiosInstance.post(`/admin/users/${userId}/revoke-sessions`);
+  return res.data;
+};
+
+export const adminGetConferences = async (params = {}) => {
+  const res = await axiosInstance.get('/admin/conferences', { params });
+  return res.data;
+};
+
+export const adminSuspendConference = async (conferenceId, reason) => {
+  const res = await axiosInstance.post(`/admin/conferences/${conferenceId}/suspend`, { reason });
+  return res.data;
+};
+
+export const adminUnsuspendConference = async (conferenceId) => {
+  const res = await axiosInstance.post(`/admin/conferences/${conferenceId}/unsuspend`);
+  return res.data;
+};
+
+export const adminGetFeatureFlags = async () => {
+  const res = await axiosInstance.get('/admin/feature-flags');
+  return res.data;
+};
+
+export const adminSetFeatureFlag = async (name, enabled) => {
+  const res = await axiosInstance.put(`/admin/feature-flags/${name}`, { enabled });
+  return res.data;
+};
+
 // ============ DEFAULT EXPORT (for legacy support) ============
 
 export default axiosInstance;
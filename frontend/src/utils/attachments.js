@@ -0,0 +1,43 @@
+/**
+ * Supplementary attachment types (mirrors backend/config/attachments.js).
+ */
+
+export const ATTACHMENT_KINDS = {
+  appendix: { label: 'Appendix', formats: ['pdf'] },
+  dataset: { label: 'Dataset', formats: ['zip', 'tar.gz', 'tgz', 'csv', 'json'] },
+  video: { label: 'Video', formats: ['mp4', 'webm', 'mov'] },
+  code: { label: 'Source code', formats: ['zip', 'tar.gz', 'tgz'] }
+};
+
+/** Largest size limit a type can have */
+export const MAX_ATTACHMENT_SIZE_MB = 200;
+
+/** Size limit of a new type of each kind */
+export const DEFAULT_SIZE_MB = {
+  appendix: 10,
+  dataset: 100,
+  video: 100,
+  code: 50
+};
+
+export const ATTACHMENT_VISIBILITY = {
+  committee: 'Committee only',
+  reviewers: 'Committee and reviewers'
+};
+
+/** Formats a type takes */
+export const attachmentFormats = (type) => ATTACHMENT_KINDS[type?.kind]?.formats || [];
+
+/** File input `accept` value for a type */
+export const acceptForAttachment = (type) => attachmentFormats(type).map(format => `.${format}`).join(',');
+
+/** Whether a chosen file is in a format the type takes (tar.gz counts as one) */
+export const fileMatchesAttachment = (type, file) =>
+  attachmentFormats(type).some(format => file.name.toLowerCase().endsWith(`.${format}`));
+
+/** File size for display */
+export const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,30 @@
+/**
+ * Camera-ready stage (mirrors backend/config/cameraReady.js).
+ */
+
+export const LICENSES = {
+  cc_by: 'Creative Commons Attribution 4.0 (CC BY 4.0)',
+  cc_by_nc: 'Creative Commons Attribution-NonCommercial 4.0 (CC BY-NC 4.0)',
+  copyright_transfer: 'Copyright transfer to the conference publisher'
+};
+
+export const CAMERA_READY_ITEMS = {
+  paper: 'Final paper',
+  source: 'Source archive',
+  agreement: 'Copyright or license agreement',
+  authors: 'Final author list'
+};
+
+export const REMINDER_DAYS = [7, 2];
+
+export const SOURCE_FORMATS = ['zip', 'tar.gz', 'tgz'];
+
+/** Licenses a conference offers (none chosen means all of them) */
+export const allowedLicenses = (settings) => (settings?.licenses?.length ? settings.licenses : Object.keys(LICENSES));
+
+/** Labels for the kinds of file version */
+export const VERSION_KINDS = {
+  submission: 'Submission',
+  revision: 'Revision',
+  camera_ready: 'Camera-ready'
+};
@@ -0,0 +1,29 @@
+/**
+ * Conference lifecycle phases (mirrors backend/config/conferencePhases.js).
+ */
+
+export const PHASE_LABELS = {
+  draft: 'Draft',
+  cfp_open: 'Call for Papers Open',
+  bidding: 'Bidding',
+  reviewing: 'Reviewing',
+  rebuttal: 'Rebuttal',
+  decisions: 'Decisions',
+  camera_ready: 'Camera-Ready',
+  program_published: 'Program Published',
+  archived: 'Archived'
+};
+
+/** Phases that can be opened automatically on a date */
+export const SCHEDULED_PHASES = Object.keys(PHASE_LABELS).filter(phase => phase !== 'draft' && phase !== 'archived');
+
+const PHASE_VARIANTS = {
+  draft: 'default',
+  cfp_open: 'success',
+  archived: 'default'
+};
+
+export const phaseLabel = (phase) => PHASE_LABELS[phase] || phase;
+
+/** Badge variant for a phase */
+export const phaseVariant = (phase) => PHASE_VARIANTS[phase] || 'info';
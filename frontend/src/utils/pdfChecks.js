@@ -0,0 +1,12 @@
+/**
+ * Paper sizes a track can require (mirrors backend/config/pdfChecks.js)
+ */
+export const PAPER_SIZES = {
+  a4: { label: 'A4' },
+  letter: { label: 'US Letter' }
+};
+
+// The stored PDF check (submission.pdfCheck) when it is for the current paper;
+// right after an upload the previous file's check is still there
+export const currentPdfCheck = (submission) =>
+  submission?.pdfCheck && submission.pdfCheck.fileUrl === submission.fileUrl ? submission.pdfCheck : null;
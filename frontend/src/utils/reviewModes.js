@@ -0,0 +1,22 @@
+/**
+ * Review modes a conference can use (mirrors backend/config/reviewModes.js)
+ */
+export const REVIEW_MODES = {
+  single_blind: {
+    label: 'Single-blind',
+    description: 'Reviewers see the authors; authors do not see the reviewers.'
+  },
+  double_blind: {
+    label: 'Double-blind',
+    description: 'Reviewers do not see the authors and authors do not see the reviewers.'
+  },
+  open: {
+    label: 'Open',
+    description: 'Reviewers see the authors and authors see who reviewed their paper.'
+  }
+};
+
+export const DEFAULT_REVIEW_MODE = 'single_blind';
+
+// Shown to reviewers instead of the author of a double-blind submission
+export const ANONYMOUS_AUTHOR = 'Anonymous (double-blind review)';
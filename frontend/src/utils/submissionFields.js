@@ -0,0 +1,34 @@
+/**
+ * Custom submission fields (mirrors backend/config/submissionFields.js).
+ */
+
+export const FIELD_TYPES = {
+  text: 'Short text',
+  textarea: 'Long text',
+  number: 'Number',
+  select: 'Single choice',
+  checkboxes: 'Multiple choice',
+  checkbox: 'Yes/no checkbox'
+};
+
+export const CHOICE_TYPES = ['select', 'checkboxes'];
+
+export const FIELD_VISIBILITY = {
+  committee: 'Committee only',
+  reviewers: 'Committee and reviewers'
+};
+
+/** Fields asked on a track's submission form (no trackIds means every track) */
+export const fieldsForTrack = (fields, trackId) =>
+  (fields || []).filter(field => !field.trackIds?.length || field.trackIds.some(id => String(id) === String(trackId)));
+
+/** Field key suggested for a label ('Student paper?' -> 'student_paper') */
+export const keyFromLabel = (label) =>
+  label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 40);
+
+/** An answer as text */
+export const formatAnswer = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value === undefined || value === null ? '' : String(value);
+};
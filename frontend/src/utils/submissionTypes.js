@@ -0,0 +1,24 @@
+/**
+ * Submission types (mirrors backend/config/submissionTypes.js).
+ */
+
+export const SUBMISSION_KINDS = {
+  full_paper: 'Full paper',
+  short_paper: 'Short paper',
+  poster: 'Poster',
+  demo: 'Demo',
+  workshop_proposal: 'Workshop proposal'
+};
+
+/** Formats the paper upload accepts; a type may narrow them */
+export const FILE_FORMATS = ['pdf', 'doc', 'docx'];
+
+/** Formats a type takes (none listed means every upload format) */
+export const typeFormats = (type) => (type?.fileFormats?.length ? type.fileFormats : FILE_FORMATS);
+
+/** File input `accept` value for a type */
+export const acceptFor = (type) => typeFormats(type).map(format => `.${format}`).join(',');
+
+/** Whether a chosen file is in a format the type takes */
+export const fileMatchesType = (type, file) =>
+  typeFormats(type).includes(file.name.split('.').pop().toLowerCase());
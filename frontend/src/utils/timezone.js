@@ -0,0 +1,83 @@
+/**
+ * Conference timezones (mirrors backend/utils/timezone.js).
+ *
+ * Conference dates are shown in the conference's timezone, an IANA zone name
+ * or 'AoE' (Anywhere on Earth, UTC-12), and entered as wall-clock times in it.
+ */
+
+export const AOE = 'AoE';
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// IANA spells UTC-12 with the sign inverted
+const AOE_ZONE = 'Etc/GMT+12';
+
+const FALLBACK_ZONES = [
+  'America/Los_Angeles', 'America/New_York', 'America/Sao_Paulo', 'Europe/London', 'Europe/Berlin',
+  'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'
+];
+
+export const ianaZone = (timezone) => (timezone === AOE ? AOE_ZONE : timezone || DEFAULT_TIMEZONE);
+
+export const viewerTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/** Options for a timezone select: AoE and UTC first, then every zone the browser knows */
+export const TIMEZONE_OPTIONS = [
+  { value: AOE, label: 'Anywhere on Earth (AoE, UTC-12)' },
+  { value: 'UTC', label: 'UTC' },
+  ...(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : FALLBACK_ZONES)
+    .filter(zone => zone !== 'UTC')
+    .map(zone => ({ value: zone, label: zone.replace(/_/g, ' ') }))
+];
+
+const zonedParts = (date, timezone) => new Intl.DateTimeFormat('en-US', {
+  timeZone: ianaZone(timezone),
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+}).formatToParts(new Date(date)).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+/**
+ * Format a date in a timezone, labelled with the zone
+ * @returns {string} e.g. 'Mar 1, 2026, 11:59 PM AoE', or 'TBD' without a date
+ */
+export const formatInZone = (date, timezone, { time = true } = {}) => {
+  if (!date) return 'TBD';
+  const formatted = new Date(date).toLocaleString(undefined, {
+    timeZone: ianaZone(timezone),
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...(time ? { hour: 'numeric', minute: '2-digit' } : {})
+  });
+  return time ? `${formatted} ${timezone || DEFAULT_TIMEZONE}` : formatted;
+};
+
+/** Value for a date input showing the day in a timezone ('YYYY-MM-DD') */
+export const dateInputInZone = (date, timezone) => {
+  if (!date) return '';
+  const { year, month, day } = zonedParts(date, timezone);
+  return `${year}-${month}-${day}`;
+};
+
+/** Value for a datetime-local input showing the time in a timezone ('YYYY-MM-DDTHH:mm') */
+export const dateTimeInputInZone = (date, timezone) => {
+  if (!date) return '';
+  const { hour, minute } = zonedParts(date, timezone);
+  return `${dateInputInZone(date, timezone)}T${hour}:${minute}`;
+};
+
+/**
+ * Time left until a date
+ * @returns {string|null} e.g. '3d 4h 12m', or null once it has passed
+ */
+export const timeUntil = (date, now = new Date()) => {
+  const ms = new Date(date) - now;
+  if (!date || ms <= 0) return null;
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  return days > 0 ? `${days}d ${hours}h ${minutes % 60}m` : `${hours}h ${minutes % 60}m`;
+};